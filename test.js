@@ -13,6 +13,31 @@
 // 7. Root path (/) now defaults to the first category in the list.
 // 8. Added Category-specific Import/Export API endpoints.
 // 9. Added Category-specific Import/Export buttons and logic to admin panel.
+// 10. Added versioned D1 schema migrations (schema_migrations table), applied automatically.
+// 11. Added FTS5 full-text search (sites_fts) and public /api/search endpoint.
+// 12. Added tags (tags / site_tags tables) with CRUD API, filters, public chips and import/export.
+// 13. Added nested sub-categories (catalogs.parent_id) with tree-aware reorder and inherited privacy.
+// 14. Added Netscape bookmark HTML import (with dry-run preview) and export, mapping folders to nested catalogs.
+// 15. Added scheduled dead-link checker (link_checks table) with a broken/redirected links admin tab.
+// 16. Added /icon/:siteId favicon proxy with Cache API caching, letter-avatar fallback and scheduled re-resolve.
+// 17. Added multiple admin accounts (users table) with owner/editor/reviewer roles enforced per route.
+// 18. Passwords stored as PBKDF2 hashes, login lockout per IP/username, change-password revokes other sessions.
+// 19. Added optional TOTP two-factor login with hashed recovery codes.
+// 20. Added scoped personal API tokens (Authorization: Bearer) with expiry and last-used tracking.
+// 21. Cookie-authenticated mutations require a CSRF token (X-CSRF-Token) and same-origin Origin/Referer; SameSite=Lax cookie.
+// 22. Sessions record created/last-seen time, IP, user agent and remember-me; device list with remote revoke and sliding expiry.
+// 23. Added audit_log table recording before/after diffs of admin changes, with a filterable admin tab and CSV export.
+// 24. Soft delete: deleted sites/catalogs go to a trash tab (restore / purge), purged after a configurable retention by cron.
+// 25. Added point-in-time snapshots (snapshots table, gzip JSON) taken before destructive operations and daily, with diff and restore.
+// 26. Duplicate detection: normalized url_key on sites, 409 on duplicate create/submit, skip/overwrite/keep import modes and a merge tab.
+// 27. Imports validate every row (required fields, http(s) URL, length limits), write in one batch and return an inserted/updated/skipped/rejected report.
+// 28. Bulk actions on selected bookmarks (move, privacy, delete, favicon refresh, tags) via /api/config/bulk/* endpoints, each in one batch.
+// 29. Click tracking: public links go through /go/:id (daily counts in site_clicks, bots ignored), an analytics tab and an optional popularity sort.
+// 30. Submission abuse protection: per-IP rate limit, honeypot, proof-of-work or Turnstile challenge, admin-managed domain/URL blocklist; favicon lookup deferred to approval.
+// 31. Pending submissions keep a status token and optional contact; public /api/pending/status/:token lookup, rejection reasons and editing before approval.
+// 32. Moderation queue: inline edit, privacy/position on approval, bulk approve/reject, duplicate warnings and a reviewed-items history.
+// 33. Outbound webhooks: HMAC-SHA256 signed POSTs for site/catalog/moderation events, a retry queue drained by the cron trigger and an admin delivery log.
+// 34. Public read-only feeds: /feeds/sites.json, /feeds/sites.opml and /feeds/recent.atom (strictly public sites only, ETag/Last-Modified); /api/config hides private sites from anonymous callers.
 // =================================================================================
 
 
@@ -77,48 +102,890 @@ async function findFavicon(urlString) {
   }
 }
 
+/**
+ * 轉義 HTML 特殊字符
+ * @param {*} value - 任意值，null/undefined 視為空字符串
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HMAC-SHA256 簽名
+ * @param {string} secret
+ * @param {string} message
+ * @returns {Promise<string>} - 小寫十六進制
+ */
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 新增：生成 CSV 文本 (RFC 4180)，帶 BOM 以便 Excel 正確識別 UTF-8
+ * @param {Array<Array<*>>} rows - 第一行為表頭
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+// 追蹤參數，歸一化網址時去除
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'spm', 'ref_src', 'si'
+]);
+
+/**
+ * 新增：歸一化網址，用作重複檢測的鍵
+ * 忽略協議 (http/https)、大小寫主機名、www. 前綴、默認端口、末尾斜杠和追蹤參數 (utm_* 等)，其餘參數按名稱排序；
+ * 錨點只在前端路由 (#/、#!) 時保留。無法解析或非 http(s) 的網址返回原文的小寫形式
+ * @param {string} url
+ * @returns {string} - 例如 example.com/path?a=1
+ */
+function normalizeUrl(url) {
+  const raw = String(url ?? '').trim();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z\d+.-]*:/i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return raw.toLowerCase();
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return raw.toLowerCase();
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const hash = /^#[!/]/.test(parsed.hash) ? parsed.hash : '';
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+/**
+ * 將扁平的分類列表 (已按 sort_order 排序) 轉換為樹
+ * 父分類不存在的節點視為根節點；每個節點附加 children、depth 和 effective_private
+ * @param {Array<{id: number, parent_id: number|null, is_private: number}>} catalogs
+ * @returns {Array<object>} - 根節點列表
+ */
+function buildCatalogTree(catalogs) {
+  const nodes = new Map(catalogs.map(cat => [cat.id, { ...cat, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id != null ? nodes.get(node.parent_id) : null;
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // 父分類私密時，整個子樹都視為私密
+  const visit = (list, depth, parentPrivate, seen) => {
+    list.forEach(node => {
+      if (seen.has(node.id)) return;
+      seen.add(node.id);
+      node.depth = depth;
+      node.effective_private = parentPrivate || node.is_private === 1 ? 1 : 0;
+      visit(node.children, depth + 1, node.effective_private === 1, seen);
+    });
+  };
+  visit(roots, 0, false, new Set());
+  return roots;
+}
+
+/**
+ * 深度優先展開分類樹，返回帶 depth 的扁平列表 (不含 children)
+ */
+function flattenCatalogTree(tree) {
+  const list = [];
+  const walk = nodes => nodes.forEach(({ children, ...node }) => {
+    list.push(node);
+    walk(children);
+  });
+  walk(tree);
+  return list;
+}
+
+/**
+ * 解碼 HTML 實體 (書籤文件中的標題與屬性)
+ */
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * 解析瀏覽器 (Chrome / Firefox / Edge) 導出的 Netscape 書籤 HTML
+ * 文件夾按出現順序返回 (父級在前)，同名文件夾只保留第一次出現的位置
+ * @param {string} html
+ * @param {string} defaultFolder - 不在任何文件夾中的書籤歸入此分類
+ * @returns {{folders: Array<{name: string, parentName: string|null}>, bookmarks: Array<object>, skipped: Array<{name: string, url: string, reason: string}>}}
+ */
+function parseNetscapeBookmarks(html, defaultFolder) {
+  const tokenRe = /<DT>\s*<H3([^>]*)>([\s\S]*?)<\/H3>|<DT>\s*<A([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)|<DL[^>]*>|<\/DL>/gi;
+  const parseAttrs = raw => {
+    const attrs = {};
+    for (const [, key, value] of String(raw || '').matchAll(/([A-Z_-]+)\s*=\s*"([^"]*)"/gi)) {
+      attrs[key.toUpperCase()] = decodeHtmlEntities(value);
+    }
+    return attrs;
+  };
+  const cleanText = raw => decodeHtmlEntities(String(raw || '').replace(/<[^>]*>/g, '')).trim();
+
+  const folders = new Map();
+  const bookmarks = [];
+  const skipped = [];
+  const stack = [];
+  let pendingFolder = null;
+  let lastItem = null;
+
+  for (const match of html.matchAll(tokenRe)) {
+    const token = match[0];
+    if (match[2] !== undefined) {
+      pendingFolder = cleanText(match[2]) || defaultFolder;
+      lastItem = null;
+    } else if (match[4] !== undefined) {
+      const attrs = parseAttrs(match[3]);
+      const url = (attrs.HREF || '').trim();
+      const name = cleanText(match[4]) || url;
+      const folder = stack.filter(Boolean).pop() || defaultFolder;
+      if (!/^https?:\/\//i.test(url)) {
+        skipped.push({ name, url, reason: 'Unsupported URL scheme' });
+        lastItem = null;
+        continue;
+      }
+      const addDate = parseInt(attrs.ADD_DATE, 10);
+      lastItem = {
+        name,
+        url,
+        logo: attrs.ICON || attrs.ICON_URI || null,
+        desc: null,
+        catelog: folder,
+        addDate: Number.isFinite(addDate) && addDate > 0 ? addDate : null,
+        tags: attrs.TAGS ? attrs.TAGS.split(',').map(tag => tag.trim()).filter(Boolean) : []
+      };
+      bookmarks.push(lastItem);
+    } else if (match[5] !== undefined) {
+      if (lastItem && !lastItem.desc) {
+        lastItem.desc = cleanText(match[5]) || null;
+      }
+    } else if (token[1] === '/') {
+      stack.pop();
+      lastItem = null;
+    } else {
+      // <DL> 打開上一個 <H3> 的內容；最外層的 <DL> 沒有對應文件夾
+      stack.push(pendingFolder);
+      if (pendingFolder && !folders.has(pendingFolder)) {
+        folders.set(pendingFolder, { name: pendingFolder, parentName: stack.slice(0, -1).filter(Boolean).pop() || null });
+      }
+      pendingFolder = null;
+      lastItem = null;
+    }
+  }
+
+  // 只保留包含書籤的文件夾及其祖先
+  const used = new Set();
+  bookmarks.forEach(bookmark => {
+    for (let name = bookmark.catelog; name && !used.has(name); name = folders.get(name)?.parentName) {
+      used.add(name);
+    }
+  });
+  if (used.has(defaultFolder) && !folders.has(defaultFolder)) {
+    folders.set(defaultFolder, { name: defaultFolder, parentName: null });
+  }
+
+  return {
+    folders: [...folders.values()].filter(folder => used.has(folder.name)),
+    bookmarks,
+    skipped
+  };
+}
+
+/**
+ * 生成 Netscape 書籤 HTML，分類樹對應為嵌套文件夾
+ * @param {Array<object>} catalogTree - buildCatalogTree 的結果
+ * @param {Array<object>} sites - 帶 tags 字段的書籤列表
+ * @returns {string}
+ */
+function buildNetscapeBookmarks(catalogTree, sites) {
+  const toUnixTime = value => {
+    const time = Date.parse(String(value || '').replace(' ', 'T') + 'Z');
+    return Number.isFinite(time) ? Math.floor(time / 1000) : Math.floor(Date.now() / 1000);
+  };
+  const sitesByCatalog = new Map();
+  sites.forEach(site => {
+    if (!sitesByCatalog.has(site.catelog)) sitesByCatalog.set(site.catelog, []);
+    sitesByCatalog.get(site.catelog).push(site);
+  });
+
+  const renderSite = (site, indent) => {
+    const attrs = [`HREF="${escapeHtml(site.url)}"`, `ADD_DATE="${toUnixTime(site.create_time)}"`];
+    if (site.logo) {
+      attrs.push(site.logo.startsWith('data:') ? `ICON="${escapeHtml(site.logo)}"` : `ICON_URI="${escapeHtml(site.logo)}"`);
+    }
+    if (site.tags && site.tags.length > 0) {
+      attrs.push(`TAGS="${escapeHtml(site.tags.join(','))}"`);
+    }
+    let line = `${indent}<DT><A ${attrs.join(' ')}>${escapeHtml(site.name)}</A>\n`;
+    if (site.desc) line += `${indent}<DD>${escapeHtml(site.desc)}\n`;
+    return line;
+  };
+  const renderFolder = (name, children, indent) => {
+    let out = `${indent}<DT><H3>${escapeHtml(name)}</H3>\n${indent}<DL><p>\n`;
+    (sitesByCatalog.get(name) || []).forEach(site => { out += renderSite(site, indent + '    '); });
+    children.forEach(child => { out += renderFolder(child.name, child.children, indent + '    '); });
+    sitesByCatalog.delete(name);
+    return out + `${indent}</DL><p>\n`;
+  };
+
+  let body = '';
+  catalogTree.forEach(node => { body += renderFolder(node.name, node.children, '    '); });
+  // 分類表中不存在的 catelog 也導出為頂級文件夾
+  [...sitesByCatalog.keys()].forEach(name => { body += renderFolder(name, [], '    '); });
+
+  return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+${body}</DL><p>
+`;
+}
+
+
+// =================================================================================
+// SECTION 2: DATABASE SCHEMA & MIGRATIONS
+// Versioned D1 schema. Applied automatically on first request of each isolate.
+// =================================================================================
+
+const schema = {
+    /**
+     * 有序的遷移列表。每一項的 up(db) 返回預備語句數組，
+     * 與 schema_migrations 記錄一併在同一個 batch (事務) 中執行。
+     * 只能在末尾追加新遷移，不要修改已發佈的版本。
+     */
+    migrations: [
+        {
+            version: 1,
+            name: 'create_core_tables',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS sites (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL,
+                        url TEXT NOT NULL,
+                        logo TEXT,
+                        desc TEXT,
+                        catelog TEXT NOT NULL,
+                        sort_order INTEGER DEFAULT 0,
+                        is_private INTEGER DEFAULT 0 NOT NULL,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare(`CREATE TABLE IF NOT EXISTS catalogs (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL UNIQUE,
+                        sort_order INTEGER DEFAULT 0,
+                        is_private INTEGER DEFAULT 0 NOT NULL,
+                        icon TEXT
+                    )`),
+                    db.prepare(`CREATE TABLE IF NOT EXISTS pending_sites (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL,
+                        url TEXT NOT NULL,
+                        logo TEXT,
+                        desc TEXT,
+                        catelog TEXT NOT NULL,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`)
+                ];
+            }
+        },
+        {
+            // 舊版本 (v1.01.06 之前) 手動建表時可能缺少的欄位
+            version: 2,
+            name: 'backfill_legacy_columns',
+            async up(db) {
+                return [
+                    ...await schema.addColumnIfMissing(db, 'sites', 'sort_order', 'INTEGER DEFAULT 0'),
+                    ...await schema.addColumnIfMissing(db, 'sites', 'is_private', 'INTEGER DEFAULT 0 NOT NULL'),
+                    ...await schema.addColumnIfMissing(db, 'catalogs', 'sort_order', 'INTEGER DEFAULT 0'),
+                    ...await schema.addColumnIfMissing(db, 'catalogs', 'is_private', 'INTEGER DEFAULT 0 NOT NULL'),
+                    ...await schema.addColumnIfMissing(db, 'catalogs', 'icon', 'TEXT')
+                ];
+            }
+        },
+        {
+            // 全文搜索索引，由觸發器與 sites 保持同步；unicode61 不切分中文，使用 trigram 以支持任意子串匹配
+            version: 3,
+            name: 'create_sites_fts',
+            async up(db) {
+                const columns = 'name, url, desc, catelog';
+                return [
+                    db.prepare(`CREATE VIRTUAL TABLE IF NOT EXISTS sites_fts USING fts5(
+                        ${columns}, content='sites', content_rowid='id', tokenize='trigram'
+                    )`),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS sites_fts_ai AFTER INSERT ON sites BEGIN
+                        INSERT INTO sites_fts(rowid, ${columns}) VALUES (new.id, new.name, new.url, new.desc, new.catelog);
+                    END`),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS sites_fts_ad AFTER DELETE ON sites BEGIN
+                        INSERT INTO sites_fts(sites_fts, rowid, ${columns}) VALUES ('delete', old.id, old.name, old.url, old.desc, old.catelog);
+                    END`),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS sites_fts_au AFTER UPDATE ON sites BEGIN
+                        INSERT INTO sites_fts(sites_fts, rowid, ${columns}) VALUES ('delete', old.id, old.name, old.url, old.desc, old.catelog);
+                        INSERT INTO sites_fts(rowid, ${columns}) VALUES (new.id, new.name, new.url, new.desc, new.catelog);
+                    END`),
+                    db.prepare(`INSERT INTO sites_fts(sites_fts) VALUES ('rebuild')`)
+                ];
+            }
+        },
+        {
+            // 標籤與書籤的多對多關係。site_tags 使用 WITHOUT ROWID，
+            // 插入時不會改變 last_insert_rowid()，批量導入時可安全引用剛插入的書籤
+            version: 4,
+            name: 'create_tags',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS tags (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL UNIQUE,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare(`CREATE TABLE IF NOT EXISTS site_tags (
+                        site_id INTEGER NOT NULL,
+                        tag_id INTEGER NOT NULL,
+                        PRIMARY KEY (site_id, tag_id)
+                    ) WITHOUT ROWID`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_site_tags_tag_id ON site_tags (tag_id)'),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS site_tags_site_ad AFTER DELETE ON sites BEGIN
+                        DELETE FROM site_tags WHERE site_id = old.id;
+                    END`)
+                ];
+            }
+        },
+        {
+            // 子分類：parent_id 為 NULL 表示頂級分類
+            version: 5,
+            name: 'add_catalog_parent_id',
+            async up(db) {
+                return [
+                    ...await schema.addColumnIfMissing(db, 'catalogs', 'parent_id', 'INTEGER DEFAULT NULL'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_catalogs_parent_id ON catalogs (parent_id)')
+                ];
+            }
+        },
+        {
+            // 失效鏈接檢測結果，每個書籤保留最近一次檢測
+            version: 6,
+            name: 'create_link_checks',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS link_checks (
+                        site_id INTEGER PRIMARY KEY,
+                        status INTEGER,
+                        final_url TEXT,
+                        latency_ms INTEGER,
+                        error TEXT,
+                        checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_link_checks_checked_at ON link_checks (checked_at)'),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS link_checks_site_ad AFTER DELETE ON sites BEGIN
+                        DELETE FROM link_checks WHERE site_id = old.id;
+                    END`),
+                    // URL 變更後舊的檢測結果不再有效
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS link_checks_site_au AFTER UPDATE OF url ON sites
+                        WHEN new.url IS NOT old.url BEGIN
+                        DELETE FROM link_checks WHERE site_id = new.id;
+                    END`)
+                ];
+            }
+        },
+        {
+            // 圖標無法加載的書籤，由定時任務重新解析
+            version: 7,
+            name: 'create_icon_failures',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS icon_failures (
+                        site_id INTEGER PRIMARY KEY,
+                        error TEXT,
+                        failure_count INTEGER DEFAULT 1 NOT NULL,
+                        failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        resolved_at TIMESTAMP
+                    )`),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS icon_failures_site_ad AFTER DELETE ON sites BEGIN
+                        DELETE FROM icon_failures WHERE site_id = old.id;
+                    END`),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS icon_failures_site_au AFTER UPDATE OF logo ON sites
+                        WHEN new.logo IS NOT old.logo BEGIN
+                        DELETE FROM icon_failures WHERE site_id = new.id;
+                    END`)
+                ];
+            }
+        },
+        {
+            // 後台賬號；首次使用 NAV_AUTH 中的 admin_username / admin_password 登錄時創建 owner
+            version: 8,
+            name: 'create_users',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS users (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        username TEXT NOT NULL UNIQUE,
+                        password TEXT NOT NULL,
+                        role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'reviewer')),
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`)
+                ];
+            }
+        },
+        {
+            // 將明文密碼轉換為 PBKDF2 哈希 (users.password 此後只保存哈希)
+            version: 9,
+            name: 'hash_user_passwords',
+            async up(db) {
+                const { results } = await db.prepare("SELECT id, password FROM users WHERE password NOT LIKE 'pbkdf2$%'").all();
+                return Promise.all(results.map(async user =>
+                    db.prepare('UPDATE users SET password = ? WHERE id = ?').bind(await admin.hashPassword(user.password), user.id)
+                ));
+            }
+        },
+        {
+            // 個人 API 令牌 (Authorization: Bearer)，只保存 SHA-256 哈希
+            version: 10,
+            name: 'create_api_tokens',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS api_tokens (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        name TEXT NOT NULL,
+                        token_hash TEXT NOT NULL UNIQUE,
+                        token_prefix TEXT NOT NULL,
+                        scopes TEXT NOT NULL,
+                        expires_at TIMESTAMP,
+                        last_used_at TIMESTAMP,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens (user_id)'),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS api_tokens_user_ad AFTER DELETE ON users BEGIN
+                        DELETE FROM api_tokens WHERE user_id = old.id;
+                    END`)
+                ];
+            }
+        },
+        {
+            // 後台操作審計日誌；changes 為 JSON { before, after }，只包含有變化的字段
+            version: 11,
+            name: 'create_audit_log',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS audit_log (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER,
+                        username TEXT,
+                        token_id INTEGER,
+                        action TEXT NOT NULL,
+                        entity_type TEXT NOT NULL,
+                        entity_id TEXT,
+                        summary TEXT,
+                        changes TEXT,
+                        ip TEXT,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_create_time ON audit_log (create_time)'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)')
+                ];
+            }
+        },
+        {
+            // 回收站：deleted_at 非空的書籤和分類只在回收站中可見，超過保留期後由定時任務徹底刪除
+            version: 12,
+            name: 'add_soft_delete',
+            async up(db) {
+                return [
+                    ...await schema.addColumnIfMissing(db, 'sites', 'deleted_at', 'TIMESTAMP DEFAULT NULL'),
+                    ...await schema.addColumnIfMissing(db, 'catalogs', 'deleted_at', 'TIMESTAMP DEFAULT NULL'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_sites_deleted_at ON sites (deleted_at)'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_catalogs_deleted_at ON catalogs (deleted_at)')
+                ];
+            }
+        },
+        {
+            // 數據快照：data 為 gzip 壓縮的 JSON (書籤、分類、標籤、NAV_SETTINGS)，見 snapshots 對象
+            version: 13,
+            name: 'create_snapshots',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS snapshots (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        reason TEXT NOT NULL,
+                        username TEXT,
+                        data BLOB NOT NULL,
+                        size INTEGER NOT NULL,
+                        raw_size INTEGER NOT NULL,
+                        checksum TEXT NOT NULL,
+                        site_count INTEGER NOT NULL DEFAULT 0,
+                        catalog_count INTEGER NOT NULL DEFAULT 0,
+                        tag_count INTEGER NOT NULL DEFAULT 0,
+                        setting_count INTEGER NOT NULL DEFAULT 0,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`)
+                ];
+            }
+        },
+        {
+            // 重複檢測：url_key 為歸一化後的網址 (見 normalizeUrl)，為空時由 api.fillUrlKeys 在檢測前補齊；
+            // 修改 url 而未同時寫入 url_key 時由觸發器清空，以便重新計算。待審核記錄也保存 url_key，公開提交時在 SQL 中比較
+            version: 14,
+            name: 'add_site_url_key',
+            async up(db) {
+                return [
+                    ...await schema.addColumnIfMissing(db, 'sites', 'url_key', 'TEXT'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_sites_url_key ON sites (url_key)'),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'url_key', 'TEXT'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_pending_sites_url_key ON pending_sites (url_key)'),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS sites_url_key_au AFTER UPDATE OF url ON sites
+                        WHEN new.url IS NOT old.url AND new.url_key IS old.url_key BEGIN
+                        UPDATE sites SET url_key = NULL WHERE id = new.id;
+                    END`)
+                ];
+            }
+        },
+        {
+            // 點擊統計：每個書籤每天 (UTC) 一行。不隨書籤刪除而清理，以免恢復快照時丟失統計；孤立行由 clickTracker.prune 清除
+            version: 15,
+            name: 'create_site_clicks',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS site_clicks (
+                        site_id INTEGER NOT NULL,
+                        day TEXT NOT NULL,
+                        clicks INTEGER NOT NULL DEFAULT 0,
+                        PRIMARY KEY (site_id, day)
+                    )`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_site_clicks_day ON site_clicks (day)')
+                ];
+            }
+        },
+        {
+            // 訪客提交的黑名單：type 為 domain (含子域名) 或 url (歸一化後的網址前綴)
+            version: 16,
+            name: 'create_submit_blocklist',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS submit_blocklist (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        type TEXT NOT NULL,
+                        pattern TEXT NOT NULL,
+                        note TEXT,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (type, pattern)
+                    )`)
+                ];
+            }
+        },
+        {
+            // 審核後保留提交記錄 (status 為 approved / rejected)，提交者可憑 token 查詢結果
+            version: 17,
+            name: 'add_pending_submission_status',
+            async up(db) {
+                return [
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'token', 'TEXT'),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'contact', 'TEXT'),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'status', "TEXT NOT NULL DEFAULT 'pending'"),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'reject_reason', 'TEXT'),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'site_id', 'INTEGER'),
+                    ...await schema.addColumnIfMissing(db, 'pending_sites', 'reviewed_at', 'TIMESTAMP'),
+                    db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_sites_token ON pending_sites (token)'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_pending_sites_status ON pending_sites (status, create_time)')
+                ];
+            }
+        },
+        {
+            // webhook_deliveries 同時是發送隊列 (status = 'pending') 和發送記錄
+            version: 18,
+            name: 'create_webhooks',
+            async up(db) {
+                return [
+                    db.prepare(`CREATE TABLE IF NOT EXISTS webhooks (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL,
+                        url TEXT NOT NULL,
+                        secret TEXT NOT NULL,
+                        events TEXT NOT NULL,
+                        enabled INTEGER NOT NULL DEFAULT 1,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        webhook_id INTEGER NOT NULL,
+                        event TEXT NOT NULL,
+                        payload TEXT NOT NULL,
+                        status TEXT NOT NULL DEFAULT 'pending',
+                        attempts INTEGER NOT NULL DEFAULT 0,
+                        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        last_attempt_at TIMESTAMP,
+                        response_status INTEGER,
+                        response_body TEXT,
+                        error TEXT,
+                        duration_ms INTEGER,
+                        create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )`),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries (status, next_attempt_at)'),
+                    db.prepare('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)'),
+                    db.prepare(`CREATE TRIGGER IF NOT EXISTS webhooks_ad AFTER DELETE ON webhooks BEGIN
+                        DELETE FROM webhook_deliveries WHERE webhook_id = old.id;
+                    END`)
+                ];
+            }
+        }
+    ],
+
+    // 每個 D1 綁定只在本 isolate 內遷移一次
+    readyStates: new WeakMap(),
+
+    get targetVersion() {
+        return this.migrations[this.migrations.length - 1].version;
+    },
+
+    async ensureMigrationsTable(db) {
+        await db.prepare(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`).run();
+    },
+
+    async getTableColumns(db, table) {
+        const { results } = await db.prepare(`PRAGMA table_info(${table})`).all();
+        return (results || []).map(col => col.name);
+    },
+
+    /**
+     * 欄位不存在時返回對應的 ALTER TABLE 語句，否則返回空數組
+     */
+    async addColumnIfMissing(db, table, column, definition) {
+        const columns = await this.getTableColumns(db, table);
+        if (columns.includes(column)) return [];
+        return [db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)];
+    },
+
+    async getAppliedMigrations(db) {
+        await this.ensureMigrationsTable(db);
+        const { results } = await db.prepare(
+            'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+        ).all();
+        return results || [];
+    },
+
+    async getCurrentVersion(db) {
+        const applied = await this.getAppliedMigrations(db);
+        return applied.length > 0 ? applied[applied.length - 1].version : 0;
+    },
+
+    /**
+     * 按順序應用所有未執行的遷移
+     * @returns {Promise<{from: number, to: number, applied: Array<{version: number, name: string}>}>}
+     */
+    async migrate(env) {
+        const db = env.NAV_DB;
+        const from = await this.getCurrentVersion(db);
+        const applied = [];
+
+        for (const migration of this.migrations) {
+            if (migration.version <= from) continue;
+            const statements = await migration.up(db);
+            statements.push(
+                db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').bind(migration.version, migration.name)
+            );
+            try {
+                await db.batch(statements);
+            } catch (e) {
+                // 另一個 isolate 可能已經完成了同一個遷移
+                const current = await this.getCurrentVersion(db);
+                if (current >= migration.version) continue;
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+            }
+            applied.push({ version: migration.version, name: migration.name });
+        }
+
+        return { from, to: await this.getCurrentVersion(db), applied };
+    },
+
+    /**
+     * 在處理請求前確保數據庫是最新版本
+     * @returns {Promise<Error|null>} - 遷移失敗時返回錯誤，不會拋出
+     */
+    async ensureMigrated(env) {
+        if (!env.NAV_DB) return new Error('D1 database (NAV_DB) is not bound.');
+
+        let state = this.readyStates.get(env.NAV_DB);
+        if (!state) {
+            state = { promise: this.migrate(env), error: null };
+            this.readyStates.set(env.NAV_DB, state);
+        }
+        try {
+            await state.promise;
+            return null;
+        } catch (e) {
+            console.error('Schema migration failed:', e.message);
+            // 下次請求時重試
+            this.readyStates.delete(env.NAV_DB);
+            return e;
+        }
+    },
+
+    async getStatus(env) {
+        const applied = await this.getAppliedMigrations(env.NAV_DB);
+        const currentVersion = applied.length > 0 ? applied[applied.length - 1].version : 0;
+        return {
+            currentVersion,
+            targetVersion: this.targetVersion,
+            upToDate: currentVersion >= this.targetVersion,
+            applied,
+            pending: this.migrations
+                .filter(m => m.version > currentVersion)
+                .map(m => ({ version: m.version, name: m.name }))
+        };
+    }
+};
+
 
 // =================================================================================
-// SECTION 2: API LOGIC
+// SECTION 3: API LOGIC
 // Handles all data interactions for bookmarks, categories, and settings.
 // =================================================================================
 
 const api = {
     async handleRequest(request, env, ctx) {
+        const response = await this.routeRequest(request, env, ctx);
+        // 請求成功後才發送本次請求產生的 Webhook 事件 (失敗時修改已回滾)
+        if (response.status < 400) {
+            webhooks.flush(request, env, ctx);
+        }
+        return response;
+    },
+
+    async routeRequest(request, env, ctx) {
         const url = new URL(request.url);
         const path = url.pathname.replace('/api', '');
         const method = request.method;
         const id = url.pathname.split('/').pop();
 
-        // --- 新增：定義受保護的管理員路由 ---
+        // --- 新增：自動應用數據庫遷移 (/schema 路由即使遷移失敗也要能查看狀態) ---
+        // 賬號保存在 D1 中，因此遷移需在權限檢查之前完成
+        const migrationError = await schema.ensureMigrated(env);
+        if (migrationError && !path.startsWith('/schema')) {
+            return this.errorResponse(`Database migration failed: ${migrationError.message}`, 500);
+        }
+
+        // --- 新增：定義受保護的管理員路由及所需權限 (見 admin.rolePermissions) ---
         // 格式: 'METHOD /path' 或 'METHOD /path_regex'
-        const protectedRoutes = [
-            'POST /settings',
-            'POST /catalogs',
-            'PUT /catalogs',
-            'DELETE /catalogs',
-            'POST /catalogs/reorder',
-            'POST /catalogs/migrate',
-            'PUT /catalogs/\\d+/toggle_privacy', // 正則
-            'POST /config',
-            'POST /config/reorder',
-            'DELETE /config/all',
-            'PUT /config/\\d+', // 正則
-            'DELETE /config/\\d+', // 正則
-            'PUT /config/\\d+/toggle_privacy', // 正則
-            'PUT /pending/\\d+', // 正則
-            'DELETE /pending/\\d+', // 正則
-            'POST /config/import',
-            'GET /config/export',
-            'GET /pending',
-            'GET /catalogs/export', // 新增
-            'POST /catalogs/import', // 新增
-        ];
+        const protectedRoutes = {
+            'POST /settings': 'settings',
+            'POST /catalogs': 'catalogs',
+            'PUT /catalogs': 'catalogs',
+            'DELETE /catalogs': 'catalogs',
+            'POST /catalogs/reorder': 'catalogs',
+            'POST /catalogs/migrate': 'catalogs',
+            'PUT /catalogs/\\d+/toggle_privacy': 'catalogs', // 正則
+            'POST /config': 'sites',
+            'POST /config/reorder': 'sites',
+            'POST /config/bulk/move': 'sites',
+            'POST /config/bulk/privacy': 'sites',
+            'POST /config/bulk/delete': 'sites',
+            'POST /config/bulk/refresh-icons': 'sites',
+            'POST /config/bulk/tags': 'sites',
+            'DELETE /config/all': 'delete_all',
+            'PUT /config/\\d+': 'sites', // 正則
+            'DELETE /config/\\d+': 'sites', // 正則
+            'PUT /config/\\d+/toggle_privacy': 'sites', // 正則
+            'PUT /pending/\\d+': 'pending', // 正則
+            'DELETE /pending/\\d+': 'pending', // 正則
+            'PUT /pending/\\d+/edit': 'pending', // 正則
+            'POST /pending/bulk/approve': 'pending',
+            'POST /pending/bulk/reject': 'pending',
+            'POST /config/import': 'sites',
+            'GET /config/export': 'sites',
+            'POST /config/import/html': 'sites',
+            'GET /config/export/html': 'sites',
+            'GET /pending': 'pending',
+            'GET /catalogs/export': 'catalogs', // 新增
+            'POST /catalogs/import': 'catalogs', // 新增
+            'GET /schema': 'schema',
+            'POST /schema/migrate': 'schema',
+            'POST /tags': 'sites',
+            'PUT /tags/\\d+': 'sites', // 正則
+            'DELETE /tags/\\d+': 'sites', // 正則
+            'GET /link-checks': 'sites',
+            'POST /link-checks/run': 'sites',
+            'PUT /link-checks/\\d+': 'sites', // 正則
+            'GET /users': 'users',
+            'POST /users': 'users',
+            'PUT /users/\\d+': 'users', // 正則
+            'DELETE /users/\\d+': 'users', // 正則
+            'GET /audit-log': 'audit',
+            'GET /audit-log/export': 'audit',
+            'GET /trash': 'sites',
+            'POST /trash/sites/restore': 'sites',
+            'POST /trash/sites/purge': 'sites',
+            'POST /trash/catalogs/restore': 'catalogs',
+            'POST /trash/catalogs/purge': 'catalogs',
+            'DELETE /trash': 'delete_all',
+            'PUT /trash/settings': 'settings',
+            'GET /snapshots': 'snapshots',
+            'POST /snapshots': 'snapshots',
+            'GET /snapshots/\\d+/diff': 'snapshots', // 正則
+            'POST /snapshots/\\d+/restore': 'snapshots', // 正則
+            'DELETE /snapshots/\\d+': 'snapshots', // 正則
+            'GET /duplicates': 'sites',
+            'POST /duplicates/merge': 'sites',
+            'GET /analytics': 'sites',
+            'GET /webhooks': 'settings',
+            'POST /webhooks': 'settings',
+            'PUT /webhooks/\\d+': 'settings', // 正則
+            'DELETE /webhooks/\\d+': 'settings', // 正則
+            'POST /webhooks/\\d+/test': 'settings', // 正則
+            'GET /webhooks/deliveries': 'settings',
+            'POST /webhooks/deliveries/\\d+/retry': 'settings', // 正則
+            'GET /blocklist': 'pending',
+            'POST /blocklist': 'pending',
+            'DELETE /blocklist/\\d+': 'pending', // 正則
+        };
+
+        // --- 新增：使用會話 Cookie 的修改請求需通過 CSRF 校驗 (API 令牌不會被瀏覽器自動攜帶，無需校驗) ---
+        const usesBearerToken = /^Bearer\s/i.test(request.headers.get('Authorization') || '');
+        const requiresCsrf = !['GET', 'HEAD', 'OPTIONS'].includes(method) && !usesBearerToken;
 
-        const requestSignature = `${method} ${path}`;
-        
         // 檢查是否匹配受保護的路由
-        let isProtected = protectedRoutes.some(route => {
+        const matchedRoute = Object.keys(protectedRoutes).find(route => {
             const [routeMethod, routePath] = route.split(' ');
             if (routeMethod !== method) return false;
             
@@ -131,16 +998,28 @@ const api = {
             }
         });
 
-        if (isProtected) {
-            // 這是一個受保護的路由，執行權限檢查
+        let currentUser = null;
+        if (matchedRoute) {
+            // 這是一個受保護的路由，執行登錄 (會話或 API 令牌) 與角色權限檢查
             // 注意: 'admin' 對象必須在 'api' 對象之前或在同一作用域中定義
-            const isAuthenticated = await admin.checkAuth(request, env);
-            if (!isAuthenticated) {
+            currentUser = await admin.getCurrentUser(request, env);
+            if (!currentUser) {
                 return this.errorResponse('Unauthorized', 401);
             }
+            if (!admin.hasPermission(currentUser, protectedRoutes[matchedRoute])) {
+                return this.errorResponse('Forbidden', 403);
+            }
+            this.auditActors.set(request, currentUser);
+        }
+        if (requiresCsrf && (matchedRoute || path.startsWith('/me/'))) {
+            const csrfError = await admin.verifyCsrf(request);
+            if (csrfError) {
+                return this.errorResponse(csrfError, 403);
+            }
         }
         
         // --- 權限檢查結束 ---
+
         // 以下是原始的路由邏輯
 
         try {
@@ -194,9 +1073,31 @@ const api = {
             if (path === '/config/all' && method === 'DELETE') { // 受保護
                 return await this.deleteAllConfigs(request, env, ctx);
             }
+            // --- 批量操作 ---
+            if (path === '/config/bulk/move' && method === 'POST') { // 受保護
+                return await this.bulkMoveSites(request, env, ctx);
+            }
+            if (path === '/config/bulk/privacy' && method === 'POST') { // 受保護
+                return await this.bulkSetSitePrivacy(request, env, ctx);
+            }
+            if (path === '/config/bulk/delete' && method === 'POST') { // 受保護
+                return await this.bulkDeleteSites(request, env, ctx);
+            }
+            if (path === '/config/bulk/refresh-icons' && method === 'POST') { // 受保護
+                return await this.bulkRefreshIcons(request, env, ctx);
+            }
+            if (path === '/config/bulk/tags' && method === 'POST') { // 受保護
+                return await this.bulkTagSites(request, env, ctx);
+            }
             if (path === '/config/submit' && method === 'POST') { // 公開
               return await this.submitConfig(request, env, ctx);
            }
+            if (path === '/submit/challenge' && method === 'GET') { // 公開
+                return await this.getSubmitChallenge(request, env, ctx);
+            }
+            if (path === '/search' && method === 'GET') { // 公開 (私密內容僅登入後可見)
+                return await this.searchSites(request, env, ctx, url);
+            }
             if (path === `/config/${id}` && /^\d+$/.test(id)) {
                 switch (method) {
                     case 'PUT': // 受保護
@@ -211,6 +1112,18 @@ const api = {
                 const siteId = path.split('/')[2];
                 return await this.toggleSitePrivacy(request, env, ctx, siteId);
             }
+            if (path.match(/^\/pending\/status\/[0-9a-f]+$/) && method === 'GET') { // 公開
+                return await this.getSubmissionStatus(request, env, ctx, id);
+            }
+            if (path === '/pending/bulk/approve' && method === 'POST') { // 受保護
+                return await this.bulkApprovePending(request, env, ctx);
+            }
+            if (path === '/pending/bulk/reject' && method === 'POST') { // 受保護
+                return await this.bulkRejectPending(request, env, ctx);
+            }
+            if (path.match(/^\/pending\/\d+\/edit$/) && method === 'PUT') { // 受保護
+                return await this.updatePendingConfig(request, env, ctx, path.split('/')[2]);
+            }
             if (path === `/pending/${id}` && /^\d+$/.test(id)) {
                 switch (method) {
                     case 'PUT': // 受保護
@@ -227,6 +1140,12 @@ const api = {
             if (path === '/config/export' && method === 'GET') { // 受保護
                 return await this.exportConfig(request, env, ctx);
             }
+            if (path === '/config/import/html' && method === 'POST') { // 受保護
+                return await this.importBookmarksHtml(request, env, ctx);
+            }
+            if (path === '/config/export/html' && method === 'GET') { // 受保護
+                return await this.exportBookmarksHtml(request, env, ctx);
+            }
             if (path === '/pending' && method === 'GET') { // 受保護
               return await this.getPendingConfig(request, env, ctx, url);
             }
@@ -237,6 +1156,225 @@ const api = {
             if (path === '/catalogs/import' && method === 'POST') { // 受保護
                 return await this.importCategory(request, env, ctx, url);
             }
+            // --- 標籤 ---
+            if (path === '/tags') {
+                switch (method) {
+                    case 'GET': // 公開
+                        return await this.getTags(request, env, ctx);
+                    case 'POST': // 受保護
+                        return await this.createTag(request, env, ctx);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            if (path === `/tags/${id}` && /^\d+$/.test(id)) {
+                switch (method) {
+                    case 'PUT': // 受保護
+                        return await this.updateTag(request, env, ctx, id);
+                    case 'DELETE': // 受保護
+                        return await this.deleteTag(request, env, ctx, id);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            // --- 失效鏈接檢測 ---
+            if (path === '/link-checks' && method === 'GET') { // 受保護
+                return await this.getLinkChecks(request, env, ctx, url);
+            }
+            if (path === '/link-checks/run' && method === 'POST') { // 受保護
+                return await this.runLinkChecks(request, env, ctx);
+            }
+            if (path === `/link-checks/${id}` && /^\d+$/.test(id) && method === 'PUT') { // 受保護
+                return await this.resolveLinkCheck(request, env, ctx, id);
+            }
+            // --- 當前登錄用戶與賬號管理 ---
+            if (path === '/me' && method === 'GET') { // 需登錄，任何角色
+                return await this.getCurrentUserInfo(request, env, ctx);
+            }
+            if (path === '/me/password' && method === 'POST') { // 需登錄，任何角色
+                return await this.changePassword(request, env, ctx);
+            }
+            if (path === '/me/2fa' || path.startsWith('/me/2fa/')) { // 需登錄，任何角色 (不接受 API 令牌)
+                const user = await admin.getSessionUser(request, env);
+                if (!user) {
+                    return this.errorResponse('Unauthorized', 401);
+                }
+                if (path === '/me/2fa' && method === 'GET') {
+                    return await this.getTwoFactorStatus(request, env, ctx, user);
+                }
+                if (path === '/me/2fa/setup' && method === 'POST') {
+                    return await this.setupTwoFactor(request, env, ctx, user);
+                }
+                if (path === '/me/2fa/enable' && method === 'POST') {
+                    return await this.enableTwoFactor(request, env, ctx, user);
+                }
+                if (path === '/me/2fa/disable' && method === 'POST') {
+                    return await this.disableTwoFactor(request, env, ctx, user);
+                }
+                if (path === '/me/2fa/recovery-codes' && method === 'POST') {
+                    return await this.regenerateRecoveryCodes(request, env, ctx, user);
+                }
+                return this.errorResponse('Not Found', 404);
+            }
+            if (path === '/me/sessions' || path.startsWith('/me/sessions/')) { // 需登錄，任何角色 (不接受 API 令牌)
+                const user = await admin.getSessionUser(request, env);
+                if (!user) {
+                    return this.errorResponse('Unauthorized', 401);
+                }
+                if (path === '/me/sessions' && method === 'GET') {
+                    return await this.getSessions(request, env, ctx, user);
+                }
+                if (path === '/me/sessions' && method === 'DELETE') {
+                    return await this.deleteAllSessions(request, env, ctx, user, url);
+                }
+                if (path === `/me/sessions/${id}` && /^[0-9a-f]+$/.test(id) && method === 'DELETE') {
+                    return await this.deleteSession(request, env, ctx, user, id);
+                }
+                return this.errorResponse('Not Found', 404);
+            }
+            if (path === '/me/tokens' || path.startsWith('/me/tokens/')) { // 需登錄，任何角色 (不接受 API 令牌)
+                const user = await admin.getSessionUser(request, env);
+                if (!user) {
+                    return this.errorResponse('Unauthorized', 401);
+                }
+                if (path === '/me/tokens' && method === 'GET') {
+                    return await this.getApiTokens(request, env, ctx, user);
+                }
+                if (path === '/me/tokens' && method === 'POST') {
+                    return await this.createApiToken(request, env, ctx, user);
+                }
+                if (path === `/me/tokens/${id}` && /^\d+$/.test(id) && method === 'DELETE') {
+                    return await this.deleteApiToken(request, env, ctx, user, id);
+                }
+                return this.errorResponse('Not Found', 404);
+            }
+            if (path === '/users') {
+                switch (method) {
+                    case 'GET': // 受保護
+                        return await this.getUsers(request, env, ctx);
+                    case 'POST': // 受保護
+                        return await this.createUser(request, env, ctx);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            if (path === `/users/${id}` && /^\d+$/.test(id)) {
+                switch (method) {
+                    case 'PUT': // 受保護
+                        return await this.updateUser(request, env, ctx, id, currentUser);
+                    case 'DELETE': // 受保護
+                        return await this.deleteUser(request, env, ctx, id, currentUser);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            // --- 操作日誌 ---
+            if (path === '/audit-log' && method === 'GET') { // 受保護
+                return await this.getAuditLog(request, env, ctx, url);
+            }
+            if (path === '/audit-log/export' && method === 'GET') { // 受保護
+                return await this.exportAuditLog(request, env, ctx, url);
+            }
+            // --- 回收站 ---
+            if (path === '/trash') {
+                switch (method) {
+                    case 'GET': // 受保護
+                        return await this.getTrash(request, env, ctx);
+                    case 'DELETE': // 受保護
+                        return await this.emptyTrash(request, env, ctx);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            if (path === '/trash/sites/restore' && method === 'POST') { // 受保護
+                return await this.restoreTrashSites(request, env, ctx);
+            }
+            if (path === '/trash/sites/purge' && method === 'POST') { // 受保護
+                return await this.purgeTrashSites(request, env, ctx);
+            }
+            if (path === '/trash/catalogs/restore' && method === 'POST') { // 受保護
+                return await this.restoreTrashCatalogs(request, env, ctx);
+            }
+            if (path === '/trash/catalogs/purge' && method === 'POST') { // 受保護
+                return await this.purgeTrashCatalogs(request, env, ctx);
+            }
+            if (path === '/trash/settings' && method === 'PUT') { // 受保護
+                return await this.updateTrashSettings(request, env, ctx);
+            }
+            // --- 數據快照 ---
+            if (path === '/snapshots') {
+                switch (method) {
+                    case 'GET': // 受保護
+                        return await this.getSnapshots(request, env, ctx);
+                    case 'POST': // 受保護
+                        return await this.createSnapshot(request, env, ctx);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405)
+                }
+            }
+            if (path.match(/^\/snapshots\/\d+\/diff$/) && method === 'GET') { // 受保護
+                return await this.diffSnapshot(request, env, ctx, path.split('/')[2]);
+            }
+            if (path.match(/^\/snapshots\/\d+\/restore$/) && method === 'POST') { // 受保護
+                return await this.restoreSnapshot(request, env, ctx, path.split('/')[2]);
+            }
+            if (path === `/snapshots/${id}` && /^\d+$/.test(id) && method === 'DELETE') { // 受保護
+                return await this.deleteSnapshot(request, env, ctx, id);
+            }
+            // --- 重複書籤 ---
+            if (path === '/duplicates' && method === 'GET') { // 受保護
+                return await this.getDuplicates(request, env, ctx);
+            }
+            if (path === '/duplicates/merge' && method === 'POST') { // 受保護
+                return await this.mergeDuplicates(request, env, ctx);
+            }
+            // --- Webhook ---
+            if (path === '/webhooks' && method === 'GET') { // 受保護
+                return await this.getWebhooks(request, env, ctx);
+            }
+            if (path === '/webhooks' && method === 'POST') { // 受保護
+                return await this.createWebhook(request, env, ctx);
+            }
+            if (path === '/webhooks/deliveries' && method === 'GET') { // 受保護
+                return await this.getWebhookDeliveries(request, env, ctx, url);
+            }
+            if (path.match(/^\/webhooks\/deliveries\/\d+\/retry$/) && method === 'POST') { // 受保護
+                return await this.retryWebhookDelivery(request, env, ctx, path.split('/')[3]);
+            }
+            if (path.match(/^\/webhooks\/\d+\/test$/) && method === 'POST') { // 受保護
+                return await this.testWebhook(request, env, ctx, path.split('/')[2]);
+            }
+            if (path === `/webhooks/${id}` && /^\d+$/.test(id)) {
+                switch (method) {
+                    case 'PUT': // 受保護
+                        return await this.updateWebhook(request, env, ctx, id);
+                    case 'DELETE': // 受保護
+                        return await this.deleteWebhook(request, env, ctx, id);
+                    default:
+                        return this.errorResponse('Method Not Allowed', 405);
+                }
+            }
+            // --- 提交黑名單 ---
+            if (path === '/blocklist' && method === 'GET') { // 受保護
+                return await this.getBlocklist(request, env, ctx);
+            }
+            if (path === '/blocklist' && method === 'POST') { // 受保護
+                return await this.createBlocklistEntry(request, env, ctx);
+            }
+            if (path === `/blocklist/${id}` && /^\d+$/.test(id) && method === 'DELETE') { // 受保護
+                return await this.deleteBlocklistEntry(request, env, ctx, id);
+            }
+            // --- 點擊統計 ---
+            if (path === '/analytics' && method === 'GET') { // 受保護
+                return await this.getAnalytics(request, env, ctx, url);
+            }
+            // --- 數據庫結構版本 ---
+            if (path === '/schema' && method === 'GET') { // 受保護
+                return await this.getSchemaStatus(request, env, ctx, migrationError);
+            }
+            if (path === '/schema/migrate' && method === 'POST') { // 受保護
+                return await this.runMigrations(request, env, ctx);
+            }
             return this.errorResponse('Not Found', 404);
         } catch (error) {
             return this.errorResponse(`Internal Server Error: ${error.message}`, 500);
@@ -247,43 +1385,54 @@ const api = {
               const page = parseInt(url.searchParams.get('page') || '1', 10);
               const pageSize = parseInt(url.searchParams.get('pageSize') || '10', 10);
               const keyword = url.searchParams.get('keyword');
+              // 可重複傳入 tag 參數，書籤需同時擁有所有指定標籤
+              const tagFilters = this.normalizeTagNames(url.searchParams.getAll('tag'));
               const offset = (page - 1) * pageSize;
               try {
-                  let query = `SELECT * FROM sites ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
-                  let countQuery = `SELECT COUNT(*) as total FROM sites`;
-                  let queryBindParams = [pageSize, offset];
-                  let countQueryParams = [];
+                  const conditions = ['deleted_at IS NULL'];
+                  const conditionParams = [];
+
+                  // 未登入 (或無 read_private 權限) 時與公開頁面一致，排除私密書籤及私密分類下的書籤
+                  const includePrivate = await admin.canReadPrivate(request, env);
+                  const cte = includePrivate ? '' : this.visibleCatalogsCte;
+                  if (!includePrivate) {
+                      conditions.push('is_private = 0', 'catelog IN (SELECT name FROM visible_catalogs)');
+                  }
   
                   if (catalog) {
-                      query = `SELECT * FROM sites WHERE catelog = ? ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
-                      countQuery = `SELECT COUNT(*) as total FROM sites WHERE catelog = ?`
-                      queryBindParams = [catalog, pageSize, offset];
-                      countQueryParams = [catalog];
+                      conditions.push('catelog = ?');
+                      conditionParams.push(catalog);
                   }
   
-                  if (keyword) {
-                      const likeKeyword = `%${keyword}%`;
-                      query = `SELECT * FROM sites WHERE name LIKE ? OR url LIKE ? OR catelog LIKE ? ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
-                      countQuery = `SELECT COUNT(*) as total FROM sites WHERE name LIKE ? OR url LIKE ? OR catelog LIKE ?`;
-                      queryBindParams = [likeKeyword, likeKeyword, likeKeyword, pageSize, offset];
-                      countQueryParams = [likeKeyword, likeKeyword, likeKeyword];
-  
-                      if (catalog) {
-                          query = `SELECT * FROM sites WHERE catelog = ? AND (name LIKE ? OR url LIKE ? OR catelog LIKE ?) ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
-                          countQuery = `SELECT COUNT(*) as total FROM sites WHERE catelog = ? AND (name LIKE ? OR url LIKE ? OR catelog LIKE ?)`;
-                          queryBindParams = [catalog, likeKeyword, likeKeyword, likeKeyword, pageSize, offset];
-                          countQueryParams = [catalog, likeKeyword, likeKeyword, likeKeyword];
-                      }
+                  // 關鍵字通過 FTS5 索引匹配 (名稱、URL、描述、分類)，短詞用 LIKE
+                  const searchTerms = keyword ? this.buildSearchTerms(keyword) : null;
+                  if (searchTerms && searchTerms.match) {
+                      conditions.push('id IN (SELECT rowid FROM sites_fts WHERE sites_fts MATCH ?)');
+                      conditionParams.push(searchTerms.match);
+                  }
+                  if (searchTerms) {
+                      const like = this.buildLikeConditions(searchTerms.likeTerms, '');
+                      conditions.push(...like.conditions);
+                      conditionParams.push(...like.params);
                   }
+
+                  tagFilters.forEach(tagName => {
+                      conditions.push('id IN (SELECT st.site_id FROM site_tags st JOIN tags t ON t.id = st.tag_id WHERE t.name = ?)');
+                      conditionParams.push(tagName);
+                  });
   
-                  const { results } = await env.NAV_DB.prepare(query).bind(...queryBindParams).all();
-                  const countResult = await env.NAV_DB.prepare(countQuery).bind(...countQueryParams).first();
+                  const where = `WHERE ${conditions.join(' AND ')}`;
+                  const query = `${cte} SELECT * FROM sites ${where} ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
+                  const countQuery = `${cte} SELECT COUNT(*) as total FROM sites ${where}`;
+  
+                  const { results } = await env.NAV_DB.prepare(query).bind(...conditionParams, pageSize, offset).all();
+                  const countResult = await env.NAV_DB.prepare(countQuery).bind(...conditionParams).first();
                   const total = countResult ? countResult.total : 0;
   
                 return new Response(
                   JSON.stringify({
                       code: 200,
-                      data: results,
+                      data: await this.attachTags(env, results),
                       total,
                       page,
                       pageSize
@@ -295,18 +1444,133 @@ const api = {
                   return this.errorResponse(`Failed to fetch config data: ${e.message}`, 500)
               }
           },
+
+    /**
+     * 新增：將用戶輸入轉換為安全的搜索條件，多個詞之間為 AND
+     * sites_fts 使用 trigram 分詞，至少 3 個字符的詞作為短語通過 MATCH 做子串匹配；
+     * 更短的詞 (如「導航」) 無法使用 trigram 索引，改用 LIKE
+     * @returns {{match: string|null, likeTerms: string[]}|null} - 沒有有效詞時返回 null
+     */
+    buildSearchTerms(keyword) {
+        const terms = String(keyword || '')
+            .split(/\s+/)
+            .map(term => term.replace(/"/g, '').trim())
+            .filter(Boolean);
+        if (terms.length === 0) return null;
+        const isShort = term => Array.from(term).length < 3;
+        const matchTerms = terms.filter(term => !isShort(term));
+        return {
+            match: matchTerms.length > 0 ? matchTerms.map(term => `"${term}"`).join(' ') : null,
+            likeTerms: terms.filter(isShort)
+        };
+    },
+
+    /**
+     * 每個短詞在名稱、URL、描述、分類任一字段中出現即可
+     * @param {string} prefix - 表別名前綴，例如 's.'
+     */
+    buildLikeConditions(likeTerms, prefix) {
+        const columns = ['name', 'url', 'desc', 'catelog'];
+        const conditions = likeTerms.map(() => `(${columns.map(column => `${prefix}${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+        const params = likeTerms.flatMap(term => {
+            const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+            return columns.map(() => pattern);
+        });
+        return { conditions, params };
+    },
+
+    /**
+     * 新增：公開全文搜索，按相關度排序並返回高亮片段
+     * 未登入時排除私密書籤，以及私密分類 (含父分類私密而繼承) 下的書籤
+     */
+    async searchSites(request, env, ctx, url) {
+        const keyword = url.searchParams.get('q') || url.searchParams.get('keyword');
+        const page = Math.max(parseInt(url.searchParams.get('page') || '1', 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(url.searchParams.get('pageSize') || '20', 10) || 20, 1), 100);
+        const offset = (page - 1) * pageSize;
+
+        const searchTerms = this.buildSearchTerms(keyword);
+        if (!searchTerms) {
+            return this.errorResponse('Search keyword (q) is required', 400);
+        }
+
+        try {
+            const includePrivate = await admin.canReadPrivate(request, env);
+            const cte = includePrivate ? '' : this.visibleCatalogsCte;
+            const privacyFilter = includePrivate ? '' : 'AND s.is_private = 0 AND s.catelog IN (SELECT name FROM visible_catalogs)';
+            const like = this.buildLikeConditions(searchTerms.likeTerms, 's.');
+            const likeFilter = like.conditions.map(condition => `AND ${condition}`).join(' ');
+
+            // \u0001 / \u0002 作為高亮標記，轉義 HTML 後再替換為 <mark>；trigram 分詞下 snippet 的詞數約等於字符數
+            // 只有短詞時無法使用 FTS 索引的高亮和相關度，按手動順序返回並在下方標記命中的詞
+            const from = searchTerms.match
+                ? `FROM sites_fts
+                   JOIN sites s ON s.id = sites_fts.rowid
+                   WHERE sites_fts MATCH ? AND s.deleted_at IS NULL ${privacyFilter} ${likeFilter}`
+                : `FROM sites s WHERE s.deleted_at IS NULL ${privacyFilter} ${likeFilter}`;
+            const columns = searchTerms.match
+                ? `highlight(sites_fts, 0, char(1), char(2)) AS name_highlight,
+                   snippet(sites_fts, -1, char(1), char(2), '…', 40) AS snippet,
+                   bm25(sites_fts, 10.0, 4.0, 2.0, 1.0) AS rank`
+                : `s.name AS name_highlight, COALESCE(NULLIF(s.desc, ''), s.url) AS snippet, 0 AS rank`;
+            const order = searchTerms.match ? 'rank ASC' : 's.sort_order ASC, s.create_time DESC';
+            const params = [...(searchTerms.match ? [searchTerms.match] : []), ...like.params];
+
+            const { results } = await env.NAV_DB.prepare(`
+                ${cte}
+                SELECT s.id, s.name, s.url, s.logo, s.desc, s.catelog, s.is_private, ${columns}
+                ${from}
+                ORDER BY ${order}
+                LIMIT ? OFFSET ?
+            `).bind(...params, pageSize, offset).all();
+            const countResult = await env.NAV_DB.prepare(`${cte} SELECT COUNT(*) as total ${from}`).bind(...params).first();
+
+            const shortTermPattern = !searchTerms.match && searchTerms.likeTerms.length > 0
+                ? new RegExp(searchTerms.likeTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi')
+                : null;
+            const markShortTerms = text => shortTermPattern ? String(text ?? '').replace(shortTermPattern, '\u0001$&\u0002') : text;
+            const toMarkedHtml = text => escapeHtml(markShortTerms(text)).replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>');
+            const data = results.map(row => ({
+                ...row,
+                name_highlight: toMarkedHtml(row.name_highlight),
+                snippet: toMarkedHtml(row.snippet)
+            }));
+
+            return new Response(JSON.stringify({
+                code: 200,
+                data,
+                total: countResult ? countResult.total : 0,
+                page,
+                pageSize
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to search sites: ${e.message}`, 500);
+        }
+    },
+        // status 為 pending (默認) 時附帶與已有書籤重複的提示 (duplicate)；rejected / approved 為審核歷史，按審核時間倒序
         async getPendingConfig(request, env, ctx, url) {
             const page = parseInt(url.searchParams.get('page') || '1', 10);
             const pageSize = parseInt(url.searchParams.get('pageSize') || '10', 10);
             const offset = (page - 1) * pageSize;
+            const status = url.searchParams.get('status') || 'pending';
+            if (!['pending', 'approved', 'rejected'].includes(status)) {
+                return this.errorResponse('status must be pending, approved or rejected', 400);
+            }
             try {
+                const orderBy = status === 'pending' ? 'create_time DESC' : 'reviewed_at DESC, id DESC';
                 const { results } = await env.NAV_DB.prepare(`
-                        SELECT * FROM pending_sites ORDER BY create_time DESC LIMIT ? OFFSET ?
-                    `).bind(pageSize, offset).all();
+                        SELECT * FROM pending_sites WHERE status = ? ORDER BY ${orderBy} LIMIT ? OFFSET ?
+                    `).bind(status, pageSize, offset).all();
                   const countResult = await env.NAV_DB.prepare(`
-                      SELECT COUNT(*) as total FROM pending_sites
-                      `).first();
+                      SELECT COUNT(*) as total FROM pending_sites WHERE status = ?
+                      `).bind(status).first();
                 const total = countResult ? countResult.total : 0;
+                if (status === 'pending') {
+                    const duplicates = await this.loadPendingDuplicates(env, results);
+                    results.forEach(row => {
+                        row.duplicate = duplicates.get(normalizeUrl(row.url)) || null;
+                    });
+                }
                   return new Response(
                       JSON.stringify({
                         code: 200,
@@ -321,20 +1585,39 @@ const api = {
                 return this.errorResponse(`Failed to fetch pending config data: ${e.message}`, 500);
             }
         },
+        // 請求體可選：{ is_private, position, allowDuplicate }，見 parseApprovalOptions
         async approvePendingConfig(request, env, ctx, id) {
             try {
+                const options = this.parseApprovalOptions(await request.json().catch(() => ({})));
+                if (typeof options === 'string') {
+                    return this.errorResponse(options, 400);
+                }
                 const { results } = await env.NAV_DB.prepare('SELECT * FROM pending_sites WHERE id = ?').bind(id).all();
                 if(results.length === 0) {
                     return this.errorResponse('Pending config not found', 404);
                 }
                  const config = results[0];
-                await this.ensureCatalogExists(env, config.catelog);
-                
-                await env.NAV_DB.prepare(`
-                    INSERT INTO sites (name, url, logo, desc, catelog)
-                    VALUES (?, ?, ?, ?, ?)
-              `).bind(config.name, config.url, config.logo, config.desc, config.catelog).run();
-                await env.NAV_DB.prepare('DELETE FROM pending_sites WHERE id = ?').bind(id).run();
+                if (config.status !== 'pending') {
+                    return this.errorResponse('Pending config has already been reviewed', 409);
+                }
+                const trashedError = await this.trashedCatalogError(env, [config.catelog]);
+                if (trashedError) {
+                    return trashedError;
+                }
+                if (!options.allowDuplicate) {
+                    const existing = await this.findDuplicateSite(env, config.url);
+                    if (existing) {
+                        return new Response(JSON.stringify({
+                            code: 409,
+                            message: 'A site with this URL already exists',
+                            data: existing
+                        }), { status: 409, headers: { 'Content-Type': 'application/json' } });
+                    }
+                }
+                const approved = await this.approvePendingRows(request, env, [config], options);
+                if (approved.length === 0) {
+                    return this.errorResponse('Pending config has already been reviewed', 409);
+                }
   
                  return new Response(JSON.stringify({
                     code: 200,
@@ -348,9 +1631,25 @@ const api = {
                 return this.errorResponse(`Failed to approve pending config : ${e.message}`, 500);
             }
         },
+        // 可在請求體中附帶 { reason }，提交者查詢狀態時可以看到
         async rejectPendingConfig(request, env, ctx, id) {
             try{
-                await env.NAV_DB.prepare('DELETE FROM pending_sites WHERE id = ?').bind(id).run();
+                const body = await request.json().catch(() => ({}));
+                const reason = String(body?.reason ?? '').trim().slice(0, this.importLimits.desc) || null;
+                const config = await env.NAV_DB.prepare('SELECT * FROM pending_sites WHERE id = ?').bind(id).first();
+                if (config && config.status !== 'pending') {
+                    return this.errorResponse('Pending config has already been reviewed', 409);
+                }
+                if (config) {
+                    // 操作日誌 (及 Webhook) 中不包含聯繫方式和查詢令牌
+                    const { contact, token, ...submission } = config;
+                    await env.NAV_DB.batch([
+                        env.NAV_DB.prepare(`
+                            UPDATE pending_sites SET status = 'rejected', reject_reason = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?
+                        `).bind(reason, id),
+                        this.auditStatement(request, env, { action: 'reject', entityType: 'pending', entityId: id, summary: config.name, before: submission, after: { ...submission, status: 'rejected', reject_reason: reason } })
+                    ]);
+                }
                 return new Response(JSON.stringify({
                     code: 200,
                     message: 'Pending config rejected successfully',
@@ -359,27 +1658,286 @@ const api = {
                 return this.errorResponse(`Failed to reject pending config: ${e.message}`, 500);
             }
         },
+        /**
+         * 審核通過時的選項：is_private (0/1，默認公開)、position ('bottom' 排在最後 (默認) / 'top' 排在最前)、
+         * allowDuplicate (網址與已有書籤重複時仍然通過)
+         * @returns {{isPrivate: number, position: string, allowDuplicate: boolean}|string} - 無效時返回錯誤信息
+         */
+        parseApprovalOptions(body) {
+            const isPrivate = body?.is_private ?? 0;
+            if (![0, 1, true, false].includes(isPrivate)) {
+                return 'is_private must be 0 or 1';
+            }
+            const position = body?.position ?? 'bottom';
+            if (!['top', 'bottom'].includes(position)) {
+                return 'position must be top or bottom';
+            }
+            return { isPrivate: isPrivate ? 1 : 0, position, allowDuplicate: body?.allowDuplicate === true };
+        },
+
+        /**
+         * 將待審核記錄寫入 sites 並標記為已通過 (保留記錄供提交者查詢)，同一批在一個事務中完成
+         * 訪客提交時不查找圖標 (見 submitConfig)，由審核者通過時查找
+         * INSERT 和 UPDATE 都要求記錄仍為 pending，並發的審核 (重複點擊、單個與批量同時通過) 不會重複創建書籤
+         * @returns {Promise<Array<{id: number, site_id: number}>>} - 本次實際通過的記錄
+         */
+        async approvePendingRows(request, env, rows, { isPrivate, position }) {
+            const logos = await Promise.all(rows.map(row => row.logo || findFavicon(row.url)));
+            const order = await env.NAV_DB.prepare('SELECT MIN(sort_order) AS minOrder, MAX(sort_order) AS maxOrder FROM sites').first();
+            const statements = [...new Set(rows.map(row => row.catelog))].flatMap(name => this.ensureCatalogStatements(env, name));
+            rows.forEach((row, index) => {
+                const sortOrder = position === 'top' ? (order.minOrder || 0) - rows.length + index : (order.maxOrder || 0) + 1 + index;
+                statements.push(
+                    env.NAV_DB.prepare(`
+                        INSERT INTO sites (name, url, logo, desc, catelog, is_private, sort_order, url_key)
+                        SELECT ?, ?, ?, ?, ?, ?, ?, ? FROM pending_sites WHERE id = ? AND status = 'pending'
+                    `).bind(row.name, row.url, logos[index], row.desc, row.catelog, isPrivate, sortOrder, normalizeUrl(row.url), row.id),
+                    // changes() 為上一條 INSERT 插入的行數，未插入時 last_insert_rowid() 仍是之前的值，不能使用
+                    env.NAV_DB.prepare(`
+                        UPDATE pending_sites SET status = 'approved', site_id = last_insert_rowid(), reviewed_at = CURRENT_TIMESTAMP
+                        WHERE id = ? AND status = 'pending' AND changes() = 1
+                    `).bind(row.id)
+                );
+            });
+            const batchResults = await env.NAV_DB.batch(statements);
+            const updateOffset = statements.length - rows.length * 2 + 1;
+            const approvedIds = rows.filter((row, index) => batchResults[updateOffset + index * 2].meta.changes > 0).map(row => row.id);
+            if (approvedIds.length === 0) return [];
+
+            const { results } = await env.NAV_DB.prepare('SELECT id, name, site_id FROM pending_sites WHERE id IN (SELECT value FROM json_each(?))')
+                .bind(JSON.stringify(approvedIds)).all();
+            await env.NAV_DB.batch(await Promise.all(results.map(async row => this.auditStatement(request, env, {
+                action: 'approve', entityType: 'pending', entityId: row.id, summary: row.name,
+                after: { ...await this.getSiteSnapshot(env, row.site_id), pending_id: row.id }
+            }))));
+            return results.map(({ id, site_id }) => ({ id, site_id }));
+        },
+
+        /**
+         * 讀取選中的、仍在待審核狀態的提交；沒有可處理的記錄時返回 null
+         */
+        async loadPendingRows(env, ids) {
+            const idList = this.normalizeIdList(ids);
+            if (idList.length === 0) return null;
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT * FROM pending_sites WHERE id IN (SELECT value FROM json_each(?)) AND status = 'pending' ORDER BY create_time ASC, id ASC
+            `).bind(JSON.stringify(idList)).all();
+            return results.length > 0 ? results : null;
+        },
+
+        /**
+         * 與待審核記錄網址相同 (歸一化後) 的已有書籤 (含私密書籤)
+         * @returns {Promise<Map<string, object>>} - url_key => 最早的已有書籤
+         */
+        async loadPendingDuplicates(env, rows) {
+            const duplicates = new Map();
+            const keys = [...new Set(rows.map(row => normalizeUrl(row.url)).filter(Boolean))];
+            if (keys.length === 0) return duplicates;
+            await this.fillUrlKeys(env);
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT id, name, url, catelog, is_private, url_key FROM sites
+                WHERE deleted_at IS NULL AND url_key IN (SELECT value FROM json_each(?)) ORDER BY id
+            `).bind(JSON.stringify(keys)).all();
+            results.forEach(({ url_key, ...site }) => {
+                if (!duplicates.has(url_key)) duplicates.set(url_key, site);
+            });
+            return duplicates;
+        },
+
+        async bulkApprovePending(request, env, ctx) {
+            try {
+                const body = await request.json();
+                const options = this.parseApprovalOptions(body);
+                if (typeof options === 'string') {
+                    return this.errorResponse(options, 400);
+                }
+                const rows = await this.loadPendingRows(env, body.ids);
+                if (!rows) {
+                    return this.errorResponse('No pending submissions selected', 400);
+                }
+                // 每個沒有圖標的提交都需要查找一次圖標
+                if (rows.length > this.bulkIconLimit) {
+                    return this.errorResponse(`At most ${this.bulkIconLimit} submissions can be approved at once`, 400);
+                }
+                const trashedError = await this.trashedCatalogError(env, rows.map(row => row.catelog));
+                if (trashedError) {
+                    return trashedError;
+                }
+                const duplicates = options.allowDuplicate ? new Map() : await this.loadPendingDuplicates(env, rows);
+                const skipped = rows
+                    .filter(row => duplicates.has(normalizeUrl(row.url)))
+                    .map(row => ({ id: row.id, name: row.name, existing: duplicates.get(normalizeUrl(row.url)) }));
+                const approvable = rows.filter(row => !duplicates.has(normalizeUrl(row.url)));
+                const approved = approvable.length > 0 ? await this.approvePendingRows(request, env, approvable, options) : [];
+                return this.bulkResponse(
+                    `已通過 ${approved.length} 個提交` + (skipped.length > 0 ? `，${skipped.length} 個與已有書籤重複，已跳過` : ''),
+                    { approved, skipped }
+                );
+            } catch (e) {
+                return this.errorResponse(`Failed to approve pending configs: ${e.message}`, 500);
+            }
+        },
+
+        async bulkRejectPending(request, env, ctx) {
+            try {
+                const { ids, reason } = await request.json();
+                const rows = await this.loadPendingRows(env, ids);
+                if (!rows) {
+                    return this.errorResponse('No pending submissions selected', 400);
+                }
+                const rejectReason = String(reason ?? '').trim().slice(0, this.importLimits.desc) || null;
+                const pendingIds = rows.map(row => row.id);
+                await env.NAV_DB.batch([
+                    env.NAV_DB.prepare(`
+                        UPDATE pending_sites SET status = 'rejected', reject_reason = ?, reviewed_at = CURRENT_TIMESTAMP
+                        WHERE id IN (SELECT value FROM json_each(?)) AND status = 'pending'
+                    `).bind(rejectReason, JSON.stringify(pendingIds)),
+                    this.auditStatement(request, env, {
+                        action: 'reject', entityType: 'pending', summary: `批量拒絕 ${rows.length} 個提交`,
+                        before: Object.fromEntries(rows.map(row => [row.id, { name: row.name, url: row.url, status: row.status }])),
+                        after: Object.fromEntries(rows.map(row => [row.id, { name: row.name, url: row.url, status: 'rejected', reject_reason: rejectReason }]))
+                    })
+                ]);
+                return this.bulkResponse(`已拒絕 ${rows.length} 個提交`, { ids: pendingIds });
+            } catch (e) {
+                return this.errorResponse(`Failed to reject pending configs: ${e.message}`, 500);
+            }
+        },
+
+        /**
+         * 審核前修改提交內容 (名稱、網址、圖標、描述、分類)，聯繫方式保持不變
+         */
+        async updatePendingConfig(request, env, ctx, id) {
+            try {
+                const before = await env.NAV_DB.prepare('SELECT * FROM pending_sites WHERE id = ?').bind(id).first();
+                if (!before) {
+                    return this.errorResponse('Pending config not found', 404);
+                }
+                if (before.status !== 'pending') {
+                    return this.errorResponse('Pending config has already been reviewed', 409);
+                }
+                const { name, url, logo, desc, catelog } = await request.json();
+                const invalid = this.validateImportRow({ name, url, logo, desc, catelog });
+                if (invalid) {
+                    return this.errorResponse(invalid, 400);
+                }
+                const after = {
+                    name: name.trim(), url: url.trim(), logo: (logo || '').trim() || null,
+                    desc: (desc || '').trim() || null, catelog: catelog.trim()
+                };
+                await env.NAV_DB.batch([
+                    env.NAV_DB.prepare('UPDATE pending_sites SET name = ?, url = ?, url_key = ?, logo = ?, desc = ?, catelog = ? WHERE id = ?')
+                        .bind(after.name, after.url, normalizeUrl(after.url), after.logo, after.desc, after.catelog, id),
+                    this.auditStatement(request, env, {
+                        action: 'update', entityType: 'pending', entityId: id, summary: after.name,
+                        before: { name: before.name, url: before.url, logo: before.logo, desc: before.desc, catelog: before.catelog }, after
+                    })
+                ]);
+                return new Response(JSON.stringify({ code: 200, message: 'Pending config updated successfully' }), {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } catch (e) {
+                return this.errorResponse(`Failed to update pending config: ${e.message}`, 500);
+            }
+        },
+
+        /**
+         * 公開：提交者憑提交時返回的 token 查詢審核結果，不返回聯繫方式等審核信息
+         */
+        async getSubmissionStatus(request, env, ctx, token) {
+            try {
+                const submission = await env.NAV_DB.prepare(`
+                    SELECT name, url, catelog, status, reject_reason, create_time, reviewed_at FROM pending_sites WHERE token = ?
+                `).bind(token).first();
+                if (!submission) {
+                    return this.errorResponse('Submission not found', 404);
+                }
+                if (submission.status !== 'rejected') {
+                    delete submission.reject_reason;
+                }
+                return new Response(JSON.stringify({ code: 200, data: submission }), {
+                    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+                });
+            } catch (e) {
+                return this.errorResponse(`Failed to get submission status: ${e.message}`, 500);
+            }
+        },
       async submitConfig(request, env, ctx) {
           try{
+              const retryAfter = await this.consumeSubmitQuota(request, env);
+              if (retryAfter > 0) {
+                  return new Response(JSON.stringify({
+                      code: 429,
+                      message: `Too many submissions, please try again in ${retryAfter} seconds`
+                  }), { status: 429, headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) } });
+              }
+
               const config = await request.json();
-              let { name, url, logo, desc, catelog } = config;
-  
+              let { name, url, logo, desc, catelog, contact, website, challenge } = config;
+              const token = [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+              // 蜜罐字段對用戶不可見，填寫了的基本是機器人：假裝成功但不保存
+              if (website) {
+                  return new Response(JSON.stringify({
+                      code: 201,
+                      message: 'Config submitted successfully, waiting for admin approve',
+                      data: { token }
+                  }), { status: 201, headers: { 'Content-Type': 'application/json' } });
+              }
               if (!name || !url || !catelog ) {
                   return this.errorResponse('Name, URL and Catelog are required', 400);
               }
+              const invalid = this.validateImportRow({ name, url, logo, desc, catelog });
+              if (invalid) {
+                  return this.errorResponse(invalid, 400);
+              }
+              if (contact !== undefined && contact !== null && typeof contact !== 'string') {
+                  return this.errorResponse('contact must be a string', 400);
+              }
+              if ((contact || '').trim().length > this.submitContactLimit) {
+                  return this.errorResponse(`contact exceeds ${this.submitContactLimit} characters`, 400);
+              }
+              // 先校驗字段再消耗一次性的驗證挑戰，以免格式錯誤的請求重試時挑戰已失效
+              if (!await this.verifySubmitChallenge(request, env, challenge)) {
+                  return this.errorResponse('Challenge verification failed, please try again', 403);
+              }
+              // 可選字段可能缺省，D1 不接受綁定 undefined
+              name = name.trim();
+              url = url.trim();
+              logo = (logo || '').trim() || null;
+              desc = (desc || '').trim() || null;
+              catelog = catelog.trim();
+              if (await this.findBlocklistEntry(env, url)) {
+                  return this.errorResponse('This site cannot be submitted', 403);
+              }
 
-              if (!logo && url) {
-                logo = await findFavicon(url);
+              // 已公開收錄或已在待審核列表中的網址不再接受；私密書籤不提示，以免洩露其存在
+              const existing = await this.findDuplicateSite(env, url, true);
+              if (existing) {
+                  return new Response(JSON.stringify({
+                      code: 409,
+                      message: 'This site is already listed',
+                      data: existing
+                  }), { status: 409, headers: { 'Content-Type': 'application/json' } });
               }
+              const urlKey = normalizeUrl(url);
+              if (await env.NAV_DB.prepare("SELECT 1 FROM pending_sites WHERE url_key = ? AND status = 'pending' LIMIT 1").bind(urlKey).first()) {
+                  return this.errorResponse('This site has already been submitted and is waiting for review', 409);
+              }
+
+              // 不在此處查找圖標，以免匿名請求讓 Worker 訪問任意網址；審核通過時再查找
 
               await env.NAV_DB.prepare(`
-                  INSERT INTO pending_sites (name, url, logo, desc, catelog)
-                  VALUES (?, ?, ?, ?, ?)
-            `).bind(name, url, logo, desc, catelog).run();
+                  INSERT INTO pending_sites (name, url, url_key, logo, desc, catelog, contact, token)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).bind(name, url, urlKey, logo, desc, catelog, (contact || '').trim() || null, token).run();
+            // 不包含聯繫方式
+            webhooks.emit(request, 'pending.submitted', { name, url, logo, desc, catelog });
   
             return new Response(JSON.stringify({
               code: 201,
               message: 'Config submitted successfully, waiting for admin approve',
+              data: { token }
             }), {
                 status: 201,
                 headers: { 'Content-Type': 'application/json' },
@@ -392,12 +1950,29 @@ const api = {
       async createConfig(request, env, ctx) {
           try{
               const config = await request.json();
-              let { name, url, logo, desc, catelog } = config;
+              let { name, url, logo, desc, catelog, tags, allowDuplicate } = config;
   
               if (!name || !url || !catelog ) {
                   return this.errorResponse('Name, URL and Catelog are required', 400);
               }
 
+              // 網址 (歸一化後) 已存在時返回已有書籤，確認後傳 allowDuplicate 仍可添加
+              if (!allowDuplicate) {
+                  const existing = await this.findDuplicateSite(env, url);
+                  if (existing) {
+                      return new Response(JSON.stringify({
+                          code: 409,
+                          message: 'A site with this URL already exists',
+                          data: existing
+                      }), { status: 409, headers: { 'Content-Type': 'application/json' } });
+                  }
+              }
+
+              const trashedError = await this.trashedCatalogError(env, [catelog]);
+              if (trashedError) {
+                  return trashedError;
+              }
+
               if (!logo && url) {
                 logo = await findFavicon(url);
               }
@@ -408,9 +1983,17 @@ const api = {
               const newSortOrder = (maxOrderResult.maxOrder || 0) + 1;
 
               const insert = await env.NAV_DB.prepare(`
-                    INSERT INTO sites (name, url, logo, desc, catelog, sort_order, is_private)
-                    VALUES (?, ?, ?, ?, ?, ?, 0)
-              `).bind(name, url, logo, desc, catelog, newSortOrder).run();
+                    INSERT INTO sites (name, url, url_key, logo, desc, catelog, sort_order, is_private)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+              `).bind(name, url, normalizeUrl(url), logo, desc, catelog, newSortOrder).run();
+
+              if (tags !== undefined) {
+                  await this.setSiteTags(env, insert.meta.last_row_id, tags);
+              }
+              await this.audit(request, env, {
+                  action: 'create', entityType: 'site', entityId: insert.meta.last_row_id, summary: name,
+                  after: await this.getSiteSnapshot(env, insert.meta.last_row_id)
+              });
   
             return new Response(JSON.stringify({
               code: 201,
@@ -422,7 +2005,7 @@ const api = {
             })
           } catch(e) {
               if (e.message && e.message.includes('has no column named')) {
-                  return this.errorResponse(`Database schema is outdated. Please run the ALTER TABLE commands. Error: ${e.message}`, 500);
+                  return this.errorResponse(`Database schema is outdated. Please run the pending migrations from the admin settings. Error: ${e.message}`, 500);
               }
               return this.errorResponse(`Failed to create config : ${e.message}`, 500);
           }
@@ -431,15 +2014,31 @@ const api = {
       async updateConfig(request, env, ctx, id) {
           try {
               const config = await request.json();
-              const { name, url, logo, desc, catelog } = config;
+              const { name, url, logo, desc, catelog, tags } = config;
+              const before = await this.getSiteSnapshot(env, id);
+              const trashedError = await this.trashedCatalogError(env, [catelog]);
+              if (trashedError) {
+                  return trashedError;
+              }
               
               await this.ensureCatalogExists(env, catelog);
   
             const update = await env.NAV_DB.prepare(`
                 UPDATE sites
-                SET name = ?, url = ?, logo = ?, desc = ?, catelog = ?, update_time = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `).bind(name, url, logo, desc, catelog, id).run();
+                SET name = ?, url = ?, url_key = ?, logo = ?, desc = ?, catelog = ?, update_time = CURRENT_TIMESTAMP
+                WHERE id = ? AND deleted_at IS NULL
+            `).bind(name, url, normalizeUrl(url), logo, desc, catelog, id).run();
+
+            // 未傳 tags 時保留原有標籤
+            if (tags !== undefined) {
+                await this.setSiteTags(env, id, tags);
+            }
+            if (before) {
+                await this.audit(request, env, {
+                    action: 'update', entityType: 'site', entityId: id, summary: name,
+                    before, after: await this.getSiteSnapshot(env, id)
+                });
+            }
             return new Response(JSON.stringify({
                 code: 200,
                 message: 'Config updated successfully',
@@ -452,12 +2051,16 @@ const api = {
       
       async toggleSitePrivacy(request, env, ctx, siteId) {
           try {
-              const site = await env.NAV_DB.prepare('SELECT is_private FROM sites WHERE id = ?').bind(siteId).first();
+              const site = await env.NAV_DB.prepare('SELECT name, is_private FROM sites WHERE id = ? AND deleted_at IS NULL').bind(siteId).first();
               if (!site) {
                   return this.errorResponse('Site not found', 404);
               }
               const newStatus = site.is_private === 0 ? 1 : 0;
               await env.NAV_DB.prepare('UPDATE sites SET is_private = ? WHERE id = ?').bind(newStatus, siteId).run();
+              await this.audit(request, env, {
+                  action: 'update', entityType: 'site', entityId: siteId, summary: site.name,
+                  before: { is_private: site.is_private }, after: { is_private: newStatus }
+              });
               return new Response(JSON.stringify({ code: 200, message: 'Privacy status updated', newStatus: newStatus }), { headers: { 'Content-Type': 'application/json' }});
           } catch (e) {
               return this.errorResponse(`Failed to toggle site privacy: ${e.message}`, 500);
@@ -471,9 +2074,18 @@ const api = {
                 return this.errorResponse('Invalid data format, expected an array of IDs.', 400);
             }
 
+            const { results: previous } = await env.NAV_DB.prepare(
+                'SELECT id, sort_order FROM sites WHERE id IN (SELECT value FROM json_each(?))'
+            ).bind(JSON.stringify(orderedIds)).all();
+
             const statements = orderedIds.map((id, index) => {
                 return env.NAV_DB.prepare('UPDATE sites SET sort_order = ? WHERE id = ?').bind(index + 1, id);
             });
+            statements.push(this.auditStatement(request, env, {
+                action: 'reorder', entityType: 'site', summary: `${orderedIds.length} 個書籤`,
+                before: Object.fromEntries(previous.map(row => [row.id, row.sort_order])),
+                after: Object.fromEntries(orderedIds.map((id, index) => [id, index + 1]))
+            }));
             
             await env.NAV_DB.batch(statements);
 
@@ -487,12 +2099,19 @@ const api = {
         }
       },
   
+      // 移至回收站，保留期內可恢復
       async deleteConfig(request, env, ctx, id) {
           try{
-              const del = await env.NAV_DB.prepare('DELETE FROM sites WHERE id = ?').bind(id).run();
+              const before = await this.getSiteSnapshot(env, id);
+              const del = await env.NAV_DB.prepare(
+                  `UPDATE sites SET deleted_at = ${this.deletedAtNow} WHERE id = ? AND deleted_at IS NULL`
+              ).bind(id).run();
+              if (before) {
+                  await this.audit(request, env, { action: 'delete', entityType: 'site', entityId: id, summary: before.name, before });
+              }
               return new Response(JSON.stringify({
                   code: 200,
-                  message: 'Config deleted successfully',
+                  message: 'Config moved to trash',
                   del
               }), {headers: {'Content-Type': 'application/json'}});
           } catch(e) {
@@ -502,11 +2121,16 @@ const api = {
 
       async deleteAllConfigs(request, env, ctx) {
         try {
-            await env.NAV_DB.prepare('DELETE FROM sites').run();
-            await env.NAV_DB.prepare('DELETE FROM sqlite_sequence WHERE name="sites"').run();
+            // 全部移至回收站；回收站中的書籤仍佔用原 ID，因此不再重置自增序列
+            await this.snapshotBefore(request, env, 'delete_all');
+            const { total } = await env.NAV_DB.prepare('SELECT COUNT(*) AS total FROM sites WHERE deleted_at IS NULL').first();
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare(`UPDATE sites SET deleted_at = ${this.deletedAtNow} WHERE deleted_at IS NULL`),
+                this.auditStatement(request, env, { action: 'delete_all', entityType: 'site', summary: `${total} 個書籤`, before: { count: total } })
+            ]);
             return new Response(JSON.stringify({
                 code: 200,
-                message: '所有書籤已成功刪除'
+                message: `已將 ${total} 個書籤移至回收站`
             }), { headers: { 'Content-Type': 'application/json' } });
         } catch (e) {
             return this.errorResponse(`刪除所有書籤失敗: ${e.message}`, 500);
@@ -520,24 +2144,54 @@ const api = {
           if (!Array.isArray(jsonData)) {
             return this.errorResponse('Invalid JSON data. Must be an array of site configurations.', 400);
           }
-          
-          const uniqueCatalogs = [...new Set(jsonData.map(item => item.catelog))];
-          for(const cat of uniqueCatalogs) {
-              await this.ensureCatalogExists(env, cat);
+          const mode = new URL(request.url).searchParams.get('mode') || 'skip';
+          if (!this.importModes.includes(mode)) {
+            return this.errorResponse(`Invalid import mode, expected one of: ${this.importModes.join(', ')}`, 400);
+          }
+          const { valid, rejected } = this.validateImportRows(jsonData);
+          if (valid.length === 0) {
+            return this.rejectedImportResponse(rejected);
+          }
+          const trashedError = await this.trashedCatalogError(env, valid.map(item => item.catelog));
+          if (trashedError) {
+            return trashedError;
           }
+          await this.snapshotBefore(request, env, 'import');
+          const plan = await this.planImport(env, valid, mode);
+          const report = this.importReport(plan, rejected);
+          
+          // 分類、標籤、書籤在同一個 batch (事務) 中寫入，任何一條失敗都不會留下部分數據
+          const uniqueCatalogs = [...new Set([...plan.inserts, ...plan.overwrites.map(entry => entry.item)].map(item => item.catelog))];
+          const insertStatements = uniqueCatalogs.flatMap(cat => this.ensureCatalogStatements(env, cat));
   
-          const insertStatements = jsonData.map((item, index) =>
-                env.NAV_DB.prepare(`
-                        INSERT INTO sites (name, url, logo, desc, catelog, sort_order, is_private)
-                        VALUES (?, ?, ?, ?, ?, ?, ?)
-                  `).bind(item.name, item.url, item.logo, item.desc, item.catelog, item.sort_order || index + 1, item.is_private || 0)
-            )
+          // 標籤需要關聯到剛插入的書籤，因此按順序在同一個 batch 中執行
+          const allTags = this.normalizeTagNames(valid.flatMap(item => this.normalizeTagNames(item.tags)));
+          insertStatements.push(...this.ensureTagStatements(env, allTags));
+          plan.overwrites.forEach(({ id, item }) => insertStatements.push(...this.overwriteSiteStatements(env, id, item)));
+          plan.inserts.forEach((item, index) => {
+              insertStatements.push(env.NAV_DB.prepare(`
+                        INSERT INTO sites (name, url, url_key, logo, desc, catelog, sort_order, is_private)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                  `).bind(item.name, item.url, normalizeUrl(item.url), item.logo, item.desc, item.catelog, item.sort_order || index + 1, item.is_private || 0));
+              const tagNames = this.normalizeTagNames(item.tags);
+              if (tagNames.length > 0) {
+                  insertStatements.push(this.linkTagsStatement(env, null, tagNames));
+              }
+          });
+          insertStatements.push(this.auditStatement(request, env, {
+              action: 'import', entityType: 'site', summary: `JSON: ${this.importSummary(report)}`,
+              after: {
+                  mode, inserted: report.inserted.length, updated: report.updated.length,
+                  skipped: report.skipped.length, rejected: report.rejected.length, catalogs: uniqueCatalogs
+              }
+          }));
   
-          await Promise.all(insertStatements.map(stmt => stmt.run()));
+          await env.NAV_DB.batch(insertStatements);
   
           return new Response(JSON.stringify({
               code: 201,
-              message: 'Config imported successfully'
+              message: `導入完成：${this.importSummary(report)}`,
+              data: report
           }), {
               status: 201,
               headers: {'Content-Type': 'application/json'}
@@ -549,8 +2203,8 @@ const api = {
   
       async exportConfig(request, env, ctx) {
         try{
-          const { results } = await env.NAV_DB.prepare('SELECT * FROM sites ORDER BY sort_order ASC').all();
-          return new Response(JSON.stringify(results, null, 4),{
+          const { results } = await env.NAV_DB.prepare('SELECT * FROM sites WHERE deleted_at IS NULL ORDER BY sort_order ASC').all();
+          return new Response(JSON.stringify(await this.attachTags(env, results), null, 4),{
               headers: {
                'Content-Type': 'application/json',
                 'Content-Disposition': 'attachment; filename="config.json"'
@@ -561,15 +2215,142 @@ const api = {
         }
       },
       
+      // --- 新增：瀏覽器書籤 (Netscape HTML) 導入/導出 ---
+      async importBookmarksHtml(request, env, ctx) {
+        try {
+          const { html, dryRun, defaultCatalog, mode = 'skip' } = await request.json();
+          if (typeof html !== 'string' || !html.trim()) {
+            return this.errorResponse('Bookmark HTML is required', 400);
+          }
+          if (!this.importModes.includes(mode)) {
+            return this.errorResponse(`Invalid import mode, expected one of: ${this.importModes.join(', ')}`, 400);
+          }
+
+          const fallbackCatalog = (typeof defaultCatalog === 'string' && defaultCatalog.trim()) || '未分類';
+          const { folders, bookmarks, skipped } = parseNetscapeBookmarks(html, fallbackCatalog);
+          if (bookmarks.length === 0) {
+            return this.errorResponse('No importable bookmarks found in file', 400);
+          }
+          // 不支持的鏈接 (如 javascript:) 沒有行號，與未通過校驗的書籤一起列為 rejected
+          const validation = this.validateImportRows(bookmarks);
+          const rejected = [...skipped.map(item => ({ row: null, ...item })), ...validation.rejected];
+          if (validation.valid.length === 0) {
+            return this.rejectedImportResponse(rejected);
+          }
+
+          const trashedError = await this.trashedCatalogError(env, [...folders.map(folder => folder.name), ...validation.valid.map(item => item.catelog)]);
+          if (trashedError) {
+              return trashedError;
+          }
+          const { results: existingRows } = await env.NAV_DB.prepare('SELECT name FROM catalogs').all();
+          const existing = new Set(existingRows.map(row => row.name));
+          const counts = {};
+          bookmarks.forEach(bookmark => { counts[bookmark.catelog] = (counts[bookmark.catelog] || 0) + 1; });
+          const catalogs = folders.map(folder => ({
+              name: folder.name,
+              parentName: folder.parentName,
+              exists: existing.has(folder.name),
+              siteCount: counts[folder.name] || 0
+          }));
+          const plan = await this.planImport(env, validation.valid, mode);
+          const report = this.importReport(plan, rejected);
+
+          if (dryRun) {
+              return new Response(JSON.stringify({
+                  code: 200,
+                  data: {
+                      catalogs,
+                      bookmarkCount: bookmarks.length,
+                      duplicateCount: plan.overwrites.length + plan.skipped.length,
+                      rejected,
+                      samples: bookmarks.slice(0, 20).map(({ name, url, catelog, tags }) => ({ name, url, catelog, tags }))
+                  }
+              }), { headers: { 'Content-Type': 'application/json' } });
+          }
+
+          await this.snapshotBefore(request, env, 'import');
+
+          // 新分類按文件夾順序創建 (父級在前)，父分類通過名稱查找；已存在的分類保持原位置
+          const statements = [];
+          catalogs.filter(catalog => !catalog.exists).forEach(catalog => {
+              statements.push(env.NAV_DB.prepare(`
+                  INSERT INTO catalogs (name, sort_order, is_private, parent_id)
+                  VALUES (?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM catalogs WHERE parent_id IS (SELECT id FROM catalogs WHERE name = ?)), 0,
+                          (SELECT id FROM catalogs WHERE name = ?))
+              `).bind(catalog.name, catalog.parentName, catalog.parentName));
+          });
+
+          const { results: orderRows } = await env.NAV_DB.prepare(
+              'SELECT catelog, MAX(sort_order) AS max_order FROM sites WHERE deleted_at IS NULL GROUP BY catelog'
+          ).all();
+          const nextOrder = new Map(orderRows.map(row => [row.catelog, row.max_order || 0]));
+
+          statements.push(...this.ensureTagStatements(env, this.normalizeTagNames(validation.valid.flatMap(bookmark => bookmark.tags))));
+          plan.overwrites.forEach(({ id, item }) => statements.push(...this.overwriteSiteStatements(env, id, item)));
+          plan.inserts.forEach(bookmark => {
+              const sortOrder = (nextOrder.get(bookmark.catelog) || 0) + 1;
+              nextOrder.set(bookmark.catelog, sortOrder);
+              statements.push(env.NAV_DB.prepare(`
+                  INSERT INTO sites (name, url, url_key, logo, desc, catelog, sort_order, is_private, create_time)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, 0, COALESCE(datetime(?, 'unixepoch'), CURRENT_TIMESTAMP))
+              `).bind(bookmark.name, bookmark.url, normalizeUrl(bookmark.url), bookmark.logo, bookmark.desc, bookmark.catelog, sortOrder, bookmark.addDate));
+              const tagNames = this.normalizeTagNames(bookmark.tags);
+              if (tagNames.length > 0) {
+                  statements.push(this.linkTagsStatement(env, null, tagNames));
+              }
+          });
+          statements.push(this.auditStatement(request, env, {
+              action: 'import', entityType: 'site', summary: `HTML: ${this.importSummary(report)}`,
+              after: {
+                  mode, inserted: report.inserted.length, updated: report.updated.length,
+                  skipped: report.skipped.length, rejected: report.rejected.length,
+                  newCatalogs: catalogs.filter(catalog => !catalog.exists).map(catalog => catalog.name)
+              }
+          }));
+
+          await env.NAV_DB.batch(statements);
+
+          return new Response(JSON.stringify({
+              code: 201,
+              message: `導入完成：${this.importSummary(report)}，新建 ${catalogs.filter(catalog => !catalog.exists).length} 個分類`,
+              data: { ...report, bookmarkCount: bookmarks.length }
+          }), {
+              status: 201,
+              headers: { 'Content-Type': 'application/json' }
+          });
+        } catch (error) {
+          return this.errorResponse(`Failed to import bookmarks: ${error.message}`, 500);
+        }
+      },
+
+      async exportBookmarksHtml(request, env, ctx) {
+        try {
+          const { results: catalogs } = await env.NAV_DB.prepare(
+              'SELECT id, name, is_private, parent_id, sort_order FROM catalogs WHERE deleted_at IS NULL ORDER BY sort_order ASC, id ASC'
+          ).all();
+          const { results: sites } = await env.NAV_DB.prepare(
+              'SELECT * FROM sites WHERE deleted_at IS NULL ORDER BY sort_order ASC, create_time DESC'
+          ).all();
+          const html = buildNetscapeBookmarks(buildCatalogTree(catalogs), await this.attachTags(env, sites));
+          return new Response(html, {
+              headers: {
+                  'Content-Type': 'text/html; charset=utf-8',
+                  'Content-Disposition': 'attachment; filename="bookmarks.html"'
+              }
+          });
+        } catch (e) {
+          return this.errorResponse(`Failed to export bookmarks: ${e.message}`, 500);
+        }
+      },
+
       async getCatalogs(request, env, ctx) {
         try {
-            const { results } = await env.NAV_DB.prepare(
-                `SELECT id, name, is_private, icon FROM catalogs ORDER BY sort_order ASC`
-            ).all();
+            // 按樹的深度優先順序返回，附帶 depth 和繼承後的 effective_private
+            const catalogs = await this.loadCatalogList(env);
     
             return new Response(JSON.stringify({
                 code: 200,
-                data: results
+                data: catalogs
             }), {
                 headers: { 'Content-Type': 'application/json' }
             });
@@ -579,18 +2360,95 @@ const api = {
         }
     },
 
+    // --- 新增：子分類 ---
+    /**
+     * 公開可見的分類 (自身及所有祖先均非私密)，用法：`${api.visibleCatalogsCte} SELECT ... JOIN visible_catalogs`
+     */
+    visibleCatalogsCte: `
+        WITH RECURSIVE visible_catalogs(id, name) AS (
+            SELECT id, name FROM catalogs
+            WHERE is_private = 0 AND deleted_at IS NULL
+              AND (parent_id IS NULL OR parent_id NOT IN (SELECT id FROM catalogs WHERE deleted_at IS NULL))
+            UNION ALL
+            SELECT c.id, c.name FROM catalogs c JOIN visible_catalogs v ON c.parent_id = v.id
+            WHERE c.is_private = 0 AND c.deleted_at IS NULL
+        )
+    `,
+
+    async loadCatalogList(env) {
+        const { results } = await env.NAV_DB.prepare(
+            `SELECT id, name, is_private, icon, parent_id, sort_order FROM catalogs WHERE deleted_at IS NULL ORDER BY sort_order ASC, id ASC`
+        ).all();
+        return flattenCatalogTree(buildCatalogTree(results));
+    },
+
+    /**
+     * 返回分類自身及其所有子孫分類的 ID
+     */
+    async getCatalogSubtreeIds(env, catalogId) {
+        const { results } = await env.NAV_DB.prepare(`
+            WITH RECURSIVE subtree(id) AS (
+                SELECT id FROM catalogs WHERE id = ?
+                UNION
+                SELECT c.id FROM catalogs c JOIN subtree s ON c.parent_id = s.id
+            )
+            SELECT id FROM subtree
+        `).bind(catalogId).all();
+        return results.map(row => row.id);
+    },
+
+    /**
+     * 校驗父分類：必須存在，且不能是自身或自身的子孫 (避免循環)
+     * @returns {Promise<string|null>} - 錯誤信息，校驗通過時返回 null
+     */
+    async validateCatalogParent(env, catalogId, parentId) {
+        if (parentId === null || parentId === undefined) return null;
+        const parent = await env.NAV_DB.prepare('SELECT id FROM catalogs WHERE id = ? AND deleted_at IS NULL').bind(parentId).first();
+        if (!parent) return 'Parent catalog not found';
+        if (catalogId) {
+            const subtreeIds = await this.getCatalogSubtreeIds(env, catalogId);
+            if (subtreeIds.includes(Number(parentId))) {
+                return 'A catalog cannot be moved under itself or its descendants';
+            }
+        }
+        return null;
+    },
+
+    normalizeParentId(parentId) {
+        if (parentId === undefined) return undefined;
+        if (parentId === null || parentId === '' || Number(parentId) === 0) return null;
+        return Number(parentId);
+    },
+
     async createCatalog(request, env, ctx) {
         try {
-            const { name, icon } = await request.json();
+            const { name, icon, parent_id } = await request.json();
             if (!name) {
                 return this.errorResponse('Catalog name is required', 400);
             }
-            const maxOrderResult = await env.NAV_DB.prepare(`SELECT MAX(sort_order) as maxOrder FROM catalogs`).first();
+            const parentId = this.normalizeParentId(parent_id) ?? null;
+            const parentError = await this.validateCatalogParent(env, null, parentId);
+            if (parentError) {
+                return this.errorResponse(parentError, 400);
+            }
+            const trashed = await env.NAV_DB.prepare('SELECT id FROM catalogs WHERE name = ? AND deleted_at IS NOT NULL').bind(name).first();
+            if (trashed) {
+                return this.errorResponse('A catalog with this name is in the trash. Restore or purge it first.', 409);
+            }
+
+            // 排在同級分類的末尾
+            const maxOrderResult = await env.NAV_DB.prepare(
+                `SELECT MAX(sort_order) as maxOrder FROM catalogs WHERE parent_id IS ?`
+            ).bind(parentId).first();
             const newSortOrder = (maxOrderResult.maxOrder || 0) + 1;
 
-            await env.NAV_DB.prepare(
-                'INSERT INTO catalogs (name, icon, sort_order, is_private) VALUES (?, ?, ?, 0)'
-            ).bind(name, icon || null, newSortOrder).run();
+            const insert = await env.NAV_DB.prepare(
+                'INSERT INTO catalogs (name, icon, sort_order, is_private, parent_id) VALUES (?, ?, ?, 0, ?)'
+            ).bind(name, icon || null, newSortOrder, parentId).run();
+            await this.audit(request, env, {
+                action: 'create', entityType: 'catalog', entityId: insert.meta.last_row_id, summary: name,
+                after: await this.getCatalogSnapshot(env, 'id', insert.meta.last_row_id)
+            });
 
             return new Response(JSON.stringify({ code: 201, message: 'Catalog created successfully' }), {
                 status: 201,
@@ -603,7 +2461,7 @@ const api = {
 
     async updateCatalog(request, env, ctx) {
         try {
-            const { id, oldName, newName, icon } = await request.json();
+            const { id, oldName, newName, icon, parent_id } = await request.json();
             if (!id || !oldName || !newName) {
                 return this.errorResponse('ID, old name, and new name are required', 400);
             }
@@ -612,11 +2470,35 @@ const api = {
                 env.NAV_DB.prepare('UPDATE catalogs SET name = ?, icon = ? WHERE id = ?').bind(newName, icon, id)
             ];
 
+            // 未傳 parent_id 時保持原位置
+            const parentId = this.normalizeParentId(parent_id);
+            if (parentId !== undefined) {
+                const parentError = await this.validateCatalogParent(env, id, parentId);
+                if (parentError) {
+                    return this.errorResponse(parentError, 400);
+                }
+                const current = await env.NAV_DB.prepare('SELECT parent_id FROM catalogs WHERE id = ?').bind(id).first();
+                if (current && current.parent_id !== parentId) {
+                    const maxOrderResult = await env.NAV_DB.prepare(
+                        `SELECT MAX(sort_order) as maxOrder FROM catalogs WHERE parent_id IS ?`
+                    ).bind(parentId).first();
+                    statements.push(env.NAV_DB.prepare('UPDATE catalogs SET parent_id = ?, sort_order = ? WHERE id = ?')
+                        .bind(parentId, (maxOrderResult.maxOrder || 0) + 1, id));
+                }
+            }
+
             if (oldName !== newName) {
                 statements.push(env.NAV_DB.prepare('UPDATE sites SET catelog = ? WHERE catelog = ?').bind(newName, oldName));
             }
             
+            const before = await this.getCatalogSnapshot(env, 'id', id);
             await env.NAV_DB.batch(statements);
+            if (before) {
+                await this.audit(request, env, {
+                    action: 'update', entityType: 'catalog', entityId: id, summary: newName,
+                    before, after: await this.getCatalogSnapshot(env, 'id', id)
+                });
+            }
             
             return new Response(JSON.stringify({ code: 200, message: 'Catalog updated successfully' }), {
                 headers: { 'Content-Type': 'application/json' }
@@ -632,11 +2514,31 @@ const api = {
             if (!name) {
                 return this.errorResponse('Catalog name is required', 400);
             }
+            const before = await this.getCatalogSnapshot(env, 'name', name);
+            if (!before) {
+                return this.errorResponse('Catalog not found', 404);
+            }
+            const { total: siteCount } = await env.NAV_DB.prepare(
+                'SELECT COUNT(*) AS total FROM sites WHERE catelog = ? AND deleted_at IS NULL'
+            ).bind(name).first();
             await env.NAV_DB.batch([
-                env.NAV_DB.prepare('DELETE FROM sites WHERE catelog = ?').bind(name),
-                env.NAV_DB.prepare('DELETE FROM catalogs WHERE name = ?').bind(name)
+                this.auditStatement(request, env, {
+                    action: 'delete', entityType: 'catalog', entityId: before.id, summary: name,
+                    before: { ...before, site_count: siteCount }
+                }),
+                // 子分類上移到被刪除分類的父級
+                env.NAV_DB.prepare(`
+                    UPDATE catalogs SET parent_id = (SELECT parent_id FROM catalogs WHERE name = ?)
+                    WHERE parent_id = (SELECT id FROM catalogs WHERE name = ?) AND deleted_at IS NULL
+                `).bind(name, name),
+                // 分類與其中的書籤一起移至回收站，使用相同的 deleted_at 以便整體恢復
+                env.NAV_DB.prepare(`UPDATE catalogs SET deleted_at = ${this.deletedAtNow} WHERE name = ?`).bind(name),
+                env.NAV_DB.prepare(`
+                    UPDATE sites SET deleted_at = (SELECT deleted_at FROM catalogs WHERE name = ?)
+                    WHERE catelog = ? AND deleted_at IS NULL
+                `).bind(name, name)
             ]);
-            return new Response(JSON.stringify({ code: 200, message: 'Catalog and all associated sites deleted successfully' }), {
+            return new Response(JSON.stringify({ code: 200, message: 'Catalog and all associated sites moved to trash' }), {
                 headers: { 'Content-Type': 'application/json' }
             });
         } catch (e) {
@@ -646,30 +2548,94 @@ const api = {
     
     async toggleCatalogPrivacy(request, env, ctx, catalogId) {
         try {
-            const catalog = await env.NAV_DB.prepare('SELECT is_private FROM catalogs WHERE id = ?').bind(catalogId).first();
+            const catalog = await env.NAV_DB.prepare('SELECT name, is_private FROM catalogs WHERE id = ? AND deleted_at IS NULL').bind(catalogId).first();
             if (!catalog) {
                 return this.errorResponse('Catalog not found', 404);
             }
             const newStatus = catalog.is_private === 0 ? 1 : 0;
             await env.NAV_DB.prepare('UPDATE catalogs SET is_private = ? WHERE id = ?').bind(newStatus, catalogId).run();
-            return new Response(JSON.stringify({ code: 200, message: 'Privacy status updated', newStatus: newStatus }), { headers: { 'Content-Type': 'application/json' }});
+            await this.audit(request, env, {
+                action: 'update', entityType: 'catalog', entityId: catalogId, summary: catalog.name,
+                before: { is_private: catalog.is_private }, after: { is_private: newStatus }
+            });
+            // 子分類自身的設置保持不變，公開頁面按繼承後的狀態隱藏整個子樹
+            const subtreeIds = await this.getCatalogSubtreeIds(env, catalogId);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Privacy status updated',
+                newStatus: newStatus,
+                affectedDescendants: subtreeIds.length - 1
+            }), { headers: { 'Content-Type': 'application/json' }});
         } catch (e) {
             return this.errorResponse(`Failed to toggle catalog privacy: ${e.message}`, 500);
         }
     },
 
+    /**
+     * 排序分類。支持兩種格式：
+     * - orderedItems: [{ id, parent_id }]，按數組順序在各自父級下重新編號，可跨父級移動
+     * - orderedNames: [name]，舊格式，僅調整順序
+     */
     async reorderCatalogs(request, env, ctx) {
         try {
-            const { orderedNames } = await request.json();
-            if (!Array.isArray(orderedNames)) {
-                return this.errorResponse('Invalid data format, expected an array of names.', 400);
-            }
+            const { orderedNames, orderedItems } = await request.json();
+            const loadPositions = async () => {
+                const { results } = await env.NAV_DB.prepare('SELECT name, parent_id, sort_order FROM catalogs').all();
+                return Object.fromEntries(results.map(row => [row.name, { parent_id: row.parent_id, sort_order: row.sort_order }]));
+            };
+            const before = await loadPositions();
+
+            if (Array.isArray(orderedItems)) {
+                const { results } = await env.NAV_DB.prepare('SELECT id, parent_id FROM catalogs').all();
+                const parents = new Map(results.map(row => [row.id, row.parent_id]));
+
+                for (const item of orderedItems) {
+                    const id = Number(item.id);
+                    const parentId = this.normalizeParentId(item.parent_id) ?? null;
+                    if (!parents.has(id) || (parentId !== null && !parents.has(parentId))) {
+                        return this.errorResponse(`Catalog not found: ${item.id}`, 400);
+                    }
+                    parents.set(id, parentId);
+                }
+
+                // 移動後不能形成循環
+                for (const id of parents.keys()) {
+                    const visited = new Set([id]);
+                    let current = parents.get(id);
+                    while (current !== null && current !== undefined && parents.has(current)) {
+                        if (visited.has(current)) {
+                            return this.errorResponse('Invalid hierarchy: a catalog cannot be moved under its own descendant.', 400);
+                        }
+                        visited.add(current);
+                        current = parents.get(current);
+                    }
+                }
+
+                const counters = new Map();
+                const statements = orderedItems.map(item => {
+                    const id = Number(item.id);
+                    const parentId = parents.get(id);
+                    const sortOrder = (counters.get(parentId) || 0) + 1;
+                    counters.set(parentId, sortOrder);
+                    return env.NAV_DB.prepare('UPDATE catalogs SET parent_id = ?, sort_order = ? WHERE id = ?').bind(parentId, sortOrder, id);
+                });
 
-            const statements = orderedNames.map((name, index) => {
-                return env.NAV_DB.prepare('UPDATE catalogs SET sort_order = ? WHERE name = ?').bind(index + 1, name);
+                if (statements.length > 0) {
+                    await env.NAV_DB.batch(statements);
+                }
+            } else if (Array.isArray(orderedNames)) {
+                const statements = orderedNames.map((name, index) => {
+                    return env.NAV_DB.prepare('UPDATE catalogs SET sort_order = ? WHERE name = ?').bind(index + 1, name);
+                });
+                
+                await env.NAV_DB.batch(statements);
+            } else {
+                return this.errorResponse('Invalid data format, expected orderedItems or an array of names.', 400);
+            }
+            await this.audit(request, env, {
+                action: 'reorder', entityType: 'catalog', summary: `${(orderedItems || orderedNames).length} 個分類`,
+                before, after: await loadPositions()
             });
-            
-            await env.NAV_DB.batch(statements);
 
             return new Response(JSON.stringify({
                 code: 200,
@@ -683,7 +2649,7 @@ const api = {
     async migrateCatalogs(request, env, ctx) {
         try {
             const { results } = await env.NAV_DB.prepare(
-                `SELECT DISTINCT catelog FROM sites WHERE catelog IS NOT NULL AND catelog != '' ORDER BY catelog`
+                `SELECT DISTINCT catelog FROM sites WHERE catelog IS NOT NULL AND catelog != '' AND deleted_at IS NULL ORDER BY catelog`
             ).all();
 
             if (!results || results.length === 0) {
@@ -695,6 +2661,10 @@ const api = {
                     'INSERT OR IGNORE INTO catalogs (name, sort_order) VALUES (?, ?)'
                 ).bind(row.catelog, index + 1);
             });
+            statements.push(this.auditStatement(request, env, {
+                action: 'import', entityType: 'catalog', summary: `從書籤遷移 ${results.length} 個分類`,
+                after: { catalogs: results.map(row => row.catelog) }
+            }));
 
             await env.NAV_DB.batch(statements);
 
@@ -708,15 +2678,21 @@ const api = {
         }
     },
     
+    /**
+     * 從回收站恢復分類 (不含其中的書籤)；父分類已不存在或仍在回收站時移到頂層
+     */
+    restoreCatalogStatement(env, catalogName) {
+        return env.NAV_DB.prepare(`
+            UPDATE catalogs SET deleted_at = NULL,
+                parent_id = CASE WHEN parent_id IN (SELECT id FROM catalogs WHERE deleted_at IS NULL) THEN parent_id ELSE NULL END
+            WHERE name = ? AND deleted_at IS NOT NULL
+        `).bind(catalogName);
+    },
+
     async ensureCatalogExists(env, catalogName) {
         if (!catalogName) return;
         try {
-            const maxOrderResult = await env.NAV_DB.prepare(`SELECT MAX(sort_order) as maxOrder FROM catalogs`).first();
-            const newSortOrder = (maxOrderResult.maxOrder || 0) + 1;
-            
-            await env.NAV_DB.prepare(
-                'INSERT OR IGNORE INTO catalogs (name, sort_order, is_private) VALUES (?, ?, 0)'
-            ).bind(catalogName, newSortOrder).run();
+            await env.NAV_DB.batch(this.ensureCatalogStatements(env, catalogName));
         } catch (e) {
             if (e.message && e.message.includes('no such table: catalogs')) {
                 console.warn('Catalogs table does not exist. Skipping catalog creation.');
@@ -726,1099 +2702,7256 @@ const api = {
         }
     },
 
-    async getSettings(request, env, ctx) {
+    // --- 新增：批量操作 ---
+    // 每次批量刷新圖標最多處理的書籤數 (每個書籤最多兩個子請求)
+    bulkIconLimit: 20,
+
+    /**
+     * 讀取選中的未刪除書籤；請求體中的 ids 無效或全部不存在時返回 null
+     */
+    async loadBulkSites(env, ids) {
+        const idList = this.normalizeIdList(ids);
+        if (idList.length === 0) return null;
+        const { results } = await env.NAV_DB.prepare(`
+            SELECT id, name, url, logo, catelog, is_private FROM sites
+            WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL ORDER BY id
+        `).bind(JSON.stringify(idList)).all();
+        return results.length > 0 ? results : null;
+    },
+
+    bulkResponse(message, data) {
+        return new Response(JSON.stringify({ code: 200, message, data }), { headers: { 'Content-Type': 'application/json' } });
+    },
+
+    async bulkMoveSites(request, env, ctx) {
         try {
-            if (!env.NAV_SETTINGS) {
-                return this.errorResponse('KV namespace for settings is not bound.', 500);
+            const { ids, catelog } = await request.json();
+            const catalogName = typeof catelog === 'string' ? catelog.trim() : '';
+            if (!catalogName) {
+                return this.errorResponse('Target catalog is required', 400);
             }
-            
-            const settingKeys = {
-                bg_image: 'frontend_bg_image',
-                title_size: 'frontend_title_size',
-                title_color: 'frontend_title_color',
-                dark_mode: 'frontend_dark_mode',
-                main_title: 'frontend_main_title',
-                subtitle: 'frontend_subtitle',
-                sidebar_title: 'frontend_sidebar_title',
-                tab_title: 'frontend_tab_title',
-                tab_icon: 'frontend_tab_icon',
-                show_add_button: 'frontend_show_add_button'
-            };
-            const defaultSettings = {
-                bg_image: '',
-                title_size: '48',
-                title_color: '#FFFFFF',
-                dark_mode: '0',
-                main_title: 'aki',
-                subtitle: '我的個人公開書籤',
-                sidebar_title: 'aki',
-                tab_title: 'aki nav',
-                tab_icon: 'https://img.tool.hidns.vip/file/1749062089225_apple-touch-icon.png',
-                show_add_button: '1'
-            };
-
-            const settings = { ...defaultSettings };
-            for (const key in settingKeys) {
-                const value = await env.NAV_SETTINGS.get(settingKeys[key]);
-                if (value !== null) {
-                    settings[key] = value;
-                }
+            const sites = await this.loadBulkSites(env, ids);
+            if (!sites) {
+                return this.errorResponse('No sites selected', 400);
             }
-
-            return new Response(JSON.stringify({ code: 200, data: settings }), { 
-                headers: { 'Content-Type': 'application/json' } 
-            });
+            const trashedError = await this.trashedCatalogError(env, [catalogName]);
+            if (trashedError) {
+                return trashedError;
+            }
+            const siteIds = sites.map(site => site.id);
+            await env.NAV_DB.batch([
+                ...this.ensureCatalogStatements(env, catalogName),
+                env.NAV_DB.prepare('UPDATE sites SET catelog = ?, update_time = CURRENT_TIMESTAMP WHERE id IN (SELECT value FROM json_each(?))')
+                    .bind(catalogName, JSON.stringify(siteIds)),
+                this.auditStatement(request, env, {
+                    action: 'update', entityType: 'site', summary: `批量移動 ${sites.length} 個書籤到 ${catalogName}`,
+                    before: Object.fromEntries(sites.map(site => [site.id, { catelog: site.catelog }])),
+                    after: Object.fromEntries(siteIds.map(id => [id, { catelog: catalogName }]))
+                })
+            ]);
+            return this.bulkResponse(`已將 ${sites.length} 個書籤移動到 ${catalogName}`, { ids: siteIds });
         } catch (e) {
-            return this.errorResponse(`Failed to get settings: ${e.message}`, 500);
+            return this.errorResponse(`Failed to move sites: ${e.message}`, 500);
         }
     },
 
-    async updateSettings(request, env, ctx) {
+    async bulkSetSitePrivacy(request, env, ctx) {
         try {
-            if (!env.NAV_SETTINGS) {
-                return this.errorResponse('KV namespace for settings is not bound.', 500);
+            const { ids, isPrivate } = await request.json();
+            if (![0, 1, true, false].includes(isPrivate)) {
+                return this.errorResponse('isPrivate must be 0 or 1', 400);
             }
-            const settings = await request.json();
-            const settingKeys = {
-                bg_image: 'frontend_bg_image',
-                title_size: 'frontend_title_size',
-                title_color: 'frontend_title_color',
-                dark_mode: 'frontend_dark_mode',
-                main_title: 'frontend_main_title',
-                subtitle: 'frontend_subtitle',
-                sidebar_title: 'frontend_sidebar_title',
-                tab_title: 'frontend_tab_title',
-                tab_icon: 'frontend_tab_icon',
-                show_add_button: 'frontend_show_add_button'
-            };
-
-            const promises = Object.keys(settingKeys).map(key => {
-                if (settings[key] !== undefined) {
-                    return env.NAV_SETTINGS.put(settingKeys[key], settings[key]);
-                }
-            });
-
-            await Promise.all(promises.filter(Boolean));
-
-            return new Response(JSON.stringify({
-                code: 200,
-                message: 'Settings updated successfully'
-            }), { headers: { 'Content-Type': 'application/json' } });
+            const sites = await this.loadBulkSites(env, ids);
+            if (!sites) {
+                return this.errorResponse('No sites selected', 400);
+            }
+            const newStatus = Number(isPrivate);
+            const siteIds = sites.map(site => site.id);
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('UPDATE sites SET is_private = ? WHERE id IN (SELECT value FROM json_each(?))')
+                    .bind(newStatus, JSON.stringify(siteIds)),
+                this.auditStatement(request, env, {
+                    action: 'update', entityType: 'site', summary: `批量設為${newStatus ? '私密' : '公開'}：${sites.length} 個書籤`,
+                    before: Object.fromEntries(sites.map(site => [site.id, { is_private: site.is_private }])),
+                    after: Object.fromEntries(siteIds.map(id => [id, { is_private: newStatus }]))
+                })
+            ]);
+            return this.bulkResponse(`已將 ${sites.length} 個書籤設為${newStatus ? '私密' : '公開'}`, { ids: siteIds, isPrivate: newStatus });
         } catch (e) {
-            return this.errorResponse(`Failed to update settings: ${e.message}`, 500);
+            return this.errorResponse(`Failed to update site privacy: ${e.message}`, 500);
         }
     },
 
-    errorResponse(message, status) {
-        return new Response(JSON.stringify({code: status, message: message}), {
-            status: status,
-            headers: { 'Content-Type': 'application/json' },
-        });
-    }, // <--- 注意這裡的逗號
-
-    // --- 新增：分類導入/導出功能 ---
-    async exportCategory(request, env, ctx, url) {
-        const categoryName = url.searchParams.get('name');
-        if (!categoryName) {
-            return this.errorResponse('Category name is required', 400);
-        }
+    // 移至回收站，與 deleteConfig 相同
+    async bulkDeleteSites(request, env, ctx) {
         try {
-            // 僅導出指定分類的書籤
-            const { results } = await env.NAV_DB.prepare('SELECT * FROM sites WHERE catelog = ? ORDER BY sort_order ASC')
-                .bind(categoryName)
-                .all();
-            
-            // 命名為該分類名稱.json
-            const filename = `${encodeURIComponent(categoryName)}.json`;
-
-            return new Response(JSON.stringify(results, null, 4), {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Disposition': `attachment; filename="${filename}"`
-                }
-            });
+            const { ids } = await request.json();
+            const sites = await this.loadBulkSites(env, ids);
+            if (!sites) {
+                return this.errorResponse('No sites selected', 400);
+            }
+            const siteIds = sites.map(site => site.id);
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare(`UPDATE sites SET deleted_at = ${this.deletedAtNow} WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL`)
+                    .bind(JSON.stringify(siteIds)),
+                this.auditStatement(request, env, {
+                    action: 'delete', entityType: 'site', summary: `批量刪除 ${sites.length} 個書籤`,
+                    before: Object.fromEntries(sites.map(site => [site.id, { name: site.name, url: site.url, catelog: site.catelog }]))
+                })
+            ]);
+            return this.bulkResponse(`已將 ${sites.length} 個書籤移至回收站`, { ids: siteIds });
         } catch (e) {
-            return this.errorResponse(`Failed to export category: ${e.message}`, 500);
+            return this.errorResponse(`Failed to delete sites: ${e.message}`, 500);
         }
     },
 
-    async importCategory(request, env, ctx, url) {
-        const categoryName = url.searchParams.get('name');
-        if (!categoryName) {
-            return this.errorResponse('Category name is required', 400);
+    /**
+     * 重新解析選中書籤的 favicon；解析在寫入前完成，找到新圖標的書籤在同一個 batch 中更新
+     */
+    async bulkRefreshIcons(request, env, ctx) {
+        try {
+            const { ids } = await request.json();
+            const sites = await this.loadBulkSites(env, ids);
+            if (!sites) {
+                return this.errorResponse('No sites selected', 400);
+            }
+            if (sites.length > this.bulkIconLimit) {
+                return this.errorResponse(`At most ${this.bulkIconLimit} sites can be refreshed at once`, 400);
+            }
+            const candidates = await Promise.all(sites.map(site => findFavicon(site.url)));
+            const changed = sites
+                .map((site, index) => ({ site, logo: candidates[index] }))
+                .filter(({ site, logo }) => logo && logo !== site.logo);
+            if (changed.length > 0) {
+                // 更新 logo 會通過觸發器清除圖標失敗記錄
+                await env.NAV_DB.batch([
+                    ...changed.map(({ site, logo }) =>
+                        env.NAV_DB.prepare('UPDATE sites SET logo = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?').bind(logo, site.id)),
+                    this.auditStatement(request, env, {
+                        action: 'update', entityType: 'site', summary: `批量刷新圖標：${changed.length} 個書籤`,
+                        before: Object.fromEntries(changed.map(({ site }) => [site.id, { logo: site.logo }])),
+                        after: Object.fromEntries(changed.map(({ site, logo }) => [site.id, { logo }]))
+                    })
+                ]);
+            }
+            const notFound = sites.filter((site, index) => !candidates[index]).length;
+            return this.bulkResponse(
+                `已更新 ${changed.length} 個書籤的圖標，${sites.length - changed.length - notFound} 個未變化` +
+                    (notFound > 0 ? `，${notFound} 個未找到圖標` : ''),
+                { updated: changed.map(({ site, logo }) => ({ id: site.id, logo })), notFound }
+            );
+        } catch (e) {
+            return this.errorResponse(`Failed to refresh icons: ${e.message}`, 500);
         }
+    },
 
+    /**
+     * 為選中書籤添加 (add) 和 / 或移除 (remove) 標籤，其他標籤保持不變
+     */
+    async bulkTagSites(request, env, ctx) {
         try {
-            const jsonData = await request.json();
-            if (!Array.isArray(jsonData)) {
-                return this.errorResponse('Invalid JSON data. Must be an array.', 400);
+            const { ids, add, remove } = await request.json();
+            const addNames = this.normalizeTagNames(add);
+            const removeNames = this.normalizeTagNames(remove).filter(name => !addNames.includes(name));
+            if (addNames.length === 0 && removeNames.length === 0) {
+                return this.errorResponse('No tags to add or remove', 400);
+            }
+            const sites = await this.loadBulkSites(env, ids);
+            if (!sites) {
+                return this.errorResponse('No sites selected', 400);
+            }
+            const siteIds = JSON.stringify(sites.map(site => site.id));
+            const statements = this.ensureTagStatements(env, addNames);
+            if (addNames.length > 0) {
+                statements.push(env.NAV_DB.prepare(`
+                    INSERT OR IGNORE INTO site_tags (site_id, tag_id)
+                    SELECT s.value, t.id FROM json_each(?) s, tags t WHERE t.name IN (SELECT value FROM json_each(?))
+                `).bind(siteIds, JSON.stringify(addNames)));
             }
+            if (removeNames.length > 0) {
+                statements.push(env.NAV_DB.prepare(`
+                    DELETE FROM site_tags
+                    WHERE site_id IN (SELECT value FROM json_each(?)) AND tag_id IN (SELECT id FROM tags WHERE name IN (SELECT value FROM json_each(?)))
+                `).bind(siteIds, JSON.stringify(removeNames)));
+            }
+            statements.push(this.auditStatement(request, env, {
+                action: 'update', entityType: 'site', summary: `批量修改標籤：${sites.length} 個書籤`,
+                after: { ids: sites.map(site => site.id), add: addNames, remove: removeNames }
+            }));
+            await env.NAV_DB.batch(statements);
+            return this.bulkResponse(`已更新 ${sites.length} 個書籤的標籤`, { ids: sites.map(site => site.id), add: addNames, remove: removeNames });
+        } catch (e) {
+            return this.errorResponse(`Failed to update site tags: ${e.message}`, 500);
+        }
+    },
 
-            // 過濾 JSON 數據，只導入分類名稱匹配的書籤
-            const filteredData = jsonData.filter(item => item.catelog === categoryName);
+    // --- 新增：導入校驗 ---
+    // 字段長度上限 (字符)；瀏覽器導出的書籤圖標常為 data: URI，因此 logo 的上限較寬
+    importLimits: { name: 200, url: 2048, logo: 32768, desc: 1000, catelog: 100, tag: 50, tags: 20 },
 
-            if (filteredData.length === 0) {
-                return new Response(JSON.stringify({
-                    code: 200,
-                    message: '文件中未找到匹配此分類的書籤。'
-                }), { headers: { 'Content-Type': 'application/json' } });
+    /**
+     * 校驗一條導入的書籤，返回拒絕原因，通過時返回 null
+     */
+    validateImportRow(item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return 'Not a site object';
+        }
+        const limits = this.importLimits;
+        for (const field of ['name', 'url', 'logo', 'desc', 'catelog']) {
+            const value = item[field];
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                return `${field} must be a string`;
+            }
+            if (['name', 'url', 'catelog'].includes(field) && !(value || '').trim()) {
+                return `${field} is required`;
+            }
+            if ((value || '').trim().length > limits[field]) {
+                return `${field} exceeds ${limits[field]} characters`;
+            }
+        }
+        let parsed;
+        try {
+            parsed = new URL(item.url.trim());
+        } catch {
+            return 'Invalid URL';
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return 'Only http(s) URLs are supported';
+        }
+        if (item.tags !== undefined && item.tags !== null && !Array.isArray(item.tags) && typeof item.tags !== 'string') {
+            return 'tags must be an array or a comma-separated string';
+        }
+        const tagNames = this.normalizeTagNames(item.tags);
+        if (tagNames.length > limits.tags) {
+            return `More than ${limits.tags} tags`;
+        }
+        if (tagNames.some(tag => tag.length > limits.tag)) {
+            return `Tag exceeds ${limits.tag} characters`;
+        }
+        if (item.is_private !== undefined && item.is_private !== null && ![0, 1, true, false].includes(item.is_private)) {
+            return 'is_private must be 0 or 1';
+        }
+        if (item.sort_order !== undefined && item.sort_order !== null && !Number.isInteger(item.sort_order)) {
+            return 'sort_order must be an integer';
+        }
+        return null;
+    },
+
+    /**
+     * 逐行校驗導入數據；通過的行返回去除首尾空白後的副本並附加行號 row (從 1 開始)
+     * @param {string} [onlyCatalog] - 只保留該分類的行，其餘行直接忽略 (分類導入)
+     * @returns {{valid: object[], rejected: Array<{row: number, name: string|null, url: string|null, reason: string}>}}
+     */
+    validateImportRows(items, onlyCatalog) {
+        const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        const valid = [];
+        const rejected = [];
+        items.forEach((item, index) => {
+            const row = index + 1;
+            if (onlyCatalog !== undefined && text(item?.catelog) !== onlyCatalog) return;
+            const reason = this.validateImportRow(item);
+            if (reason) {
+                rejected.push({ row, name: text(item?.name), url: text(item?.url), reason });
+                return;
             }
+            valid.push({
+                ...item,
+                row,
+                name: text(item.name),
+                url: text(item.url),
+                logo: text(item.logo),
+                desc: text(item.desc),
+                catelog: text(item.catelog),
+                is_private: item.is_private === undefined || item.is_private === null ? null : Number(item.is_private)
+            });
+        });
+        return { valid, rejected };
+    },
 
-            // 確保該分類存在
-            await this.ensureCatalogExists(env, categoryName);
+    /**
+     * 沒有任何條目通過校驗時返回 400，附帶報告供導入對話框列出原因
+     */
+    rejectedImportResponse(rejected) {
+        return new Response(JSON.stringify({
+            code: 400,
+            message: `沒有可導入的書籤：${rejected.length} 個條目未通過校驗`,
+            data: this.importReport({ inserts: [], overwrites: [], skipped: [] }, rejected)
+        }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    },
 
-            const insertStatements = filteredData.map((item, index) =>
-                env.NAV_DB.prepare(`
-                    INSERT INTO sites (name, url, logo, desc, catelog, sort_order, is_private)
-                    VALUES (?, ?, ?, ?, ?, ?, ?)
-                `).bind(item.name, item.url, item.logo, item.desc, item.catelog, item.sort_order || index + 1, item.is_private || 0)
-            );
+    /**
+     * 確保分類存在的語句，可與書籤插入放在同一個 batch 中
+     */
+    ensureCatalogStatements(env, catalogName) {
+        return [
+            env.NAV_DB.prepare(
+                'INSERT OR IGNORE INTO catalogs (name, sort_order, is_private) VALUES (?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM catalogs), 0)'
+            ).bind(catalogName)
+        ];
+    },
 
-            // 批量插入
-            await env.NAV_DB.batch(insertStatements);
+    /**
+     * 目標分類在回收站中時拒絕寫入 (與 createCatalog 一致)，否則書籤會落在不可見的分類下；
+     * 不自動恢復，以免隨分類一起刪除的書籤留在回收站中無法再一併恢復
+     * @returns {Promise<Response|null>} - 有分類在回收站中時返回 409 響應
+     */
+    async trashedCatalogError(env, catalogNames) {
+        const names = [...new Set(catalogNames.filter(Boolean))];
+        if (names.length === 0) return null;
+        const { results } = await env.NAV_DB.prepare(
+            'SELECT name FROM catalogs WHERE name IN (SELECT value FROM json_each(?)) AND deleted_at IS NOT NULL ORDER BY name'
+        ).bind(JSON.stringify(names)).all();
+        if (results.length === 0) return null;
+        return this.errorResponse(`Catalog in the trash: ${results.map(row => row.name).join(', ')}. Restore or purge it first.`, 409);
+    },
 
-            return new Response(JSON.stringify({
-                code: 201,
-                message: `成功將 ${filteredData.length} 個書籤導入到 ${categoryName}。`
-            }), {
-                status: 201,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        } catch (error) {
-            return this.errorResponse(`Failed to import category: ${error.message}`, 500);
+    // --- 新增：重複檢測與合併 ---
+    importModes: ['skip', 'overwrite', 'keep'],
+    urlKeyChunkSize: 200,
+
+    /**
+     * 補齊 url_key 為空的書籤 (遷移前的舊數據、直接修改過 url 的書籤) 和待審核記錄
+     */
+    async fillUrlKeys(env) {
+        const queries = {
+            sites: 'SELECT id, url FROM sites WHERE url_key IS NULL',
+            pending_sites: "SELECT id, url FROM pending_sites WHERE url_key IS NULL AND status = 'pending'"
+        };
+        for (const [table, sql] of Object.entries(queries)) {
+            const { results } = await env.NAV_DB.prepare(sql).all();
+            if (results.length > 0) {
+                await env.NAV_DB.batch(this.urlKeyStatements(env.NAV_DB, table, results));
+            }
         }
-    }
-};
+    },
 
+    /**
+     * 按 id 寫入 url_key 的語句，每條語句處理 urlKeyChunkSize 行
+     * @param {Array<{id: number, url: string}>} rows
+     */
+    urlKeyStatements(db, table, rows) {
+        const statements = [];
+        for (let i = 0; i < rows.length; i += this.urlKeyChunkSize) {
+            const chunk = rows.slice(i, i + this.urlKeyChunkSize).map(row => ({ id: row.id, key: normalizeUrl(row.url) }));
+            statements.push(db.prepare(`
+                UPDATE ${table} SET url_key = (SELECT json_extract(value, '$.key') FROM json_each(?1) WHERE json_extract(value, '$.id') = ${table}.id)
+                WHERE id IN (SELECT json_extract(value, '$.id') FROM json_each(?1))
+            `).bind(JSON.stringify(chunk)));
+        }
+        return statements;
+    },
 
-// =================================================================================
-// SECTION 3: ADMIN PANEL LOGIC
-// Handles authentication, and serves the HTML/CSS/JS for the admin dashboard.
-// =================================================================================
+    /**
+     * 查找網址相同 (歸一化後) 的未刪除書籤，有多個時返回最早的
+     * @param {boolean} [publicOnly=false] - 只查找公開可見的書籤 (自身及分類均非私密)；
+     *   用於公開提交，不補齊 url_key，以免匿名請求觸發寫入；為空的 url_key 由後台的重複檢測補齊
+     */
+    async findDuplicateSite(env, url, publicOnly = false) {
+        if (!publicOnly) await this.fillUrlKeys(env);
+        const sql = publicOnly
+            ? `${this.visibleCatalogsCte}
+               SELECT s.id, s.name, s.url, s.catelog FROM sites s JOIN visible_catalogs vc ON s.catelog = vc.name
+               WHERE s.url_key = ? AND s.deleted_at IS NULL AND s.is_private = 0 ORDER BY s.id LIMIT 1`
+            : 'SELECT id, name, url, logo, desc, catelog, is_private FROM sites WHERE url_key = ? AND deleted_at IS NULL ORDER BY id LIMIT 1';
+        return env.NAV_DB.prepare(sql).bind(normalizeUrl(url)).first();
+    },
 
-const admin = {
     /**
-     * 新增：從 Cookie 中解析會話並在 KV 中驗證
-     * @returns {Promise<boolean>} - 返回用戶是否已通過身份驗證
+     * 按導入模式處理重複網址：與已有書籤或同一文件中較早的條目歸一化後相同即視為重複
+     * skip 跳過；overwrite 用導入內容更新已有書籤 (文件內重複仍跳過)；keep 全部插入
+     * @param {object[]} items - validateImportRows 返回的 valid
+     * @returns {Promise<{inserts: object[], overwrites: Array<{id: number, item: object}>, skipped: object[]}>}
      */
-    async checkAuth(request, env) {
-        try {
-            const cookieHeader = request.headers.get('Cookie');
-            if (!cookieHeader) return false;
+    async planImport(env, items, mode) {
+        if (mode === 'keep') {
+            return { inserts: items, overwrites: [], skipped: [] };
+        }
+        await this.fillUrlKeys(env);
+        const { results } = await env.NAV_DB.prepare(
+            'SELECT id, url_key FROM sites WHERE deleted_at IS NULL AND url_key IN (SELECT value FROM json_each(?)) ORDER BY id'
+        ).bind(JSON.stringify([...new Set(items.map(item => normalizeUrl(item.url)))])).all();
+        const existing = new Map();
+        results.forEach(row => {
+            if (!existing.has(row.url_key)) existing.set(row.url_key, row.id);
+        });
 
-            const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
-                const [key, value] = cookie.trim().split('=');
-                acc[key] = value;
-                return acc;
-            }, {});
+        const plan = { inserts: [], overwrites: [], skipped: [] };
+        const seen = new Map();
+        items.forEach(item => {
+            const key = normalizeUrl(item.url);
+            if (seen.has(key)) {
+                plan.skipped.push({ ...item, reason: `Duplicate of row ${seen.get(key)}` });
+            } else if (!existing.has(key)) {
+                plan.inserts.push(item);
+            } else if (mode === 'overwrite') {
+                plan.overwrites.push({ id: existing.get(key), item });
+            } else {
+                plan.skipped.push({ ...item, reason: `Duplicate of existing site #${existing.get(key)}` });
+            }
+            if (!seen.has(key)) seen.set(key, item.row);
+        });
+        return plan;
+    },
 
-            const sessionId = cookies['sessionId'];
-            if (!sessionId) return false;
+    /**
+     * 用導入條目覆蓋已有書籤；網址歸一化後相同，保留原有寫法。logo、desc、is_private 缺省時保留原值，帶標籤時替換原有標籤
+     */
+    overwriteSiteStatements(env, id, item) {
+        const statements = [env.NAV_DB.prepare(`
+            UPDATE sites
+            SET name = ?, logo = COALESCE(?, logo), desc = COALESCE(?, desc), catelog = ?,
+                is_private = COALESCE(?, is_private), update_time = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(item.name, item.logo || null, item.desc || null, item.catelog, item.is_private ?? null, id)];
+        const tagNames = this.normalizeTagNames(item.tags);
+        if (tagNames.length > 0) {
+            statements.push(
+                env.NAV_DB.prepare('DELETE FROM site_tags WHERE site_id = ?').bind(id),
+                this.linkTagsStatement(env, id, tagNames)
+            );
+        }
+        return statements;
+    },
 
-            // 在 KV 中檢查會話是否存在
-            const session = await env.NAV_AUTH.get(`session:${sessionId}`);
-            return session === 'valid';
+    /**
+     * 導入結果報告，每行包含文件中的行號 (從 1 開始)；skipped 為重複網址，rejected 為校驗失敗的行
+     */
+    importReport(plan, rejected) {
+        const rowInfo = ({ row, name, url }) => ({ row, name, url });
+        return {
+            inserted: plan.inserts.map(rowInfo),
+            updated: plan.overwrites.map(({ id, item }) => ({ ...rowInfo(item), id })),
+            skipped: plan.skipped.map(item => ({ ...rowInfo(item), reason: item.reason })),
+            rejected
+        };
+    },
 
-        } catch (e) {
-            console.error('Auth check failed:', e.message);
-            return false;
-        }
+    importSummary(report) {
+        return `新增 ${report.inserted.length} 個，更新 ${report.updated.length} 個，跳過 ${report.skipped.length} 個重複` +
+            (report.rejected.length > 0 ? `，拒絕 ${report.rejected.length} 個無效條目` : '');
     },
 
     /**
-     * 新增：處理管理員登入請求
+     * 書籤名稱是否只是其網址或域名 (瀏覽器書籤常見)，合併時不作為首選名稱
      */
-    async handleLogin(request, env) {
-        try {
-            const { username, password, remember } = await request.json();
+    isUrlLikeName(site) {
+        const text = String(site.name ?? '').trim();
+        if (!text || /^[a-z][a-z\d+.-]*:\/\//i.test(text)) return true;
+        const host = key => key.split(/[/?#]/)[0];
+        return !/\s/.test(text) && host(normalizeUrl(text)) === host(site.url_key || normalizeUrl(site.url));
+    },
 
-            const storedUsername = await env.NAV_AUTH.get("admin_username");
-            const storedPassword = await env.NAV_AUTH.get("admin_password");
+    /**
+     * 合併重複書籤時選取保留的字段：名稱優先取保留項自身的，為網址形式時取第一個正常名稱；
+     * 圖標優先取未記錄加載失敗的；描述取最長的；標籤取並集
+     * @param {object[]} sites - 同一組重複書籤 (含 tags)
+     * @param {Set<number>} brokenLogoIds - icon_failures 中記錄的書籤
+     */
+    pickMergedFields(sites, keepId, brokenLogoIds) {
+        const keep = sites.find(site => site.id === keepId) || sites[0];
+        const ordered = [keep, ...sites.filter(site => site !== keep)];
+        const named = ordered.find(site => !this.isUrlLikeName(site)) || keep;
+        const withLogo = ordered.find(site => site.logo && !brokenLogoIds.has(site.id)) || ordered.find(site => site.logo) || keep;
+        const desc = ordered.reduce((best, site) => ((site.desc || '').length > (best || '').length ? site.desc : best), keep.desc);
+        return {
+            id: keep.id,
+            name: named.name,
+            logo: withLogo.logo || null,
+            desc: desc || null,
+            tags: this.normalizeTagNames(sites.flatMap(site => site.tags || []))
+        };
+    },
 
-            if (username === storedUsername && password === storedPassword) {
-                // 憑證正確，創建會話
-                const sessionId = crypto.randomUUID();
-                
-                // 「記住我」設置 30 天過期，否則設置 1 天
-                const maxAge = remember ? 30 * 86400 : 86400; // 30 天或 1 天 (秒)
-                
-                // 將會話存儲在 KV 中，並設置過期時間
-                await env.NAV_AUTH.put(`session:${sessionId}`, "valid", {
-                    expirationTtl: maxAge
-                });
+    async loadDuplicateGroups(env, urlKey) {
+        await this.fillUrlKeys(env);
+        const { results } = await env.NAV_DB.prepare(`
+            SELECT id, name, url, url_key, logo, desc, catelog, is_private, create_time FROM sites
+            WHERE deleted_at IS NULL AND url_key IN (
+                SELECT url_key FROM sites WHERE deleted_at IS NULL AND url_key IS NOT NULL ${urlKey !== undefined ? 'AND url_key = ?' : ''}
+                GROUP BY url_key HAVING COUNT(*) > 1
+            )
+            ORDER BY url_key, id
+        `).bind(...(urlKey !== undefined ? [urlKey] : [])).all();
+        const sites = await this.attachTags(env, results);
+        const { results: failures } = sites.length > 0
+            ? await env.NAV_DB.prepare('SELECT site_id FROM icon_failures WHERE site_id IN (SELECT value FROM json_each(?))')
+                .bind(JSON.stringify(sites.map(site => site.id))).all()
+            : { results: [] };
+        const brokenLogoIds = new Set(failures.map(row => row.site_id));
+
+        const groups = new Map();
+        sites.forEach(site => {
+            if (!groups.has(site.url_key)) groups.set(site.url_key, []);
+            groups.get(site.url_key).push(site);
+        });
+        return { groups: [...groups].map(([key, members]) => ({ key, sites: members })), brokenLogoIds };
+    },
 
-                // 返回 200 OK 並設置 HttpOnly Cookie
-                return new Response(JSON.stringify({ success: true, message: 'Login successful' }), {
-                    status: 200,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Set-Cookie': `sessionId=${sessionId}; HttpOnly; Secure; Path=/; Max-Age=${maxAge}`
-                    }
-                });
-            } else {
-                // 憑證錯誤
-                return new Response(JSON.stringify({ success: false, message: 'Invalid username or password' }), {
-                    status: 401,
-                    headers: { 'Content-Type': 'application/json' }
-                });
-            }
+    async getDuplicates(request, env, ctx) {
+        try {
+            const { groups, brokenLogoIds } = await this.loadDuplicateGroups(env);
+            return new Response(JSON.stringify({
+                code: 200,
+                data: groups.map(group => ({ ...group, suggested: this.pickMergedFields(group.sites, group.sites[0].id, brokenLogoIds) }))
+            }), { headers: { 'Content-Type': 'application/json' } });
         } catch (e) {
-            return new Response(JSON.stringify({ success: false, message: e.message }), {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            return this.errorResponse(`Failed to find duplicates: ${e.message}`, 500);
         }
     },
 
     /**
-     * 新增：處理管理員登出請求
+     * 合併一組重複書籤：保留 keepId (默認最早的一個) 並寫入最佳字段，其餘移至回收站
      */
-    async handleLogout(request, env) {
+    async mergeDuplicates(request, env, ctx) {
         try {
-            // 從 cookie 中獲取 sessionId (即使它無效也沒關係，我們只是要刪除它)
-            const cookieHeader = request.headers.get('Cookie');
-            if (cookieHeader) {
-                const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
-                    const [key, value] = cookie.trim().split('=');
-                    acc[key] = value;
-                    return acc;
-                }, {});
-                const sessionId = cookies['sessionId'];
-                
-                if (sessionId) {
-                    // 從 KV 中刪除會話
-                    await env.NAV_AUTH.delete(`session:${sessionId}`);
-                }
+            const { ids, keepId } = await request.json();
+            const idList = this.normalizeIdList(ids);
+            if (idList.length < 2) {
+                return this.errorResponse('At least two sites are required to merge', 400);
             }
-            
-            // 返回響應，並設置一個立即過期的 cookie 來清除瀏覽器
-            return new Response(JSON.stringify({ success: true, message: 'Logged out' }), {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Set-Cookie': `sessionId=; HttpOnly; Secure; Path=/; Max-Age=0`
-                }
-            });
+            const first = await env.NAV_DB.prepare('SELECT url FROM sites WHERE id = ? AND deleted_at IS NULL').bind(idList[0]).first();
+            if (!first) {
+                return this.errorResponse('Site not found', 404);
+            }
+            const { groups, brokenLogoIds } = await this.loadDuplicateGroups(env, normalizeUrl(first.url));
+            const sites = (groups[0]?.sites || []).filter(site => idList.includes(site.id));
+            if (sites.length !== idList.length) {
+                return this.errorResponse('Sites must exist and share the same URL', 400);
+            }
+            const survivorId = keepId !== undefined && keepId !== null ? Number(keepId) : sites[0].id;
+            if (!idList.includes(survivorId)) {
+                return this.errorResponse('keepId must be one of the merged sites', 400);
+            }
+
+            const merged = this.pickMergedFields(sites, survivorId, brokenLogoIds);
+            const removedIds = idList.filter(id => id !== survivorId);
+            const before = sites.find(site => site.id === survivorId);
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('UPDATE sites SET name = ?, logo = ?, desc = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?')
+                    .bind(merged.name, merged.logo, merged.desc, survivorId),
+                ...this.ensureTagStatements(env, merged.tags),
+                this.linkTagsStatement(env, survivorId, merged.tags),
+                env.NAV_DB.prepare(`UPDATE sites SET deleted_at = ${this.deletedAtNow} WHERE id IN (SELECT value FROM json_each(?))`)
+                    .bind(JSON.stringify(removedIds)),
+                this.auditStatement(request, env, {
+                    action: 'merge', entityType: 'site', entityId: survivorId, summary: merged.name,
+                    before: { name: before.name, logo: before.logo, desc: before.desc, tags: before.tags },
+                    after: { name: merged.name, logo: merged.logo, desc: merged.desc, tags: merged.tags, mergedIds: removedIds }
+                })
+            ]);
 
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已合併 ${sites.length} 個重複書籤，其餘 ${removedIds.length} 個已移至回收站`,
+                data: merged
+            }), { headers: { 'Content-Type': 'application/json' } });
         } catch (e) {
-            return new Response(JSON.stringify({ success: false, message: e.message }), {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            return this.errorResponse(`Failed to merge duplicates: ${e.message}`, 500);
         }
     },
 
-  async handleRequest(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const method = request.method;
+    // --- 新增：回收站 ---
+    // 精確到毫秒：分類與其中書籤通過相同的 deleted_at 識別為同一次刪除，需與先前單獨刪除的書籤區分開
+    deletedAtNow: "strftime('%Y-%m-%d %H:%M:%f', 'now')",
+    trashRetentionKey: 'trash_retention_days',
+    defaultTrashRetentionDays: 30,
 
-    // 處理靜態資源
-    if (path.startsWith('/static')) {
-      return this.handleStatic(request);
-    }
+    /**
+     * 回收站保留天數，0 表示不自動清除
+     */
+    async getTrashRetentionDays(env) {
+        const days = parseInt(await env.NAV_SETTINGS.get(this.trashRetentionKey), 10);
+        return Number.isInteger(days) && days >= 0 ? days : this.defaultTrashRetentionDays;
+    },
 
-    // 處理登入 API
-    if (path === '/admin/login' && method === 'POST') {
-      return this.handleLogin(request, env);
-    }
-    
-    // 處理登出 API
-    if (path === '/admin/logout' && method === 'POST') {
-      return this.handleLogout(request, env);
-    }
+    normalizeIdList(ids) {
+        return Array.isArray(ids) ? [...new Set(ids.map(Number).filter(id => Number.isInteger(id) && id > 0))] : [];
+    },
 
-    // 處理管理頁面訪問
-    if (path === '/admin') {
-      const isAuthenticated = await this.checkAuth(request, env);
-      
-      if (isAuthenticated) {
-        // 如果已認證，顯示管理頁面
-        return this.renderAdminPage();
-      } else {
-        // 如果未認證，顯示登入頁面
-        return this.renderLoginPage();
-      }
-    }
-    
-    return new Response('页面不存在', {status: 404});
-  },
-     async handleStatic(request) {
-        const url = new URL(request.url);
-        const filePath = url.pathname.replace('/static/', '');
-  
-        let contentType = 'text/plain';
-        if (filePath.endsWith('.css')) {
-           contentType = 'text/css';
-        } else if (filePath.endsWith('.js')) {
-           contentType = 'application/javascript';
+    async getTrash(request, env, ctx) {
+        try {
+            // site_count 只統計隨分類一起刪除的書籤 (deleted_at 相同)，恢復分類時它們會一起恢復
+            const { results: catalogs } = await env.NAV_DB.prepare(`
+                SELECT c.id, c.name, c.icon, c.deleted_at,
+                       (SELECT COUNT(*) FROM sites s WHERE s.catelog = c.name AND s.deleted_at = c.deleted_at) AS site_count
+                FROM catalogs c
+                WHERE c.deleted_at IS NOT NULL
+                ORDER BY c.deleted_at DESC, c.id DESC
+            `).all();
+            const { results: sites } = await env.NAV_DB.prepare(`
+                SELECT s.id, s.name, s.url, s.logo, s.catelog, s.is_private, s.deleted_at,
+                       EXISTS (SELECT 1 FROM catalogs c WHERE c.name = s.catelog AND c.deleted_at = s.deleted_at) AS with_catalog
+                FROM sites s
+                WHERE s.deleted_at IS NOT NULL
+                ORDER BY s.deleted_at DESC, s.id DESC
+            `).all();
+            return new Response(JSON.stringify({
+                code: 200,
+                data: { catalogs, sites, retentionDays: await this.getTrashRetentionDays(env) }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch trash: ${e.message}`, 500);
         }
-  
+    },
+
+    /**
+     * 恢復書籤；所屬分類已被徹底刪除時重新創建，仍在回收站中時一併恢復 (不含其中的其他書籤)
+     */
+    async restoreTrashSites(request, env, ctx) {
         try {
-            const fileContent = await this.getFileContent(filePath)
-            return new Response(fileContent, {
-              headers: { 'Content-Type': contentType }
-            });
+            const ids = this.normalizeIdList((await request.json()).ids);
+            const { results: sites } = await env.NAV_DB.prepare(
+                'SELECT id, name, catelog FROM sites WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NOT NULL'
+            ).bind(JSON.stringify(ids)).all();
+            if (sites.length === 0) {
+                return this.errorResponse('No matching sites in trash', 404);
+            }
+
+            const catalogNames = [...new Set(sites.map(site => site.catelog))];
+            for (const name of catalogNames) {
+                await this.ensureCatalogExists(env, name);
+            }
+            await env.NAV_DB.batch([
+                ...catalogNames.map(name => this.restoreCatalogStatement(env, name)),
+                env.NAV_DB.prepare('UPDATE sites SET deleted_at = NULL WHERE id IN (SELECT value FROM json_each(?))')
+                    .bind(JSON.stringify(sites.map(site => site.id))),
+                this.auditStatement(request, env, {
+                    action: 'restore', entityType: 'site',
+                    entityId: sites.length === 1 ? sites[0].id : null,
+                    summary: sites.length === 1 ? sites[0].name : `${sites.length} 個書籤`,
+                    after: { ids: sites.map(site => site.id), catalogs: catalogNames }
+                })
+            ]);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已恢復 ${sites.length} 個書籤`
+            }), { headers: { 'Content-Type': 'application/json' } });
         } catch (e) {
-           return new Response('Not Found', {status: 404});
+            return this.errorResponse(`Failed to restore sites: ${e.message}`, 500);
         }
-  
-      },
-    async getFileContent(filePath) {
-        const fileContents = {
-           'admin.html': `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1">
-    <title>書籤管理後台</title>
-    <link rel="stylesheet" href="/static/admin.css">
-    <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap" rel="stylesheet">
-    <script src="https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js"></script>
-</head>
-<body>
-    <div class="container">
-        <h1>導航設置</h1>
-        <div id="message" style="display: none;"></div>
+    },
 
-        <div class="tab-wrapper">
-            <div class="tab-buttons">
-                <button class="tab-button active" data-tab="config">書籤列表</button>
-                <button class="tab-button" data-tab="pending">待審核列表</button>
-                <button class="tab-button" data-tab="catalogs">分類列表</button>
-                <button class="tab-button" data-tab="settings">外觀設置</button>
-                <a href="/" target="_blank" style="background: none; border: none; color: var(--primary-color); cursor: pointer; padding: 10px 15px; margin-left: auto; font-size: 0.9em; text-decoration: none; display: inline-block; vertical-align: middle;">返回主頁</a>
-                <button id="logoutButton" style="background: none; border: none; color: var(--danger-color); cursor: pointer; padding: 10px 15px; font-size: 0.9em;">登出</button>
-            </div>
+    /**
+     * 恢復分類及隨其一起刪除的書籤；按刪除時間倒序處理，父分類先於子分類恢復
+     */
+    async restoreTrashCatalogs(request, env, ctx) {
+        try {
+            const ids = this.normalizeIdList((await request.json()).ids);
+            const { results: catalogs } = await env.NAV_DB.prepare(`
+                SELECT c.id, c.name, c.deleted_at,
+                       (SELECT COUNT(*) FROM sites s WHERE s.catelog = c.name AND s.deleted_at = c.deleted_at) AS site_count
+                FROM catalogs c
+                WHERE c.id IN (SELECT value FROM json_each(?)) AND c.deleted_at IS NOT NULL
+                ORDER BY c.deleted_at DESC, c.id DESC
+            `).bind(JSON.stringify(ids)).all();
+            if (catalogs.length === 0) {
+                return this.errorResponse('No matching catalogs in trash', 404);
+            }
 
-            <div id="config" class="tab-content active">
-                <div class="add-new">
-                    <input type="text" id="addName" placeholder="名稱 (必填)">
-                    <input type="text" id="addUrl" placeholder="URL (必填)">
-                    <input type="text" id="addLogo" placeholder="Logo (可選)">
-                    <input type="text" id="addDesc" placeholder="描述 (可選)">
-                    <input type="text" id="addCatelog" placeholder="分類 (必填)" list="catalogDataList">
-                    <button id="addBtn">添加書籤</button>
-                </div>
-                <div class="controls-wrapper">
-                    <input type="text" id="searchInput" placeholder="搜索書籤..." style="min-width: 250px;">
-                    <div>
-                        <input type="file" id="importFile" accept=".json" style="display:none;">
-                        <button id="importBtn">導入</button>
-                        <button id="exportBtn">導出</button>
-                        <button id="deleteAllBtn" class="del-all-btn">清空所有書籤</button>
-                    </div>
-                </div>
-                <div class="table-wrapper">
-                    <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：您可以直接拖曳表格行來調整書籤順序。</div>
-                    <table id="configTable">
-                        <thead>
-                            <tr><th>ID</th><th>名稱</th><th>URL</th><th>Logo</th><th>描述</th><th>分類</th><th>操作</th></tr>
-                        </thead>
-                        <tbody id="configTableBody"></tbody>
-                    </table>
-                    <div class="pagination">
-                        <button id="prevPage" disabled>上一頁</button>
-                        <span id="currentPage">1</span>/<span id="totalPages">1</span>
-                        <button id="nextPage" disabled>下一頁</button>
-                    </div>
-                </div>
-            </div>
+            const statements = [];
+            catalogs.forEach(catalog => {
+                statements.push(
+                    env.NAV_DB.prepare('UPDATE sites SET deleted_at = NULL WHERE catelog = ? AND deleted_at = ?').bind(catalog.name, catalog.deleted_at),
+                    this.restoreCatalogStatement(env, catalog.name)
+                );
+            });
+            const siteCount = catalogs.reduce((sum, catalog) => sum + catalog.site_count, 0);
+            statements.push(this.auditStatement(request, env, {
+                action: 'restore', entityType: 'catalog',
+                entityId: catalogs.length === 1 ? catalogs[0].id : null,
+                summary: catalogs.length === 1 ? catalogs[0].name : `${catalogs.length} 個分類`,
+                after: { catalogs: catalogs.map(catalog => catalog.name), site_count: siteCount }
+            }));
+            await env.NAV_DB.batch(statements);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已恢復 ${catalogs.length} 個分類和 ${siteCount} 個書籤`
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to restore catalogs: ${e.message}`, 500);
+        }
+    },
 
-            <div id="pending" class="tab-content">
-                <div class="table-wrapper">
-                    <table id="pendingTable">
-                        <thead>
-                            <tr><th>ID</th><th>名稱</th><th>URL</th><th>Logo</th><th>描述</th><th>分類</th><th>操作</th></tr>
-                        </thead>
-                        <tbody id="pendingTableBody"></tbody>
-                    </table>
-                    <div class="pagination">
-                        <button id="pendingPrevPage" disabled>上一頁</button>
-                        <span id="pendingCurrentPage">1</span>/<span id="pendingTotalPages">1</span>
-                        <button id="pendingNextPage" disabled>下一頁</button>
-                    </div>
-                </div>
-            </div>
+    async purgeTrashSites(request, env, ctx) {
+        try {
+            const ids = this.normalizeIdList((await request.json()).ids);
+            const { results: sites } = await env.NAV_DB.prepare(
+                'SELECT id, name, url, catelog FROM sites WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NOT NULL'
+            ).bind(JSON.stringify(ids)).all();
+            if (sites.length === 0) {
+                return this.errorResponse('No matching sites in trash', 404);
+            }
+            await this.snapshotBefore(request, env, 'purge');
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('DELETE FROM sites WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NOT NULL')
+                    .bind(JSON.stringify(sites.map(site => site.id))),
+                this.auditStatement(request, env, {
+                    action: 'purge', entityType: 'site',
+                    entityId: sites.length === 1 ? sites[0].id : null,
+                    summary: sites.length === 1 ? sites[0].name : `${sites.length} 個書籤`,
+                    before: sites.length === 1 ? sites[0] : { ids: sites.map(site => site.id) }
+                })
+            ]);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已徹底刪除 ${sites.length} 個書籤`
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to purge sites: ${e.message}`, 500);
+        }
+    },
 
-            <div id="catalogs" class="tab-content">
-                <div class="controls-wrapper">
-                    <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：您可以直接拖曳表格行來調整分類順序。</div>
-                    <div>
-                        <button id="addCatalogBtn">增加分類</button>
-                        <button id="migrateCatalogsBtn">遷移舊分類</button>
-                    </div>
-                </div>
-                <div class="table-wrapper">
-                    <table id="catalogTable">
-                        <thead><tr><th>圖標</th><th>分類名稱</th><th>操作</th></tr></thead>
-                        <tbody id="catalogTableBody"></tbody>
-                    </table>
-                </div>
-            </div>
-            
-            <div id="settings" class="tab-content">
-                <div class="settings-form">
-                    <h3 class="settings-header">主題與顏色</h3>
-                    <div class="form-group">
-                        <label for="settingDarkMode">啟用深色模式 (Dark Mode)</label>
-                        <input type="checkbox" id="settingDarkMode" class="settings-checkbox">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingBgImage">前端背景圖片 URL</label>
-                        <input type="text" id="settingBgImage" placeholder="請輸入完整的圖片網址">
-                    </div>
-                    
-                    <h3 class="settings-header">內容與標題</h3>
-                    <div class="form-group">
-                        <label for="settingTabTitle">瀏覽器標籤頁標題</label>
-                        <input type="text" id="settingTabTitle" placeholder="例如：Aki 的導航站">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingTabIcon">瀏覽器標籤頁圖標 URL</label>
-                        <input type="text" id="settingTabIcon" placeholder="請輸入 .ico 或 .png 格式的圖標網址">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingSidebarTitle">側邊欄頂部標題</label>
-                        <input type="text" id="settingSidebarTitle" placeholder="例如：Aki">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingMainTitle">頁面主標題</label>
-                        <input type="text" id="settingMainTitle" placeholder="例如：Aki's Bookmarks">
-                    </div>
-                     <div class="form-group">
-                        <label for="settingSubtitle">頁面副標題</label>
-                        <input type="text" id="settingSubtitle" placeholder="例如：我的個人公開書籤">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingTitleSize">主標題字體大小 (px)</label>
-                        <input type="number" id="settingTitleSize" placeholder="例如：48">
-                    </div>
-                    <div class="form-group">
-                        <label for="settingTitleColor">主標題顏色</label>
-                        <input type="color" id="settingTitleColor" class="settings-color-input">
-                    </div>
+    /**
+     * 徹底刪除分類及隨其一起刪除的書籤；單獨刪除的同分類書籤仍保留在回收站，恢復時會重新創建分類
+     */
+    async purgeTrashCatalogs(request, env, ctx) {
+        try {
+            const ids = this.normalizeIdList((await request.json()).ids);
+            const { results: catalogs } = await env.NAV_DB.prepare(
+                'SELECT id, name, deleted_at FROM catalogs WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NOT NULL'
+            ).bind(JSON.stringify(ids)).all();
+            if (catalogs.length === 0) {
+                return this.errorResponse('No matching catalogs in trash', 404);
+            }
+            await this.snapshotBefore(request, env, 'purge');
+
+            const statements = [];
+            catalogs.forEach(catalog => {
+                statements.push(
+                    env.NAV_DB.prepare('DELETE FROM sites WHERE catelog = ? AND deleted_at = ?').bind(catalog.name, catalog.deleted_at),
+                    env.NAV_DB.prepare('DELETE FROM catalogs WHERE id = ?').bind(catalog.id)
+                );
+            });
+            statements.push(this.auditStatement(request, env, {
+                action: 'purge', entityType: 'catalog',
+                entityId: catalogs.length === 1 ? catalogs[0].id : null,
+                summary: catalogs.length === 1 ? catalogs[0].name : `${catalogs.length} 個分類`,
+                before: { catalogs: catalogs.map(catalog => catalog.name) }
+            }));
+            await env.NAV_DB.batch(statements);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已徹底刪除 ${catalogs.length} 個分類`
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to purge catalogs: ${e.message}`, 500);
+        }
+    },
 
-                    <h3 class="settings-header">功能開關</h3>
-                    <div class="form-group">
-                        <label for="settingShowAddBtn">顯示“添加新書籤”按鈕</label>
-                        <input type="checkbox" id="settingShowAddBtn" class="settings-checkbox">
-                    </div>
+    async emptyTrash(request, env, ctx) {
+        try {
+            const counts = await env.NAV_DB.prepare(`
+                SELECT (SELECT COUNT(*) FROM sites WHERE deleted_at IS NOT NULL) AS sites,
+                       (SELECT COUNT(*) FROM catalogs WHERE deleted_at IS NOT NULL) AS catalogs
+            `).first();
+            await this.snapshotBefore(request, env, 'purge');
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('DELETE FROM sites WHERE deleted_at IS NOT NULL'),
+                env.NAV_DB.prepare('DELETE FROM catalogs WHERE deleted_at IS NOT NULL'),
+                this.auditStatement(request, env, {
+                    action: 'purge', entityType: 'site', summary: `清空回收站：${counts.sites} 個書籤，${counts.catalogs} 個分類`,
+                    before: counts
+                })
+            ]);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已清空回收站 (${counts.sites} 個書籤，${counts.catalogs} 個分類)`
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to empty trash: ${e.message}`, 500);
+        }
+    },
 
-                    <button id="saveSettingsBtn">保存設置</button>
-                </div>
-            </div>
-        </div>
-    </div>
-    <datalist id="catalogDataList"></datalist>
-    <input type="file" id="importCategoryFile" accept=".json" style="display:none;">
-    <script src="/static/admin.js"></script>
-</body>
-</html>`,
-           'admin.css': `:root {
-    --primary-color: #6c63ff;
-    --primary-hover-color: #534dc4;
-    --danger-color: #dc3545;
-    --danger-hover-color: #c82333;
-    --info-color: #17a2b8;
-    --bg-color: #f8f9fa;
-    --container-bg-color: #ffffff;
-    --text-color: #343a40;
-    --muted-text-color: #6c757d;
-    --border-color: #dee2e6;
-    --input-focus-color: #80bdff;
-    --input-focus-shadow: 0 0 0 0.2rem rgba(108, 99, 255, .25);
-    --font-family: 'Noto Sans SC', sans-serif;
-    --border-radius: 0.5rem;
-    --box-shadow: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);
-}
+    async updateTrashSettings(request, env, ctx) {
+        try {
+            const { retentionDays } = await request.json();
+            const days = Number(retentionDays);
+            if (!Number.isInteger(days) || days < 0 || days > 3650) {
+                return this.errorResponse('Retention days must be an integer between 0 and 3650', 400);
+            }
+            const previous = await this.getTrashRetentionDays(env);
+            await env.NAV_SETTINGS.put(this.trashRetentionKey, String(days));
+            await this.audit(request, env, {
+                action: 'update', entityType: 'settings', summary: '回收站保留天數',
+                before: { retention_days: previous }, after: { retention_days: days }
+            });
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Trash retention updated'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to update trash settings: ${e.message}`, 500);
+        }
+    },
 
-body {
-    font-family: var(--font-family);
-    margin: 0;
-    padding: 20px;
-    background-color: var(--bg-color);
-    color: var(--text-color);
-}
+    /**
+     * 定時任務：徹底刪除在回收站中超過保留天數的書籤和分類
+     */
+    async purgeExpiredTrash(env) {
+        const days = await this.getTrashRetentionDays(env);
+        if (days === 0) return { sites: 0, catalogs: 0 };
+        const cutoff = `-${days} days`;
+        const expired = await env.NAV_DB.prepare(`
+            SELECT EXISTS (SELECT 1 FROM sites WHERE deleted_at < datetime('now', ?))
+                OR EXISTS (SELECT 1 FROM catalogs WHERE deleted_at < datetime('now', ?)) AS found
+        `).bind(cutoff, cutoff).first();
+        if (!expired.found) return { sites: 0, catalogs: 0 };
+        await snapshots.create(env, 'purge');
+        const [sites, catalogs] = await env.NAV_DB.batch([
+            env.NAV_DB.prepare("DELETE FROM sites WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)").bind(cutoff),
+            env.NAV_DB.prepare("DELETE FROM catalogs WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)").bind(cutoff)
+        ]);
+        return { sites: sites.meta.changes, catalogs: catalogs.meta.changes };
+    },
 
-.container {
-    max-width: 1200px;
-    margin: 20px auto;
-    background-color: var(--container-bg-color);
-    padding: 2rem;
-    border-radius: var(--border-radius);
-    box-shadow: var(--box-shadow);
-}
+    // --- 新增：標籤 (與分類並存的多對多維度) ---
+    /**
+     * 將數組或逗號分隔字符串轉換為去重後的標籤名列表
+     * @returns {string[]}
+     */
+    normalizeTagNames(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+        return [...new Set(list.map(tag => String(tag ?? '').trim()).filter(Boolean))];
+    },
 
-h1 {
-    text-align: center;
-    margin-bottom: 2rem;
-    font-weight: 700;
-}
+    ensureTagStatements(env, tagNames) {
+        return tagNames.map(name => env.NAV_DB.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').bind(name));
+    },
 
-/* 佈局與表單 */
-.controls-wrapper {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    flex-wrap: wrap;
-    gap: 1rem;
-    margin-bottom: 1.5rem;
-}
+    /**
+     * 將標籤關聯到書籤的語句。siteId 為 null 時關聯到同一 batch 中最後插入的書籤
+     */
+    linkTagsStatement(env, siteId, tagNames) {
+        const tagFilter = 'SELECT id FROM tags WHERE name IN (SELECT value FROM json_each(?))';
+        if (siteId === null) {
+            return env.NAV_DB.prepare(`INSERT OR IGNORE INTO site_tags (site_id, tag_id) SELECT last_insert_rowid(), id FROM (${tagFilter})`)
+                .bind(JSON.stringify(tagNames));
+        }
+        return env.NAV_DB.prepare(`INSERT OR IGNORE INTO site_tags (site_id, tag_id) SELECT ?, id FROM (${tagFilter})`)
+            .bind(siteId, JSON.stringify(tagNames));
+    },
 
-.add-new {
-    display: flex;
-    flex-wrap: wrap;
-    gap: 10px;
-    padding: 1rem;
-    background-color: #f8f9fa;
-    border: 1px solid var(--border-color);
-    border-radius: var(--border-radius);
-    margin-bottom: 1.5rem;
-}
-.add-new > input { flex: 1 1 150px; }
-.add-new > button { flex-shrink: 0; }
+    async setSiteTags(env, siteId, tags) {
+        const tagNames = this.normalizeTagNames(tags);
+        await env.NAV_DB.batch([
+            ...this.ensureTagStatements(env, tagNames),
+            env.NAV_DB.prepare('DELETE FROM site_tags WHERE site_id = ?').bind(siteId),
+            this.linkTagsStatement(env, siteId, tagNames)
+        ]);
+    },
 
-input[type="text"], input[type="number"] {
-    padding: 10px 12px;
-    border: 1px solid var(--border-color);
-    border-radius: var(--border-radius);
-    font-size: 1rem;
-    outline: none;
-    transition: border-color 0.2s, box-shadow 0.2s;
-}
-input[type="text"]:focus, input[type="number"]:focus {
-    border-color: var(--primary-color);
-    box-shadow: var(--input-focus-shadow);
-}
+    /**
+     * 為書籤列表附加 tags 字段 (標籤名數組)
+     */
+    async attachTags(env, sites) {
+        if (!sites || sites.length === 0) return sites;
+        const { results } = await env.NAV_DB.prepare(`
+            SELECT st.site_id, t.name FROM site_tags st
+            JOIN tags t ON t.id = st.tag_id
+            WHERE st.site_id IN (SELECT value FROM json_each(?))
+            ORDER BY t.name ASC
+        `).bind(JSON.stringify(sites.map(site => site.id))).all();
+
+        const tagsBySite = new Map();
+        results.forEach(row => {
+            if (!tagsBySite.has(row.site_id)) tagsBySite.set(row.site_id, []);
+            tagsBySite.get(row.site_id).push(row.name);
+        });
+        return sites.map(site => ({ ...site, tags: tagsBySite.get(site.id) || [] }));
+    },
 
-button {
-    background-color: var(--primary-color);
-    color: #fff;
-    border: none;
-    padding: 10px 15px;
-    border-radius: var(--border-radius);
-    cursor: pointer;
-    font-size: 1rem;
-    font-weight: 500;
-    transition: background-color 0.3s, transform 0.1s;
-}
-button:hover { background-color: var(--primary-hover-color); }
-button:active { transform: scale(0.98); }
+    async getTags(request, env, ctx) {
+        try {
+            // 未登入 (或無 read_private 權限) 時只統計公開書籤，且不返回僅用於私密書籤的標籤，以免洩露標籤名
+            const includePrivate = await admin.canReadPrivate(request, env);
+            const { results } = await env.NAV_DB.prepare(includePrivate ? `
+                SELECT t.id, t.name, COUNT(s.id) AS site_count
+                FROM tags t LEFT JOIN site_tags st ON st.tag_id = t.id
+                LEFT JOIN sites s ON s.id = st.site_id AND s.deleted_at IS NULL
+                GROUP BY t.id ORDER BY t.name ASC
+            ` : `${this.visibleCatalogsCte}
+                SELECT t.id, t.name, COUNT(s.id) AS site_count
+                FROM tags t JOIN site_tags st ON st.tag_id = t.id
+                JOIN sites s ON s.id = st.site_id AND s.deleted_at IS NULL AND s.is_private = 0
+                JOIN visible_catalogs v ON v.name = s.catelog
+                GROUP BY t.id ORDER BY t.name ASC
+            `).all();
+            return new Response(JSON.stringify({ code: 200, data: results }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch tags: ${e.message}`, 500);
+        }
+    },
 
-/* 選項卡 */
-.tab-buttons { display: flex; border-bottom: 2px solid var(--border-color); }
-.tab-button {
-    background: none;
-    border: none;
-    padding: 10px 15px;
-    cursor: pointer;
-    font-size: 1rem;
-    color: var(--muted-text-color);
-    border-bottom: 2px solid transparent;
-    margin-bottom: -2px;
-}
-.tab-button.active {
-    color: var(--primary-color);
-    border-bottom-color: var(--primary-color);
-    font-weight: 700;
-}
-.tab-content { display: none; padding-top: 1.5rem; }
-.tab-content.active { display: block; }
+    async createTag(request, env, ctx) {
+        try {
+            const { name } = await request.json();
+            const tagName = String(name ?? '').trim();
+            if (!tagName || tagName.includes(',')) {
+                return this.errorResponse('Tag name is required and must not contain commas', 400);
+            }
+            const existing = await env.NAV_DB.prepare('SELECT id FROM tags WHERE name = ?').bind(tagName).first();
+            if (existing) {
+                return this.errorResponse('Tag already exists', 409);
+            }
+            const insert = await env.NAV_DB.prepare('INSERT INTO tags (name) VALUES (?)').bind(tagName).run();
+            await this.audit(request, env, { action: 'create', entityType: 'tag', entityId: insert.meta.last_row_id, summary: tagName, after: { name: tagName } });
+            return new Response(JSON.stringify({ code: 201, message: 'Tag created successfully' }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create tag: ${e.message}`, 500);
+        }
+    },
 
-/* 表格 */
-.table-wrapper { overflow-x: auto; }
-table {
-    width: 100%;
-    border-collapse: collapse;
-    margin-bottom: 20px;
-}
-th, td {
-    border: 1px solid var(--border-color);
-    padding: 12px 15px;
-    text-align: left;
-    vertical-align: middle;
-}
-th {
-    background-color: #f8f9fa;
-    font-weight: 600;
-}
-tr:nth-child(even) { background-color: #f8f9fa; }
-#configTableBody tr, #catalogTableBody tr { cursor: move; }
-.sortable-ghost { opacity: 0.4; background-color: #cde4ff; }
-.sortable-drag { background-color: #eef; }
+    async updateTag(request, env, ctx, id) {
+        try {
+            const { name } = await request.json();
+            const tagName = String(name ?? '').trim();
+            if (!tagName || tagName.includes(',')) {
+                return this.errorResponse('Tag name is required and must not contain commas', 400);
+            }
+            const duplicate = await env.NAV_DB.prepare('SELECT id FROM tags WHERE name = ? AND id != ?').bind(tagName, id).first();
+            if (duplicate) {
+                return this.errorResponse('Tag already exists', 409);
+            }
+            const before = await env.NAV_DB.prepare('SELECT name FROM tags WHERE id = ?').bind(id).first();
+            const update = await env.NAV_DB.prepare('UPDATE tags SET name = ? WHERE id = ?').bind(tagName, id).run();
+            if (update.meta && update.meta.changes === 0) {
+                return this.errorResponse('Tag not found', 404);
+            }
+            await this.audit(request, env, { action: 'update', entityType: 'tag', entityId: id, summary: tagName, before, after: { name: tagName } });
+            return new Response(JSON.stringify({ code: 200, message: 'Tag updated successfully' }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to update tag: ${e.message}`, 500);
+        }
+    },
 
-/* 操作按鈕 */
-.actions { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
-.actions button { padding: 6px 10px; font-size: 0.875rem; }
-.edit-btn { background-color: var(--info-color); }
-.del-btn, .del-all-btn { background-color: var(--danger-color); }
-.del-btn:hover, .del-all-btn:hover { background-color: var(--danger-hover-color); }
-.privacy-toggle-btn {
-    background: none; border: none; cursor: pointer;
-    padding: 5px; font-size: 1.2rem; line-height: 1;
-}
+    async deleteTag(request, env, ctx, id) {
+        try {
+            const before = await env.NAV_DB.prepare(
+                'SELECT t.name, COUNT(st.site_id) AS site_count FROM tags t LEFT JOIN site_tags st ON st.tag_id = t.id WHERE t.id = ? GROUP BY t.id'
+            ).bind(id).first();
+            await env.NAV_DB.batch([
+                this.auditStatement(request, env, { action: 'delete', entityType: 'tag', entityId: id, summary: before ? before.name : '', before }),
+                env.NAV_DB.prepare('DELETE FROM site_tags WHERE tag_id = ?').bind(id),
+                env.NAV_DB.prepare('DELETE FROM tags WHERE id = ?').bind(id)
+            ]);
+            return new Response(JSON.stringify({ code: 200, message: 'Tag deleted successfully' }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to delete tag: ${e.message}`, 500);
+        }
+    },
 
-/* 分頁 */
-.pagination { text-align: center; margin-top: 20px; }
-.pagination button { margin: 0 5px; background-color: #fff; color: var(--text-color); border: 1px solid var(--border-color); }
-.pagination button:disabled { opacity: 0.5; cursor: not-allowed; }
+    // --- 新增：提交防護 ---
+    // 每個 IP 在各時間窗口 (秒) 內最多提交的次數，計數保存在 NAV_AUTH 的 submit_rate:* 中
+    submitRateLimits: [{ window: 600, max: 3 }, { window: 86400, max: 20 }],
+    submitChallengeModes: ['pow', 'turnstile', 'none'],
+    // 訪客提交時可選填的聯繫方式 (郵箱等)，僅審核者可見
+    submitContactLimit: 200,
+    // 工作量證明：SHA-256(challenge:nonce) 至少需要的前導零比特數，瀏覽器約需一到數秒
+    submitPowDifficulty: 16,
+    submitChallengeTtl: 600,
+    // 題目的簽名密鑰：優先使用 SUBMIT_CHALLENGE_SECRET，否則首次使用時生成並保存在 NAV_AUTH 中
+    submitChallengeSecretKey: 'submit_challenge_secret',
+    submitChallengeSecrets: new WeakMap(),
+    turnstileVerifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
 
-/* 消息提示 */
-#message { padding: 1rem; border-radius: var(--border-radius); margin-bottom: 1rem; color: #fff; }
-.success { background-color: #28a745; }
-.error { background-color: var(--danger-color); }
+    /**
+     * @returns {Promise<number>} - 超出限制時需等待的秒數，0 表示允許提交 (並已計數)
+     */
+    async consumeSubmitQuota(request, env) {
+        const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+        const now = Date.now();
+        const records = await Promise.all(this.submitRateLimits.map(async limit => {
+            const key = `submit_rate:${limit.window}:${ip}`;
+            const record = await env.NAV_AUTH.get(key, { type: 'json' }).catch(() => null);
+            return { key, limit, record: record && record.resetAt > now ? record : { count: 0, resetAt: now + limit.window * 1000 } };
+        }));
+        const exceeded = records.filter(({ limit, record }) => record.count >= limit.max);
+        if (exceeded.length > 0) {
+            return Math.max(...exceeded.map(({ record }) => Math.ceil((record.resetAt - now) / 1000)));
+        }
+        await Promise.all(records.map(({ key, record }) => env.NAV_AUTH.put(key, JSON.stringify({ ...record, count: record.count + 1 }), {
+            // KV 的最短過期時間為 60 秒
+            expirationTtl: Math.max(60, Math.ceil((record.resetAt - now) / 1000))
+        })));
+        return 0;
+    },
 
-/* 設置頁面 */
-.settings-form { max-width: 600px; }
-.form-group { margin-bottom: 1.5rem; }
-.form-group label { display: block; font-weight: 500; margin-bottom: 0.5rem; }
-.form-group input { width: 100%; }
-.settings-header { 
-    margin-top: 2.5rem; 
-    margin-bottom: 1.5rem; 
-    border-bottom: 1px solid var(--border-color); 
-    padding-bottom: 0.5rem; 
-}
-.settings-checkbox {
-    width: 20px;
-    height: 20px;
-    vertical-align: middle;
-}
-.settings-color-input {
-    padding: 5px;
-    height: 45px;
-    width: 100px;
-    border: 1px solid var(--border-color);
-    border-radius: var(--border-radius);
-    cursor: pointer;
-}
+    /**
+     * 當前的驗證方式：設置為 turnstile 但未配置 TURNSTILE_SITE_KEY / TURNSTILE_SECRET_KEY 時退回工作量證明
+     */
+    async getSubmitChallengeMode(env) {
+        const mode = await env.NAV_SETTINGS?.get('frontend_submit_challenge') || 'pow';
+        if (mode === 'turnstile' && !(env.TURNSTILE_SITE_KEY && env.TURNSTILE_SECRET_KEY)) {
+            return 'pow';
+        }
+        return this.submitChallengeModes.includes(mode) ? mode : 'pow';
+    },
 
-/* 模態框 */
-.modal {
-    display: none; position: fixed; z-index: 1000;
-    left: 0; top: 0; width: 100%; height: 100%;
-    overflow: auto; background-color: rgba(0,0,0,0.5);
-}
-.modal-content {
-    background-color: #fff; margin: 10% auto; padding: 20px;
-    border: 1px solid var(--border-color); width: 60%;
-    border-radius: var(--border-radius); position: relative;
-    box-shadow: var(--box-shadow);
-}
-.modal-close {
-    color: #6c757d; position: absolute; right: 10px; top: 0;
-    font-size: 28px; font-weight: bold; cursor: pointer;
-}
-.modal-close:hover, .modal-close:focus { color: #343a40; }
-.modal-content form { display: flex; flex-direction: column; }
-.modal-content form label { margin-bottom: 5px; font-weight: 500; }
-.modal-content form input { margin-bottom: 10px; width: calc(100% - 24px); }
-.modal-content button[type='submit'] { margin-top: 10px; }
-`,
-           'admin.js': `
-          const configTableBody = document.getElementById('configTableBody');
-          const prevPageBtn = document.getElementById('prevPage');
-          const nextPageBtn = document.getElementById('nextPage');
+    async getSubmitChallenge(request, env, ctx) {
+        try {
+            const mode = await this.getSubmitChallengeMode(env);
+            let data = { type: mode };
+            if (mode === 'turnstile') {
+                data.siteKey = env.TURNSTILE_SITE_KEY;
+            } else if (mode === 'pow') {
+                // 題目為「過期時間.隨機數.簽名」，無需保存，以免公開接口被用來消耗 KV 寫入額度
+                const expiresAt = Math.floor(Date.now() / 1000) + this.submitChallengeTtl;
+                const random = [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+                const signature = await hmacSha256Hex(await this.getSubmitChallengeSecret(env), `${expiresAt}.${random}`);
+                data = { ...data, challenge: `${expiresAt}.${random}.${signature}`, difficulty: this.submitPowDifficulty };
+            }
+            return new Response(JSON.stringify({ code: 200, data }), {
+                headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create challenge: ${e.message}`, 500);
+        }
+    },
+
+    /**
+     * 多個 isolate 可能同時生成密鑰，寫入後以 KV 中的值為準；校驗失敗時傳 refresh 重新讀取，
+     * 以免本 isolate 一直使用已被覆蓋的密鑰
+     */
+    async getSubmitChallengeSecret(env, refresh = false) {
+        if (env.SUBMIT_CHALLENGE_SECRET) {
+            return env.SUBMIT_CHALLENGE_SECRET;
+        }
+        if (refresh || !this.submitChallengeSecrets.has(env.NAV_AUTH)) {
+            let secret = await env.NAV_AUTH.get(this.submitChallengeSecretKey);
+            if (!secret) {
+                await env.NAV_AUTH.put(this.submitChallengeSecretKey, [...crypto.getRandomValues(new Uint8Array(32))].map(byte => byte.toString(16).padStart(2, '0')).join(''));
+                secret = await env.NAV_AUTH.get(this.submitChallengeSecretKey);
+            }
+            this.submitChallengeSecrets.set(env.NAV_AUTH, secret);
+        }
+        return this.submitChallengeSecrets.get(env.NAV_AUTH);
+    },
+
+    /**
+     * 校驗提交附帶的 challenge：pow 為 {challenge, nonce}，turnstile 為 {token}
+     * 工作量證明的題目只能使用一次：通過校驗後才記錄到 NAV_AUTH 的 submit_pow:* 中 (受提交頻率限制)
+     */
+    async verifySubmitChallenge(request, env, challenge) {
+        const mode = await this.getSubmitChallengeMode(env);
+        if (mode === 'none') {
+            return true;
+        }
+        if (!challenge || typeof challenge !== 'object') {
+            return false;
+        }
+        if (mode === 'turnstile') {
+            return await this.verifyTurnstileToken(request, env, challenge.token);
+        }
+
+        const [expiresAt, random, signature] = String(challenge.challenge || '').slice(0, 200).split('.');
+        const remaining = parseInt(expiresAt, 10) - Math.floor(Date.now() / 1000);
+        if (!/^\d+$/.test(expiresAt || '') || !random || !signature || !(remaining > 0)) {
+            return false;
+        }
+        const expected = refresh => this.getSubmitChallengeSecret(env, refresh).then(secret => hmacSha256Hex(secret, `${expiresAt}.${random}`));
+        if (!admin.timingSafeEqual(await expected(false), signature) && !admin.timingSafeEqual(await expected(true), signature)) {
+            return false;
+        }
+        const hash = await admin.sha256Hex(`${challenge.challenge}:${String(challenge.nonce ?? '').slice(0, 32)}`);
+        if (this.leadingZeroBits(hash) < this.submitPowDifficulty) {
+            return false;
+        }
+        const key = `submit_pow:${random}`;
+        if (await env.NAV_AUTH.get(key)) {
+            return false;
+        }
+        // KV 的最短過期時間為 60 秒
+        await env.NAV_AUTH.put(key, '1', { expirationTtl: Math.max(60, remaining) });
+        return true;
+    },
+
+    leadingZeroBits(hex) {
+        let bits = 0;
+        for (const char of hex) {
+            const value = parseInt(char, 16);
+            if (value === 0) {
+                bits += 4;
+                continue;
+            }
+            return bits + Math.clz32(value) - 28;
+        }
+        return bits;
+    },
+
+    async verifyTurnstileToken(request, env, token) {
+        if (!token) {
+            return false;
+        }
+        try {
+            const body = new FormData();
+            body.append('secret', env.TURNSTILE_SECRET_KEY);
+            body.append('response', String(token));
+            const ip = request.headers.get('CF-Connecting-IP');
+            if (ip) body.append('remoteip', ip);
+            const response = await fetch(this.turnstileVerifyUrl, { method: 'POST', body });
+            const result = await response.json();
+            return result.success === true;
+        } catch (e) {
+            console.error('Turnstile verification failed:', e.message);
+            return false;
+        }
+    },
+
+    /**
+     * 黑名單條目的 pattern 統一保存為歸一化形式：domain 為小寫主機名 (去掉 www.)，url 為 normalizeUrl 的結果
+     * @returns {string|null} - 無法識別時返回 null
+     */
+    normalizeBlocklistPattern(type, pattern) {
+        const value = String(pattern ?? '').trim();
+        if (!value) {
+            return null;
+        }
+        if (type === 'url') {
+            return normalizeUrl(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+        }
+        const key = normalizeUrl(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+        const host = key && key.split(/[/?]/)[0].replace(/:\d+$/, '');
+        return host && /^[a-z0-9.-]+$/.test(host) && !host.startsWith('.') ? host : null;
+    },
+
+    async findBlocklistEntry(env, url) {
+        const key = normalizeUrl(url);
+        if (!key) {
+            return null;
+        }
+        const host = key.split(/[/?]/)[0].replace(/:\d+$/, '');
+        const { results } = await env.NAV_DB.prepare('SELECT * FROM submit_blocklist').all();
+        return results.find(entry => entry.type === 'domain'
+            ? host === entry.pattern || host.endsWith(`.${entry.pattern}`)
+            : key === entry.pattern || key.startsWith(entry.pattern.endsWith('/') ? entry.pattern : `${entry.pattern}/`) || key.startsWith(`${entry.pattern}?`)
+        ) || null;
+    },
+
+    async getBlocklist(request, env, ctx) {
+        try {
+            const { results } = await env.NAV_DB.prepare('SELECT * FROM submit_blocklist ORDER BY type ASC, pattern ASC').all();
+            return new Response(JSON.stringify({ code: 200, data: results }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to get blocklist: ${e.message}`, 500);
+        }
+    },
+
+    async createBlocklistEntry(request, env, ctx) {
+        try {
+            const { type, pattern, note } = await request.json();
+            if (!['domain', 'url'].includes(type)) {
+                return this.errorResponse('type must be domain or url', 400);
+            }
+            const normalized = this.normalizeBlocklistPattern(type, pattern);
+            if (!normalized || normalized.length > this.importLimits.url) {
+                return this.errorResponse(type === 'domain' ? 'Invalid domain' : 'Invalid URL', 400);
+            }
+            const existing = await env.NAV_DB.prepare('SELECT id FROM submit_blocklist WHERE type = ? AND pattern = ?').bind(type, normalized).first();
+            if (existing) {
+                return this.errorResponse('This entry is already in the blocklist', 409);
+            }
+            const entryNote = String(note ?? '').trim().slice(0, this.importLimits.desc) || null;
+            const insert = await env.NAV_DB.prepare('INSERT INTO submit_blocklist (type, pattern, note) VALUES (?, ?, ?)').bind(type, normalized, entryNote).run();
+            await this.audit(request, env, {
+                action: 'create', entityType: 'blocklist', entityId: insert.meta.last_row_id, summary: normalized,
+                after: { type, pattern: normalized, note: entryNote }
+            });
+            return new Response(JSON.stringify({ code: 201, message: 'Blocklist entry created successfully' }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create blocklist entry: ${e.message}`, 500);
+        }
+    },
+
+    async deleteBlocklistEntry(request, env, ctx, id) {
+        try {
+            const before = await env.NAV_DB.prepare('SELECT type, pattern, note FROM submit_blocklist WHERE id = ?').bind(id).first();
+            if (!before) {
+                return this.errorResponse('Blocklist entry not found', 404);
+            }
+            await env.NAV_DB.batch([
+                this.auditStatement(request, env, { action: 'delete', entityType: 'blocklist', entityId: id, summary: before.pattern, before }),
+                env.NAV_DB.prepare('DELETE FROM submit_blocklist WHERE id = ?').bind(id)
+            ]);
+            return new Response(JSON.stringify({ code: 200, message: 'Blocklist entry deleted successfully' }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to delete blocklist entry: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：Webhook ---
+    /**
+     * 校驗並整理 Webhook 配置；partial 為 true 時 (修改) 未提供的字段保持不變
+     * @returns {{error?: string, values?: object}}
+     */
+    parseWebhookInput(input, partial = false) {
+        const values = {};
+        if (!partial || input.name !== undefined) {
+            values.name = String(input.name ?? '').trim();
+            if (!values.name || values.name.length > this.importLimits.name) {
+                return { error: `name is required and must not exceed ${this.importLimits.name} characters` };
+            }
+        }
+        if (!partial || input.url !== undefined) {
+            values.url = String(input.url ?? '').trim();
+            let parsed = null;
+            try {
+                parsed = new URL(values.url);
+            } catch (e) {}
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || values.url.length > this.importLimits.url) {
+                return { error: 'url must be a valid http(s) URL' };
+            }
+        }
+        if (!partial || input.events !== undefined) {
+            const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+            if (events.length === 0 || events.some(event => !webhooks.events.includes(event))) {
+                return { error: `events must be a non-empty list of: ${webhooks.events.join(', ')}` };
+            }
+            values.events = events.join(',');
+        }
+        if (input.enabled !== undefined) {
+            if (![0, 1, true, false].includes(input.enabled)) {
+                return { error: 'enabled must be 0 or 1' };
+            }
+            values.enabled = input.enabled ? 1 : 0;
+        }
+        // 未提供密鑰時自動生成 (修改時傳空字符串表示重新生成)
+        if (!partial || input.secret !== undefined) {
+            values.secret = String(input.secret ?? '').trim() ||
+                [...crypto.getRandomValues(new Uint8Array(32))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            if (values.secret.length < 16 || values.secret.length > 256) {
+                return { error: 'secret must be 16 to 256 characters' };
+            }
+        }
+        return { values };
+    },
+
+    // 列表中只顯示密鑰前幾位
+    maskWebhook(hook) {
+        const { secret, ...rest } = hook;
+        return { ...rest, events: hook.events.split(','), secret_prefix: secret.slice(0, 6) };
+    },
+
+    async getWebhooks(request, env, ctx) {
+        try {
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT w.*,
+                       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS queued,
+                       (SELECT status FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.attempts > 0 ORDER BY d.last_attempt_at DESC, d.id DESC LIMIT 1) AS last_status
+                FROM webhooks w ORDER BY w.id ASC
+            `).all();
+            return new Response(JSON.stringify({
+                code: 200,
+                data: results.map(hook => this.maskWebhook(hook)),
+                events: webhooks.events
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to get webhooks: ${e.message}`, 500);
+        }
+    },
+
+    async createWebhook(request, env, ctx) {
+        try {
+            const { error, values } = this.parseWebhookInput(await request.json());
+            if (error) {
+                return this.errorResponse(error, 400);
+            }
+            const insert = await env.NAV_DB.prepare('INSERT INTO webhooks (name, url, secret, events, enabled) VALUES (?, ?, ?, ?, ?)')
+                .bind(values.name, values.url, values.secret, values.events, values.enabled ?? 1).run();
+            const { secret, ...logged } = values;
+            await this.audit(request, env, { action: 'create', entityType: 'webhook', entityId: insert.meta.last_row_id, summary: values.name, after: logged });
+            // 密鑰只在創建時完整返回一次
+            return new Response(JSON.stringify({
+                code: 201,
+                message: 'Webhook created successfully',
+                data: { id: insert.meta.last_row_id, secret }
+            }), { status: 201, headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to create webhook: ${e.message}`, 500);
+        }
+    },
+
+    async updateWebhook(request, env, ctx, id) {
+        try {
+            const before = await env.NAV_DB.prepare('SELECT name, url, secret, events, enabled FROM webhooks WHERE id = ?').bind(id).first();
+            if (!before) {
+                return this.errorResponse('Webhook not found', 404);
+            }
+            const { error, values } = this.parseWebhookInput(await request.json(), true);
+            if (error) {
+                return this.errorResponse(error, 400);
+            }
+            const fields = Object.keys(values);
+            if (fields.length === 0) {
+                return this.errorResponse('Nothing to update', 400);
+            }
+            const { secret: oldSecret, ...loggedBefore } = before;
+            const { secret, ...loggedAfter } = { ...before, ...values };
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare(`UPDATE webhooks SET ${fields.map(field => `${field} = ?`).join(', ')}, update_time = CURRENT_TIMESTAMP WHERE id = ?`)
+                    .bind(...fields.map(field => values[field]), id),
+                this.auditStatement(request, env, {
+                    action: 'update', entityType: 'webhook', entityId: id, summary: loggedAfter.name,
+                    // 日誌中不記錄密鑰本身
+                    before: loggedBefore, after: secret !== oldSecret ? { ...loggedAfter, secret: '已更換' } : loggedAfter
+                })
+            ]);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Webhook updated successfully',
+                data: values.secret !== undefined ? { secret: values.secret } : null
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to update webhook: ${e.message}`, 500);
+        }
+    },
+
+    async deleteWebhook(request, env, ctx, id) {
+        try {
+            const before = await env.NAV_DB.prepare('SELECT name, url, events, enabled FROM webhooks WHERE id = ?').bind(id).first();
+            if (!before) {
+                return this.errorResponse('Webhook not found', 404);
+            }
+            // 發送記錄由 webhooks_ad 觸發器刪除
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('DELETE FROM webhooks WHERE id = ?').bind(id),
+                this.auditStatement(request, env, { action: 'delete', entityType: 'webhook', entityId: id, summary: before.name, before })
+            ]);
+            return new Response(JSON.stringify({ code: 200, message: 'Webhook deleted successfully' }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to delete webhook: ${e.message}`, 500);
+        }
+    },
+
+    // 立即發送一條 ping 事件 (不受事件訂閱和啟用狀態限制) 並返回結果
+    async testWebhook(request, env, ctx, id) {
+        try {
+            const hook = await env.NAV_DB.prepare('SELECT * FROM webhooks WHERE id = ?').bind(id).first();
+            if (!hook) {
+                return this.errorResponse('Webhook not found', 404);
+            }
+            const actor = this.auditActors.get(request) || {};
+            const payload = JSON.stringify({ event: 'ping', timestamp: new Date().toISOString(), data: { webhookId: hook.id, actor: { username: actor.username ?? null } } });
+            const insert = await webhooks.insertDelivery(env, hook.id, 'ping', payload).run();
+            const result = await webhooks.deliver(env, hook, { id: insert.meta.last_row_id, event: 'ping', payload, attempts: 0 });
+            return new Response(JSON.stringify({
+                code: 200,
+                message: result.status === 'success' ? `測試成功 (HTTP ${result.response_status})` : `測試失敗：${result.error || `HTTP ${result.response_status}`}`,
+                data: result
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to test webhook: ${e.message}`, 500);
+        }
+    },
+
+    async getWebhookDeliveries(request, env, ctx, url) {
+        const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10));
+        const pageSize = Math.min(100, Math.max(1, parseInt(url.searchParams.get('pageSize') || '20', 10)));
+        const webhookId = url.searchParams.get('webhookId');
+        const status = url.searchParams.get('status');
+        const conditions = [];
+        const params = [];
+        if (webhookId) {
+            conditions.push('d.webhook_id = ?');
+            params.push(Number(webhookId));
+        }
+        if (status) {
+            conditions.push('d.status = ?');
+            params.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        try {
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT d.*, w.name AS webhook_name FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                ${where} ORDER BY d.id DESC LIMIT ? OFFSET ?
+            `).bind(...params, pageSize, (page - 1) * pageSize).all();
+            const count = await env.NAV_DB.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries d ${where}`).bind(...params).first();
+            return new Response(JSON.stringify({ code: 200, data: results, total: count.total, page, pageSize }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to get webhook deliveries: ${e.message}`, 500);
+        }
+    },
+
+    // 手動重試：立即重新發送，重試次數從頭計算
+    async retryWebhookDelivery(request, env, ctx, id) {
+        try {
+            const delivery = await env.NAV_DB.prepare(`
+                SELECT d.id, d.event, d.payload, w.id AS webhook_id, w.url, w.secret
+                FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ?
+            `).bind(id).first();
+            if (!delivery) {
+                return this.errorResponse('Delivery not found', 404);
+            }
+            await webhooks.lease(env, [delivery.id]);
+            const result = await webhooks.deliver(env, { id: delivery.webhook_id, url: delivery.url, secret: delivery.secret }, { ...delivery, attempts: 0 });
+            return new Response(JSON.stringify({
+                code: 200,
+                message: result.status === 'success' ? `發送成功 (HTTP ${result.response_status})` : `發送失敗：${result.error || `HTTP ${result.response_status}`}`,
+                data: result
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to retry delivery: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：點擊統計 ---
+    analyticsRanges: [7, 30, 90, 365],
+    // 從未被點擊的書籤最多返回的條數
+    neverClickedLimit: 100,
+
+    /**
+     * 統計範圍內 (含今天，按 UTC 日期) 的點擊總覽、熱門書籤、各分類每日趨勢和從未被點擊的書籤
+     * 回收站中的書籤不計入；「從未被點擊」指保留期內沒有任何點擊記錄
+     */
+    async getAnalytics(request, env, ctx, url) {
+        const days = Number(url.searchParams.get('days') || 30);
+        if (!this.analyticsRanges.includes(days)) {
+            return this.errorResponse(`days must be one of ${this.analyticsRanges.join(', ')}`, 400);
+        }
+        try {
+            const since = `-${days - 1} days`;
+            const [totals, topSites, catalogDays, neverClicked, neverClickedCount] = await env.NAV_DB.batch([
+                env.NAV_DB.prepare(`
+                    SELECT COALESCE(SUM(k.clicks), 0) AS clicks,
+                           COALESCE(SUM(CASE WHEN k.day = date('now') THEN k.clicks END), 0) AS today,
+                           COUNT(DISTINCT k.site_id) AS sites
+                    FROM site_clicks k JOIN sites s ON s.id = k.site_id
+                    WHERE k.day >= date('now', ?) AND s.deleted_at IS NULL
+                `).bind(since),
+                env.NAV_DB.prepare(`
+                    SELECT s.id, s.name, s.url, s.logo, s.catelog, s.is_private, SUM(k.clicks) AS clicks, MAX(k.day) AS last_day
+                    FROM site_clicks k JOIN sites s ON s.id = k.site_id
+                    WHERE k.day >= date('now', ?) AND s.deleted_at IS NULL
+                    GROUP BY s.id ORDER BY clicks DESC, s.sort_order ASC LIMIT 20
+                `).bind(since),
+                env.NAV_DB.prepare(`
+                    SELECT s.catelog, k.day, SUM(k.clicks) AS clicks
+                    FROM site_clicks k JOIN sites s ON s.id = k.site_id
+                    WHERE k.day >= date('now', ?) AND s.deleted_at IS NULL
+                    GROUP BY s.catelog, k.day
+                `).bind(since),
+                env.NAV_DB.prepare(`
+                    SELECT id, name, url, catelog, is_private, create_time FROM sites
+                    WHERE deleted_at IS NULL AND id NOT IN (SELECT site_id FROM site_clicks)
+                    ORDER BY create_time ASC, id ASC LIMIT ?
+                `).bind(this.neverClickedLimit),
+                env.NAV_DB.prepare('SELECT COUNT(*) AS total FROM sites WHERE deleted_at IS NULL AND id NOT IN (SELECT site_id FROM site_clicks)')
+            ]);
+
+            // 補齊沒有點擊的日期，前端可直接按下標繪製趨勢
+            const dayList = [];
+            const today = new Date();
+            for (let i = days - 1; i >= 0; i--) {
+                dayList.push(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i)).toISOString().slice(0, 10));
+            }
+            const dayIndex = new Map(dayList.map((day, index) => [day, index]));
+            const catalogs = new Map();
+            catalogDays.results.forEach(row => {
+                if (!dayIndex.has(row.day)) return;
+                if (!catalogs.has(row.catelog)) {
+                    catalogs.set(row.catelog, { catelog: row.catelog, total: 0, series: dayList.map(() => 0) });
+                }
+                const entry = catalogs.get(row.catelog);
+                entry.series[dayIndex.get(row.day)] += row.clicks;
+                entry.total += row.clicks;
+            });
+
+            return new Response(JSON.stringify({
+                code: 200,
+                data: {
+                    days: dayList,
+                    totals: totals.results[0],
+                    topSites: topSites.results,
+                    catalogs: [...catalogs.values()].sort((a, b) => b.total - a.total),
+                    neverClicked: neverClicked.results,
+                    neverClickedTotal: neverClickedCount.results[0].total
+                }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to load analytics: ${e.message}`, 500);
+        }
+    },
+
+    async getSettings(request, env, ctx) {
+        try {
+            if (!env.NAV_SETTINGS) {
+                return this.errorResponse('KV namespace for settings is not bound.', 500);
+            }
+            
+            const settingKeys = {
+                bg_image: 'frontend_bg_image',
+                title_size: 'frontend_title_size',
+                title_color: 'frontend_title_color',
+                dark_mode: 'frontend_dark_mode',
+                main_title: 'frontend_main_title',
+                subtitle: 'frontend_subtitle',
+                sidebar_title: 'frontend_sidebar_title',
+                tab_title: 'frontend_tab_title',
+                tab_icon: 'frontend_tab_icon',
+                show_add_button: 'frontend_show_add_button',
+                site_sort: 'frontend_site_sort',
+                submit_challenge: 'frontend_submit_challenge'
+            };
+            const defaultSettings = {
+                bg_image: '',
+                title_size: '48',
+                title_color: '#FFFFFF',
+                dark_mode: '0',
+                main_title: 'aki',
+                subtitle: '我的個人公開書籤',
+                sidebar_title: 'aki',
+                tab_title: 'aki nav',
+                tab_icon: 'https://img.tool.hidns.vip/file/1749062089225_apple-touch-icon.png',
+                show_add_button: '1',
+                site_sort: 'manual',
+                submit_challenge: 'pow'
+            };
+
+            const settings = { ...defaultSettings };
+            for (const key in settingKeys) {
+                const value = await env.NAV_SETTINGS.get(settingKeys[key]);
+                if (value !== null) {
+                    settings[key] = value;
+                }
+            }
+
+            return new Response(JSON.stringify({ code: 200, data: settings }), { 
+                headers: { 'Content-Type': 'application/json' } 
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to get settings: ${e.message}`, 500);
+        }
+    },
+
+    async updateSettings(request, env, ctx) {
+        try {
+            if (!env.NAV_SETTINGS) {
+                return this.errorResponse('KV namespace for settings is not bound.', 500);
+            }
+            const settings = await request.json();
+            const settingKeys = {
+                bg_image: 'frontend_bg_image',
+                title_size: 'frontend_title_size',
+                title_color: 'frontend_title_color',
+                dark_mode: 'frontend_dark_mode',
+                main_title: 'frontend_main_title',
+                subtitle: 'frontend_subtitle',
+                sidebar_title: 'frontend_sidebar_title',
+                tab_title: 'frontend_tab_title',
+                tab_icon: 'frontend_tab_icon',
+                show_add_button: 'frontend_show_add_button',
+                site_sort: 'frontend_site_sort',
+                submit_challenge: 'frontend_submit_challenge'
+            };
+
+            const changedKeys = Object.keys(settingKeys).filter(key => settings[key] !== undefined);
+            const previous = await Promise.all(changedKeys.map(key => env.NAV_SETTINGS.get(settingKeys[key])));
+
+            const promises = Object.keys(settingKeys).map(key => {
+                if (settings[key] !== undefined) {
+                    return env.NAV_SETTINGS.put(settingKeys[key], settings[key]);
+                }
+            });
+
+            await Promise.all(promises.filter(Boolean));
+            await this.audit(request, env, {
+                action: 'update', entityType: 'settings', summary: '外觀設置',
+                before: Object.fromEntries(changedKeys.map((key, index) => [key, previous[index]])),
+                after: Object.fromEntries(changedKeys.map(key => [key, String(settings[key])]))
+            });
+
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Settings updated successfully'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to update settings: ${e.message}`, 500);
+        }
+    },
+
+    errorResponse(message, status) {
+        return new Response(JSON.stringify({code: status, message: message}), {
+            status: status,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }, // <--- 注意這裡的逗號
+
+    // --- 新增：操作日誌 ---
+    // 當前請求的操作者，由 handleRequest 在權限檢查通過後記錄
+    auditActors: new WeakMap(),
+
+    /**
+     * 只保留前後不同的字段；新增時 before 為 null，刪除時 after 為 null
+     * @returns {{before: object|null, after: object|null}}
+     */
+    diffRecords(before, after) {
+        if (!before || !after) return { before: before || null, after: after || null };
+        const changed = Object.keys({ ...before, ...after })
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        return {
+            before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+            after: Object.fromEntries(changed.map(key => [key, after[key] ?? null]))
+        };
+    },
+
+    /**
+     * 寫入操作日誌的語句，可與修改操作放在同一個 batch 中
+     * @param {{action: string, entityType: string, entityId?: *, summary?: string, before?: object, after?: object}} entry
+     */
+    auditStatement(request, env, { action, entityType, entityId = null, summary = '', before = null, after = null }) {
+        const actor = this.auditActors.get(request) || {};
+        webhooks.collectAudit(request, { action, entityType, entityId, summary, before, after, actor });
+        return env.NAV_DB.prepare(`
+            INSERT INTO audit_log (user_id, username, token_id, action, entity_type, entity_id, summary, changes, ip)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            actor.id ?? null,
+            actor.username ?? null,
+            actor.tokenId ?? null,
+            action,
+            entityType,
+            entityId === null ? null : String(entityId),
+            summary,
+            JSON.stringify(this.diffRecords(before, after)),
+            request.headers.get('CF-Connecting-IP') || null
+        );
+    },
+
+    // 日誌寫入失敗不影響已完成的修改
+    async audit(request, env, entry) {
+        try {
+            await this.auditStatement(request, env, entry).run();
+        } catch (e) {
+            console.error('Failed to write audit log:', e.message);
+        }
+    },
+
+    async getSiteSnapshot(env, id) {
+        const site = await env.NAV_DB.prepare(
+            'SELECT id, name, url, logo, desc, catelog, is_private, sort_order FROM sites WHERE id = ? AND deleted_at IS NULL'
+        ).bind(id).first();
+        return site ? (await this.attachTags(env, [site]))[0] : null;
+    },
+
+    async getCatalogSnapshot(env, column, value) {
+        return await env.NAV_DB.prepare(
+            `SELECT id, name, icon, parent_id, sort_order, is_private FROM catalogs WHERE ${column === 'name' ? 'name' : 'id'} = ? AND deleted_at IS NULL`
+        ).bind(value).first();
+    },
+
+    /**
+     * 篩選條件：entityType、action、user、q (摘要 / 對象 ID / 變更內容)、from / to (YYYY-MM-DD)
+     */
+    buildAuditFilters(url) {
+        const conditions = [];
+        const params = [];
+        const entityType = url.searchParams.get('entityType');
+        const action = url.searchParams.get('action');
+        const user = url.searchParams.get('user');
+        const keyword = url.searchParams.get('q');
+        const from = url.searchParams.get('from');
+        const to = url.searchParams.get('to');
+        if (entityType) {
+            conditions.push('entity_type = ?');
+            params.push(entityType);
+        }
+        if (action) {
+            conditions.push('action = ?');
+            params.push(action);
+        }
+        if (user) {
+            conditions.push('username = ?');
+            params.push(user);
+        }
+        if (keyword) {
+            conditions.push('(summary LIKE ? OR entity_id = ? OR changes LIKE ?)');
+            params.push(`%${keyword}%`, keyword, `%${keyword}%`);
+        }
+        if (from && /^\d{4}-\d{2}-\d{2}$/.test(from)) {
+            conditions.push('create_time >= ?');
+            params.push(from);
+        }
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            conditions.push("create_time < date(?, '+1 day')");
+            params.push(to);
+        }
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    },
+
+    async getAuditLog(request, env, ctx, url) {
+        const page = Math.max(parseInt(url.searchParams.get('page') || '1', 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(url.searchParams.get('pageSize') || '20', 10) || 20, 1), 100);
+        try {
+            const { where, params } = this.buildAuditFilters(url);
+            const { results } = await env.NAV_DB.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+                .bind(...params, pageSize, (page - 1) * pageSize).all();
+            const countResult = await env.NAV_DB.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`).bind(...params).first();
+            const { results: users } = await env.NAV_DB.prepare(
+                'SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username'
+            ).all();
+            return new Response(JSON.stringify({
+                code: 200,
+                data: results.map(row => ({ ...row, changes: JSON.parse(row.changes || 'null') })),
+                total: countResult ? countResult.total : 0,
+                page,
+                pageSize,
+                users: users.map(row => row.username)
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch audit log: ${e.message}`, 500);
+        }
+    },
+
+    // 導出與列表相同篩選條件下的記錄，最多 auditExportLimit 條
+    auditExportLimit: 10000,
+
+    async exportAuditLog(request, env, ctx, url) {
+        try {
+            const { where, params } = this.buildAuditFilters(url);
+            const { results } = await env.NAV_DB.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+                .bind(...params, this.auditExportLimit).all();
+            const csv = toCsv([
+                ['id', 'time', 'username', 'token_id', 'action', 'entity_type', 'entity_id', 'summary', 'changes', 'ip'],
+                ...results.map(row => [
+                    row.id, row.create_time, row.username, row.token_id, row.action,
+                    row.entity_type, row.entity_id, row.summary, row.changes, row.ip
+                ])
+            ]);
+            return new Response(csv, {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="audit-log.csv"'
+                }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to export audit log: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：數據快照 ---
+    /**
+     * 破壞性操作前自動創建快照；快照失敗時拋出錯誤，中止後續操作
+     */
+    async snapshotBefore(request, env, reason) {
+        const actor = this.auditActors.get(request) || {};
+        try {
+            return await snapshots.create(env, reason, actor.username ?? null);
+        } catch (e) {
+            throw new Error(`Failed to create snapshot before ${reason}: ${e.message}`);
+        }
+    },
+
+    async getSnapshots(request, env, ctx) {
+        try {
+            return new Response(JSON.stringify({ code: 200, data: await snapshots.list(env) }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch snapshots: ${e.message}`, 500);
+        }
+    },
+
+    async createSnapshot(request, env, ctx) {
+        try {
+            const actor = this.auditActors.get(request) || {};
+            const snapshot = await snapshots.create(env, 'manual', actor.username ?? null);
+            await this.audit(request, env, {
+                action: 'create', entityType: 'snapshot', entityId: snapshot.id, summary: `${snapshot.site_count} 個書籤`,
+                after: snapshot
+            });
+            return new Response(JSON.stringify({ code: 201, message: 'Snapshot created', data: snapshot }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create snapshot: ${e.message}`, 500);
+        }
+    },
+
+    async diffSnapshot(request, env, ctx, id) {
+        try {
+            const diff = await snapshots.diff(env, id);
+            if (!diff) {
+                return this.errorResponse('Snapshot not found', 404);
+            }
+            return new Response(JSON.stringify({ code: 200, data: diff }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to diff snapshot: ${e.message}`, 500);
+        }
+    },
+
+    async restoreSnapshot(request, env, ctx, id) {
+        try {
+            const exists = await env.NAV_DB.prepare('SELECT id, create_time FROM snapshots WHERE id = ?').bind(id).first();
+            if (!exists) {
+                return this.errorResponse('Snapshot not found', 404);
+            }
+            // 恢復前先保存當前狀態，恢復本身也可以撤銷
+            const backup = await this.snapshotBefore(request, env, 'restore');
+            const restored = await snapshots.restore(env, id);
+            await this.audit(request, env, {
+                action: 'restore', entityType: 'snapshot', entityId: id, summary: exists.create_time,
+                after: { ...restored, backup_snapshot_id: backup.id }
+            });
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已恢復到 ${exists.create_time} 的快照 (${restored.sites} 個書籤，${restored.catalogs} 個分類)，恢復前的數據已保存為快照 #${backup.id}`,
+                data: { ...restored, backupSnapshotId: backup.id }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to restore snapshot: ${e.message}`, 500);
+        }
+    },
+
+    async deleteSnapshot(request, env, ctx, id) {
+        try {
+            const snapshot = await env.NAV_DB.prepare(
+                'SELECT id, reason, create_time, site_count, catalog_count FROM snapshots WHERE id = ?'
+            ).bind(id).first();
+            if (!snapshot) {
+                return this.errorResponse('Snapshot not found', 404);
+            }
+            await env.NAV_DB.batch([
+                env.NAV_DB.prepare('DELETE FROM snapshots WHERE id = ?').bind(id),
+                this.auditStatement(request, env, {
+                    action: 'delete', entityType: 'snapshot', entityId: id, summary: snapshot.create_time, before: snapshot
+                })
+            ]);
+            return new Response(JSON.stringify({ code: 200, message: 'Snapshot deleted' }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to delete snapshot: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：分類導入/導出功能 ---
+    async exportCategory(request, env, ctx, url) {
+        const categoryName = url.searchParams.get('name');
+        if (!categoryName) {
+            return this.errorResponse('Category name is required', 400);
+        }
+        try {
+            // 僅導出指定分類的書籤
+            const { results } = await env.NAV_DB.prepare('SELECT * FROM sites WHERE catelog = ? AND deleted_at IS NULL ORDER BY sort_order ASC')
+                .bind(categoryName)
+                .all();
+            
+            // 命名為該分類名稱.json
+            const filename = `${encodeURIComponent(categoryName)}.json`;
+
+            return new Response(JSON.stringify(await this.attachTags(env, results), null, 4), {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Disposition': `attachment; filename="${filename}"`
+                }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to export category: ${e.message}`, 500);
+        }
+    },
+
+    async importCategory(request, env, ctx, url) {
+        const categoryName = url.searchParams.get('name');
+        if (!categoryName) {
+            return this.errorResponse('Category name is required', 400);
+        }
+
+        try {
+            const jsonData = await request.json();
+            if (!Array.isArray(jsonData)) {
+                return this.errorResponse('Invalid JSON data. Must be an array.', 400);
+            }
+
+            const mode = url.searchParams.get('mode') || 'skip';
+            if (!this.importModes.includes(mode)) {
+                return this.errorResponse(`Invalid import mode, expected one of: ${this.importModes.join(', ')}`, 400);
+            }
+
+            // 只導入分類名稱匹配的書籤，其餘行直接忽略
+            const { valid, rejected } = this.validateImportRows(jsonData, categoryName);
+
+            if (valid.length === 0 && rejected.length === 0) {
+                return new Response(JSON.stringify({
+                    code: 200,
+                    message: '文件中未找到匹配此分類的書籤。'
+                }), { headers: { 'Content-Type': 'application/json' } });
+            }
+            if (valid.length === 0) {
+                return this.rejectedImportResponse(rejected);
+            }
+            const trashedError = await this.trashedCatalogError(env, [categoryName]);
+            if (trashedError) {
+                return trashedError;
+            }
+
+            await this.snapshotBefore(request, env, 'import');
+            const plan = await this.planImport(env, valid, mode);
+            const report = this.importReport(plan, rejected);
+
+            // 確保該分類存在，與書籤在同一個 batch 中寫入
+            const allTags = this.normalizeTagNames(valid.flatMap(item => this.normalizeTagNames(item.tags)));
+            const insertStatements = [...this.ensureCatalogStatements(env, categoryName), ...this.ensureTagStatements(env, allTags)];
+            plan.overwrites.forEach(({ id, item }) => insertStatements.push(...this.overwriteSiteStatements(env, id, item)));
+            plan.inserts.forEach((item, index) => {
+                insertStatements.push(env.NAV_DB.prepare(`
+                    INSERT INTO sites (name, url, url_key, logo, desc, catelog, sort_order, is_private)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `).bind(item.name, item.url, normalizeUrl(item.url), item.logo, item.desc, item.catelog, item.sort_order || index + 1, item.is_private || 0));
+                const tagNames = this.normalizeTagNames(item.tags);
+                if (tagNames.length > 0) {
+                    insertStatements.push(this.linkTagsStatement(env, null, tagNames));
+                }
+            });
+
+            insertStatements.push(this.auditStatement(request, env, {
+                action: 'import', entityType: 'site', summary: `${categoryName}: ${this.importSummary(report)}`,
+                after: {
+                    mode, inserted: report.inserted.length, updated: report.updated.length,
+                    skipped: report.skipped.length, rejected: report.rejected.length, catalogs: [categoryName]
+                }
+            }));
+
+            // 批量插入
+            await env.NAV_DB.batch(insertStatements);
+
+            return new Response(JSON.stringify({
+                code: 201,
+                message: `導入到 ${categoryName} 完成：${this.importSummary(report)}。`,
+                data: report
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (error) {
+            return this.errorResponse(`Failed to import category: ${error.message}`, 500);
+        }
+    },
+
+    // --- 新增：數據庫結構版本與遷移 ---
+    async getSchemaStatus(request, env, ctx, migrationError) {
+        try {
+            const status = await schema.getStatus(env);
+            return new Response(JSON.stringify({
+                code: 200,
+                data: { ...status, lastError: migrationError ? migrationError.message : null }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to get schema status: ${e.message}`, 500);
+        }
+    },
+
+    async runMigrations(request, env, ctx) {
+        try {
+            const result = await schema.migrate(env);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: result.applied.length > 0
+                    ? `已應用 ${result.applied.length} 個遷移，當前版本 ${result.to}`
+                    : `數據庫已是最新版本 (${result.to})`,
+                data: result
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to run migrations: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：後台賬號與角色 ---
+    async getCurrentUserInfo(request, env, ctx) {
+        const user = await admin.getCurrentUser(request, env);
+        if (!user) {
+            return this.errorResponse('Unauthorized', 401);
+        }
+        // 後台頁面腳本從這裡獲取 CSRF 令牌
+        const csrfToken = user.tokenId ? undefined : await admin.getCsrfToken(admin.getSessionId(request));
+        return new Response(JSON.stringify({
+            code: 200,
+            data: { ...user, permissions: admin.getPermissions(user), csrfToken }
+        }), { headers: { 'Content-Type': 'application/json' } });
+    },
+
+    /**
+     * 修改當前賬號的密碼，並使該賬號的其他會話全部失效
+     */
+    async changePassword(request, env, ctx) {
+        const user = await admin.getSessionUser(request, env);
+        if (!user) {
+            return this.errorResponse('Unauthorized', 401);
+        }
+        try {
+            const { currentPassword, newPassword } = await request.json();
+            if (!currentPassword || !newPassword) {
+                return this.errorResponse('Current and new password are required', 400);
+            }
+            if (String(newPassword).length < admin.minPasswordLength) {
+                return this.errorResponse(`Password must be at least ${admin.minPasswordLength} characters`, 400);
+            }
+
+            // 與登錄共用失敗計數，以免被盜用的會話無限次猜測當前密碼
+            const limitKeys = admin.loginLimitKeys(request, user.username);
+            const lockSeconds = await admin.getLoginLockSeconds(env, limitKeys);
+            if (lockSeconds > 0) {
+                return new Response(JSON.stringify({
+                    code: 429,
+                    message: `Too many failed attempts, please try again in ${lockSeconds} seconds`
+                }), { status: 429, headers: { 'Content-Type': 'application/json', 'Retry-After': String(lockSeconds) } });
+            }
+            const row = await env.NAV_DB.prepare('SELECT password FROM users WHERE id = ?').bind(user.id).first();
+            if (!await admin.verifyPassword(String(currentPassword), row.password)) {
+                await admin.recordLoginFailure(env, limitKeys);
+                return this.errorResponse('Current password is incorrect', 400);
+            }
+            await Promise.all(limitKeys.map(key => env.NAV_AUTH.delete(key)));
+
+            await env.NAV_DB.prepare('UPDATE users SET password = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?')
+                .bind(await admin.hashPassword(String(newPassword)), user.id).run();
+            const revoked = await admin.deleteUserSessions(env, user.id, admin.getSessionId(request));
+
+            return new Response(JSON.stringify({
+                code: 200,
+                message: revoked > 0 ? `密碼已修改，已登出其他 ${revoked} 個會話` : '密碼已修改',
+                data: { revokedSessions: revoked }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to change password: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：兩步驗證 ---
+    async getTwoFactorStatus(request, env, ctx, user) {
+        const twoFactor = await admin.getTwoFactor(env, user.id);
+        const hashes = twoFactor ? await env.NAV_AUTH.get(`totp_recovery:${user.id}`, { type: 'json' }).catch(() => null) : null;
+        return new Response(JSON.stringify({
+            code: 200,
+            data: {
+                enabled: !!twoFactor,
+                enabledAt: twoFactor ? twoFactor.enabledAt : null,
+                recoveryCodesRemaining: hashes ? hashes.length : 0
+            }
+        }), { headers: { 'Content-Type': 'application/json' } });
+    },
+
+    /**
+     * 生成待確認的密鑰 (10 分鐘內有效)，返回 otpauth:// 配置 URI 供身份驗證器掃描
+     */
+    async setupTwoFactor(request, env, ctx, user) {
+        try {
+            if (await admin.getTwoFactor(env, user.id)) {
+                return this.errorResponse('Two-factor authentication is already enabled', 400);
+            }
+            const secret = admin.base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+            await env.NAV_AUTH.put(`totp_pending:${user.id}`, secret, { expirationTtl: 600 });
+
+            const issuer = new URL(request.url).hostname;
+            const label = encodeURIComponent(`${issuer}:${user.username}`);
+            const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${admin.totpDigits}&period=${admin.totpPeriod}`;
+            return new Response(JSON.stringify({
+                code: 200,
+                data: { secret, uri }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to set up two-factor authentication: ${e.message}`, 500);
+        }
+    },
+
+    async enableTwoFactor(request, env, ctx, user) {
+        try {
+            const { code } = await request.json();
+            const secret = await env.NAV_AUTH.get(`totp_pending:${user.id}`);
+            if (!secret) {
+                return this.errorResponse('Setup expired, please start again', 400);
+            }
+            const counter = await admin.verifyTotp(secret, code);
+            if (counter === null) {
+                return this.errorResponse('Invalid verification code', 400);
+            }
+
+            await env.NAV_AUTH.put(`totp:${user.id}`, JSON.stringify({ secret, lastCounter: counter, enabledAt: new Date().toISOString() }));
+            await env.NAV_AUTH.delete(`totp_pending:${user.id}`);
+            const recoveryCodes = await admin.generateRecoveryCodes(env, user.id);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Two-factor authentication enabled',
+                data: { recoveryCodes }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to enable two-factor authentication: ${e.message}`, 500);
+        }
+    },
+
+    async disableTwoFactor(request, env, ctx, user) {
+        try {
+            const { password } = await request.json();
+            const row = await env.NAV_DB.prepare('SELECT password FROM users WHERE id = ?').bind(user.id).first();
+            if (!await admin.verifyPassword(String(password || ''), row.password)) {
+                return this.errorResponse('Password is incorrect', 400);
+            }
+            await admin.disableTwoFactor(env, user.id);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Two-factor authentication disabled'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to disable two-factor authentication: ${e.message}`, 500);
+        }
+    },
+
+    async regenerateRecoveryCodes(request, env, ctx, user) {
+        try {
+            const { password } = await request.json();
+            if (!await admin.getTwoFactor(env, user.id)) {
+                return this.errorResponse('Two-factor authentication is not enabled', 400);
+            }
+            const row = await env.NAV_DB.prepare('SELECT password FROM users WHERE id = ?').bind(user.id).first();
+            if (!await admin.verifyPassword(String(password || ''), row.password)) {
+                return this.errorResponse('Password is incorrect', 400);
+            }
+            const recoveryCodes = await admin.generateRecoveryCodes(env, user.id);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Recovery codes regenerated, previous codes are no longer valid',
+                data: { recoveryCodes }
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to regenerate recovery codes: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：登錄設備 (會話) 管理 ---
+    async getSessions(request, env, ctx, user) {
+        try {
+            const sessions = await admin.listUserSessions(env, user.id, admin.getSessionId(request));
+            return new Response(JSON.stringify({
+                code: 200,
+                data: sessions
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch sessions: ${e.message}`, 500);
+        }
+    },
+
+    async deleteSession(request, env, ctx, user, handle) {
+        try {
+            if (!await admin.deleteSessionByHandle(env, user.id, handle)) {
+                return this.errorResponse('Session not found', 404);
+            }
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'Session revoked'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to revoke session: ${e.message}`, 500);
+        }
+    },
+
+    /**
+     * 登出所有設備；?keepCurrent=1 時保留當前會話 (僅登出其他設備)
+     */
+    async deleteAllSessions(request, env, ctx, user, url) {
+        try {
+            const keepCurrent = url.searchParams.get('keepCurrent') === '1';
+            const currentSessionId = admin.getSessionId(request);
+            const revoked = await admin.deleteUserSessions(env, user.id, keepCurrent ? currentSessionId : null);
+            const headers = { 'Content-Type': 'application/json' };
+            if (!keepCurrent) {
+                headers['Set-Cookie'] = admin.sessionCookie('', 0);
+            }
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已登出 ${revoked} 個會話`,
+                data: { revokedSessions: revoked }
+            }), { headers });
+        } catch (e) {
+            return this.errorResponse(`Failed to revoke sessions: ${e.message}`, 500);
+        }
+    },
+
+    // --- 新增：API 令牌 ---
+    async getApiTokens(request, env, ctx, user) {
+        try {
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT id, name, token_prefix, scopes, expires_at, last_used_at, create_time,
+                       (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) AS expired
+                FROM api_tokens WHERE user_id = ? ORDER BY id DESC
+            `).bind(user.id).all();
+            return new Response(JSON.stringify({
+                code: 200,
+                data: results.map(token => ({ ...token, scopes: token.scopes.split(','), expired: token.expired === 1 }))
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch API tokens: ${e.message}`, 500);
+        }
+    },
+
+    /**
+     * 創建令牌，明文只在響應中返回一次；範圍不能超出當前賬號的角色權限
+     */
+    async createApiToken(request, env, ctx, user) {
+        try {
+            const { name, scopes, expiresInDays } = await request.json();
+            const tokenName = String(name || '').trim();
+            if (!tokenName) {
+                return this.errorResponse('Token name is required', 400);
+            }
+            const tokenScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+            if (tokenScopes.length === 0) {
+                return this.errorResponse('At least one scope is required', 400);
+            }
+            const rolePermissions = admin.getPermissions(user);
+            for (const scope of tokenScopes) {
+                if (!admin.tokenScopes[scope]) {
+                    return this.errorResponse(`Invalid scope: ${scope}`, 400);
+                }
+                if (!admin.tokenScopes[scope].every(permission => rolePermissions.includes(permission))) {
+                    return this.errorResponse(`Scope not allowed for your role: ${scope}`, 403);
+                }
+            }
+            const days = expiresInDays ? parseInt(expiresInDays, 10) : null;
+            if (days !== null && !(days >= 1 && days <= admin.tokenMaxExpiryDays)) {
+                return this.errorResponse(`expiresInDays must be between 1 and ${admin.tokenMaxExpiryDays}`, 400);
+            }
+
+            const secret = [...crypto.getRandomValues(new Uint8Array(32))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            const token = `nav_${secret}`;
+            const result = await env.NAV_DB.prepare(`
+                INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+                VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' days') END)
+            `).bind(user.id, tokenName, await admin.sha256Hex(token), token.slice(0, 12), tokenScopes.join(','), days, days).run();
+            const created = await env.NAV_DB.prepare('SELECT id, name, token_prefix, scopes, expires_at, create_time FROM api_tokens WHERE id = ?')
+                .bind(result.meta.last_row_id).first();
+
+            return new Response(JSON.stringify({
+                code: 201,
+                message: 'API token created',
+                data: { ...created, scopes: tokenScopes, token }
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create API token: ${e.message}`, 500);
+        }
+    },
+
+    async deleteApiToken(request, env, ctx, user, id) {
+        try {
+            const result = await env.NAV_DB.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').bind(id, user.id).run();
+            if (result.meta.changes === 0) {
+                return this.errorResponse('API token not found', 404);
+            }
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'API token revoked'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to revoke API token: ${e.message}`, 500);
+        }
+    },
+
+    async getUsers(request, env, ctx) {
+        try {
+            const { results } = await env.NAV_DB.prepare(
+                'SELECT id, username, role, create_time, update_time FROM users ORDER BY id ASC'
+            ).all();
+            const data = await Promise.all(results.map(async user => ({
+                ...user,
+                two_factor: !!await admin.getTwoFactor(env, user.id)
+            })));
+            return new Response(JSON.stringify({
+                code: 200,
+                data
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch users: ${e.message}`, 500);
+        }
+    },
+
+    async createUser(request, env, ctx) {
+        try {
+            const { username, password, role } = await request.json();
+            const name = typeof username === 'string' ? username.trim() : '';
+            if (!name || !password) {
+                return this.errorResponse('Username and password are required', 400);
+            }
+            if (!admin.rolePermissions[role]) {
+                return this.errorResponse('Invalid role', 400);
+            }
+            if (String(password).length < admin.minPasswordLength) {
+                return this.errorResponse(`Password must be at least ${admin.minPasswordLength} characters`, 400);
+            }
+
+            const existing = await env.NAV_DB.prepare('SELECT id FROM users WHERE username = ?').bind(name).first();
+            if (existing) {
+                return this.errorResponse(`User "${name}" already exists`, 409);
+            }
+
+            const insert = await env.NAV_DB.prepare('INSERT INTO users (username, password, role) VALUES (?, ?, ?)')
+                .bind(name, await admin.hashPassword(String(password)), role).run();
+            await this.audit(request, env, { action: 'create', entityType: 'user', entityId: insert.meta.last_row_id, summary: name, after: { username: name, role } });
+            return new Response(JSON.stringify({
+                code: 201,
+                message: 'User created successfully',
+                data: { id: insert.meta.last_row_id, username: name, role }
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (e) {
+            return this.errorResponse(`Failed to create user: ${e.message}`, 500);
+        }
+    },
+
+    /**
+     * 修改角色和/或重置密碼；不能降級最後一個 owner
+     */
+    async updateUser(request, env, ctx, id, currentUser) {
+        try {
+            const { role, password, resetTwoFactor } = await request.json();
+            const user = await env.NAV_DB.prepare('SELECT id, username, role FROM users WHERE id = ?').bind(id).first();
+            if (!user) {
+                return this.errorResponse('User not found', 404);
+            }
+            if (role !== undefined && !admin.rolePermissions[role]) {
+                return this.errorResponse('Invalid role', 400);
+            }
+            if (password !== undefined && String(password).length < admin.minPasswordLength) {
+                return this.errorResponse(`Password must be at least ${admin.minPasswordLength} characters`, 400);
+            }
+            if (role !== undefined && role !== user.role && user.role === 'owner' && await this.countOwners(env) <= 1) {
+                return this.errorResponse('Cannot change the role of the last owner', 400);
+            }
+
+            await env.NAV_DB.prepare(`
+                UPDATE users SET role = COALESCE(?, role), password = COALESCE(?, password), update_time = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).bind(role ?? null, password !== undefined ? await admin.hashPassword(String(password)) : null, id).run();
+
+            // 重置密碼後該賬號的所有會話失效 (修改自己的密碼時保留當前會話)
+            if (password !== undefined) {
+                await admin.deleteUserSessions(env, user.id, user.id === currentUser.id ? admin.getSessionId(request) : null);
+            }
+            // 丟失身份驗證器和恢復碼時，由 owner 關閉其兩步驗證
+            if (resetTwoFactor) {
+                await admin.disableTwoFactor(env, user.id);
+            }
+
+            // 密碼只記錄「已重置」，不記錄哈希
+            const before = { role: user.role };
+            const after = { role: role ?? user.role };
+            if (password !== undefined) {
+                before.password = '******';
+                after.password = '(reset)';
+            }
+            if (resetTwoFactor) {
+                before.two_factor = true;
+                after.two_factor = false;
+            }
+            await this.audit(request, env, { action: 'update', entityType: 'user', entityId: user.id, summary: user.username, before, after });
+
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'User updated successfully'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to update user: ${e.message}`, 500);
+        }
+    },
+
+    async deleteUser(request, env, ctx, id, currentUser) {
+        try {
+            const user = await env.NAV_DB.prepare('SELECT id, username, role FROM users WHERE id = ?').bind(id).first();
+            if (!user) {
+                return this.errorResponse('User not found', 404);
+            }
+            if (user.id === currentUser.id) {
+                return this.errorResponse('Cannot delete the current user', 400);
+            }
+            if (user.role === 'owner' && await this.countOwners(env) <= 1) {
+                return this.errorResponse('Cannot delete the last owner', 400);
+            }
+
+            // 會話在每次請求時都會重新讀取賬號，刪除後立即失效；同時清除 KV 中的會話和兩步驗證密鑰，不留殘餘數據
+            await env.NAV_DB.prepare('DELETE FROM users WHERE id = ?').bind(id).run();
+            await Promise.all([admin.deleteUserSessions(env, user.id), admin.disableTwoFactor(env, user.id)]);
+            await this.audit(request, env, { action: 'delete', entityType: 'user', entityId: user.id, summary: user.username, before: { username: user.username, role: user.role } });
+            return new Response(JSON.stringify({
+                code: 200,
+                message: 'User deleted successfully'
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to delete user: ${e.message}`, 500);
+        }
+    },
+
+    async countOwners(env) {
+        const result = await env.NAV_DB.prepare("SELECT COUNT(*) AS total FROM users WHERE role = 'owner'").first();
+        return result.total;
+    },
+
+    // --- 新增：失效鏈接檢測 ---
+    async getLinkChecks(request, env, ctx, url) {
+        const filter = url.searchParams.get('filter') || 'problems';
+        const conditions = {
+            problems: `(${linkChecker.brokenCondition} OR ${linkChecker.redirectedCondition})`,
+            broken: linkChecker.brokenCondition,
+            redirected: linkChecker.redirectedCondition,
+            all: '1 = 1'
+        };
+        if (!conditions[filter]) {
+            return this.errorResponse('Invalid filter', 400);
+        }
+
+        try {
+            const { results } = await env.NAV_DB.prepare(`
+                SELECT s.id, s.name, s.url, s.catelog, s.is_private,
+                       lc.status, lc.final_url, lc.latency_ms, lc.error, lc.checked_at,
+                       CASE WHEN ${linkChecker.brokenCondition} THEN 'broken'
+                            WHEN ${linkChecker.redirectedCondition} THEN 'redirected'
+                            ELSE 'ok' END AS state
+                FROM link_checks lc
+                JOIN sites s ON s.id = lc.site_id
+                WHERE s.deleted_at IS NULL AND ${conditions[filter]}
+                ORDER BY lc.checked_at DESC, s.id ASC
+            `).all();
+            const summary = await env.NAV_DB.prepare(`
+                SELECT
+                    (SELECT COUNT(*) FROM sites WHERE deleted_at IS NULL) AS total,
+                    COUNT(*) AS checked,
+                    COALESCE(SUM(CASE WHEN ${linkChecker.brokenCondition} THEN 1 ELSE 0 END), 0) AS broken,
+                    COALESCE(SUM(CASE WHEN ${linkChecker.redirectedCondition} THEN 1 ELSE 0 END), 0) AS redirected,
+                    MAX(lc.checked_at) AS last_checked
+                FROM link_checks lc
+                JOIN sites s ON s.id = lc.site_id
+                WHERE s.deleted_at IS NULL
+            `).first();
+
+            return new Response(JSON.stringify({
+                code: 200,
+                data: results,
+                summary
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to fetch link checks: ${e.message}`, 500);
+        }
+    },
+
+    async runLinkChecks(request, env, ctx) {
+        try {
+            const result = await linkChecker.run(env);
+            return new Response(JSON.stringify({
+                code: 200,
+                message: `已檢測 ${result.checked} 個書籤：失效 ${result.broken} 個，重定向 ${result.redirected} 個`,
+                data: result
+            }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            return this.errorResponse(`Failed to run link checks: ${e.message}`, 500);
+        }
+    },
+
+    /**
+     * 處理檢測結果：apply_redirect 更新為重定向目標，mark_private 設為私密，recheck 立即重新檢測
+     */
+    async resolveLinkCheck(request, env, ctx, siteId) {
+        try {
+            const { action } = await request.json();
+            const site = await env.NAV_DB.prepare(`
+                SELECT s.id, s.name, s.url, s.is_private, lc.final_url
+                FROM sites s LEFT JOIN link_checks lc ON lc.site_id = s.id
+                WHERE s.id = ? AND s.deleted_at IS NULL
+            `).bind(siteId).first();
+            if (!site) {
+                return this.errorResponse('Site not found', 404);
+            }
+
+            switch (action) {
+                case 'apply_redirect':
+                    if (!site.final_url || site.final_url === site.url) {
+                        return this.errorResponse('No redirect target recorded for this site', 400);
+                    }
+                    // 更新 URL 會通過觸發器清除舊的檢測結果
+                    await env.NAV_DB.prepare('UPDATE sites SET url = ?, url_key = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?')
+                        .bind(site.final_url, normalizeUrl(site.final_url), siteId).run();
+                    await this.audit(request, env, {
+                        action: 'update', entityType: 'site', entityId: siteId, summary: site.name,
+                        before: { url: site.url }, after: { url: site.final_url }
+                    });
+                    return new Response(JSON.stringify({
+                        code: 200,
+                        message: `已更新為 ${site.final_url}`
+                    }), { headers: { 'Content-Type': 'application/json' } });
+                case 'mark_private':
+                    await env.NAV_DB.prepare('UPDATE sites SET is_private = 1, update_time = CURRENT_TIMESTAMP WHERE id = ?')
+                        .bind(siteId).run();
+                    await this.audit(request, env, {
+                        action: 'update', entityType: 'site', entityId: siteId, summary: site.name,
+                        before: { is_private: site.is_private }, after: { is_private: 1 }
+                    });
+                    return new Response(JSON.stringify({
+                        code: 200,
+                        message: '已設為私密'
+                    }), { headers: { 'Content-Type': 'application/json' } });
+                case 'recheck': {
+                    const [result] = await linkChecker.checkSites(env, [site]);
+                    return new Response(JSON.stringify({
+                        code: 200,
+                        message: result.status ? `HTTP ${result.status}` : `檢測失敗: ${result.error}`,
+                        data: result
+                    }), { headers: { 'Content-Type': 'application/json' } });
+                }
+                default:
+                    return this.errorResponse('Invalid action', 400);
+            }
+        } catch (e) {
+            return this.errorResponse(`Failed to resolve link check: ${e.message}`, 500);
+        }
+    }
+};
+
+/**
+ * 失效鏈接檢測：由 Cron Trigger (scheduled) 或後台手動觸發，
+ * 每次按最久未檢測的順序取一批書籤，記錄狀態碼、最終 URL、耗時和檢測時間。
+ */
+const linkChecker = {
+    // Workers 單次調用的子請求數有限，可通過環境變量 LINK_CHECK_BATCH_SIZE 調整
+    batchSize: 20,
+    concurrency: 5,
+    timeoutMs: 10000,
+    // 在此時間內檢測過的書籤不會重複檢測
+    recheckHours: 24,
+
+    brokenCondition: '(lc.status IS NULL OR lc.status >= 400)',
+    redirectedCondition: "(lc.status < 400 AND lc.final_url IS NOT NULL AND rtrim(lc.final_url, '/') != rtrim(s.url, '/'))",
+
+    async checkUrl(url) {
+        const startedAt = Date.now();
+        const request = method => fetch(url, {
+            method,
+            redirect: 'follow',
+            signal: AbortSignal.timeout(this.timeoutMs),
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; aki-nav link checker)' }
+        });
+        try {
+            let response = await request('HEAD');
+            // 部分站點不支持 HEAD，改用 GET 重試
+            if ([403, 405, 501].includes(response.status)) {
+                response = await request('GET');
+            }
+            if (response.body) {
+                await response.body.cancel();
+            }
+            return {
+                status: response.status,
+                final_url: response.url || url,
+                latency_ms: Date.now() - startedAt,
+                error: null
+            };
+        } catch (e) {
+            return {
+                status: null,
+                final_url: null,
+                latency_ms: Date.now() - startedAt,
+                error: e.name === 'TimeoutError' ? 'Timeout' : e.message
+            };
+        }
+    },
+
+    /**
+     * 檢測指定書籤並寫入 link_checks
+     * @param {Array<{id: number, url: string}>} sites
+     */
+    async checkSites(env, sites) {
+        const results = [];
+        for (let i = 0; i < sites.length; i += this.concurrency) {
+            const chunk = sites.slice(i, i + this.concurrency);
+            const checked = await Promise.all(chunk.map(async site => ({ site_id: site.id, url: site.url, ...await this.checkUrl(site.url) })));
+            results.push(...checked);
+        }
+        if (results.length === 0) return results;
+
+        // 檢測期間被刪除的書籤不寫入結果
+        await env.NAV_DB.batch(results.map(result => env.NAV_DB.prepare(`
+            INSERT INTO link_checks (site_id, status, final_url, latency_ms, error, checked_at)
+            SELECT ?, ?, ?, ?, ?, CURRENT_TIMESTAMP WHERE EXISTS (SELECT 1 FROM sites WHERE id = ?)
+            ON CONFLICT(site_id) DO UPDATE SET
+                status = excluded.status,
+                final_url = excluded.final_url,
+                latency_ms = excluded.latency_ms,
+                error = excluded.error,
+                checked_at = excluded.checked_at
+        `).bind(result.site_id, result.status, result.final_url, result.latency_ms, result.error, result.site_id)));
+        return results;
+    },
+
+    async run(env) {
+        const limit = parseInt(env.LINK_CHECK_BATCH_SIZE, 10) || this.batchSize;
+        const { results: sites } = await env.NAV_DB.prepare(`
+            SELECT s.id, s.url
+            FROM sites s LEFT JOIN link_checks lc ON lc.site_id = s.id
+            WHERE s.deleted_at IS NULL AND (lc.checked_at IS NULL OR lc.checked_at < datetime('now', ?))
+            ORDER BY lc.checked_at IS NOT NULL, lc.checked_at ASC, s.id ASC
+            LIMIT ?
+        `).bind(`-${this.recheckHours} hours`, limit).all();
+
+        const results = await this.checkSites(env, sites);
+        const isBroken = result => result.status === null || result.status >= 400;
+        return {
+            checked: results.length,
+            broken: results.filter(isBroken).length,
+            redirected: results.filter(result => !isBroken(result) && result.final_url.replace(/\/+$/, '') !== result.url.replace(/\/+$/, '')).length
+        };
+    }
+};
+
+/**
+ * 圖標代理：/icon/:siteId 抓取並校驗書籤的 logo，字節緩存在 Cache API 中，
+ * 無法加載時返回字母頭像並記錄到 icon_failures，由定時任務重新解析。
+ */
+const iconProxy = {
+    maxBytes: 100 * 1024,
+    timeoutMs: 8000,
+    cacheTtl: 7 * 24 * 3600,
+    // 字母頭像只短暫緩存，以便圖標恢復後盡快生效
+    fallbackTtl: 3600,
+    // 每次定時任務最多重新解析的書籤數，以及單個書籤的最大嘗試次數
+    refreshBatchSize: 10,
+    maxAttempts: 5,
+    allowedTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+        'image/svg+xml', 'image/x-icon', 'image/vnd.microsoft.icon'],
+
+    async handleRequest(request, env, ctx) {
+        const url = new URL(request.url);
+        const siteId = url.pathname.split('/')[2];
+        if (!/^\d+$/.test(siteId) || request.method !== 'GET') {
+            return new Response('Not Found', { status: 404 });
+        }
+
+        const migrationError = await schema.ensureMigrated(env);
+        if (migrationError) {
+            return new Response(`Database migration failed: ${migrationError.message}`, { status: 500 });
+        }
+        const site = await this.findVisibleSite(request, env, siteId);
+        if (!site) {
+            return new Response('Not Found', { status: 404 });
+        }
+        if (!site.logo) {
+            if (!site.icon_failed) ctx.waitUntil(this.recordFailure(env, site.id, 'No logo'));
+            return this.forVisibility(this.iconResponse('image/svg+xml', this.letterAvatar(site.name), this.fallbackTtl), site);
+        }
+
+        // 緩存鍵包含 logo 的摘要，logo 變更後自動失效
+        const cache = caches.default;
+        const cacheKey = new Request(`${url.origin}/icon/${site.id}?v=${await this.digest(site.logo)}`);
+        const cached = await cache.match(cacheKey);
+        if (cached) return this.forVisibility(cached, site);
+
+        let response;
+        try {
+            const { contentType, bytes } = await this.fetchIcon(site.logo);
+            response = this.iconResponse(contentType, bytes, this.cacheTtl);
+            if (site.icon_failed) ctx.waitUntil(env.NAV_DB.prepare('DELETE FROM icon_failures WHERE site_id = ?').bind(site.id).run());
+        } catch (e) {
+            response = this.iconResponse('image/svg+xml', this.letterAvatar(site.name), this.fallbackTtl);
+            if (!site.icon_failed) ctx.waitUntil(this.recordFailure(env, site.id, e.message));
+        }
+        ctx.waitUntil(cache.put(cacheKey, response.clone()));
+        return this.forVisibility(response, site);
+    },
+
+    // Cache API 中以公開響應保存；非公開書籤返回給瀏覽器時改為 private，避免 CDN 等共享緩存轉發給未登錄用戶
+    forVisibility(response, site) {
+        if (site.is_public) return response;
+        const copy = new Response(response.body, response);
+        copy.headers.set('Cache-Control', copy.headers.get('Cache-Control').replace('public', 'private'));
+        return copy;
+    },
+
+    // 私密書籤 (或位於私密分類下) 的圖標和跳轉 (clickTracker) 僅登錄後可用
+    // icon_failed 表示已有失敗記錄，避免每次訪問都寫入 D1；is_public 表示未登錄用戶也可見
+    async findVisibleSite(request, env, siteId) {
+        const publicCondition = 's.is_private = 0 AND s.catelog IN (SELECT name FROM visible_catalogs)';
+        const visibility = await admin.canReadPrivate(request, env) ? '' : `AND ${publicCondition}`;
+        return await env.NAV_DB.prepare(`
+            ${api.visibleCatalogsCte}
+            SELECT s.id, s.name, s.url, s.logo,
+                   EXISTS (SELECT 1 FROM icon_failures f WHERE f.site_id = s.id) AS icon_failed,
+                   (${publicCondition}) AS is_public
+            FROM sites s
+            WHERE s.id = ? AND s.deleted_at IS NULL ${visibility}
+        `).bind(siteId).first();
+    },
+
+    async fetchIcon(logo) {
+        if (logo.startsWith('data:')) {
+            const match = logo.match(/^data:([^;,]*)(;base64)?,([\s\S]*)$/);
+            if (!match) throw new Error('Invalid data URI');
+            const bytes = match[2]
+                ? Uint8Array.from(atob(match[3]), char => char.charCodeAt(0))
+                : new TextEncoder().encode(decodeURIComponent(match[3]));
+            return this.validateIcon(match[1], bytes);
+        }
+
+        const response = await fetch(logo, {
+            redirect: 'follow',
+            signal: AbortSignal.timeout(this.timeoutMs),
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; aki-nav icon proxy)' }
+        });
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new Error(`HTTP ${response.status}`);
+        }
+        if (parseInt(response.headers.get('Content-Length'), 10) > this.maxBytes) {
+            await response.body?.cancel();
+            throw new Error('Icon too large');
+        }
+        return this.validateIcon(response.headers.get('Content-Type'), await this.readLimited(response));
+    },
+
+    // 分塊讀取響應體，超過 maxBytes 立即中止 (Content-Length 可能缺失或不實)
+    async readLimited(response) {
+        if (!response.body) return new Uint8Array(0);
+        const reader = response.body.getReader();
+        const chunks = [];
+        let total = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.byteLength;
+            if (total > this.maxBytes) {
+                await reader.cancel();
+                throw new Error('Icon too large');
+            }
+            chunks.push(value);
+        }
+        const bytes = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return bytes;
+    },
+
+    /**
+     * 校驗大小與類型；服務器返回的類型不是圖片時按文件頭識別 (常見於 favicon.ico)
+     */
+    validateIcon(contentType, bytes) {
+        if (bytes.byteLength === 0) throw new Error('Empty icon');
+        if (bytes.byteLength > this.maxBytes) throw new Error('Icon too large');
+        const declared = String(contentType || '').split(';')[0].trim().toLowerCase();
+        const type = this.allowedTypes.includes(declared) ? declared : this.sniffImageType(bytes);
+        if (!type) throw new Error(`Unsupported content type: ${declared || 'unknown'}`);
+        return { contentType: type, bytes };
+    },
+
+    sniffImageType(bytes) {
+        const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+        if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'image/png';
+        if (startsWith(0xFF, 0xD8, 0xFF)) return 'image/jpeg';
+        if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+        if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+        if (startsWith(0x52, 0x49, 0x46, 0x46) && String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP') return 'image/webp';
+        return null;
+    },
+
+    // 根據名稱生成固定顏色的字母頭像
+    letterAvatar(name) {
+        const text = String(name || '').trim() || '?';
+        const letter = Array.from(text)[0].toUpperCase();
+        let hash = 0;
+        for (const char of text) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 64 64">` +
+            `<rect width="64" height="64" rx="12" fill="hsl(${hash % 360}, 55%, 50%)"/>` +
+            `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="sans-serif" font-size="32" font-weight="bold" fill="#fff">${escapeHtml(letter)}</text>` +
+            `</svg>`;
+    },
+
+    iconResponse(contentType, body, ttl) {
+        return new Response(body, {
+            headers: {
+                'Content-Type': contentType,
+                'Cache-Control': `public, max-age=${ttl}`,
+                // SVG 圖標可能包含腳本，禁止其在本站上下文中執行
+                'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+                'X-Content-Type-Options': 'nosniff'
+            }
+        });
+    },
+
+    async digest(text) {
+        const hash = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+        return [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // 只記錄首次失敗；failure_count 僅在定時任務重新解析失敗時累加 (見 refreshFailed)
+    async recordFailure(env, siteId, error) {
+        await env.NAV_DB.prepare(`
+            INSERT INTO icon_failures (site_id, error, failure_count, failed_at) VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+            ON CONFLICT(site_id) DO NOTHING
+        `).bind(siteId, error).run();
+    },
+
+    /**
+     * 定時任務：為圖標加載失敗的書籤重新解析 favicon，找到可用圖標後更新 logo
+     */
+    async refreshFailed(env) {
+        const { results } = await env.NAV_DB.prepare(`
+            SELECT s.id, s.url, s.logo FROM icon_failures f
+            JOIN sites s ON s.id = f.site_id
+            WHERE s.deleted_at IS NULL AND f.failure_count <= ? AND (f.resolved_at IS NULL OR f.resolved_at < datetime('now', '-1 day'))
+            ORDER BY f.failed_at ASC
+            LIMIT ?
+        `).bind(this.maxAttempts, this.refreshBatchSize).all();
+
+        let updated = 0;
+        for (const site of results) {
+            const candidate = await findFavicon(site.url);
+            let valid = false;
+            if (candidate) {
+                try {
+                    await this.fetchIcon(candidate);
+                    valid = true;
+                } catch (e) {
+                    valid = false;
+                }
+            }
+
+            if (valid && candidate !== site.logo) {
+                // 更新 logo 會通過觸發器清除失敗記錄
+                await env.NAV_DB.prepare('UPDATE sites SET logo = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?')
+                    .bind(candidate, site.id).run();
+                updated++;
+            } else if (valid) {
+                // 原圖標已恢復
+                await env.NAV_DB.prepare('DELETE FROM icon_failures WHERE site_id = ?').bind(site.id).run();
+                updated++;
+            } else {
+                await env.NAV_DB.prepare(`
+                    UPDATE icon_failures SET failure_count = failure_count + 1, resolved_at = CURRENT_TIMESTAMP WHERE site_id = ?
+                `).bind(site.id).run();
+            }
+        }
+        return { attempted: results.length, updated };
+    }
+};
+
+/**
+ * 點擊統計：公開頁面的書籤鏈接經 /go/:id 跳轉，點擊數按天累計到 site_clicks 表。
+ * 爬蟲、鏈接預覽和瀏覽器預加載請求不計數。
+ */
+const clickTracker = {
+    // 統計數據保留天數
+    retentionDays: 400,
+    botPattern: /bot|crawl|spider|slurp|archiver|preview|monitor|scan|headless|lighthouse|facebookexternalhit|embedly|curl|wget|python-|go-http-client|java\/|okhttp|axios|node-fetch|httpclient/i,
+
+    async handleRequest(request, env, ctx) {
+        const url = new URL(request.url);
+        const siteId = url.pathname.split('/')[2];
+        if (!/^\d+$/.test(siteId) || url.pathname.split('/').length !== 3 || !['GET', 'HEAD'].includes(request.method)) {
+            return new Response('Not Found', { status: 404 });
+        }
+
+        await schema.ensureMigrated(env);
+        const site = await iconProxy.findVisibleSite(request, env, siteId);
+        const target = site ? this.targetUrl(site.url) : null;
+        if (!target) {
+            return new Response('Not Found', { status: 404 });
+        }
+        if (request.method === 'GET' && !this.isBot(request)) {
+            ctx.waitUntil(this.record(env, site.id).catch(e => console.error('Failed to record click:', e.message)));
+        }
+        return new Response(null, {
+            status: 302,
+            headers: { 'Location': target, 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' }
+        });
+    },
+
+    // 只跳轉到 http(s) 網址，避免 javascript: 等協議經本站跳轉
+    targetUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.toString() : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    isBot(request) {
+        const userAgent = request.headers.get('User-Agent') || '';
+        const purpose = request.headers.get('Sec-Purpose') || request.headers.get('Purpose') || request.headers.get('X-Moz') || '';
+        return !userAgent || this.botPattern.test(userAgent) || /prefetch|prerender/i.test(purpose) ||
+            request.cf?.botManagement?.verifiedBot === true;
+    },
+
+    async record(env, siteId) {
+        await env.NAV_DB.prepare(`
+            INSERT INTO site_clicks (site_id, day, clicks) VALUES (?, date('now'), 1)
+            ON CONFLICT(site_id, day) DO UPDATE SET clicks = clicks + 1
+        `).bind(siteId).run();
+    },
+
+    /**
+     * 定時任務：清除超過保留期的統計和已徹底刪除書籤的統計
+     */
+    async prune(env) {
+        const [expired, orphaned] = await env.NAV_DB.batch([
+            env.NAV_DB.prepare("DELETE FROM site_clicks WHERE day < date('now', ?)").bind(`-${this.retentionDays} days`),
+            env.NAV_DB.prepare('DELETE FROM site_clicks WHERE site_id NOT IN (SELECT id FROM sites)')
+        ]);
+        return { expired: expired.meta.changes, orphaned: orphaned.meta.changes };
+    }
+};
+
+/**
+ * 公開訂閱：/feeds/sites.json、/feeds/sites.opml 和最近添加書籤的 /feeds/recent.atom。
+ * 無論是否登入都只包含公開書籤 (書籤及其分類、所有父分類均非私密)，支持 ETag / Last-Modified 條件請求。
+ */
+const feeds = {
+    formats: {
+        '/feeds/sites.json': { contentType: 'application/json; charset=utf-8', build: 'buildJson' },
+        '/feeds/sites.opml': { contentType: 'text/x-opml; charset=utf-8', build: 'buildOpml' },
+        '/feeds/recent.atom': { contentType: 'application/atom+xml; charset=utf-8', build: 'buildAtom' }
+    },
+    // Atom 中最近添加的書籤條數
+    recentLimit: 50,
+    maxAge: 300,
+
+    async handleRequest(request, env, ctx) {
+        const url = new URL(request.url);
+        const format = this.formats[url.pathname];
+        if (!format) {
+            return new Response('Not Found', { status: 404 });
+        }
+        if (!['GET', 'HEAD'].includes(request.method)) {
+            return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET, HEAD' } });
+        }
+
+        const migrationError = await schema.ensureMigrated(env);
+        if (migrationError) {
+            return new Response(`Database migration failed: ${migrationError.message}`, { status: 500 });
+        }
+        try {
+            const data = await this.loadVisible(env);
+            const body = this[format.build](data, url);
+            return await this.conditionalResponse(request, body, format.contentType, data.lastModified);
+        } catch (e) {
+            return new Response(`Failed to build feed: ${e.message}`, { status: 500 });
+        }
+    },
+
+    /**
+     * 讀取公開分類、公開書籤 (含標籤) 和標題設置
+     * lastModified 取書籤的最後修改時間和操作日誌的最新記錄 (刪除、設為私密等操作不會留下修改時間)
+     */
+    async loadVisible(env) {
+        const [catalogResult, siteResult, modifiedResult] = await env.NAV_DB.batch([
+            env.NAV_DB.prepare(`${api.visibleCatalogsCte} SELECT c.id, c.name, c.icon, c.parent_id, c.sort_order FROM catalogs c JOIN visible_catalogs v ON v.id = c.id ORDER BY c.sort_order ASC, c.id ASC`),
+            env.NAV_DB.prepare(`${api.visibleCatalogsCte}
+                SELECT s.id, s.name, s.url, s.desc, s.catelog, s.create_time, s.update_time
+                FROM sites s JOIN visible_catalogs v ON s.catelog = v.name
+                WHERE s.is_private = 0 AND s.deleted_at IS NULL
+                ORDER BY s.sort_order ASC, s.create_time DESC`),
+            env.NAV_DB.prepare(`
+                SELECT MAX(time) AS last_modified FROM (
+                    SELECT MAX(COALESCE(update_time, create_time)) AS time FROM sites
+                    UNION ALL SELECT MAX(deleted_at) FROM sites
+                    UNION ALL SELECT MAX(create_time) FROM audit_log
+                )`)
+        ]);
+        const [title, subtitle] = await Promise.all([
+            env.NAV_SETTINGS?.get('frontend_main_title'),
+            env.NAV_SETTINGS?.get('frontend_subtitle')
+        ]);
+        return {
+            title: title || 'aki',
+            subtitle: subtitle || '我的個人公開書籤',
+            catalogs: catalogResult.results,
+            sites: await api.attachTags(env, siteResult.results),
+            lastModified: this.parseTime(modifiedResult.results[0]?.last_modified)
+        };
+    },
+
+    // D1 的 CURRENT_TIMESTAMP 為 UTC 的 'YYYY-MM-DD HH:MM:SS'
+    parseTime(value) {
+        if (!value) return null;
+        const time = Date.parse(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'));
+        return Number.isFinite(time) ? new Date(Math.floor(time / 1000) * 1000) : null;
+    },
+
+    buildJson({ title, subtitle, catalogs, sites }, url) {
+        return JSON.stringify({
+            title,
+            description: subtitle,
+            home_page_url: `${url.origin}/`,
+            catalogs: catalogs.map(({ id, name, icon, parent_id }) => ({ id, name, icon, parent_id })),
+            sites: sites.map(site => ({
+                id: site.id,
+                name: site.name,
+                url: site.url,
+                icon: `${url.origin}/icon/${site.id}`,
+                desc: site.desc,
+                catalog: site.catelog,
+                tags: site.tags,
+                create_time: site.create_time,
+                update_time: site.update_time
+            }))
+        });
+    },
+
+    // 分類樹對應為嵌套的 outline，書籤為 type="link" 的 outline
+    buildOpml({ title, catalogs, sites, lastModified }, url) {
+        const sitesByCatalog = new Map();
+        sites.forEach(site => {
+            if (!sitesByCatalog.has(site.catelog)) sitesByCatalog.set(site.catelog, []);
+            sitesByCatalog.get(site.catelog).push(site);
+        });
+        const renderSite = (site, indent) => {
+            const attrs = [`text="${escapeHtml(site.name)}"`, 'type="link"', `url="${escapeHtml(site.url)}"`];
+            if (site.desc) attrs.push(`description="${escapeHtml(site.desc)}"`);
+            if (site.tags.length > 0) attrs.push(`category="${escapeHtml(site.tags.join(','))}"`);
+            return `${indent}<outline ${attrs.join(' ')}/>\n`;
+        };
+        const renderCatalog = (node, indent) => {
+            let out = `${indent}<outline text="${escapeHtml(node.name)}">\n`;
+            (sitesByCatalog.get(node.name) || []).forEach(site => { out += renderSite(site, indent + '  '); });
+            node.children.forEach(child => { out += renderCatalog(child, indent + '  '); });
+            return out + `${indent}</outline>\n`;
+        };
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeHtml(title)}</title>
+${lastModified ? `    <dateModified>${lastModified.toUTCString()}</dateModified>\n` : ''}    <docs>http://opml.org/spec2.opml</docs>
+    <ownerId>${escapeHtml(`${url.origin}/`)}</ownerId>
+  </head>
+  <body>
+${buildCatalogTree(catalogs).map(node => renderCatalog(node, '    ')).join('')}  </body>
+</opml>
+`;
+    },
+
+    buildAtom({ title, subtitle, sites, lastModified }, url) {
+        const recent = [...sites]
+            .sort((a, b) => String(b.create_time).localeCompare(String(a.create_time)) || b.id - a.id)
+            .slice(0, this.recentLimit);
+        const toIso = value => (this.parseTime(value) || lastModified || new Date(0)).toISOString();
+        const feedUrl = `${url.origin}/feeds/recent.atom`;
+
+        const entries = recent.map(site => `  <entry>
+    <id>${escapeHtml(`${feedUrl}#site-${site.id}`)}</id>
+    <title>${escapeHtml(site.name)}</title>
+    <link rel="alternate" href="${escapeHtml(site.url)}"/>
+    <published>${toIso(site.create_time)}</published>
+    <updated>${toIso(site.update_time || site.create_time)}</updated>
+    <category term="${escapeHtml(site.catelog)}"/>
+${site.tags.map(tag => `    <category term="${escapeHtml(tag)}"/>\n`).join('')}${site.desc ? `    <summary>${escapeHtml(site.desc)}</summary>\n` : ''}  </entry>
+`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(feedUrl)}</id>
+  <title>${escapeHtml(title)}</title>
+  <subtitle>${escapeHtml(subtitle)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(`${url.origin}/`)}"/>
+  <updated>${(lastModified || new Date(0)).toISOString()}</updated>
+${entries}</feed>
+`;
+    },
+
+    /**
+     * ETag 為內容的摘要；If-None-Match 優先於 If-Modified-Since (RFC 9110)
+     */
+    async conditionalResponse(request, body, contentType, lastModified) {
+        const etag = `"${(await iconProxy.digest(body)).slice(0, 32)}"`;
+        const headers = {
+            'Content-Type': contentType,
+            'Cache-Control': `public, max-age=${this.maxAge}`,
+            'ETag': etag,
+            'Access-Control-Allow-Origin': '*',
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (lastModified) headers['Last-Modified'] = lastModified.toUTCString();
+
+        const ifNoneMatch = request.headers.get('If-None-Match');
+        const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+        const notModified = ifNoneMatch !== null
+            ? ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*')
+            : lastModified !== null && Number.isFinite(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+        if (notModified) {
+            return new Response(null, { status: 304, headers });
+        }
+        return new Response(request.method === 'HEAD' ? null : body, { headers });
+    }
+};
+
+/**
+ * Webhook：書籤、分類和審核相關的修改通過操作日誌 (api.auditStatement) 收集為事件，請求成功後
+ * 在 ctx.waitUntil 中發送。請求體使用 HMAC-SHA256 簽名，失敗的發送由定時任務按退避時間重試。
+ */
+const webhooks = {
+    // 操作日誌 (entity_type:action) => 事件
+    auditEvents: {
+        'site:create': ['site.created'],
+        'site:import': ['site.created'],
+        'site:restore': ['site.created'],
+        'site:update': ['site.updated'],
+        'site:reorder': ['site.updated'],
+        'site:merge': ['site.updated'],
+        'site:delete': ['site.deleted'],
+        'site:delete_all': ['site.deleted'],
+        'site:purge': ['site.deleted'],
+        'catalog:create': ['catalog.created'],
+        'catalog:import': ['catalog.created'],
+        'catalog:restore': ['catalog.created'],
+        'catalog:update': ['catalog.updated'],
+        'catalog:reorder': ['catalog.updated'],
+        'catalog:delete': ['catalog.deleted'],
+        'catalog:purge': ['catalog.deleted'],
+        'pending:approve': ['pending.approved', 'site.created'],
+        'pending:reject': ['pending.rejected']
+    },
+    events: [
+        'site.created', 'site.updated', 'site.deleted',
+        'catalog.created', 'catalog.updated', 'catalog.deleted',
+        'pending.submitted', 'pending.approved', 'pending.rejected'
+    ],
+    // 首次發送失敗後的重試間隔 (秒)，全部用完後標記為 failed
+    retryDelays: [60, 300, 1800, 7200, 43200],
+    timeoutMs: 10000,
+    // 每次定時任務最多重試的條數
+    queueBatchSize: 20,
+    // 已完成 (success / failed) 的發送記錄保留天數
+    logRetentionDays: 30,
+    responseBodyLimit: 1000,
+
+    // 本次請求中收集的事件，由 flush 發送
+    requestEvents: new WeakMap(),
+
+    emit(request, event, data) {
+        if (!this.requestEvents.has(request)) this.requestEvents.set(request, []);
+        this.requestEvents.get(request).push({ event, data });
+    },
+
+    collectAudit(request, { action, entityType, entityId, summary, before, after, actor }) {
+        const events = this.auditEvents[`${entityType}:${action}`] || [];
+        events.forEach(event => this.emit(request, event, {
+            action, entityType, entityId, summary, before, after,
+            actor: actor.username ? { username: actor.username, tokenId: actor.tokenId ?? null } : null
+        }));
+    },
+
+    flush(request, env, ctx) {
+        const events = this.requestEvents.get(request);
+        this.requestEvents.delete(request);
+        if (!events || events.length === 0) return;
+        ctx.waitUntil(this.enqueue(env, events).catch(e => console.error('Failed to send webhooks:', e.message)));
+    },
+
+    /**
+     * 為訂閱了事件的已啟用 Webhook 各寫入一條發送記錄並立即嘗試發送
+     */
+    async enqueue(env, events) {
+        const { results: hooks } = await env.NAV_DB.prepare('SELECT * FROM webhooks WHERE enabled = 1').all();
+        const deliveries = [];
+        events.forEach(({ event, data }) => {
+            const payload = JSON.stringify({ event, timestamp: new Date().toISOString(), data });
+            hooks.filter(hook => hook.events.split(',').includes(event)).forEach(hook => deliveries.push({ hook, event, payload }));
+        });
+        if (deliveries.length === 0) return { sent: 0 };
+        const inserted = await env.NAV_DB.batch(deliveries.map(({ hook, event, payload }) => this.insertDelivery(env, hook.id, event, payload)));
+        await Promise.all(deliveries.map(({ hook, event, payload }, index) =>
+            this.deliver(env, hook, { id: inserted[index].meta.last_row_id, event, payload, attempts: 0 })));
+        return { sent: deliveries.length };
+    },
+
+    /**
+     * 新記錄會立即發送，next_attempt_at 先設為首次重試的時間，避免同時運行的定時任務重複發送；
+     * 發送中斷 (例如 Worker 被終止) 時由定時任務接手
+     */
+    insertDelivery(env, webhookId, event, payload) {
+        return env.NAV_DB.prepare("INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, datetime('now', ?))")
+            .bind(webhookId, event, payload, `+${this.retryDelays[0]} seconds`);
+    },
+
+    // 手動重發前先推遲 next_attempt_at，使定時任務不會同時取到這條記錄
+    async lease(env, ids) {
+        await env.NAV_DB.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?)
+            WHERE status = 'pending' AND id IN (SELECT value FROM json_each(?))
+        `).bind(`+${this.retryDelays[0]} seconds`, JSON.stringify(ids)).run();
+    },
+
+    /**
+     * 發送一次並更新發送記錄。簽名：X-Webhook-Signature = sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+     * @returns {Promise<object>} - 更新後的發送結果
+     */
+    async deliver(env, hook, delivery) {
+        const startedAt = Date.now();
+        const timestamp = Math.floor(startedAt / 1000);
+        let result;
+        try {
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                signal: AbortSignal.timeout(this.timeoutMs),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'aki-nav-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${await hmacSha256Hex(hook.secret, `${timestamp}.${delivery.payload}`)}`
+                },
+                body: delivery.payload
+            });
+            const body = await this.readResponseBody(response).catch(() => '');
+            result = { ok: response.ok, response_status: response.status, response_body: body, error: null };
+        } catch (e) {
+            result = { ok: false, response_status: null, response_body: null, error: e.name === 'TimeoutError' ? 'Timeout' : e.message };
+        }
+
+        const attempts = delivery.attempts + 1;
+        const delay = this.retryDelays[attempts - 1];
+        const status = result.ok ? 'success' : delay === undefined ? 'failed' : 'pending';
+        await env.NAV_DB.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = ?, last_attempt_at = CURRENT_TIMESTAMP,
+                next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) ELSE NULL END,
+                response_status = ?, response_body = ?, error = ?, duration_ms = ?
+            WHERE id = ?
+        `).bind(status, attempts, status, `+${delay || 0} seconds`, result.response_status, result.response_body,
+            result.error, Date.now() - startedAt, delivery.id).run();
+        return { id: delivery.id, status, attempts, response_status: result.response_status, error: result.error };
+    },
+
+    /**
+     * 只讀取響應體的前 responseBodyLimit 字節，超出後取消讀取，不等待任意地址返回完整內容
+     */
+    async readResponseBody(response) {
+        if (!response.body) return '';
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        let total = 0;
+        while (total < this.responseBodyLimit) {
+            const { done, value } = await reader.read();
+            if (done) return text + decoder.decode();
+            total += value.byteLength;
+            text += decoder.decode(value, { stream: true });
+        }
+        await reader.cancel();
+        return text.slice(0, this.responseBodyLimit);
+    },
+
+    /**
+     * 定時任務：重試到期的發送，並清除過期的發送記錄
+     * 到期記錄在同一條 UPDATE 中推遲 next_attempt_at 並取出，重疊運行的定時任務不會取到相同的記錄
+     */
+    async processQueue(env) {
+        const { results } = await env.NAV_DB.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?)
+            WHERE id IN (
+                SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND w.enabled = 1
+                ORDER BY d.next_attempt_at ASC LIMIT ?
+            )
+            RETURNING id, webhook_id, event, payload, attempts
+        `).bind(`+${this.retryDelays[0]} seconds`, this.queueBatchSize).all();
+        const { results: hooks } = results.length > 0
+            ? await env.NAV_DB.prepare('SELECT id, url, secret FROM webhooks WHERE id IN (SELECT value FROM json_each(?))')
+                .bind(JSON.stringify([...new Set(results.map(row => row.webhook_id))])).all()
+            : { results: [] };
+        const hooksById = new Map(hooks.map(hook => [hook.id, hook]));
+        const outcomes = await Promise.all(results.filter(row => hooksById.has(row.webhook_id)).map(row =>
+            this.deliver(env, hooksById.get(row.webhook_id), row)));
+        const purged = await env.NAV_DB.prepare(
+            "DELETE FROM webhook_deliveries WHERE status != 'pending' AND create_time < datetime('now', ?)"
+        ).bind(`-${this.logRetentionDays} days`).run();
+        return {
+            retried: outcomes.length,
+            succeeded: outcomes.filter(outcome => outcome.status === 'success').length,
+            purged: purged.meta.changes
+        };
+    }
+};
+
+/**
+ * 數據快照：書籤 (含回收站)、分類、標籤和 NAV_SETTINGS 的完整副本，gzip 壓縮後保存在 snapshots 表中。
+ * 清空書籤、導入、徹底刪除和恢復快照前自動創建，定時任務每天創建一次；恢復時在同一個 batch 中整體替換。
+ */
+const snapshots = {
+    // 表名 => 排序字段；恢復時按此順序插入
+    tables: {
+        catalogs: 'id',
+        tags: 'id',
+        sites: 'id',
+        site_tags: 'site_id, tag_id'
+    },
+    // 自動快照最多保留的份數，手動快照不會被自動清理
+    maxAutomatic: 20,
+    scheduleHours: 24,
+    // 恢復時每條 INSERT 通過 json_each 插入的行數
+    restoreChunkSize: 200,
+    // 對比結果中每類變化最多返回的條目數
+    diffLimit: 200,
+
+    async compress(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return await new Response(stream).arrayBuffer();
+    },
+
+    async decompress(bytes) {
+        // D1 以數字數組返回 BLOB
+        const stream = new Blob([new Uint8Array(bytes)]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return await new Response(stream).text();
+    },
+
+    async collect(env) {
+        const data = { version: schema.targetVersion };
+        for (const [table, orderBy] of Object.entries(this.tables)) {
+            const { results } = await env.NAV_DB.prepare(`SELECT * FROM ${table} ORDER BY ${orderBy}`).all();
+            data[table] = results;
+        }
+        data.settings = {};
+        for (const name of await this.listSettingKeys(env)) {
+            data.settings[name] = await env.NAV_SETTINGS.get(name);
+        }
+        return data;
+    },
+
+    // KV 的 list 每頁最多返回 1000 個鍵，需按 cursor 讀完所有頁
+    async listSettingKeys(env) {
+        const names = [];
+        let cursor;
+        do {
+            const page = await env.NAV_SETTINGS.list({ cursor });
+            names.push(...page.keys.map(key => key.name));
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return names;
+    },
+
+    async create(env, reason, username = null) {
+        const data = await this.collect(env);
+        return await this.save(env, reason, username, data, JSON.stringify(data));
+    },
+
+    async save(env, reason, username, data, json) {
+        const bytes = await this.compress(json);
+        const counts = {
+            site_count: data.sites.filter(site => !site.deleted_at).length,
+            catalog_count: data.catalogs.filter(catalog => !catalog.deleted_at).length,
+            tag_count: data.tags.length,
+            setting_count: Object.keys(data.settings).length
+        };
+        const insert = await env.NAV_DB.prepare(`
+            INSERT INTO snapshots (reason, username, data, size, raw_size, checksum, site_count, catalog_count, tag_count, setting_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            reason, username, bytes, bytes.byteLength, new TextEncoder().encode(json).byteLength, await admin.sha256Hex(json),
+            counts.site_count, counts.catalog_count, counts.tag_count, counts.setting_count
+        ).run();
+        await env.NAV_DB.prepare(`
+            DELETE FROM snapshots WHERE reason != 'manual' AND id NOT IN (
+                SELECT id FROM snapshots WHERE reason != 'manual' ORDER BY id DESC LIMIT ?
+            )
+        `).bind(this.maxAutomatic).run();
+        return { id: insert.meta.last_row_id, reason, ...counts, size: bytes.byteLength };
+    },
+
+    async list(env) {
+        const { results } = await env.NAV_DB.prepare(`
+            SELECT id, reason, username, size, raw_size, site_count, catalog_count, tag_count, setting_count, create_time
+            FROM snapshots ORDER BY id DESC
+        `).all();
+        return results;
+    },
+
+    async load(env, id) {
+        const row = await env.NAV_DB.prepare('SELECT data FROM snapshots WHERE id = ?').bind(id).first();
+        return row ? JSON.parse(await this.decompress(row.data)) : null;
+    },
+
+    /**
+     * 定時任務：距上次定時快照超過 scheduleHours 且數據有變化時創建快照
+     */
+    async runScheduled(env) {
+        const recent = await env.NAV_DB.prepare(
+            "SELECT id FROM snapshots WHERE reason = 'scheduled' AND create_time > datetime('now', ?) LIMIT 1"
+        ).bind(`-${this.scheduleHours} hours`).first();
+        if (recent) return { created: false, reason: 'recent' };
+
+        const data = await this.collect(env);
+        const json = JSON.stringify(data);
+        const latest = await env.NAV_DB.prepare('SELECT checksum FROM snapshots ORDER BY id DESC LIMIT 1').first();
+        if (latest && latest.checksum === await admin.sha256Hex(json)) {
+            return { created: false, reason: 'unchanged' };
+        }
+        return { created: true, ...await this.save(env, 'scheduled', null, data, json) };
+    },
+
+    // 為書籤附加標籤名，便於對比
+    withTags(data) {
+        const tagNames = new Map(data.tags.map(tag => [tag.id, tag.name]));
+        const tagsBySite = new Map();
+        data.site_tags.forEach(row => {
+            if (!tagsBySite.has(row.site_id)) tagsBySite.set(row.site_id, []);
+            tagsBySite.get(row.site_id).push(tagNames.get(row.tag_id));
+        });
+        return data.sites.map(site => ({ ...site, tags: (tagsBySite.get(site.id) || []).sort() }));
+    },
+
+    /**
+     * 對比兩組記錄：added 為當前新增 (恢復後將刪除)，removed 為當前缺少 (恢復後將重新出現)，changed 為字段不同
+     */
+    compareRecords(snapshotRows, currentRows, key, fields) {
+        const pick = row => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+        const before = new Map(snapshotRows.map(row => [row[key], row]));
+        const after = new Map(currentRows.map(row => [row[key], row]));
+        const result = { added: [], removed: [], changed: [] };
+        after.forEach((row, id) => {
+            if (!before.has(id)) result.added.push({ id, name: row.name });
+        });
+        before.forEach((row, id) => {
+            if (!after.has(id)) {
+                result.removed.push({ id, name: row.name });
+                return;
+            }
+            const diff = api.diffRecords(pick(row), pick(after.get(id)));
+            const changedFields = Object.keys(diff.after);
+            if (changedFields.length > 0) {
+                result.changed.push({ id, name: after.get(id).name, fields: changedFields, before: diff.before, after: diff.after });
+            }
+        });
+        const counts = { added: result.added.length, removed: result.removed.length, changed: result.changed.length };
+        Object.keys(result).forEach(type => { result[type] = result[type].slice(0, this.diffLimit); });
+        return { counts, ...result };
+    },
+
+    async diff(env, id) {
+        const snapshot = await this.load(env, id);
+        if (!snapshot) return null;
+        const current = await this.collect(env);
+        const toRows = settings => Object.entries(settings).map(([name, value]) => ({ name, value }));
+        return {
+            sites: this.compareRecords(this.withTags(snapshot), this.withTags(current), 'id',
+                ['name', 'url', 'logo', 'desc', 'catelog', 'is_private', 'sort_order', 'deleted_at', 'tags']),
+            catalogs: this.compareRecords(snapshot.catalogs, current.catalogs, 'id',
+                ['name', 'icon', 'parent_id', 'sort_order', 'is_private', 'deleted_at']),
+            settings: this.compareRecords(toRows(snapshot.settings), toRows(current.settings), 'name', ['value'])
+        };
+    },
+
+    /**
+     * 恢復快照：D1 數據在同一個 batch (事務) 中整體替換，成功後再寫回 NAV_SETTINGS。
+     * 快照中有而當前表結構中沒有的字段會被忽略，新增字段使用默認值
+     */
+    async restore(env, id) {
+        const snapshot = await this.load(env, id);
+        if (!snapshot) return null;
+
+        const tableNames = Object.keys(this.tables);
+        const statements = [...tableNames].reverse().map(table => env.NAV_DB.prepare(`DELETE FROM ${table}`));
+        for (const table of tableNames) {
+            const rows = snapshot[table] || [];
+            if (rows.length === 0) continue;
+            const existing = await schema.getTableColumns(env.NAV_DB, table);
+            const columns = existing.filter(column => column in rows[0]);
+            const sql = `
+                INSERT INTO ${table} (${columns.map(column => `"${column}"`).join(', ')})
+                SELECT ${columns.map(column => `json_extract(value, '$."${column}"')`).join(', ')} FROM json_each(?)
+            `;
+            for (let i = 0; i < rows.length; i += this.restoreChunkSize) {
+                statements.push(env.NAV_DB.prepare(sql).bind(JSON.stringify(rows.slice(i, i + this.restoreChunkSize))));
+            }
+        }
+        await env.NAV_DB.batch(statements);
+
+        const current = await this.listSettingKeys(env);
+        await Promise.all([
+            ...current.filter(name => !(name in snapshot.settings)).map(name => env.NAV_SETTINGS.delete(name)),
+            ...Object.entries(snapshot.settings).map(([key, value]) => env.NAV_SETTINGS.put(key, value))
+        ]);
+        return {
+            sites: snapshot.sites.length,
+            catalogs: snapshot.catalogs.length,
+            tags: snapshot.tags.length,
+            settings: Object.keys(snapshot.settings).length
+        };
+    }
+};
+
+
+// =================================================================================
+// SECTION 4: ADMIN PANEL LOGIC
+// Handles authentication, and serves the HTML/CSS/JS for the admin dashboard.
+// =================================================================================
+
+const admin = {
+    /**
+     * 角色權限：reviewer 只能審核待審核書籤，editor 可管理書籤和分類，
+     * 外觀設置、數據庫結構、清空書籤、賬號管理、操作日誌和數據快照僅 owner 可用；read_private 為查看私密書籤
+     */
+    rolePermissions: {
+        owner: ['read_private', 'sites', 'catalogs', 'pending', 'settings', 'schema', 'delete_all', 'users', 'audit', 'snapshots'],
+        editor: ['read_private', 'sites', 'catalogs', 'pending'],
+        reviewer: ['read_private', 'pending']
+    },
+
+    /**
+     * API 令牌的權限範圍；令牌的實際權限為所屬賬號角色權限與範圍的交集
+     */
+    tokenScopes: {
+        'read-private': ['read_private'],
+        'write-sites': ['sites'],
+        'manage-catalogs': ['catalogs'],
+        'review-pending': ['pending']
+    },
+    tokenMaxExpiryDays: 3650,
+
+    minPasswordLength: 6,
+
+    // Workers 中 PBKDF2 的迭代次數上限為 100000
+    passwordIterations: 100000,
+
+    // 同一 IP 登錄失敗次數超過 loginFreeAttempts 後按 2^n 分鐘鎖定，最長 loginMaxLockSeconds；
+    // 同一用戶名只限速為每 loginUserThrottleSeconds 秒一次，以免任何人輸錯密碼就能把已知賬號 (包括 owner) 長時間鎖在所有 IP 之外
+    loginFreeAttempts: 5,
+    loginMaxLockSeconds: 24 * 3600,
+    loginUserThrottleSeconds: 30,
+
+    getPermissions(user) {
+        const permissions = this.rolePermissions[user.role] || [];
+        if (!user.scopes) return permissions;
+        const granted = user.scopes.flatMap(scope => this.tokenScopes[scope] || []);
+        return permissions.filter(permission => granted.includes(permission));
+    },
+
+    hasPermission(user, permission) {
+        return this.getPermissions(user).includes(permission);
+    },
+
+    /**
+     * 生成 PBKDF2-SHA256 哈希，格式：pbkdf2$sha256$<iterations>$<salt>$<hash> (Base64)
+     */
+    async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = this.passwordIterations) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+        const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+        return `pbkdf2$sha256$${iterations}$${toBase64(salt)}$${toBase64(bits)}`;
+    },
+
+    /**
+     * 校驗密碼；兼容尚未遷移的明文密碼
+     */
+    async verifyPassword(password, stored) {
+        if (typeof password !== 'string' || typeof stored !== 'string') return false;
+        let expected = stored;
+        let actual = password;
+        if (stored.startsWith('pbkdf2$')) {
+            const [, , iterations, salt] = stored.split('$');
+            const saltBytes = Uint8Array.from(atob(salt), char => char.charCodeAt(0));
+            actual = await this.hashPassword(password, saltBytes, parseInt(iterations, 10));
+        }
+        return this.timingSafeEqual(expected, actual);
+    },
+
+    // 固定時間比較，避免通過響應時間猜測密碼或令牌
+    timingSafeEqual(expected, actual) {
+        let diff = expected.length ^ actual.length;
+        for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+            diff |= (expected.charCodeAt(i) || 0) ^ (actual.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    },
+
+    // --- 新增：CSRF 防護 ---
+    csrfHeader: 'X-CSRF-Token',
+
+    /**
+     * 會話的 CSRF 令牌 (由會話 ID 派生，登錄時即確定，無需額外存儲)
+     * 會話 ID 保存在 HttpOnly Cookie 中，其他站點無法讀取，也就無法算出令牌
+     */
+    async getCsrfToken(sessionId) {
+        return this.sha256Hex(`csrf:${sessionId}`);
+    },
+
+    /**
+     * 請求的 Origin (或 Referer) 必須與本站一致；兩者都沒有時 (非瀏覽器客戶端) 只依賴令牌校驗
+     */
+    isSameOrigin(request) {
+        const expected = new URL(request.url).origin;
+        const origin = request.headers.get('Origin');
+        if (origin) return origin === expected;
+        const referer = request.headers.get('Referer');
+        if (!referer) return true;
+        try {
+            return new URL(referer).origin === expected;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * 校驗使用會話 Cookie 的修改請求
+     * @returns {Promise<string|null>} - 失敗原因，通過時返回 null
+     */
+    async verifyCsrf(request) {
+        if (!this.isSameOrigin(request)) {
+            return 'Cross-origin request rejected';
+        }
+        const sessionId = this.getSessionId(request);
+        // 沒有會話的請求由後續的登錄檢查返回 401
+        if (!sessionId) return null;
+        const token = request.headers.get(this.csrfHeader) || '';
+        if (!this.timingSafeEqual(await this.getCsrfToken(sessionId), token)) {
+            return 'Invalid or missing CSRF token';
+        }
+        return null;
+    },
+
+    // --- 新增：TOTP 兩步驗證 (RFC 6238，SHA-1 / 6 位 / 30 秒) ---
+    totpPeriod: 30,
+    totpDigits: 6,
+    // 允許前後各一個時間窗口的時鐘偏差
+    totpWindow: 1,
+    recoveryCodeCount: 10,
+    loginChallengeTtl: 300,
+    loginChallengeMaxAttempts: 5,
+
+    base32Encode(bytes) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = '';
+        bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    },
+
+    base32Decode(text) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = '';
+        for (const char of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+            bits += index.toString(2).padStart(5, '0');
+        }
+        const bytes = new Uint8Array(Math.floor(bits.length / 8));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+        }
+        return bytes;
+    },
+
+    async totpCode(secret, counter) {
+        const key = await crypto.subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 2 ** 32));
+        message.setUint32(4, counter >>> 0);
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+        return String(binary % 10 ** this.totpDigits).padStart(this.totpDigits, '0');
+    },
+
+    /**
+     * 校驗動態驗證碼，返回匹配的時間計數；已使用過的計數不能重複使用
+     * @returns {Promise<number|null>}
+     */
+    async verifyTotp(secret, code, lastCounter = -1) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(normalized) || normalized.length !== this.totpDigits) return null;
+        const current = Math.floor(Date.now() / 1000 / this.totpPeriod);
+        for (let counter = current - this.totpWindow; counter <= current + this.totpWindow; counter++) {
+            if (counter > lastCounter && await this.totpCode(secret, counter) === normalized) {
+                return counter;
+            }
+        }
+        return null;
+    },
+
+    async sha256Hex(text) {
+        const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * 已啟用的兩步驗證配置，未啟用時返回 null
+     * @returns {Promise<{secret: string, lastCounter: number, enabledAt: string}|null>}
+     */
+    async getTwoFactor(env, userId) {
+        return await env.NAV_AUTH.get(`totp:${userId}`, { type: 'json' }).catch(() => null);
+    },
+
+    /**
+     * 生成新的恢復碼 (僅返回一次明文)，NAV_AUTH 中只保存 SHA-256 哈希
+     */
+    async generateRecoveryCodes(env, userId) {
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+            const hex = [...crypto.getRandomValues(new Uint8Array(5))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+        const hashes = await Promise.all(codes.map(code => this.sha256Hex(code)));
+        await env.NAV_AUTH.put(`totp_recovery:${userId}`, JSON.stringify(hashes));
+        return codes;
+    },
+
+    async disableTwoFactor(env, userId) {
+        await Promise.all([
+            env.NAV_AUTH.delete(`totp:${userId}`),
+            env.NAV_AUTH.delete(`totp_pending:${userId}`),
+            env.NAV_AUTH.delete(`totp_recovery:${userId}`)
+        ]);
+    },
+
+    /**
+     * 校驗第二步：動態驗證碼或一次性恢復碼
+     */
+    async verifySecondFactor(env, userId, code) {
+        const twoFactor = await this.getTwoFactor(env, userId);
+        if (!twoFactor) return false;
+
+        const counter = await this.verifyTotp(twoFactor.secret, code, twoFactor.lastCounter ?? -1);
+        if (counter !== null) {
+            await env.NAV_AUTH.put(`totp:${userId}`, JSON.stringify({ ...twoFactor, lastCounter: counter }));
+            return true;
+        }
+
+        const hashes = await env.NAV_AUTH.get(`totp_recovery:${userId}`, { type: 'json' }).catch(() => null) || [];
+        const hash = await this.sha256Hex(String(code || '').trim().toLowerCase());
+        if (!hashes.includes(hash)) return false;
+        await env.NAV_AUTH.put(`totp_recovery:${userId}`, JSON.stringify(hashes.filter(item => item !== hash)));
+        return true;
+    },
+
+    getSessionId(request) {
+        const cookieHeader = request.headers.get('Cookie');
+        if (!cookieHeader) return null;
+
+        const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
+            const [key, value] = cookie.trim().split('=');
+            acc[key] = value;
+            return acc;
+        }, {});
+        return cookies['sessionId'] || null;
+    },
+
+    /**
+     * 刪除指定用戶的所有會話 (可保留一個)，返回刪除的數量
+     * 會話的 userId 保存在 KV 元數據中，列出時無需逐個讀取
+     */
+    async deleteUserSessions(env, userId, exceptSessionId = null) {
+        let cursor;
+        let deleted = 0;
+        do {
+            const page = await env.NAV_AUTH.list({ prefix: 'session:', cursor });
+            for (const key of page.keys) {
+                if (key.name === `session:${exceptSessionId}`) continue;
+                let ownerId = key.metadata?.userId;
+                if (ownerId === undefined) {
+                    const session = await env.NAV_AUTH.get(key.name, { type: 'json' }).catch(() => null);
+                    ownerId = session?.userId;
+                }
+                if (ownerId === userId) {
+                    await env.NAV_AUTH.delete(key.name);
+                    deleted++;
+                }
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return deleted;
+    },
+
+    /**
+     * 登錄失敗計數 (按 IP 和用戶名分別統計)，保存在 NAV_AUTH 的 login_fail:* 中
+     */
+    loginLimitKeys(request, username) {
+        const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+        return [`login_fail:ip:${ip}`, `login_fail:user:${encodeURIComponent(String(username || '').slice(0, 64))}`];
+    },
+
+    /**
+     * @returns {Promise<number>} - 仍需等待的秒數，0 表示未被鎖定
+     */
+    async getLoginLockSeconds(env, keys) {
+        const records = await Promise.all(keys.map(key => env.NAV_AUTH.get(key, { type: 'json' }).catch(() => null)));
+        const lockedUntil = Math.max(0, ...records.map(record => record?.lockedUntil || 0));
+        return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+    },
+
+    async recordLoginFailure(env, keys) {
+        await Promise.all(keys.map(async key => {
+            const record = await env.NAV_AUTH.get(key, { type: 'json' }).catch(() => null) || { count: 0 };
+            const count = record.count + 1;
+            const excess = count - this.loginFreeAttempts;
+            const lockSeconds = excess <= 0 ? 0
+                : key.startsWith('login_fail:user:') ? this.loginUserThrottleSeconds
+                : Math.min(60 * 2 ** (excess - 1), this.loginMaxLockSeconds);
+            await env.NAV_AUTH.put(key, JSON.stringify({
+                count,
+                lockedUntil: lockSeconds > 0 ? Date.now() + lockSeconds * 1000 : 0
+            }), { expirationTtl: this.loginMaxLockSeconds });
+        }));
+    },
+
+    /**
+     * 新增：從 Cookie 中解析會話並在 KV 中驗證 (後台頁面只接受會話，不接受 API 令牌)
+     * @returns {Promise<boolean>} - 返回用戶是否已通過身份驗證
+     */
+    async checkAuth(request, env) {
+        return (await this.getSessionUser(request, env)) !== null;
+    },
+
+    /**
+     * 是否可以查看私密書籤 (已登錄，或 API 令牌帶有 read-private 範圍)
+     */
+    async canReadPrivate(request, env) {
+        const user = await this.getCurrentUser(request, env);
+        return user !== null && this.hasPermission(user, 'read_private');
+    },
+
+    /**
+     * 當前用戶：帶有 Authorization: Bearer 時按 API 令牌驗證，否則按會話 Cookie 驗證
+     * 令牌用戶帶有 tokenId 和 scopes
+     * @returns {Promise<{id: number, username: string, role: string, tokenId?: number, scopes?: string[]}|null>}
+     */
+    async getCurrentUser(request, env) {
+        const authorization = request.headers.get('Authorization');
+        if (authorization && /^Bearer\s/i.test(authorization)) {
+            return this.getTokenUser(env, authorization.replace(/^Bearer\s+/i, '').trim());
+        }
+        return this.getSessionUser(request, env);
+    },
+
+    async getTokenUser(env, token) {
+        try {
+            if (!token) return null;
+            const row = await env.NAV_DB.prepare(`
+                SELECT t.id AS token_id, t.scopes, u.id, u.username, u.role
+                FROM api_tokens t JOIN users u ON u.id = t.user_id
+                WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+            `).bind(await this.sha256Hex(token)).first();
+            if (!row) return null;
+
+            // 最後使用時間精確到分鐘即可，避免每個請求都寫入
+            await env.NAV_DB.prepare(`
+                UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+            `).bind(row.token_id).run();
+            return { id: row.id, username: row.username, role: row.role, tokenId: row.token_id, scopes: row.scopes.split(',') };
+        } catch (e) {
+            console.error('Token check failed:', e.message);
+            return null;
+        }
+    },
+
+    // 滑動過期的續期間隔 (秒)，避免每個請求都寫入 KV
+    sessionRefreshInterval: 5 * 60,
+
+    /**
+     * 讀取 Cookie 中的會話，並在距上次活動超過 sessionRefreshInterval 時
+     * 更新最近活動時間、IP 和過期時間
+     * @returns {Promise<{sessionId: string, session: object}|null>}
+     */
+    async getSession(request, env) {
+        const sessionId = this.getSessionId(request);
+        if (!sessionId) return null;
+
+        // 在 KV 中檢查會話是否存在 (舊版本的 "valid" 會話不包含用戶，需重新登錄)
+        let session = await env.NAV_AUTH.get(`session:${sessionId}`, { type: 'json' }).catch(() => null);
+        if (!session || !session.userId) return null;
+
+        // 升級前創建的會話沒有 createdAt，無法得知原有效期，不續期
+        if (session.createdAt && Date.now() - session.lastSeenAt > this.sessionRefreshInterval * 1000) {
+            session = {
+                ...session,
+                lastSeenAt: Date.now(),
+                ip: request.headers.get('CF-Connecting-IP') || session.ip
+            };
+            await this.writeSession(env, sessionId, session);
+        }
+        return { sessionId, session };
+    },
+
+    /**
+     * 根據會話返回當前用戶；每次都從 users 表讀取，角色變更或刪除賬號立即生效
+     * @returns {Promise<{id: number, username: string, role: string}|null>}
+     */
+    async getSessionUser(request, env) {
+        try {
+            const current = await this.getSession(request, env);
+            if (!current) return null;
+
+            return await env.NAV_DB.prepare('SELECT id, username, role FROM users WHERE id = ?')
+                .bind(current.session.userId).first();
+
+        } catch (e) {
+            console.error('Auth check failed:', e.message);
+            return null;
+        }
+    },
+
+    /**
+     * 校驗用戶名和密碼；users 表為空時使用 NAV_AUTH 中的舊賬號登錄，並將其創建為 owner
+     */
+    async authenticate(env, username, password) {
+        if (!username || !password) return null;
+
+        const user = await env.NAV_DB.prepare('SELECT id, username, password, role FROM users WHERE username = ?')
+            .bind(username).first();
+        if (user) {
+            if (!await this.verifyPassword(password, user.password)) return null;
+            if (!user.password.startsWith('pbkdf2$')) {
+                await env.NAV_DB.prepare('UPDATE users SET password = ? WHERE id = ?').bind(await this.hashPassword(password), user.id).run();
+            }
+            return { id: user.id, username: user.username, role: user.role };
+        }
+
+        const { total } = await env.NAV_DB.prepare('SELECT COUNT(*) AS total FROM users').first();
+        if (total > 0) return null;
+
+        const storedUsername = await env.NAV_AUTH.get("admin_username");
+        const storedPassword = await env.NAV_AUTH.get("admin_password");
+        if (!storedUsername || username !== storedUsername || !await this.verifyPassword(password, storedPassword)) return null;
+
+        // KV 中的明文密碼替換為哈希，之後不再保留明文
+        const passwordHash = storedPassword.startsWith('pbkdf2$') ? storedPassword : await this.hashPassword(password);
+        if (passwordHash !== storedPassword) {
+            await env.NAV_AUTH.put("admin_password", passwordHash);
+        }
+        const insert = await env.NAV_DB.prepare("INSERT INTO users (username, password, role) VALUES (?, ?, 'owner')")
+            .bind(storedUsername, passwordHash).run();
+        return { id: insert.meta.last_row_id, username: storedUsername, role: 'owner' };
+    },
+
+    /**
+     * 新增：處理管理員登入請求
+     */
+    async handleLogin(request, env) {
+        try {
+            // 拒絕其他站點提交的登錄表單 (登錄 CSRF)
+            if (!this.isSameOrigin(request)) {
+                return api.errorResponse('Cross-origin request rejected', 403);
+            }
+
+            const { username, password, remember, challenge, otp } = await request.json();
+
+            // 第二步：校驗兩步驗證碼
+            if (challenge) {
+                return await this.handleSecondFactor(request, env, challenge, otp);
+            }
+
+            // 鎖定期間不校驗密碼，直接拒絕
+            const limitKeys = this.loginLimitKeys(request, username);
+            const lockSeconds = await this.getLoginLockSeconds(env, limitKeys);
+            if (lockSeconds > 0) {
+                return this.loginLockedResponse(lockSeconds);
+            }
+
+            await schema.ensureMigrated(env);
+            const user = await this.authenticate(env, username, password);
+
+            if (user) {
+                // 已啟用兩步驗證：暫不創建會話，失敗計數在第二步通過後才清除
+                if (await this.getTwoFactor(env, user.id)) {
+                    const challengeId = crypto.randomUUID();
+                    await env.NAV_AUTH.put(`login_challenge:${challengeId}`, JSON.stringify({
+                        userId: user.id,
+                        username: user.username,
+                        remember: !!remember,
+                        attempts: 0
+                    }), { expirationTtl: this.loginChallengeTtl });
+                    return new Response(JSON.stringify({ success: false, twoFactorRequired: true, challenge: challengeId, message: '请输入两步验证码' }), {
+                        status: 200,
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                }
+
+                await Promise.all(limitKeys.map(key => env.NAV_AUTH.delete(key)));
+                return await this.createSession(request, env, user.id, remember);
+            } else {
+                // 憑證錯誤
+                await this.recordLoginFailure(env, limitKeys);
+                return new Response(JSON.stringify({ success: false, message: 'Invalid username or password' }), {
+                    status: 401,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+        } catch (e) {
+            return new Response(JSON.stringify({ success: false, message: e.message }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * 登錄第二步：校驗動態驗證碼或恢復碼後創建會話
+     */
+    async handleSecondFactor(request, env, challengeId, otp) {
+        const challengeKey = `login_challenge:${challengeId}`;
+        const challenge = await env.NAV_AUTH.get(challengeKey, { type: 'json' }).catch(() => null);
+        if (!challenge) {
+            return new Response(JSON.stringify({ success: false, message: '登录已过期，请重新输入用户名和密码' }), {
+                status: 401,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const limitKeys = this.loginLimitKeys(request, challenge.username);
+        const lockSeconds = await this.getLoginLockSeconds(env, limitKeys);
+        if (lockSeconds > 0) {
+            return this.loginLockedResponse(lockSeconds);
+        }
+
+        if (await this.verifySecondFactor(env, challenge.userId, otp)) {
+            await Promise.all([challengeKey, ...limitKeys].map(key => env.NAV_AUTH.delete(key)));
+            return await this.createSession(request, env, challenge.userId, challenge.remember);
+        }
+
+        await this.recordLoginFailure(env, limitKeys);
+        const attempts = challenge.attempts + 1;
+        if (attempts >= this.loginChallengeMaxAttempts) {
+            await env.NAV_AUTH.delete(challengeKey);
+        } else {
+            await env.NAV_AUTH.put(challengeKey, JSON.stringify({ ...challenge, attempts }), { expirationTtl: this.loginChallengeTtl });
+        }
+        return new Response(JSON.stringify({ success: false, message: '验证码错误' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    },
+
+    async createSession(request, env, userId, remember) {
+        const sessionId = crypto.randomUUID();
+        const now = Date.now();
+        const session = {
+            userId,
+            createdAt: now,
+            lastSeenAt: now,
+            ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+            userAgent: (request.headers.get('User-Agent') || '').slice(0, 256),
+            remember: !!remember
+        };
+        await this.writeSession(env, sessionId, session);
+
+        // 返回 200 OK 並設置 HttpOnly Cookie
+        return new Response(JSON.stringify({ success: true, message: 'Login successful' }), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Set-Cookie': this.sessionCookie(sessionId, this.sessionTtl(session.remember))
+            }
+        });
+    },
+
+    // 「記住我」設置 30 天過期，否則設置 1 天 (秒)；每次活動後重新計算 (滑動過期)
+    sessionTtl(remember) {
+        return remember ? 30 * 86400 : 86400;
+    },
+
+    sessionCookie(sessionId, maxAge) {
+        return `sessionId=${sessionId}; HttpOnly; Secure; SameSite=Lax; Path=/; Max-Age=${maxAge}`;
+    },
+
+    /**
+     * 將會話存儲在 KV 中並重置過期時間；元數據保存完整會話信息，
+     * 列出會話 (設備列表、批量註銷) 時無需逐個讀取
+     */
+    async writeSession(env, sessionId, session) {
+        await env.NAV_AUTH.put(`session:${sessionId}`, JSON.stringify(session), {
+            expirationTtl: this.sessionTtl(session.remember),
+            metadata: session
+        });
+    },
+
+    /**
+     * 會話在設備列表中的標識；會話 ID 本身即登錄憑證，不能返回給頁面
+     */
+    async sessionHandle(sessionId) {
+        return (await this.sha256Hex(`session:${sessionId}`)).slice(0, 24);
+    },
+
+    /**
+     * 列出指定用戶的所有會話 (按最近活動倒序)
+     */
+    async listUserSessions(env, userId, currentSessionId = null) {
+        const sessions = [];
+        let cursor;
+        do {
+            const page = await env.NAV_AUTH.list({ prefix: 'session:', cursor });
+            for (const key of page.keys) {
+                const session = key.metadata?.userId !== undefined
+                    ? key.metadata
+                    : await env.NAV_AUTH.get(key.name, { type: 'json' }).catch(() => null);
+                if (!session || session.userId !== userId) continue;
+                sessions.push({
+                    id: await this.sessionHandle(key.name.slice('session:'.length)),
+                    createdAt: session.createdAt || null,
+                    lastSeenAt: session.lastSeenAt || null,
+                    expiresAt: key.expiration ? key.expiration * 1000 : null,
+                    ip: session.ip || null,
+                    userAgent: session.userAgent || null,
+                    remember: !!session.remember,
+                    current: key.name === `session:${currentSessionId}`
+                });
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return sessions.sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+    },
+
+    /**
+     * 按設備列表中的標識刪除會話，只能刪除屬於該用戶的會話
+     * @returns {Promise<boolean>}
+     */
+    async deleteSessionByHandle(env, userId, handle) {
+        let cursor;
+        do {
+            const page = await env.NAV_AUTH.list({ prefix: 'session:', cursor });
+            for (const key of page.keys) {
+                const sessionId = key.name.slice('session:'.length);
+                if (await this.sessionHandle(sessionId) !== handle) continue;
+                const session = key.metadata?.userId !== undefined
+                    ? key.metadata
+                    : await env.NAV_AUTH.get(key.name, { type: 'json' }).catch(() => null);
+                if (!session || session.userId !== userId) return false;
+                await env.NAV_AUTH.delete(key.name);
+                return true;
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return false;
+    },
+
+    loginLockedResponse(lockSeconds) {
+        const wait = lockSeconds < 60 ? `${lockSeconds} 秒` : `${Math.ceil(lockSeconds / 60)} 分钟`;
+        return new Response(JSON.stringify({ success: false, message: `登录失败次数过多，请 ${wait}后再试` }), {
+            status: 429,
+            headers: { 'Content-Type': 'application/json', 'Retry-After': String(lockSeconds) }
+        });
+    },
+
+    /**
+     * 新增：處理管理員登出請求
+     */
+    async handleLogout(request, env) {
+        try {
+            const csrfError = await this.verifyCsrf(request);
+            if (csrfError) {
+                return api.errorResponse(csrfError, 403);
+            }
+
+            // 從 cookie 中獲取 sessionId (即使它無效也沒關係，我們只是要刪除它)
+            const sessionId = this.getSessionId(request);
+            if (sessionId) {
+                // 從 KV 中刪除會話
+                await env.NAV_AUTH.delete(`session:${sessionId}`);
+            }
+            
+            // 返回響應，並設置一個立即過期的 cookie 來清除瀏覽器
+            return new Response(JSON.stringify({ success: true, message: 'Logged out' }), {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Set-Cookie': this.sessionCookie('', 0)
+                }
+            });
+
+        } catch (e) {
+            return new Response(JSON.stringify({ success: false, message: e.message }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+  async handleRequest(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const method = request.method;
+
+    // 處理靜態資源
+    if (path.startsWith('/static')) {
+      return this.handleStatic(request);
+    }
+
+    // 處理登入 API
+    if (path === '/admin/login' && method === 'POST') {
+      return this.handleLogin(request, env);
+    }
+    
+    // 處理登出 API
+    if (path === '/admin/logout' && method === 'POST') {
+      return this.handleLogout(request, env);
+    }
+
+    // 處理管理頁面訪問
+    if (path === '/admin') {
+      // 遷移失敗時仍然顯示後台，狀態可在「外觀設置」的數據庫區塊查看
+      await schema.ensureMigrated(env);
+      const isAuthenticated = await this.checkAuth(request, env);
+      
+      if (isAuthenticated) {
+        // 如果已認證，顯示管理頁面；瀏覽器中的 Cookie 與 KV 中的會話一起續期
+        const response = await this.renderAdminPage(await this.getCsrfToken(this.getSessionId(request)));
+        const current = await this.getSession(request, env);
+        if (current && current.session.createdAt) {
+          response.headers.append('Set-Cookie', this.sessionCookie(current.sessionId, this.sessionTtl(current.session.remember)));
+        }
+        return response;
+      } else {
+        // 如果未認證，顯示登入頁面
+        return this.renderLoginPage();
+      }
+    }
+    
+    return new Response('页面不存在', {status: 404});
+  },
+     async handleStatic(request) {
+        const url = new URL(request.url);
+        const filePath = url.pathname.replace('/static/', '');
+  
+        let contentType = 'text/plain';
+        if (filePath.endsWith('.css')) {
+           contentType = 'text/css';
+        } else if (filePath.endsWith('.js')) {
+           contentType = 'application/javascript';
+        }
+  
+        try {
+            const fileContent = await this.getFileContent(filePath)
+            return new Response(fileContent, {
+              headers: { 'Content-Type': contentType }
+            });
+        } catch (e) {
+           return new Response('Not Found', {status: 404});
+        }
+  
+      },
+    async getFileContent(filePath) {
+        const fileContents = {
+           'admin.html': `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>書籤管理後台</title>
+    <link rel="stylesheet" href="/static/admin.css">
+    <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap" rel="stylesheet">
+    <script src="https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
+</head>
+<body>
+    <div class="container">
+        <h1>導航設置</h1>
+        <div id="message" style="display: none;"></div>
+
+        <div class="tab-wrapper">
+            <div class="tab-buttons">
+                <button class="tab-button active" data-tab="config">書籤列表</button>
+                <button class="tab-button" data-tab="pending">待審核列表</button>
+                <button class="tab-button" data-tab="catalogs">分類列表</button>
+                <button class="tab-button" data-tab="tags">標籤列表</button>
+                <button class="tab-button" data-tab="linkChecks">失效鏈接</button>
+                <button class="tab-button" data-tab="duplicates">重複書籤</button>
+                <button class="tab-button" data-tab="analytics">數據統計</button>
+                <button class="tab-button" data-tab="trash">回收站</button>
+                <button class="tab-button" data-tab="settings">設置</button>
+                <button class="tab-button" data-tab="users">賬號管理</button>
+                <button class="tab-button" data-tab="auditLog">操作日誌</button>
+                <button class="tab-button" data-tab="snapshots">數據快照</button>
+                <button class="tab-button" data-tab="webhooks">Webhook</button>
+                <button class="tab-button" data-tab="sessions">登錄設備</button>
+                <button class="tab-button" data-tab="apiTokens">API 令牌</button>
+                <span id="currentUserLabel" style="margin-left: auto; padding: 10px 15px; color: #666; font-size: 0.9em;"></span>
+                <button id="changePasswordButton" style="background: none; border: none; color: var(--primary-color); cursor: pointer; padding: 10px 15px; font-size: 0.9em;">修改密碼</button>
+                <a href="/" target="_blank" style="background: none; border: none; color: var(--primary-color); cursor: pointer; padding: 10px 15px; font-size: 0.9em; text-decoration: none; display: inline-block; vertical-align: middle;">返回主頁</a>
+                <button id="logoutButton" style="background: none; border: none; color: var(--danger-color); cursor: pointer; padding: 10px 15px; font-size: 0.9em;">登出</button>
+            </div>
+
+            <div id="config" class="tab-content active">
+                <div class="add-new">
+                    <input type="text" id="addName" placeholder="名稱 (必填)">
+                    <input type="text" id="addUrl" placeholder="URL (必填)">
+                    <input type="text" id="addLogo" placeholder="Logo (可選)">
+                    <input type="text" id="addDesc" placeholder="描述 (可選)">
+                    <input type="text" id="addCatelog" placeholder="分類 (必填)" list="catalogDataList">
+                    <input type="text" id="addTags" placeholder="標籤 (可選，逗號分隔)">
+                    <button id="addBtn">添加書籤</button>
+                </div>
+                <div class="controls-wrapper">
+                    <div>
+                        <input type="text" id="searchInput" placeholder="搜索書籤..." style="min-width: 250px;">
+                        <select id="tagFilter" class="tag-filter"><option value="">全部標籤</option></select>
+                    </div>
+                    <div>
+                        <input type="file" id="importFile" accept=".json,.html,.htm" style="display:none;">
+                        <select id="importMode" class="tag-filter" title="導入的網址與已有書籤重複時的處理方式 (也用於分類導入)">
+                            <option value="skip">重複時跳過</option>
+                            <option value="overwrite">重複時覆蓋</option>
+                            <option value="keep">保留重複</option>
+                        </select>
+                        <button id="importBtn" title="支持 JSON 配置或瀏覽器導出的書籤 HTML">導入</button>
+                        <button id="exportBtn">導出</button>
+                        <button id="exportHtmlBtn" title="導出為瀏覽器可導入的書籤 HTML">導出 HTML</button>
+                        <button id="deleteAllBtn" class="del-all-btn">清空所有書籤</button>
+                    </div>
+                </div>
+                <div id="bulkActions" class="bulk-actions" style="display: none;">
+                    <span id="bulkSelectedCount"></span>
+                    <input type="text" id="bulkCatelog" placeholder="目標分類" list="catalogDataList">
+                    <button id="bulkMoveBtn">移動到分類</button>
+                    <button id="bulkPrivateBtn">設為私密</button>
+                    <button id="bulkPublicBtn">設為公開</button>
+                    <input type="text" id="bulkTags" placeholder="標籤 (逗號分隔)">
+                    <button id="bulkAddTagsBtn">添加標籤</button>
+                    <button id="bulkRemoveTagsBtn">移除標籤</button>
+                    <button id="bulkRefreshIconsBtn">刷新圖標</button>
+                    <button id="bulkDeleteBtn" class="del-all-btn">刪除</button>
+                    <button id="bulkClearBtn">取消選擇</button>
+                </div>
+                <div class="table-wrapper">
+                    <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：您可以直接拖曳表格行來調整書籤順序，勾選多行後可批量操作。</div>
+                    <table id="configTable">
+                        <thead>
+                            <tr><th><input type="checkbox" id="selectAllSites" title="全選本頁"></th><th>ID</th><th>名稱</th><th>URL</th><th>Logo</th><th>描述</th><th>分類</th><th>標籤</th><th>操作</th></tr>
+                        </thead>
+                        <tbody id="configTableBody"></tbody>
+                    </table>
+                    <div class="pagination">
+                        <button id="prevPage" disabled>上一頁</button>
+                        <span id="currentPage">1</span>/<span id="totalPages">1</span>
+                        <button id="nextPage" disabled>下一頁</button>
+                    </div>
+                </div>
+            </div>
+
+            <div id="pending" class="tab-content">
+                <div class="controls-wrapper">
+                    <div>
+                        <select id="pendingStatusFilter" class="tag-filter">
+                            <option value="pending">待審核</option>
+                            <option value="rejected">已拒絕</option>
+                            <option value="approved">已通過</option>
+                        </select>
+                    </div>
+                    <div id="pendingApprovalOptions">
+                        <span style="color: #666; font-size: 0.9em;">通過時：</span>
+                        <select id="pendingApprovePrivacy" class="tag-filter">
+                            <option value="0">公開</option>
+                            <option value="1">私密</option>
+                        </select>
+                        <select id="pendingApprovePosition" class="tag-filter">
+                            <option value="bottom">排在最後</option>
+                            <option value="top">排在最前</option>
+                        </select>
+                    </div>
+                </div>
+                <div id="pendingBulkActions" class="bulk-actions" style="display: none;">
+                    <span id="pendingSelectedCount"></span>
+                    <button id="pendingBulkApproveBtn">批量通過</button>
+                    <button id="pendingBulkRejectBtn" class="del-all-btn">批量拒絕</button>
+                    <button id="pendingBulkClearBtn">取消選擇</button>
+                </div>
+                <div class="table-wrapper">
+                    <table id="pendingTable">
+                        <thead>
+                            <tr><th><input type="checkbox" id="selectAllPending" title="全選本頁"></th><th>ID</th><th>名稱</th><th>URL</th><th>Logo</th><th>描述</th><th>分類</th><th>聯繫方式</th><th id="pendingLastColumn">操作</th></tr>
+                        </thead>
+                        <tbody id="pendingTableBody"></tbody>
+                    </table>
+                    <div class="pagination">
+                        <button id="pendingPrevPage" disabled>上一頁</button>
+                        <span id="pendingCurrentPage">1</span>/<span id="pendingTotalPages">1</span>
+                        <button id="pendingNextPage" disabled>下一頁</button>
+                    </div>
+                </div>
+
+                <h3 class="settings-header">提交黑名單</h3>
+                <div style="padding: 5px 0; color: #666; font-size: 0.9em;">訪客提交的網址命中黑名單時會被直接拒絕。域名會同時匹配其子域名；網址會匹配以它開頭的路徑 (忽略 http/https、www. 和追蹤參數)。</div>
+                <div class="add-new">
+                    <select id="blocklistType">
+                        <option value="domain">域名</option>
+                        <option value="url">網址</option>
+                    </select>
+                    <input type="text" id="blocklistPattern" placeholder="例如：spam.example 或 https://example.com/ads">
+                    <input type="text" id="blocklistNote" placeholder="備註 (可選)">
+                    <button id="addBlocklistBtn">添加</button>
+                </div>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>類型</th><th>匹配內容</th><th>備註</th><th>添加時間</th><th>操作</th></tr></thead>
+                        <tbody id="blocklistTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="catalogs" class="tab-content">
+                <div class="controls-wrapper">
+                    <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：拖曳表格行可調整同級分類的順序；在編輯分類中選擇父分類可移動到其他層級。</div>
+                    <div>
+                        <button id="addCatalogBtn">增加分類</button>
+                        <button id="migrateCatalogsBtn">遷移舊分類</button>
+                    </div>
+                </div>
+                <div class="table-wrapper">
+                    <table id="catalogTable">
+                        <thead><tr><th>圖標</th><th>分類名稱</th><th>操作</th></tr></thead>
+                        <tbody id="catalogTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+            
+            <div id="tags" class="tab-content">
+                <div class="controls-wrapper">
+                    <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：標籤可在添加或編輯書籤時填寫，多個標籤以逗號分隔。</div>
+                    <div>
+                        <button id="addTagBtn">增加標籤</button>
+                    </div>
+                </div>
+                <div class="table-wrapper">
+                    <table id="tagTable">
+                        <thead><tr><th>ID</th><th>標籤名稱</th><th>書籤數</th><th>操作</th></tr></thead>
+                        <tbody id="tagTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="linkChecks" class="tab-content">
+                <div class="controls-wrapper">
+                    <div>
+                        <select id="linkCheckFilter" class="tag-filter">
+                            <option value="problems">失效或重定向</option>
+                            <option value="broken">僅失效</option>
+                            <option value="redirected">僅重定向</option>
+                            <option value="all">全部已檢測</option>
+                        </select>
+                        <span id="linkCheckSummary" style="color: #666; font-size: 0.9em;"></span>
+                    </div>
+                    <div>
+                        <button id="runLinkChecksBtn" title="立即檢測一批最久未檢測的書籤">立即檢測</button>
+                    </div>
+                </div>
+                <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：為 Worker 添加 Cron 觸發器後會定期自動檢測，每次檢測一批書籤。</div>
+                <div class="table-wrapper">
+                    <table id="linkCheckTable">
+                        <thead><tr><th>名稱</th><th>URL</th><th>狀態</th><th>重定向目標</th><th>耗時</th><th>檢測時間</th><th>操作</th></tr></thead>
+                        <tbody id="linkCheckTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="duplicates" class="tab-content">
+                <div class="add-new">
+                    <span style="flex: 1 1 200px; align-self: center; color: var(--muted-text-color);">網址相同 (忽略 http/https、www.、末尾斜杠和追蹤參數) 的書籤會歸為一組。合併時保留選中的書籤，並從組內選取最佳的名稱、圖標和描述，合併全部標籤；其餘書籤移至回收站。</span>
+                    <button id="refreshDuplicatesBtn">重新檢測</button>
+                </div>
+                <div id="duplicateGroups"></div>
+            </div>
+
+            <div id="analytics" class="tab-content">
+                <div class="controls-wrapper">
+                    <div>
+                        <select id="analyticsRange" class="tag-filter">
+                            <option value="7">最近 7 天</option>
+                            <option value="30" selected>最近 30 天</option>
+                            <option value="90">最近 90 天</option>
+                            <option value="365">最近 365 天</option>
+                        </select>
+                        <span id="analyticsSummary" style="color: #666; font-size: 0.9em;"></span>
+                    </div>
+                    <div>
+                        <button id="refreshAnalyticsBtn">刷新</button>
+                    </div>
+                </div>
+                <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：公開頁面的書籤經 /go/ 跳轉時計數，按 UTC 日期匯總；爬蟲和瀏覽器預加載不計入。</div>
+                <h3 class="settings-header">熱門書籤</h3>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>#</th><th>名稱</th><th>URL</th><th>分類</th><th>點擊數</th><th>最近點擊</th></tr></thead>
+                        <tbody id="analyticsTopBody"></tbody>
+                    </table>
+                </div>
+                <h3 class="settings-header">分類趨勢</h3>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>分類</th><th>點擊數</th><th>每日趨勢</th></tr></thead>
+                        <tbody id="analyticsCatalogBody"></tbody>
+                    </table>
+                </div>
+                <h3 class="settings-header">從未被點擊 <small id="analyticsNeverCount"></small></h3>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>名稱</th><th>URL</th><th>分類</th><th>創建時間</th></tr></thead>
+                        <tbody id="analyticsNeverBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="trash" class="tab-content">
+                <div class="controls-wrapper">
+                    <div>
+                        <span id="trashRetentionInfo" style="color: #666; font-size: 0.9em;"></span>
+                        <span id="trashRetentionEditor">
+                            <input type="number" id="trashRetentionDays" min="0" max="3650" style="width: 90px;" title="保留天數，0 表示不自動清除">
+                            <button id="saveTrashRetentionBtn">保存保留天數</button>
+                        </span>
+                    </div>
+                    <div>
+                        <button id="emptyTrashBtn" class="del-all-btn">清空回收站</button>
+                    </div>
+                </div>
+                <h3 class="settings-header">分類</h3>
+                <div class="table-wrapper">
+                    <table id="trashCatalogTable">
+                        <thead><tr><th>名稱</th><th>一起刪除的書籤</th><th>刪除時間</th><th>操作</th></tr></thead>
+                        <tbody id="trashCatalogTableBody"></tbody>
+                    </table>
+                </div>
+                <h3 class="settings-header">書籤</h3>
+                <div class="table-wrapper">
+                    <table id="trashSiteTable">
+                        <thead><tr><th>名稱</th><th>URL</th><th>分類</th><th>刪除時間</th><th>操作</th></tr></thead>
+                        <tbody id="trashSiteTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="users" class="tab-content">
+                <div class="add-new">
+                    <input type="text" id="addUsername" placeholder="用戶名 (必填)">
+                    <input type="password" id="addUserPassword" placeholder="密碼 (至少 6 位)" autocomplete="new-password">
+                    <select id="addUserRole" class="tag-filter">
+                        <option value="editor">editor (管理書籤和分類)</option>
+                        <option value="reviewer">reviewer (僅審核)</option>
+                        <option value="owner">owner (全部權限)</option>
+                    </select>
+                    <button id="addUserBtn">添加賬號</button>
+                </div>
+                <div class="table-wrapper">
+                    <table id="userTable">
+                        <thead><tr><th>ID</th><th>用戶名</th><th>角色</th><th>兩步驗證</th><th>創建時間</th><th>操作</th></tr></thead>
+                        <tbody id="userTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="auditLog" class="tab-content">
+                <div class="controls-wrapper">
+                    <div>
+                        <select id="auditEntityFilter" class="tag-filter">
+                            <option value="">全部對象</option>
+                            <option value="site">書籤</option>
+                            <option value="catalog">分類</option>
+                            <option value="pending">待審核</option>
+                            <option value="tag">標籤</option>
+                            <option value="settings">設置</option>
+                            <option value="user">賬號</option>
+                            <option value="snapshot">快照</option>
+                            <option value="blocklist">提交黑名單</option>
+                            <option value="webhook">Webhook</option>
+                        </select>
+                        <select id="auditActionFilter" class="tag-filter">
+                            <option value="">全部操作</option>
+                            <option value="create">新增</option>
+                            <option value="update">修改</option>
+                            <option value="delete">刪除</option>
+                            <option value="delete_all">清空</option>
+                            <option value="reorder">排序</option>
+                            <option value="import">導入</option>
+                            <option value="restore">恢復</option>
+                            <option value="purge">徹底刪除</option>
+                            <option value="merge">合併重複</option>
+                            <option value="approve">通過審核</option>
+                            <option value="reject">拒絕審核</option>
+                        </select>
+                        <select id="auditUserFilter" class="tag-filter">
+                            <option value="">全部賬號</option>
+                        </select>
+                        <input type="date" id="auditFromFilter" title="開始日期">
+                        <input type="date" id="auditToFilter" title="結束日期">
+                        <input type="text" id="auditKeywordFilter" placeholder="搜索名稱、ID 或變更內容">
+                    </div>
+                    <div>
+                        <button id="auditSearchBtn">查詢</button>
+                        <button id="auditExportBtn">導出 CSV</button>
+                    </div>
+                </div>
+                <div class="table-wrapper">
+                    <table id="auditTable">
+                        <thead><tr><th>時間</th><th>賬號</th><th>操作</th><th>對象</th><th>名稱</th><th>變更</th><th>IP</th></tr></thead>
+                        <tbody id="auditTableBody"></tbody>
+                    </table>
+                    <div class="pagination">
+                        <button id="auditPrevPage" disabled>上一頁</button>
+                        <span id="auditCurrentPage">1</span>/<span id="auditTotalPages">1</span>
+                        <button id="auditNextPage" disabled>下一頁</button>
+                    </div>
+                </div>
+            </div>
+
+            <div id="snapshots" class="tab-content">
+                <div class="add-new">
+                    <span style="flex: 1 1 200px; align-self: center; color: var(--muted-text-color);">快照包含所有書籤 (含回收站)、分類、標籤和站點設置。清空書籤、導入、徹底刪除和恢復快照前會自動創建，配置 Cron 觸發器後每天自動創建一次。</span>
+                    <button id="createSnapshotBtn">立即創建快照</button>
+                </div>
+                <div class="table-wrapper">
+                    <table id="snapshotTable">
+                        <thead><tr><th>ID</th><th>時間</th><th>類型</th><th>創建者</th><th>書籤</th><th>分類</th><th>標籤</th><th>大小</th><th>操作</th></tr></thead>
+                        <tbody id="snapshotTableBody"></tbody>
+                    </table>
+                </div>
+                <div id="snapshotDiff" style="display: none; margin-top: 20px;"></div>
+            </div>
+
+            <div id="webhooks" class="tab-content">
+                <div class="add-new">
+                    <input type="hidden" id="webhookEditId">
+                    <input type="text" id="webhookName" placeholder="名稱 (例如：團隊群聊)">
+                    <input type="text" id="webhookUrl" placeholder="https://example.com/hooks/nav">
+                    <input type="text" id="webhookSecret" placeholder="簽名密鑰 (留空自動生成)">
+                    <label><input type="checkbox" id="webhookEnabled" checked> 啟用</label>
+                    <span id="webhookEvents"></span>
+                    <button id="saveWebhookBtn">添加 Webhook</button>
+                    <button id="cancelWebhookEditBtn" style="display: none;">取消編輯</button>
+                </div>
+                <div class="form-group" id="webhookSecretBox" style="display: none;">
+                    <div style="color: var(--danger-color);">請立即複製簽名密鑰，離開本頁後將無法再次查看：</div>
+                    <pre id="webhookSecretValue" style="background: var(--bg-color); padding: 0.5rem 1rem; border-radius: var(--border-radius); word-break: break-all; white-space: pre-wrap;"></pre>
+                </div>
+                <div style="padding: 5px 0; color: #666; font-size: 0.9em;">提示：請求頭 X-Webhook-Signature 為 sha256=HMAC-SHA256(密鑰, X-Webhook-Timestamp + "." + 請求體)。發送失敗時按 1 分鐘、5 分鐘、30 分鐘、2 小時、12 小時重試 (需配置 Cron 觸發器，到期後在下一次觸發時重試)。</div>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>名稱</th><th>URL</th><th>事件</th><th>密鑰</th><th>狀態</th><th>操作</th></tr></thead>
+                        <tbody id="webhookTableBody"></tbody>
+                    </table>
+                </div>
+                <h3 class="settings-header">發送記錄</h3>
+                <div class="controls-wrapper">
+                    <div>
+                        <select id="webhookDeliveryHookFilter" class="tag-filter">
+                            <option value="">全部 Webhook</option>
+                        </select>
+                        <select id="webhookDeliveryStatusFilter" class="tag-filter">
+                            <option value="">全部狀態</option>
+                            <option value="success">成功</option>
+                            <option value="pending">等待重試</option>
+                            <option value="failed">失敗</option>
+                        </select>
+                    </div>
+                    <div>
+                        <button id="refreshWebhookDeliveriesBtn">刷新</button>
+                    </div>
+                </div>
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr><th>ID</th><th>Webhook</th><th>事件</th><th>狀態</th><th>次數</th><th>響應</th><th>耗時</th><th>時間</th><th>操作</th></tr></thead>
+                        <tbody id="webhookDeliveryTableBody"></tbody>
+                    </table>
+                    <div class="pagination">
+                        <button id="webhookDeliveryPrevPage" disabled>上一頁</button>
+                        <span id="webhookDeliveryCurrentPage">1</span>/<span id="webhookDeliveryTotalPages">1</span>
+                        <button id="webhookDeliveryNextPage" disabled>下一頁</button>
+                    </div>
+                </div>
+            </div>
+
+            <div id="sessions" class="tab-content">
+                <div class="add-new">
+                    <span style="flex: 1 1 200px; align-self: center; color: var(--muted-text-color);">以下是當前賬號已登錄的設備，撤銷後該設備需要重新登錄。</span>
+                    <button id="revokeOtherSessionsBtn">登出其他設備</button>
+                    <button id="revokeAllSessionsBtn" class="del-all-btn">登出所有設備</button>
+                </div>
+                <div class="table-wrapper">
+                    <table id="sessionTable">
+                        <thead><tr><th>設備</th><th>IP</th><th>登錄時間</th><th>最近活動</th><th>過期時間</th><th>記住我</th><th>操作</th></tr></thead>
+                        <tbody id="sessionTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="apiTokens" class="tab-content">
+                <div class="add-new">
+                    <input type="text" id="addTokenName" placeholder="令牌名稱 (例如：瀏覽器擴展)">
+                    <span id="addTokenScopes">
+                        <label><input type="checkbox" value="read-private" data-permission="read_private"> read-private (查看私密書籤)</label>
+                        <label><input type="checkbox" value="write-sites" data-permission="sites"> write-sites (管理書籤)</label>
+                        <label><input type="checkbox" value="manage-catalogs" data-permission="catalogs"> manage-catalogs (管理分類)</label>
+                        <label><input type="checkbox" value="review-pending" data-permission="pending"> review-pending (審核提交)</label>
+                    </span>
+                    <select id="addTokenExpiry" class="tag-filter">
+                        <option value="30">30 天後過期</option>
+                        <option value="90" selected>90 天後過期</option>
+                        <option value="365">365 天後過期</option>
+                        <option value="">永不過期</option>
+                    </select>
+                    <button id="addTokenBtn">創建令牌</button>
+                </div>
+                <div class="form-group" id="newTokenBox" style="display: none;">
+                    <div style="color: var(--danger-color);">請立即複製新令牌，離開本頁後將無法再次查看：</div>
+                    <pre id="newTokenValue" style="background: var(--bg-color); padding: 0.5rem 1rem; border-radius: var(--border-radius); word-break: break-all; white-space: pre-wrap;"></pre>
+                    <div style="font-size: 0.9em; color: var(--muted-text-color);">使用方式：請求 /api/* 時添加請求頭 Authorization: Bearer &lt;令牌&gt;</div>
+                </div>
+                <div class="table-wrapper">
+                    <table id="apiTokenTable">
+                        <thead><tr><th>名稱</th><th>令牌</th><th>權限範圍</th><th>過期時間</th><th>最後使用</th><th>創建時間</th><th>操作</th></tr></thead>
+                        <tbody id="apiTokenTableBody"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div id="settings" class="tab-content">
+                <div class="settings-form">
+                    <h3 class="settings-header">賬號安全</h3>
+                    <div class="form-group">
+                        <div id="twoFactorStatus" style="color: var(--muted-text-color);">加載中...</div>
+                    </div>
+                    <div class="form-group" id="twoFactorSetup" style="display: none;">
+                        <div id="twoFactorQr" style="margin: 0.5rem 0;"></div>
+                        <div style="font-size: 0.9em; color: var(--muted-text-color); word-break: break-all;">
+                            無法掃碼時手動輸入密鑰：<code id="twoFactorSecret"></code>
+                        </div>
+                        <input type="text" id="twoFactorCode" placeholder="輸入身份驗證器中的 6 位驗證碼" inputmode="numeric" autocomplete="one-time-code">
+                        <button id="confirmTwoFactorBtn">確認啟用</button>
+                    </div>
+                    <div class="form-group" id="recoveryCodesBox" style="display: none;">
+                        <div style="color: var(--danger-color);">請妥善保存以下恢復碼，每個只能使用一次，離開本頁後將無法再次查看：</div>
+                        <pre id="recoveryCodesList" style="background: var(--bg-color); padding: 0.5rem 1rem; border-radius: var(--border-radius);"></pre>
+                    </div>
+                    <div>
+                        <button id="enableTwoFactorBtn" style="display: none;">啟用兩步驗證</button>
+                        <button id="regenerateRecoveryCodesBtn" style="display: none;">重新生成恢復碼</button>
+                        <button id="disableTwoFactorBtn" class="del-all-btn" style="display: none;">關閉兩步驗證</button>
+                    </div>
+
+                    <div id="siteSettingsSection">
+                    <h3 class="settings-header">主題與顏色</h3>
+                    <div class="form-group">
+                        <label for="settingDarkMode">啟用深色模式 (Dark Mode)</label>
+                        <input type="checkbox" id="settingDarkMode" class="settings-checkbox">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingBgImage">前端背景圖片 URL</label>
+                        <input type="text" id="settingBgImage" placeholder="請輸入完整的圖片網址">
+                    </div>
+                    
+                    <h3 class="settings-header">內容與標題</h3>
+                    <div class="form-group">
+                        <label for="settingTabTitle">瀏覽器標籤頁標題</label>
+                        <input type="text" id="settingTabTitle" placeholder="例如：Aki 的導航站">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingTabIcon">瀏覽器標籤頁圖標 URL</label>
+                        <input type="text" id="settingTabIcon" placeholder="請輸入 .ico 或 .png 格式的圖標網址">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingSidebarTitle">側邊欄頂部標題</label>
+                        <input type="text" id="settingSidebarTitle" placeholder="例如：Aki">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingMainTitle">頁面主標題</label>
+                        <input type="text" id="settingMainTitle" placeholder="例如：Aki's Bookmarks">
+                    </div>
+                     <div class="form-group">
+                        <label for="settingSubtitle">頁面副標題</label>
+                        <input type="text" id="settingSubtitle" placeholder="例如：我的個人公開書籤">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingTitleSize">主標題字體大小 (px)</label>
+                        <input type="number" id="settingTitleSize" placeholder="例如：48">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingTitleColor">主標題顏色</label>
+                        <input type="color" id="settingTitleColor" class="settings-color-input">
+                    </div>
+
+                    <h3 class="settings-header">功能開關</h3>
+                    <div class="form-group">
+                        <label for="settingShowAddBtn">顯示“添加新書籤”按鈕</label>
+                        <input type="checkbox" id="settingShowAddBtn" class="settings-checkbox">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingSiteSort">書籤排序</label>
+                        <select id="settingSiteSort">
+                            <option value="manual">手動排序</option>
+                            <option value="popular">按熱度 (最近 30 天點擊數)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settingSubmitChallenge">訪客提交驗證</label>
+                        <select id="settingSubmitChallenge">
+                            <option value="pow">工作量證明 (瀏覽器自動計算)</option>
+                            <option value="turnstile">Cloudflare Turnstile (需配置 TURNSTILE_SITE_KEY 和 TURNSTILE_SECRET_KEY)</option>
+                            <option value="none">不驗證</option>
+                        </select>
+                    </div>
+
+                    <button id="saveSettingsBtn">保存設置</button>
+                    </div>
+
+                    <div id="schemaSection">
+                    <h3 class="settings-header">數據庫結構</h3>
+                    <div class="form-group">
+                        <div id="schemaStatus" style="color: var(--muted-text-color);">加載中...</div>
+                        <ul id="schemaPendingList" style="margin: 0.5rem 0; padding-left: 1.2rem;"></ul>
+                        <button id="runMigrationsBtn">執行遷移</button>
+                    </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+    <datalist id="catalogDataList"></datalist>
+    <input type="file" id="importCategoryFile" accept=".json" style="display:none;">
+    <script src="/static/admin.js"></script>
+</body>
+</html>`,
+           'admin.css': `:root {
+    --primary-color: #6c63ff;
+    --primary-hover-color: #534dc4;
+    --danger-color: #dc3545;
+    --danger-hover-color: #c82333;
+    --info-color: #17a2b8;
+    --bg-color: #f8f9fa;
+    --container-bg-color: #ffffff;
+    --text-color: #343a40;
+    --muted-text-color: #6c757d;
+    --border-color: #dee2e6;
+    --input-focus-color: #80bdff;
+    --input-focus-shadow: 0 0 0 0.2rem rgba(108, 99, 255, .25);
+    --font-family: 'Noto Sans SC', sans-serif;
+    --border-radius: 0.5rem;
+    --box-shadow: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);
+}
+
+body {
+    font-family: var(--font-family);
+    margin: 0;
+    padding: 20px;
+    background-color: var(--bg-color);
+    color: var(--text-color);
+}
+
+.container {
+    max-width: 1200px;
+    margin: 20px auto;
+    background-color: var(--container-bg-color);
+    padding: 2rem;
+    border-radius: var(--border-radius);
+    box-shadow: var(--box-shadow);
+}
+
+h1 {
+    text-align: center;
+    margin-bottom: 2rem;
+    font-weight: 700;
+}
+
+/* 佈局與表單 */
+.controls-wrapper {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 1rem;
+    margin-bottom: 1.5rem;
+}
+
+.add-new {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+    padding: 1rem;
+    background-color: #f8f9fa;
+    border: 1px solid var(--border-color);
+    border-radius: var(--border-radius);
+    margin-bottom: 1.5rem;
+}
+.add-new > input { flex: 1 1 150px; }
+.add-new > button { flex-shrink: 0; }
+#addTokenScopes { display: flex; flex-wrap: wrap; align-items: center; gap: 0.25rem 1rem; }
+#addTokenScopes label { white-space: nowrap; }
+
+input[type="text"], input[type="number"], input[type="date"] {
+    padding: 10px 12px;
+    border: 1px solid var(--border-color);
+    border-radius: var(--border-radius);
+    font-size: 1rem;
+    outline: none;
+    transition: border-color 0.2s, box-shadow 0.2s;
+}
+input[type="text"]:focus, input[type="number"]:focus {
+    border-color: var(--primary-color);
+    box-shadow: var(--input-focus-shadow);
+}
+
+button {
+    background-color: var(--primary-color);
+    color: #fff;
+    border: none;
+    padding: 10px 15px;
+    border-radius: var(--border-radius);
+    cursor: pointer;
+    font-size: 1rem;
+    font-weight: 500;
+    transition: background-color 0.3s, transform 0.1s;
+}
+button:hover { background-color: var(--primary-hover-color); }
+button:active { transform: scale(0.98); }
+
+/* 選項卡 */
+.tab-buttons { display: flex; border-bottom: 2px solid var(--border-color); }
+.tab-button {
+    background: none;
+    border: none;
+    padding: 10px 15px;
+    cursor: pointer;
+    font-size: 1rem;
+    color: var(--muted-text-color);
+    border-bottom: 2px solid transparent;
+    margin-bottom: -2px;
+}
+.tab-button.active {
+    color: var(--primary-color);
+    border-bottom-color: var(--primary-color);
+    font-weight: 700;
+}
+.tab-content { display: none; padding-top: 1.5rem; }
+.tab-content.active { display: block; }
+
+/* 表格 */
+.table-wrapper { overflow-x: auto; }
+table {
+    width: 100%;
+    border-collapse: collapse;
+    margin-bottom: 20px;
+}
+th, td {
+    border: 1px solid var(--border-color);
+    padding: 12px 15px;
+    text-align: left;
+    vertical-align: middle;
+}
+th {
+    background-color: #f8f9fa;
+    font-weight: 600;
+}
+tr:nth-child(even) { background-color: #f8f9fa; }
+#configTableBody tr, #catalogTableBody tr { cursor: move; }
+.sortable-ghost { opacity: 0.4; background-color: #cde4ff; }
+.sortable-drag { background-color: #eef; }
+
+/* 操作按鈕 */
+.actions { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+.actions button { padding: 6px 10px; font-size: 0.875rem; }
+.edit-btn { background-color: var(--info-color); }
+.del-btn, .del-all-btn { background-color: var(--danger-color); }
+.del-btn:hover, .del-all-btn:hover { background-color: var(--danger-hover-color); }
+.privacy-toggle-btn {
+    background: none; border: none; cursor: pointer;
+    padding: 5px; font-size: 1.2rem; line-height: 1;
+}
+
+/* 批量操作 */
+.bulk-actions {
+    display: flex; flex-wrap: wrap; align-items: center; gap: 10px;
+    padding: 10px 1rem; margin-bottom: 1rem;
+    background-color: #eef; border: 1px solid var(--border-color); border-radius: var(--border-radius);
+}
+.bulk-actions #bulkSelectedCount { font-weight: 600; }
+
+/* 標籤 */
+.tag-chip {
+    display: inline-block; padding: 2px 8px; margin: 2px;
+    border-radius: 999px; font-size: 0.8rem;
+    background-color: #eef; color: var(--primary-color);
+}
+.tag-filter {
+    padding: 10px 12px; border: 1px solid var(--border-color);
+    border-radius: var(--border-radius); font-size: 1rem; background-color: #fff;
+}
+
+/* 子分類 */
+.catalog-indent { color: var(--muted-text-color); display: inline-block; }
+.inherited-private { color: var(--muted-text-color); font-size: 0.8rem; margin-left: 6px; }
+
+/* 分頁 */
+.pagination { text-align: center; margin-top: 20px; }
+.pagination button { margin: 0 5px; background-color: #fff; color: var(--text-color); border: 1px solid var(--border-color); }
+.pagination button:disabled { opacity: 0.5; cursor: not-allowed; }
+
+/* 消息提示 */
+#message { padding: 1rem; border-radius: var(--border-radius); margin-bottom: 1rem; color: #fff; }
+.success { background-color: #28a745; }
+.error { background-color: var(--danger-color); }
+
+/* 設置頁面 */
+.settings-form { max-width: 600px; }
+.form-group { margin-bottom: 1.5rem; }
+.form-group label { display: block; font-weight: 500; margin-bottom: 0.5rem; }
+.form-group input { width: 100%; }
+.settings-header { 
+    margin-top: 2.5rem; 
+    margin-bottom: 1.5rem; 
+    border-bottom: 1px solid var(--border-color); 
+    padding-bottom: 0.5rem; 
+}
+.settings-checkbox {
+    width: 20px;
+    height: 20px;
+    vertical-align: middle;
+}
+.settings-color-input {
+    padding: 5px;
+    height: 45px;
+    width: 100px;
+    border: 1px solid var(--border-color);
+    border-radius: var(--border-radius);
+    cursor: pointer;
+}
+
+/* 模態框 */
+.modal {
+    display: none; position: fixed; z-index: 1000;
+    left: 0; top: 0; width: 100%; height: 100%;
+    overflow: auto; background-color: rgba(0,0,0,0.5);
+}
+.modal-content {
+    background-color: #fff; margin: 10% auto; padding: 20px;
+    border: 1px solid var(--border-color); width: 60%;
+    border-radius: var(--border-radius); position: relative;
+    box-shadow: var(--box-shadow);
+}
+.modal-close {
+    color: #6c757d; position: absolute; right: 10px; top: 0;
+    font-size: 28px; font-weight: bold; cursor: pointer;
+}
+.modal-close:hover, .modal-close:focus { color: #343a40; }
+.modal-content form { display: flex; flex-direction: column; }
+.modal-content form label { margin-bottom: 5px; font-weight: 500; }
+.modal-content form input { margin-bottom: 10px; width: calc(100% - 24px); }
+.modal-content button[type='submit'] { margin-top: 10px; }
+`,
+           'admin.js': `
+          // --- 新增：CSRF 防護，所有修改請求自動帶上頁面中的令牌 (/api/me 返回時更新) ---
+          let csrfToken = document.querySelector('meta[name="csrf-token"]')?.content || null;
+          const nativeFetch = window.fetch.bind(window);
+          window.fetch = (input, init = {}) => {
+              const method = (init.method || 'GET').toUpperCase();
+              if (csrfToken && !['GET', 'HEAD'].includes(method)) {
+                  // init.headers 可能是 Headers 實例，展開會丟失其中的條目
+                  const headers = new Headers(init.headers);
+                  headers.set('X-CSRF-Token', csrfToken);
+                  init = { ...init, headers };
+              }
+              return nativeFetch(input, init);
+          };
+
+          const configTableBody = document.getElementById('configTableBody');
+          const prevPageBtn = document.getElementById('prevPage');
+          const nextPageBtn = document.getElementById('nextPage');
           const currentPageSpan = document.getElementById('currentPage');
           const totalPagesSpan = document.getElementById('totalPages');
           
-          const pendingTableBody = document.getElementById('pendingTableBody');
-          const pendingPrevPageBtn = document.getElementById('pendingPrevPage');
-          const pendingNextPageBtn = document.getElementById('pendingNextPage');
-          const pendingCurrentPageSpan = document.getElementById('pendingCurrentPage');
-          const pendingTotalPagesSpan = document.getElementById('pendingTotalPages');
+          const pendingTableBody = document.getElementById('pendingTableBody');
+          const pendingPrevPageBtn = document.getElementById('pendingPrevPage');
+          const pendingNextPageBtn = document.getElementById('pendingNextPage');
+          const pendingCurrentPageSpan = document.getElementById('pendingCurrentPage');
+          const pendingTotalPagesSpan = document.getElementById('pendingTotalPages');
+
+          const catalogTableBody = document.getElementById('catalogTableBody');
+          
+          const messageDiv = document.getElementById('message');
+          
+          const addBtn = document.getElementById('addBtn');
+          const addName = document.getElementById('addName');
+          const addUrl = document.getElementById('addUrl');
+          const addLogo = document.getElementById('addLogo');
+          const addDesc = document.getElementById('addDesc');
+          const addCatelog = document.getElementById('addCatelog');
+          const addTags = document.getElementById('addTags');
+          const tagFilter = document.getElementById('tagFilter');
+          const tagTableBody = document.getElementById('tagTableBody');
+          
+          const importBtn = document.getElementById('importBtn');
+          const importFile = document.getElementById('importFile');
+          const importMode = document.getElementById('importMode');
+          const exportBtn = document.getElementById('exportBtn');
+          const deleteAllBtn = document.getElementById('deleteAllBtn');
+          const migrateCatalogsBtn = document.getElementById('migrateCatalogsBtn');
+          const searchInput = document.getElementById('searchInput');
+          const importCategoryFile = document.getElementById('importCategoryFile');
+          
+           const tabButtons = document.querySelectorAll('.tab-button');
+            const tabContents = document.querySelectorAll('.tab-content');
+          
+            tabButtons.forEach(button => {
+                button.addEventListener('click', () => {
+                const tab = button.dataset.tab;
+
+                if (tab === 'settings') {
+                    loadTwoFactorStatus();
+                    if (currentUser && currentUser.permissions.includes('settings')) loadSettings();
+                    if (currentUser && currentUser.permissions.includes('schema')) loadSchemaStatus();
+                }
+                if (tab === 'tags') {
+                    fetchTags();
+                }
+                if (tab === 'linkChecks') {
+                    fetchLinkChecks();
+                }
+                if (tab === 'duplicates') {
+                    fetchDuplicates();
+                }
+                if (tab === 'analytics') {
+                    fetchAnalytics();
+                }
+                if (tab === 'pending') {
+                    fetchBlocklist();
+                }
+                if (tab === 'trash') {
+                    fetchTrash();
+                }
+                if (tab === 'users') {
+                    fetchUsers();
+                }
+                if (tab === 'sessions') {
+                    fetchSessions();
+                }
+                if (tab === 'auditLog') {
+                    fetchAuditLog(1);
+                }
+                if (tab === 'snapshots') {
+                    fetchSnapshots();
+                }
+                if (tab === 'webhooks') {
+                    fetchWebhooks();
+                    fetchWebhookDeliveries(1);
+                }
+                if (tab === 'apiTokens') {
+                    fetchApiTokens();
+                }
+                
+                tabButtons.forEach(b => b.classList.remove('active'));
+                 button.classList.add('active');
+                tabContents.forEach(content => {
+                   content.classList.remove('active');
+                    if(content.id === tab) {
+                       content.classList.add('active');
+                     }
+                  })
+              });
+            });
+          
+          let currentPage = 1;
+          let pageSize = 10;
+          let totalItems = 0;
+          let allConfigs = [];
+          let currentSearchKeyword = '';
+          let currentTagFilter = '';
+          
+          let pendingCurrentPage = 1;
+            let pendingPageSize = 10;
+            let pendingTotalItems = 0;
+            let allPendingConfigs = [];
+            
+            let currentCategoryImportTarget = null;
+            let allCatalogs = [];
+          
+          const editModal = document.createElement('div');
+          editModal.className = 'modal';
+          editModal.style.display = 'none';
+          editModal.innerHTML = \`
+            <div class="modal-content">
+              <span class="modal-close">×</span>
+              <h2>编辑站点</h2>
+              <form id="editForm">
+                <input type="hidden" id="editId">
+                <label for="editName">名称:</label>
+                <input type="text" id="editName" required><br>
+                <label for="editUrl">URL:</label>
+                <input type="text" id="editUrl" required><br>
+                <label for="editLogo">Logo(可选):</label>
+                <input type="text" id="editLogo"><br>
+                <label for="editDesc">描述(可选):</label>
+                <input type="text" id="editDesc"><br>
+                <label for="editCatelog">分类:</label>
+                <input type="text" id="editCatelog" required list="catalogDataList"><br>
+                <label for="editTags">标签(可选，逗号分隔):</label>
+                <input type="text" id="editTags"><br>
+                <button type="submit">保存</button>
+              </form>
+            </div>
+          \`;
+          document.body.appendChild(editModal);
+
+          const editCatalogModal = document.createElement('div');
+          editCatalogModal.className = 'modal';
+          editCatalogModal.style.display = 'none';
+          editCatalogModal.innerHTML = \`
+            <div class="modal-content">
+              <span class="modal-close" id="editCatalogModalClose">×</span>
+              <h2 id="catalogModalTitle">编辑分类</h2>
+              <form id="editCatalogForm">
+                <input type="hidden" id="editCatalogId">
+                <input type="hidden" id="editCatalogOldName">
+                <label for="editCatalogName">分类名称:</label>
+                <input type="text" id="editCatalogName" required><br>
+                <label for="editCatalogIcon">分类图标 (URL):</label>
+                <input type="text" id="editCatalogIcon" placeholder="https://.../icon.png"><br>
+                <label for="editCatalogParent">父分类:</label>
+                <select id="editCatalogParent" class="tag-filter" style="margin-bottom: 10px;"></select>
+                <button type="submit">保存</button>
+              </form>
+            </div>
+          \`;
+          document.body.appendChild(editCatalogModal);
+
+          // --- 新增：修改密碼 ---
+          const changePasswordModal = document.createElement('div');
+          changePasswordModal.className = 'modal';
+          changePasswordModal.style.display = 'none';
+          changePasswordModal.innerHTML = \`
+            <div class="modal-content">
+              <span class="modal-close" id="changePasswordModalClose">×</span>
+              <h2>修改密码</h2>
+              <form id="changePasswordForm">
+                <label for="currentPassword">当前密码:</label>
+                <input type="password" id="currentPassword" required autocomplete="current-password"><br>
+                <label for="newPassword">新密码 (至少 6 位):</label>
+                <input type="password" id="newPassword" required minlength="6" autocomplete="new-password"><br>
+                <label for="confirmNewPassword">确认新密码:</label>
+                <input type="password" id="confirmNewPassword" required minlength="6" autocomplete="new-password"><br>
+                <small style="color: #666;">修改后，此账号在其他设备上的登录将全部失效。</small>
+                <button type="submit">保存</button>
+              </form>
+            </div>
+          \`;
+          document.body.appendChild(changePasswordModal);
+
+          document.getElementById('changePasswordButton').addEventListener('click', () => {
+            document.getElementById('changePasswordForm').reset();
+            changePasswordModal.style.display = 'block';
+          });
+          document.getElementById('changePasswordModalClose').addEventListener('click', () => {
+            changePasswordModal.style.display = 'none';
+          });
+          document.getElementById('changePasswordForm').addEventListener('submit', e => {
+            e.preventDefault();
+            const currentPassword = document.getElementById('currentPassword').value;
+            const newPassword = document.getElementById('newPassword').value;
+            if (newPassword !== document.getElementById('confirmNewPassword').value) {
+              showMessage('两次输入的新密码不一致', 'error');
+              return;
+            }
+            fetch('/api/me/password', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ currentPassword, newPassword })
+            }).then(res => res.json())
+              .then(data => {
+                if (data.code === 200) {
+                  showMessage(data.message, 'success');
+                  changePasswordModal.style.display = 'none';
+                } else {
+                  showMessage(data.message, 'error');
+                }
+              }).catch(() => showMessage('网络错误', 'error'));
+          });
+
+          // --- 新增：瀏覽器書籤 HTML 導入預覽 ---
+          const bookmarkImportModal = document.createElement('div');
+          bookmarkImportModal.className = 'modal';
+          bookmarkImportModal.style.display = 'none';
+          bookmarkImportModal.innerHTML = \`
+            <div class="modal-content">
+              <span class="modal-close" id="bookmarkImportModalClose">×</span>
+              <h2>导入浏览器书签</h2>
+              <div id="bookmarkImportSummary"></div>
+              <div id="bookmarkImportDetails" style="max-height: 320px; overflow-y: auto; margin: 10px 0;"></div>
+              <button id="confirmBookmarkImportBtn">确认导入</button>
+            </div>
+          \`;
+          document.body.appendChild(bookmarkImportModal);
+          let pendingBookmarkHtml = null;
+
+          document.getElementById('bookmarkImportModalClose').addEventListener('click', () => {
+            bookmarkImportModal.style.display = 'none';
+            pendingBookmarkHtml = null;
+          });
+
+          // --- 新增：導入結果報告 ---
+          const importReportModal = document.createElement('div');
+          importReportModal.className = 'modal';
+          importReportModal.style.display = 'none';
+          importReportModal.innerHTML = \`
+            <div class="modal-content">
+              <span class="modal-close" id="importReportModalClose">×</span>
+              <h2>导入结果</h2>
+              <div id="importReportSummary"></div>
+              <div id="importReportDetails" style="max-height: 400px; overflow-y: auto; margin: 10px 0;"></div>
+            </div>
+          \`;
+          document.body.appendChild(importReportModal);
+          document.getElementById('importReportModalClose').addEventListener('click', () => {
+            importReportModal.style.display = 'none';
+          });
+
+          function importReportRows(rows, withReason) {
+            return rows.map(item => \`
+              <tr>
+                <td>\${item.row ?? '-'}</td>
+                <td>\${escapeHtml(item.name || '')}</td>
+                <td>\${escapeHtml(item.url || '')}</td>
+                \${withReason ? \`<td>\${escapeHtml(item.reason || '')}</td>\` : ''}
+              </tr>\`).join('');
+          }
+
+          // 按行列出导入结果：拒绝 (校验失败) 和跳过 (重复) 的行附带原因
+          function showImportReport(data) {
+            const report = data.data;
+            document.getElementById('importReportSummary').innerHTML =
+              \`<p style="color: \${data.code === 201 ? 'inherit' : '#dc3545'};">\${escapeHtml(data.message)}</p>\`;
+            const sections = [
+              { title: '拒绝', rows: report.rejected, withReason: true },
+              { title: '跳过', rows: report.skipped, withReason: true },
+              { title: '更新', rows: report.updated, withReason: false },
+              { title: '新增', rows: report.inserted, withReason: false }
+            ].filter(section => section.rows.length > 0);
+            document.getElementById('importReportDetails').innerHTML = sections.map(section => \`
+              <h3>\${section.title} (\${section.rows.length})</h3>
+              <table>
+                <thead><tr><th>行</th><th>名称</th><th>URL</th>\${section.withReason ? '<th>原因</th>' : ''}</tr></thead>
+                <tbody>\${importReportRows(section.rows, section.withReason)}</tbody>
+              </table>\`).join('');
+            importReportModal.style.display = 'block';
+          }
+
+          function requestBookmarkImport(html, dryRun) {
+            return fetch('/api/config/import/html', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ html, dryRun, mode: importMode.value })
+            }).then(res => res.json());
+          }
+
+          function previewBookmarkImport(html) {
+            requestBookmarkImport(html, true).then(data => {
+              if (data.code !== 200) {
+                if (data.data && data.data.rejected) showImportReport(data);
+                else showMessage(data.message, 'error');
+                return;
+              }
+              const preview = data.data;
+              const newCount = preview.catalogs.filter(cat => !cat.exists).length;
+              document.getElementById('bookmarkImportSummary').innerHTML =
+                \`<p>共 <strong>\${preview.bookmarkCount}</strong> 个书签，新建 <strong>\${newCount}</strong> 个分类，合并到 <strong>\${preview.catalogs.length - newCount}</strong> 个已有分类。</p>\` +
+                (preview.duplicateCount > 0 ? \`<p>其中 \${preview.duplicateCount} 个网址与已有书签或文件中的其他书签重复，将按「\${importMode.selectedOptions[0].textContent}」处理。</p>\` : '') +
+                (preview.rejected.length > 0 ? \`<p style="color: #dc3545;">将拒绝 \${preview.rejected.length} 个不支持或无效的链接 (如 javascript: 书签)。</p>\` : '');
+              const catalogRows = preview.catalogs.map(cat => \`
+                <tr>
+                  <td>\${escapeHtml(cat.name)}</td>
+                  <td>\${cat.parentName ? escapeHtml(cat.parentName) : '-'}</td>
+                  <td>\${cat.siteCount}</td>
+                  <td>\${cat.exists ? '已存在 (合并)' : '新建'}</td>
+                </tr>\`).join('');
+              const rejectedItems = preview.rejected.map(item =>
+                \`<li>\${escapeHtml(item.name || '')} <small>\${escapeHtml(item.url || '')} (\${escapeHtml(item.reason)})</small></li>\`).join('');
+              document.getElementById('bookmarkImportDetails').innerHTML = \`
+                <table>
+                  <thead><tr><th>分类</th><th>父分类</th><th>书签数</th><th>状态</th></tr></thead>
+                  <tbody>\${catalogRows}</tbody>
+                </table>
+                \${rejectedItems ? \`<h3>拒绝的链接</h3><ul>\${rejectedItems}</ul>\` : ''}
+              \`;
+              pendingBookmarkHtml = html;
+              bookmarkImportModal.style.display = 'block';
+            }).catch(() => {
+              showMessage('网络错误', 'error');
+            });
+          }
+
+          document.getElementById('confirmBookmarkImportBtn').addEventListener('click', () => {
+            if (!pendingBookmarkHtml) return;
+            requestBookmarkImport(pendingBookmarkHtml, false).then(data => {
+              if (data.code === 201) {
+                bookmarkImportModal.style.display = 'none';
+                pendingBookmarkHtml = null;
+                showImportReport(data);
+                fetchConfigs();
+                fetchCatalogs();
+                fetchTagOptions();
+              } else if (data.data && data.data.rejected) {
+                showImportReport(data);
+              } else {
+                showMessage(data.message, 'error');
+              }
+            }).catch(() => {
+              showMessage('网络错误', 'error');
+            });
+          });
+          
+          const modalClose = editModal.querySelector('.modal-close');
+          modalClose.addEventListener('click', () => {
+            editModal.style.display = 'none';
+          });
+          
+          const editForm = document.getElementById('editForm');
+          editForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+            const id = document.getElementById('editId').value;
+            const name = document.getElementById('editName').value;
+            const url = document.getElementById('editUrl').value;
+            const logo = document.getElementById('editLogo').value;
+            const desc = document.getElementById('editDesc').value;
+            const catelog = document.getElementById('editCatelog').value;
+            const tags = document.getElementById('editTags').value;
+          
+            fetch(\`/api/config/\${id}\`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ name, url, logo, desc, catelog, tags })
+            }).then(res => res.json())
+              .then(data => {
+                if (data.code === 200) {
+                  showMessage('修改成功', 'success');
+                  fetchConfigs();
+                  fetchAndPopulateCatalogs();
+                  fetchTagOptions();
+                  editModal.style.display = 'none';
+                } else {
+                  showMessage(data.message, 'error');
+                }
+              }).catch(err => {
+                showMessage('网络错误', 'error');
+              })
+          });
+          
+          function fetchConfigs(page = currentPage, keyword = currentSearchKeyword) {
+              let url = keyword ? \`/api/config?pageSize=999&keyword=\${encodeURIComponent(keyword)}\` : \`/api/config?page=\${page}&pageSize=\${pageSize}\`;
+              if (currentTagFilter) {
+                  url += \`&tag=\${encodeURIComponent(currentTagFilter)}\`;
+              }
+              
+              fetch(url)
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          totalItems = data.total;
+                          currentPage = data.page;
+                          totalPagesSpan.innerText = Math.ceil(totalItems / pageSize) || 1;
+                          currentPageSpan.innerText = currentPage;
+                          allConfigs = data.data;
+                          renderConfig(allConfigs);
+                          updatePaginationButtons();
+                          document.querySelector('#config .pagination').style.display = keyword ? 'none' : 'block';
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  }).catch(err => {
+                  showMessage('网络错误', 'error');
+              })
+          }
+          function renderConfig(configs) {
+          configTableBody.innerHTML = '';
+           if (configs.length === 0) {
+                configTableBody.innerHTML = '<tr><td colspan="9">没有配置数据</td></tr>';
+                selectedSiteIds.clear();
+                updateBulkActions();
+                return
+            }
+          // 只保留本頁中仍存在的選擇
+          const visibleIds = new Set(configs.map(config => config.id));
+          [...selectedSiteIds].forEach(id => { if (!visibleIds.has(id)) selectedSiteIds.delete(id); });
+          configs.forEach(config => {
+              const row = document.createElement('tr');
+              row.dataset.id = config.id;
+              const privacyIcon = config.is_private === 1 ? '🔒' : '🔓';
+               row.innerHTML = \`
+                 <td><input type="checkbox" class="site-select" data-id="\${config.id}" \${selectedSiteIds.has(config.id) ? 'checked' : ''}></td>
+                 <td>\${config.id}</td>
+                  <td>\${config.name}</td>
+                  <td><a href="\${config.url}" target="_blank">\${config.url}</a></td>
+                  <td><img src="/icon/\${config.id}" loading="lazy" style="width:30px; border-radius: 4px;" /></td>
+                  <td>\${config.desc || 'N/A'}</td>
+                  <td>\${config.catelog}</td>
+                  <td>\${(config.tags || []).map(tag => \`<span class="tag-chip">\${escapeHtml(tag)}</span>\`).join('')}</td>
+                  <td class="actions">
+                    <button class="privacy-toggle-btn site-privacy-toggle" title="切換隱私狀態" data-id="\${config.id}" data-status="\${config.is_private}">\${privacyIcon}</button>
+                    <button class="edit-btn" data-id="\${config.id}">编辑</button>
+                    <button class="del-btn" data-id="\${config.id}">删除</button>
+                  </td>
+               \`;
+              configTableBody.appendChild(row);
+          });
+            bindActionEvents();
+            updateBulkActions();
+          }
+          
+          function bindActionEvents() {
+           document.querySelectorAll('.site-select').forEach(checkbox => {
+                checkbox.addEventListener('change', function() {
+                    const id = Number(this.dataset.id);
+                    if (this.checked) selectedSiteIds.add(id);
+                    else selectedSiteIds.delete(id);
+                    updateBulkActions();
+                });
+           });
+          
+           document.querySelectorAll('.edit-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    const id = this.dataset.id;
+                    handleEdit(id);
+                })
+           });
+          
+          document.querySelectorAll('.del-btn').forEach(btn => {
+               btn.addEventListener('click', function() {
+                  const id = this.dataset.id;
+                   handleDelete(id)
+               })
+          });
+          
+          document.querySelectorAll('.site-privacy-toggle').forEach(btn => {
+              btn.addEventListener('click', function() {
+                  const id = this.dataset.id;
+                  handleToggleSitePrivacy(id, this);
+              });
+          });
+          }
+          
+          // --- 新增：批量操作 ---
+          const selectedSiteIds = new Set();
+          const bulkActions = document.getElementById('bulkActions');
+          const selectAllSites = document.getElementById('selectAllSites');
+          const bulkIconChunkSize = 20; // 與後端 api.bulkIconLimit 一致
+
+          function updateBulkActions() {
+              const checkboxes = document.querySelectorAll('.site-select');
+              bulkActions.style.display = selectedSiteIds.size > 0 ? 'flex' : 'none';
+              document.getElementById('bulkSelectedCount').textContent = \`已选择 \${selectedSiteIds.size} 个书签\`;
+              selectAllSites.checked = checkboxes.length > 0 && [...checkboxes].every(checkbox => checkbox.checked);
+              selectAllSites.indeterminate = selectedSiteIds.size > 0 && !selectAllSites.checked;
+          }
+
+          selectAllSites.addEventListener('change', function() {
+              document.querySelectorAll('.site-select').forEach(checkbox => {
+                  checkbox.checked = this.checked;
+                  const id = Number(checkbox.dataset.id);
+                  if (this.checked) selectedSiteIds.add(id);
+                  else selectedSiteIds.delete(id);
+              });
+              updateBulkActions();
+          });
+
+          function postBulkAction(action, body) {
+              return fetch(\`/api/config/bulk/\${action}\`, {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ ids: [...selectedSiteIds], ...body })
+              }).then(res => res.json());
+          }
+
+          function runBulkAction(action, body, refreshCatalogs) {
+              bulkActions.querySelectorAll('button').forEach(button => { button.disabled = true; });
+              return postBulkAction(action, body)
+                  .then(data => {
+                      showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                      if (data.code === 200) {
+                          if (action === 'delete') selectedSiteIds.clear();
+                          fetchConfigs();
+                          if (refreshCatalogs) {
+                              fetchCatalogs();
+                              fetchAndPopulateCatalogs();
+                          }
+                          if (action === 'tags') fetchTagOptions();
+                      }
+                  })
+                  .catch(err => showMessage('批量操作失败', 'error'))
+                  .finally(() => bulkActions.querySelectorAll('button').forEach(button => { button.disabled = false; }));
+          }
+
+          document.getElementById('bulkMoveBtn').addEventListener('click', () => {
+              const catelog = document.getElementById('bulkCatelog').value.trim();
+              if (!catelog) return showMessage('请输入目标分类', 'error');
+              runBulkAction('move', { catelog }, true);
+          });
+          document.getElementById('bulkPrivateBtn').addEventListener('click', () => runBulkAction('privacy', { isPrivate: 1 }));
+          document.getElementById('bulkPublicBtn').addEventListener('click', () => runBulkAction('privacy', { isPrivate: 0 }));
+          document.getElementById('bulkAddTagsBtn').addEventListener('click', () => {
+              const tags = document.getElementById('bulkTags').value;
+              if (!tags.trim()) return showMessage('请输入标签', 'error');
+              runBulkAction('tags', { add: tags });
+          });
+          document.getElementById('bulkRemoveTagsBtn').addEventListener('click', () => {
+              const tags = document.getElementById('bulkTags').value;
+              if (!tags.trim()) return showMessage('请输入标签', 'error');
+              runBulkAction('tags', { remove: tags });
+          });
+          document.getElementById('bulkDeleteBtn').addEventListener('click', () => {
+              if (!confirm(\`确认删除选中的 \${selectedSiteIds.size} 个书签？删除后可在回收站中恢复。\`)) return;
+              runBulkAction('delete', {});
+          });
+          document.getElementById('bulkClearBtn').addEventListener('click', () => {
+              selectedSiteIds.clear();
+              document.querySelectorAll('.site-select').forEach(checkbox => { checkbox.checked = false; });
+              updateBulkActions();
+          });
+
+          // 解析圖標需要訪問各網站，按後端上限分批依次請求
+          document.getElementById('bulkRefreshIconsBtn').addEventListener('click', async function() {
+              const ids = [...selectedSiteIds];
+              let updated = 0;
+              let failed = 0;
+              let aborted = false;
+              this.disabled = true;
+              for (let i = 0; i < ids.length; i += bulkIconChunkSize) {
+                  showMessage(\`正在刷新图标 (\${Math.min(i + bulkIconChunkSize, ids.length)}/\${ids.length})...\`, 'success');
+                  try {
+                      const res = await fetch('/api/config/bulk/refresh-icons', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ ids: ids.slice(i, i + bulkIconChunkSize) })
+                      });
+                      const data = await res.json();
+                      if (data.code === 200) {
+                          updated += data.data.updated.length;
+                          failed += data.data.notFound;
+                      } else {
+                          showMessage(data.message, 'error');
+                          aborted = true;
+                      }
+                  } catch (err) {
+                      showMessage('刷新图标失败', 'error');
+                      aborted = true;
+                  }
+                  if (aborted) break;
+              }
+              this.disabled = false;
+              if (!aborted) {
+                  showMessage(\`已更新 \${updated} 个书签的图标\` + (failed > 0 ? \`，\${failed} 个未找到图标\` : ''), 'success');
+              }
+              fetchConfigs();
+          });
+
+          function handleEdit(id) {
+            const row = document.querySelector(\`tr[data-id="\${id}"]\`);
+            if (!row) return showMessage('找不到数据','error');
+            const name = row.querySelector('td:nth-child(3)').innerText;
+            const url = row.querySelector('td:nth-child(4) a').innerText;
+            const logo = row.querySelector('td:nth-child(5) img')?.src || '';
+            const desc = row.querySelector('td:nth-child(6)').innerText === 'N/A' ? '' : row.querySelector('td:nth-child(6)').innerText;
+            const catelog = row.querySelector('td:nth-child(7)').innerText;
+          
+            document.getElementById('editId').value = id;
+            document.getElementById('editName').value = name;
+            document.getElementById('editUrl').value = url;
+            document.getElementById('editLogo').value = logo;
+            document.getElementById('editDesc').value = desc;
+            document.getElementById('editCatelog').value = catelog;
+            const config = allConfigs.find(item => String(item.id) === String(id));
+            document.getElementById('editTags').value = config && config.tags ? config.tags.join(', ') : '';
+            editModal.style.display = 'block';
+          }
+          function handleDelete(id) {
+            if(!confirm('确认删除？删除后可在回收站中恢复。')) return;
+             fetch(\`/api/config/\${id}\`, {
+                  method: 'DELETE'
+              }).then(res => res.json())
+                 .then(data => {
+                     if (data.code === 200) {
+                         showMessage('已移至回收站', 'success');
+                         fetchConfigs();
+                     } else {
+                         showMessage(data.message, 'error');
+                     }
+                 }).catch(err => {
+                      showMessage('网络错误', 'error');
+                 })
+          }
+
+          function handleToggleSitePrivacy(id, buttonElement) {
+              fetch(\`/api/config/\${id}/toggle_privacy\`, { method: 'PUT' })
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          buttonElement.dataset.status = data.newStatus;
+                          buttonElement.innerHTML = data.newStatus === 1 ? '🔒' : '🔓';
+                          showMessage('状态已更新', 'success');
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  }).catch(err => showMessage('网络错误', 'error'));
+          }
+          
+          function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML.replace(/"/g, '&quot;');
+          }
+
+          function showMessage(message, type) {
+            messageDiv.innerText = message;
+            messageDiv.className = type;
+            messageDiv.style.display = 'block';
+            setTimeout(() => {
+                messageDiv.style.display = 'none';
+            }, 3000);
+          }
+          
+          function fetchAndPopulateCatalogs() {
+              const dataList = document.getElementById('catalogDataList');
+              if (!dataList) return;
+  
+              fetch('/api/catalogs')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200 && Array.isArray(data.data)) {
+                          dataList.innerHTML = '';
+                          data.data.forEach(catalog => {
+                              const option = document.createElement('option');
+                              option.value = catalog.name;
+                              dataList.appendChild(option);
+                          });
+                      }
+                  })
+                  .catch(err => console.error('Failed to load catalogs:', err));
+          }
+
+          function updatePaginationButtons() {
+            prevPageBtn.disabled = currentPage === 1;
+             nextPageBtn.disabled = currentPage >= Math.ceil(totalItems/pageSize)
+          }
+          
+          prevPageBtn.addEventListener('click', () => {
+          if(currentPage > 1) {
+              fetchConfigs(currentPage -1);
+          }
+          });
+          nextPageBtn.addEventListener('click', () => {
+            if (currentPage < Math.ceil(totalItems/pageSize)) {
+              fetchConfigs(currentPage + 1);
+            }
+          });
+          
+          addBtn.addEventListener('click', () => {
+            const name = addName.value;
+            const url = addUrl.value;
+            const logo = addLogo.value;
+            const desc = addDesc.value;
+             const catelog = addCatelog.value;
+             const tags = addTags.value;
+            if(!name ||    !url || !catelog) {
+              showMessage('名称,URL,分类 必填', 'error');
+              return;
+          }
+          // 網址已存在時提示已有書籤，確認後強制添加
+          const submitNewSite = allowDuplicate => fetch('/api/config', { method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name, url, logo, desc, catelog, tags, allowDuplicate })
+          }).then(res => res.json())
+          .then(data => {
+             if (data.code === 409 && data.data && !allowDuplicate) {
+                 const existing = data.data;
+                 if (confirm(\`该网址已存在：“\${existing.name}” (分类：\${existing.catelog}，ID：\${existing.id})。仍要添加吗？\`)) {
+                     return submitNewSite(true);
+                 }
+                 return;
+             }
+             if(data.code === 201) {
+                 showMessage('添加成功', 'success');
+                addName.value = '';
+                addUrl.value = '';
+                addLogo.value = '';
+                addDesc.value = '';
+                 addCatelog.value = '';
+                 addTags.value = '';
+                 fetchConfigs();
+                 fetchTagOptions();
+                 fetchAndPopulateCatalogs();
+                 fetchCatalogs();
+             }else {
+                showMessage(data.message, 'error');
+             }
+          });
+          submitNewSite(false).catch(err => {
+            showMessage('网络错误', 'error');
+          })
+          });
+          
+          importBtn.addEventListener('click', () => {
+          importFile.click();
+          });
+          importFile.addEventListener('change', function(e) {
+          const file = e.target.files[0];
+          importFile.value = '';
+          if (file && /\\.html?$/i.test(file.name)) {
+            const reader = new FileReader();
+            reader.onload = event => previewBookmarkImport(event.target.result);
+            reader.readAsText(file);
+            return;
+          }
+          if (file) {
+           const reader = new FileReader();
+          reader.onload = function(event) {
+             try {
+                 const jsonData = JSON.parse(event.target.result);
+                   fetch(\`/api/config/import?mode=\${encodeURIComponent(importMode.value)}\`, {
+                       method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                       body: JSON.stringify(jsonData)
+                  }).then(res => res.json())
+                     .then(data => {
+                          if(data.code === 201) {
+                             showImportReport(data);
+                              fetchConfigs();
+                              fetchCatalogs();
+                              fetchTagOptions();
+                          } else if (data.data && data.data.rejected) {
+                             showImportReport(data);
+                          } else {
+                             showMessage(data.message, 'error');
+                          }
+                     }).catch(err => {
+                           showMessage('网络错误', 'error');
+                  })
+          
+             } catch (error) {
+                   showMessage('JSON格式不正确', 'error');
+             }
+          }
+           reader.readAsText(file);
+          }
+          })
+          document.getElementById('exportHtmlBtn').addEventListener('click', () => {
+            fetch('/api/config/export/html')
+              .then(res => {
+                if (!res.ok) throw new Error('导出失败');
+                return res.blob();
+              })
+              .then(blob => {
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'bookmarks.html';
+                document.body.appendChild(a);
+                a.click();
+                window.URL.revokeObjectURL(url);
+                document.body.removeChild(a);
+              }).catch(err => {
+                showMessage(err.message || '网络错误', 'error');
+              });
+          });
+          exportBtn.addEventListener('click', () => {
+          fetch('/api/config/export')
+          .then(res => res.blob())
+          .then(blob => {
+          const url = window.URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = 'config.json';
+          document.body.appendChild(a);
+          a.click();
+           window.URL.revokeObjectURL(url);
+           document.body.removeChild(a);
+          }).catch(err => {
+          showMessage('网络错误', 'error');
+          })
+          })
+          
+          searchInput.addEventListener('input', () => {
+              currentSearchKeyword = searchInput.value.trim();
+              currentPage = 1;
+              fetchConfigs(currentPage,currentSearchKeyword);
+          });
+
+          tagFilter.addEventListener('change', () => {
+              currentTagFilter = tagFilter.value;
+              currentPage = 1;
+              fetchConfigs(currentPage, currentSearchKeyword);
+          });
+
+          // --- 標籤管理 ---
+          function fetchTagOptions() {
+              fetch('/api/tags')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) return;
+                      tagFilter.innerHTML = '<option value="">全部標籤</option>';
+                      data.data.forEach(tag => {
+                          const option = document.createElement('option');
+                          option.value = tag.name;
+                          option.textContent = \`\${tag.name} (\${tag.site_count})\`;
+                          tagFilter.appendChild(option);
+                      });
+                      tagFilter.value = currentTagFilter;
+                  })
+                  .catch(err => console.error('Failed to load tags:', err));
+          }
+
+          function fetchTags() {
+              fetch('/api/tags')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          renderTags(data.data);
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  })
+                  .catch(err => showMessage('获取标签列表失败', 'error'));
+          }
+
+          function renderTags(tags) {
+              tagTableBody.innerHTML = '';
+              if (tags.length === 0) {
+                  tagTableBody.innerHTML = '<tr><td colspan="4">没有标签数据</td></tr>';
+                  return;
+              }
+              tags.forEach(tag => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${tag.id}</td>
+                    <td><span class="tag-chip">\${escapeHtml(tag.name)}</span></td>
+                    <td>\${tag.site_count}</td>
+                    <td class="actions">
+                      <button class="edit-btn rename-tag-btn" data-id="\${tag.id}" data-name="\${escapeHtml(tag.name)}">重命名</button>
+                      <button class="del-btn del-tag-btn" data-id="\${tag.id}" data-name="\${escapeHtml(tag.name)}">删除</button>
+                    </td>
+                  \`;
+                  tagTableBody.appendChild(row);
+              });
+
+              tagTableBody.querySelectorAll('.rename-tag-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      const name = prompt('新的标签名称：', this.dataset.name);
+                      if (!name || name.trim() === this.dataset.name) return;
+                      saveTag(\`/api/tags/\${this.dataset.id}\`, 'PUT', name.trim());
+                  });
+              });
+              tagTableBody.querySelectorAll('.del-tag-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要删除标签 "\${this.dataset.name}" 吗？书签本身不会被删除。\`)) return;
+                      fetch(\`/api/tags/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              if (data.code === 200) {
+                                  showMessage('标签已删除', 'success');
+                                  refreshTagViews();
+                              } else {
+                                  showMessage(data.message, 'error');
+                              }
+                          }).catch(err => showMessage('删除失败', 'error'));
+                  });
+              });
+          }
+
+          function saveTag(url, method, name) {
+              fetch(url, {
+                  method,
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ name })
+              }).then(res => res.json())
+                .then(data => {
+                    if (data.code === 200 || data.code === 201) {
+                        showMessage('操作成功', 'success');
+                        refreshTagViews();
+                    } else {
+                        showMessage(data.message, 'error');
+                    }
+                }).catch(err => showMessage('操作失败', 'error'));
+          }
+
+          function refreshTagViews() {
+              fetchTags();
+              fetchTagOptions();
+              fetchConfigs();
+          }
+
+          document.getElementById('addTagBtn').addEventListener('click', () => {
+              const name = prompt('标签名称：');
+              if (!name || !name.trim()) return;
+              saveTag('/api/tags', 'POST', name.trim());
+          });
+
+          // --- 新增：失效鏈接 ---
+          const linkCheckTableBody = document.getElementById('linkCheckTableBody');
+          const linkCheckFilter = document.getElementById('linkCheckFilter');
+
+          function fetchLinkChecks() {
+              fetch(\`/api/link-checks?filter=\${linkCheckFilter.value}\`)
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          const summary = data.summary;
+                          document.getElementById('linkCheckSummary').textContent =
+                              \`已检测 \${summary.checked}/\${summary.total}，失效 \${summary.broken}，重定向 \${summary.redirected}\` +
+                              (summary.last_checked ? \`，最近检测于 \${summary.last_checked}\` : '');
+                          renderLinkChecks(data.data);
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  })
+                  .catch(err => showMessage('获取检测结果失败', 'error'));
+          }
+
+          function renderLinkChecks(checks) {
+              linkCheckTableBody.innerHTML = '';
+              if (checks.length === 0) {
+                  linkCheckTableBody.innerHTML = '<tr><td colspan="7">没有需要处理的链接</td></tr>';
+                  return;
+              }
+              checks.forEach(check => {
+                  const statusText = check.status ? \`HTTP \${check.status}\` : escapeHtml(check.error || '请求失败');
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${escapeHtml(check.name)}\${check.is_private ? ' <small>(私密)</small>' : ''}</td>
+                    <td><a href="\${escapeHtml(check.url)}" target="_blank" rel="noopener">\${escapeHtml(check.url)}</a></td>
+                    <td style="color: \${check.state === 'broken' ? '#dc3545' : check.state === 'redirected' ? '#fd7e14' : '#28a745'};">\${statusText}</td>
+                    <td>\${check.state === 'redirected' ? escapeHtml(check.final_url) : '-'}</td>
+                    <td>\${check.latency_ms != null ? check.latency_ms + ' ms' : '-'}</td>
+                    <td>\${check.checked_at}</td>
+                    <td class="actions">
+                      \${check.state === 'redirected' ? \`<button class="edit-btn link-check-action" data-id="\${check.id}" data-action="apply_redirect">更新为重定向目标</button>\` : ''}
+                      \${check.is_private ? '' : \`<button class="del-btn link-check-action" data-id="\${check.id}" data-action="mark_private">设为私密</button>\`}
+                      <button class="edit-btn link-check-action" data-id="\${check.id}" data-action="recheck" style="background-color: #6c757d;">重新检测</button>
+                    </td>
+                  \`;
+                  linkCheckTableBody.appendChild(row);
+              });
+
+              linkCheckTableBody.querySelectorAll('.link-check-action').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      this.disabled = true;
+                      fetch(\`/api/link-checks/\${this.dataset.id}\`, {
+                          method: 'PUT',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ action: this.dataset.action })
+                      }).then(res => res.json())
+                        .then(data => {
+                            showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                            fetchLinkChecks();
+                            if (data.code === 200 && this.dataset.action !== 'recheck') {
+                                fetchConfigs();
+                            }
+                        }).catch(err => {
+                            this.disabled = false;
+                            showMessage('操作失败', 'error');
+                        });
+                  });
+              });
+          }
+
+          linkCheckFilter.addEventListener('change', fetchLinkChecks);
+
+          // --- 新增：重複書籤 ---
+          const duplicateGroups = document.getElementById('duplicateGroups');
+
+          function fetchDuplicates() {
+              duplicateGroups.innerHTML = '<p>检测中...</p>';
+              fetch('/api/duplicates')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          duplicateGroups.innerHTML = '';
+                          showMessage(data.message, 'error');
+                          return;
+                      }
+                      renderDuplicates(data.data);
+                  })
+                  .catch(err => {
+                      duplicateGroups.innerHTML = '';
+                      showMessage('检测重复书签失败', 'error');
+                  });
+          }
+
+          function renderDuplicates(groups) {
+              if (groups.length === 0) {
+                  duplicateGroups.innerHTML = '<p>没有发现重复的书签</p>';
+                  return;
+              }
+              duplicateGroups.innerHTML = groups.map((group, index) => \`
+                <div class="duplicate-group" data-index="\${index}">
+                  <h3 class="settings-header">\${escapeHtml(group.key)} <small>(\${group.sites.length} 个)</small></h3>
+                  <p style="color: var(--muted-text-color); font-size: 0.9em;">
+                    合并后：名称 “\${escapeHtml(group.suggested.name)}”\${group.suggested.tags.length > 0 ? \`，标签 \${escapeHtml(group.suggested.tags.join(', '))}\` : ''}
+                  </p>
+                  <div class="table-wrapper">
+                    <table>
+                      <thead><tr><th>保留</th><th>ID</th><th>名称</th><th>URL</th><th>Logo</th><th>描述</th><th>分类</th><th>标签</th><th>创建时间</th></tr></thead>
+                      <tbody>
+                        \${group.sites.map(site => \`
+                          <tr>
+                            <td><input type="radio" name="duplicateKeep\${index}" value="\${site.id}" \${site.id === group.suggested.id ? 'checked' : ''}></td>
+                            <td>\${site.id}</td>
+                            <td>\${escapeHtml(site.name)}\${site.is_private ? ' <small>(私密)</small>' : ''}</td>
+                            <td><a href="\${escapeHtml(site.url)}" target="_blank" rel="noopener">\${escapeHtml(site.url)}</a></td>
+                            <td>\${site.logo ? \`<img src="\${escapeHtml(site.logo)}" style="width:24px;height:24px;">\` : '-'}</td>
+                            <td>\${escapeHtml(site.desc || '')}</td>
+                            <td>\${escapeHtml(site.catelog)}</td>
+                            <td>\${escapeHtml((site.tags || []).join(', '))}</td>
+                            <td>\${site.create_time || ''}</td>
+                          </tr>\`).join('')}
+                      </tbody>
+                    </table>
+                  </div>
+                  <button class="merge-duplicates-btn" data-index="\${index}" style="margin-top: 10px;">合并此组</button>
+                </div>\`).join('');
+
+              duplicateGroups.querySelectorAll('.merge-duplicates-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      const index = Number(this.dataset.index);
+                      const group = groups[index];
+                      const keepId = Number(duplicateGroups.querySelector(\`input[name="duplicateKeep\${index}"]:checked\`).value);
+                      if (!confirm(\`确定要合并这 \${group.sites.length} 个书签吗？保留 ID \${keepId}，其余书签将移至回收站。\`)) return;
+                      this.disabled = true;
+                      fetch('/api/duplicates/merge', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ ids: group.sites.map(site => site.id), keepId })
+                      }).then(res => res.json())
+                        .then(data => {
+                            showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                            fetchDuplicates();
+                            if (data.code === 200) {
+                                fetchConfigs();
+                                fetchTagOptions();
+                            }
+                        }).catch(err => {
+                            this.disabled = false;
+                            showMessage('合并失败', 'error');
+                        });
+                  });
+              });
+          }
+
+          document.getElementById('refreshDuplicatesBtn').addEventListener('click', fetchDuplicates);
+
+          // --- 新增：點擊統計 ---
+          const analyticsRange = document.getElementById('analyticsRange');
+          const analyticsSummary = document.getElementById('analyticsSummary');
+          const analyticsTopBody = document.getElementById('analyticsTopBody');
+          const analyticsCatalogBody = document.getElementById('analyticsCatalogBody');
+          const analyticsNeverBody = document.getElementById('analyticsNeverBody');
+
+          function fetchAnalytics() {
+              analyticsSummary.textContent = '加载中...';
+              fetch(\`/api/analytics?days=\${analyticsRange.value}\`)
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          analyticsSummary.textContent = '';
+                          showMessage(data.message, 'error');
+                          return;
+                      }
+                      renderAnalytics(data.data);
+                  })
+                  .catch(err => {
+                      analyticsSummary.textContent = '';
+                      showMessage('加载统计数据失败', 'error');
+                  });
+          }
+
+          // 每日点击数的折线图，纵轴按该分类的最大值缩放
+          function sparkline(series) {
+              const width = 240, height = 32;
+              const max = Math.max(...series, 1);
+              const step = series.length > 1 ? width / (series.length - 1) : 0;
+              const points = series.map((value, index) => \`\${(index * step).toFixed(1)},\${(height - 2 - value / max * (height - 4)).toFixed(1)}\`).join(' ');
+              return \`<svg width="\${width}" height="\${height}" viewBox="0 0 \${width} \${height}"><polyline points="\${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>\`;
+          }
+
+          function renderAnalytics(stats) {
+              analyticsSummary.textContent = \`\${stats.days[0]} 至 \${stats.days[stats.days.length - 1]}：共 \${stats.totals.clicks} 次点击，今天 \${stats.totals.today} 次，\${stats.totals.sites} 个书签被点击\`;
+              const siteName = site => escapeHtml(site.name) + (site.is_private ? ' <small>(私密)</small>' : '');
+              const siteLink = site => \`<a href="\${escapeHtml(site.url)}" target="_blank" rel="noopener">\${escapeHtml(site.url)}</a>\`;
+
+              analyticsTopBody.innerHTML = stats.topSites.length === 0
+                  ? '<tr><td colspan="6">这段时间内没有点击</td></tr>'
+                  : stats.topSites.map((site, index) => \`
+                      <tr>
+                        <td>\${index + 1}</td>
+                        <td>\${siteName(site)}</td>
+                        <td>\${siteLink(site)}</td>
+                        <td>\${escapeHtml(site.catelog)}</td>
+                        <td>\${site.clicks}</td>
+                        <td>\${site.last_day}</td>
+                      </tr>\`).join('');
+
+              analyticsCatalogBody.innerHTML = stats.catalogs.length === 0
+                  ? '<tr><td colspan="3">这段时间内没有点击</td></tr>'
+                  : stats.catalogs.map(catalog => \`
+                      <tr>
+                        <td>\${escapeHtml(catalog.catelog)}</td>
+                        <td>\${catalog.total}</td>
+                        <td title="\${stats.days.map((day, index) => \`\${day}: \${catalog.series[index]}\`).join('\\n')}">\${sparkline(catalog.series)}</td>
+                      </tr>\`).join('');
+
+              document.getElementById('analyticsNeverCount').textContent = stats.neverClickedTotal > stats.neverClicked.length
+                  ? \`(共 \${stats.neverClickedTotal} 个，仅显示最早创建的 \${stats.neverClicked.length} 个)\`
+                  : \`(\${stats.neverClickedTotal} 个)\`;
+              analyticsNeverBody.innerHTML = stats.neverClicked.length === 0
+                  ? '<tr><td colspan="4">所有书签都被点击过</td></tr>'
+                  : stats.neverClicked.map(site => \`
+                      <tr>
+                        <td>\${siteName(site)}</td>
+                        <td>\${siteLink(site)}</td>
+                        <td>\${escapeHtml(site.catelog)}</td>
+                        <td>\${site.create_time || ''}</td>
+                      </tr>\`).join('');
+          }
+
+          analyticsRange.addEventListener('change', fetchAnalytics);
+          document.getElementById('refreshAnalyticsBtn').addEventListener('click', fetchAnalytics);
+
+          // --- 新增：提交黑名單 ---
+          const blocklistTableBody = document.getElementById('blocklistTableBody');
+          const blocklistPattern = document.getElementById('blocklistPattern');
+          const blocklistNote = document.getElementById('blocklistNote');
+
+          function fetchBlocklist() {
+              fetch('/api/blocklist')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          showMessage(data.message, 'error');
+                          return;
+                      }
+                      renderBlocklist(data.data);
+                  })
+                  .catch(err => showMessage('加载黑名单失败', 'error'));
+          }
+
+          function renderBlocklist(entries) {
+              if (entries.length === 0) {
+                  blocklistTableBody.innerHTML = '<tr><td colspan="5">黑名单为空</td></tr>';
+                  return;
+              }
+              blocklistTableBody.innerHTML = entries.map(entry => \`
+                <tr>
+                  <td>\${entry.type === 'domain' ? '域名' : '网址'}</td>
+                  <td>\${escapeHtml(entry.pattern)}</td>
+                  <td>\${escapeHtml(entry.note || '')}</td>
+                  <td>\${entry.create_time || ''}</td>
+                  <td class="actions"><button class="del-btn delete-blocklist-btn" data-id="\${entry.id}">删除</button></td>
+                </tr>\`).join('');
+              blocklistTableBody.querySelectorAll('.delete-blocklist-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm('确定从黑名单中删除吗？')) return;
+                      fetch(\`/api/blocklist/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchBlocklist();
+                          })
+                          .catch(err => showMessage('删除失败', 'error'));
+                  });
+              });
+          }
+
+          document.getElementById('addBlocklistBtn').addEventListener('click', () => {
+              if (!blocklistPattern.value.trim()) {
+                  showMessage('请输入域名或网址', 'error');
+                  return;
+              }
+              fetch('/api/blocklist', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ type: document.getElementById('blocklistType').value, pattern: blocklistPattern.value, note: blocklistNote.value })
+              }).then(res => res.json())
+                .then(data => {
+                    if (data.code === 201) {
+                        showMessage('已添加到黑名单', 'success');
+                        blocklistPattern.value = '';
+                        blocklistNote.value = '';
+                        fetchBlocklist();
+                    } else {
+                        showMessage(data.message, 'error');
+                    }
+                }).catch(err => showMessage('添加失败', 'error'));
+          });
+
+          // --- 新增：回收站 ---
+          const trashCatalogTableBody = document.getElementById('trashCatalogTableBody');
+          const trashSiteTableBody = document.getElementById('trashSiteTableBody');
+          const trashRetentionDays = document.getElementById('trashRetentionDays');
+
+          function fetchTrash() {
+              fetch('/api/trash')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          showMessage(data.message, 'error');
+                          return;
+                      }
+                      const days = data.data.retentionDays;
+                      document.getElementById('trashRetentionInfo').textContent = days > 0
+                          ? \`回收站中的内容保留 \${days} 天后自动彻底删除 (需配置 Cron 触发器)\`
+                          : '回收站中的内容不会自动删除';
+                      trashRetentionDays.value = days;
+                      renderTrash(data.data);
+                  })
+                  .catch(err => showMessage('获取回收站失败', 'error'));
+          }
+
+          function renderTrash({ catalogs, sites }) {
+              const canManageCatalogs = currentUser && currentUser.permissions.includes('catalogs');
+              trashCatalogTableBody.innerHTML = catalogs.length === 0 ? '<tr><td colspan="4">没有已删除的分类</td></tr>' : '';
+              catalogs.forEach(catalog => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${escapeHtml(catalog.name)}</td>
+                    <td>\${catalog.site_count}</td>
+                    <td>\${catalog.deleted_at}</td>
+                    <td class="actions">
+                      \${canManageCatalogs ? \`<button class="edit-btn trash-action" data-type="catalogs" data-action="restore" data-id="\${catalog.id}">恢复</button>
+                      <button class="del-btn trash-action" data-type="catalogs" data-action="purge" data-id="\${catalog.id}" data-name="\${escapeHtml(catalog.name)}">彻底删除</button>\` : '-'}
+                    </td>
+                  \`;
+                  trashCatalogTableBody.appendChild(row);
+              });
 
-          const catalogTableBody = document.getElementById('catalogTableBody');
-          
-          const messageDiv = document.getElementById('message');
-          
-          const addBtn = document.getElementById('addBtn');
-          const addName = document.getElementById('addName');
-          const addUrl = document.getElementById('addUrl');
-          const addLogo = document.getElementById('addLogo');
-          const addDesc = document.getElementById('addDesc');
-          const addCatelog = document.getElementById('addCatelog');
-          
-          const importBtn = document.getElementById('importBtn');
-          const importFile = document.getElementById('importFile');
-          const exportBtn = document.getElementById('exportBtn');
-          const deleteAllBtn = document.getElementById('deleteAllBtn');
-          const migrateCatalogsBtn = document.getElementById('migrateCatalogsBtn');
-          const searchInput = document.getElementById('searchInput');
-          const importCategoryFile = document.getElementById('importCategoryFile');
-          
-           const tabButtons = document.querySelectorAll('.tab-button');
-            const tabContents = document.querySelectorAll('.tab-content');
-          
-            tabButtons.forEach(button => {
-                button.addEventListener('click', () => {
-                const tab = button.dataset.tab;
+              trashSiteTableBody.innerHTML = sites.length === 0 ? '<tr><td colspan="5">没有已删除的书签</td></tr>' : '';
+              sites.forEach(site => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${escapeHtml(site.name)}\${site.is_private ? ' <small>(私密)</small>' : ''}</td>
+                    <td><a href="\${escapeHtml(site.url)}" target="_blank" rel="noopener">\${escapeHtml(site.url)}</a></td>
+                    <td>\${escapeHtml(site.catelog)}\${site.with_catalog ? ' <small>(随分类删除)</small>' : ''}</td>
+                    <td>\${site.deleted_at}</td>
+                    <td class="actions">
+                      <button class="edit-btn trash-action" data-type="sites" data-action="restore" data-id="\${site.id}">恢复</button>
+                      <button class="del-btn trash-action" data-type="sites" data-action="purge" data-id="\${site.id}" data-name="\${escapeHtml(site.name)}">彻底删除</button>
+                    </td>
+                  \`;
+                  trashSiteTableBody.appendChild(row);
+              });
 
-                if (tab === 'settings') {
-                    loadSettings();
-                }
-                
-                tabButtons.forEach(b => b.classList.remove('active'));
-                 button.classList.add('active');
-                tabContents.forEach(content => {
-                   content.classList.remove('active');
-                    if(content.id === tab) {
-                       content.classList.add('active');
-                     }
+              document.querySelectorAll('#trash .trash-action').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      const { type, action, id, name } = this.dataset;
+                      if (action === 'purge') {
+                          const hint = type === 'catalogs' ? '随该分类一起删除的书签也会被彻底删除。' : '';
+                          if (!confirm(\`确定要彻底删除 "\${name}" 吗？\${hint}此操作无法恢复！\`)) return;
+                      }
+                      this.disabled = true;
+                      fetch(\`/api/trash/\${type}/\${action}\`, {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ ids: [Number(id)] })
+                      }).then(res => res.json())
+                        .then(data => {
+                            showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                            fetchTrash();
+                            if (data.code === 200 && action === 'restore') {
+                                fetchConfigs();
+                                fetchCatalogs();
+                                fetchAndPopulateCatalogs();
+                            }
+                        }).catch(err => {
+                            this.disabled = false;
+                            showMessage('操作失败', 'error');
+                        });
+                  });
+              });
+          }
+
+          document.getElementById('saveTrashRetentionBtn').addEventListener('click', () => {
+              fetch('/api/trash/settings', {
+                  method: 'PUT',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ retentionDays: Number(trashRetentionDays.value) })
+              }).then(res => res.json())
+                .then(data => {
+                    showMessage(data.code === 200 ? '保留天数已保存' : data.message, data.code === 200 ? 'success' : 'error');
+                    if (data.code === 200) fetchTrash();
+                }).catch(err => showMessage('保存失败', 'error'));
+          });
+
+          document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+              if (!confirm('确定要清空回收站吗？其中的所有书签和分类都将被彻底删除，此操作无法恢复！')) return;
+              fetch('/api/trash', { method: 'DELETE' })
+                  .then(res => res.json())
+                  .then(data => {
+                      showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                      fetchTrash();
+                  }).catch(err => showMessage('清空回收站失败', 'error'));
+          });
+
+          // --- 新增：數據快照 ---
+          const snapshotTableBody = document.getElementById('snapshotTableBody');
+          const snapshotDiff = document.getElementById('snapshotDiff');
+          const snapshotReasonLabels = { manual: '手动', scheduled: '定时', delete_all: '清空书签前', import: '导入前', purge: '彻底删除前', restore: '恢复快照前' };
+
+          function formatBytes(bytes) {
+              if (bytes < 1024) return bytes + ' B';
+              if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+              return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+          }
+
+          function fetchSnapshots() {
+              fetch('/api/snapshots')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          renderSnapshots(data.data);
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
                   })
+                  .catch(err => showMessage('获取快照列表失败', 'error'));
+          }
+
+          function renderSnapshots(list) {
+              snapshotTableBody.innerHTML = list.length === 0 ? '<tr><td colspan="9">暂无快照</td></tr>' : '';
+              list.forEach(snapshot => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>#\${snapshot.id}</td>
+                    <td>\${snapshot.create_time}</td>
+                    <td>\${snapshotReasonLabels[snapshot.reason] || escapeHtml(snapshot.reason)}</td>
+                    <td>\${escapeHtml(snapshot.username || '系统')}</td>
+                    <td>\${snapshot.site_count}</td>
+                    <td>\${snapshot.catalog_count}</td>
+                    <td>\${snapshot.tag_count}</td>
+                    <td title="解压后 \${formatBytes(snapshot.raw_size)}">\${formatBytes(snapshot.size)}</td>
+                    <td class="actions">
+                      <button class="edit-btn snapshot-diff" data-id="\${snapshot.id}" style="background-color: #6c757d;">对比当前</button>
+                      <button class="edit-btn snapshot-restore" data-id="\${snapshot.id}" data-time="\${snapshot.create_time}">恢复</button>
+                      <button class="del-btn snapshot-delete" data-id="\${snapshot.id}">删除</button>
+                    </td>
+                  \`;
+                  snapshotTableBody.appendChild(row);
               });
-            });
-          
-          let currentPage = 1;
-          let pageSize = 10;
-          let totalItems = 0;
-          let allConfigs = [];
-          let currentSearchKeyword = '';
-          
-          let pendingCurrentPage = 1;
-            let pendingPageSize = 10;
-            let pendingTotalItems = 0;
-            let allPendingConfigs = [];
-            
-            let currentCategoryImportTarget = null;
-          
-          const editModal = document.createElement('div');
-          editModal.className = 'modal';
-          editModal.style.display = 'none';
-          editModal.innerHTML = \`
-            <div class="modal-content">
-              <span class="modal-close">×</span>
-              <h2>编辑站点</h2>
-              <form id="editForm">
-                <input type="hidden" id="editId">
-                <label for="editName">名称:</label>
-                <input type="text" id="editName" required><br>
-                <label for="editUrl">URL:</label>
-                <input type="text" id="editUrl" required><br>
-                <label for="editLogo">Logo(可选):</label>
-                <input type="text" id="editLogo"><br>
-                <label for="editDesc">描述(可选):</label>
-                <input type="text" id="editDesc"><br>
-                <label for="editCatelog">分类:</label>
-                <input type="text" id="editCatelog" required list="catalogDataList"><br>
-                <button type="submit">保存</button>
-              </form>
-            </div>
-          \`;
-          document.body.appendChild(editModal);
 
-          const editCatalogModal = document.createElement('div');
-          editCatalogModal.className = 'modal';
-          editCatalogModal.style.display = 'none';
-          editCatalogModal.innerHTML = \`
-            <div class="modal-content">
-              <span class="modal-close" id="editCatalogModalClose">×</span>
-              <h2 id="catalogModalTitle">编辑分类</h2>
-              <form id="editCatalogForm">
-                <input type="hidden" id="editCatalogId">
-                <input type="hidden" id="editCatalogOldName">
-                <label for="editCatalogName">分类名称:</label>
-                <input type="text" id="editCatalogName" required><br>
-                <label for="editCatalogIcon">分类图标 (URL):</label>
-                <input type="text" id="editCatalogIcon" placeholder="https://.../icon.png"><br>
-                <button type="submit">保存</button>
-              </form>
-            </div>
-          \`;
-          document.body.appendChild(editCatalogModal);
-          
-          const modalClose = editModal.querySelector('.modal-close');
-          modalClose.addEventListener('click', () => {
-            editModal.style.display = 'none';
+              snapshotTableBody.querySelectorAll('.snapshot-diff').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      fetch(\`/api/snapshots/\${this.dataset.id}/diff\`)
+                          .then(res => res.json())
+                          .then(data => {
+                              if (data.code === 200) {
+                                  renderSnapshotDiff(this.dataset.id, data.data);
+                              } else {
+                                  showMessage(data.message, 'error');
+                              }
+                          })
+                          .catch(err => showMessage('对比失败', 'error'));
+                  });
+              });
+              snapshotTableBody.querySelectorAll('.snapshot-restore').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要恢复到 \${this.dataset.time} 的快照吗？当前的书签、分类、标签和站点设置将被整体替换 (恢复前会自动保存一份快照)。\`)) return;
+                      this.disabled = true;
+                      fetch(\`/api/snapshots/\${this.dataset.id}/restore\`, { method: 'POST' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchSnapshots();
+                              snapshotDiff.style.display = 'none';
+                              if (data.code === 200) {
+                                  fetchConfigs();
+                                  fetchCatalogs();
+                                  fetchAndPopulateCatalogs();
+                              }
+                          })
+                          .catch(err => {
+                              this.disabled = false;
+                              showMessage('恢复失败', 'error');
+                          });
+                  });
+              });
+              snapshotTableBody.querySelectorAll('.snapshot-delete').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要删除快照 #\${this.dataset.id} 吗？\`)) return;
+                      fetch(\`/api/snapshots/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchSnapshots();
+                          })
+                          .catch(err => showMessage('删除失败', 'error'));
+                  });
+              });
+          }
+
+          function renderSnapshotDiff(id, diff) {
+              const sections = [
+                  ['书签', diff.sites],
+                  ['分类', diff.catalogs],
+                  ['站点设置', diff.settings]
+              ];
+              const listItems = (items, format) => items.map(item => \`<li>\${format(item)}</li>\`).join('');
+              const more = (count, items) => count > items.length ? \`<li>... 另有 \${count - items.length} 项</li>\` : '';
+              const formatValue = value => escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+              snapshotDiff.innerHTML = \`<h3 class="settings-header">快照 #\${id} 与当前数据的差异</h3>\` + sections.map(([label, result]) => {
+                  const { counts } = result;
+                  if (counts.added + counts.removed + counts.changed === 0) {
+                      return \`<p><strong>\${label}</strong>：无变化</p>\`;
+                  }
+                  return \`
+                    <p><strong>\${label}</strong>：快照后新增 \${counts.added} (恢复时删除)，快照后删除 \${counts.removed} (恢复时重新出现)，修改 \${counts.changed}</p>
+                    <ul>
+                      \${listItems(result.added, item => \`<span style="color: #28a745;">+ \${escapeHtml(item.name || item.id)}</span>\`)}\${more(counts.added, result.added)}
+                      \${listItems(result.removed, item => \`<span style="color: #dc3545;">- \${escapeHtml(item.name || item.id)}</span>\`)}\${more(counts.removed, result.removed)}
+                      \${listItems(result.changed, item => \`~ \${escapeHtml(item.name || item.id)}：\${item.fields.map(field =>
+                          \`\${escapeHtml(field)} <small>\${formatValue(item.before[field])} → \${formatValue(item.after[field])}</small>\`).join('；')}\`)}\${more(counts.changed, result.changed)}
+                    </ul>
+                  \`;
+              }).join('');
+              snapshotDiff.style.display = 'block';
+          }
+
+          document.getElementById('createSnapshotBtn').addEventListener('click', function() {
+              this.disabled = true;
+              fetch('/api/snapshots', { method: 'POST' })
+                  .then(res => res.json())
+                  .then(data => {
+                      showMessage(data.code === 201 ? \`已创建快照 #\${data.data.id}\` : data.message, data.code === 201 ? 'success' : 'error');
+                      fetchSnapshots();
+                  })
+                  .catch(err => showMessage('创建快照失败', 'error'))
+                  .finally(() => { this.disabled = false; });
           });
-          
-          const editForm = document.getElementById('editForm');
-          editForm.addEventListener('submit', function (e) {
-            e.preventDefault();
-            const id = document.getElementById('editId').value;
-            const name = document.getElementById('editName').value;
-            const url = document.getElementById('editUrl').value;
-            const logo = document.getElementById('editLogo').value;
-            const desc = document.getElementById('editDesc').value;
-            const catelog = document.getElementById('editCatelog').value;
-          
-            fetch(\`/api/config/\${id}\`, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ name, url, logo, desc, catelog })
-            }).then(res => res.json())
-              .then(data => {
-                if (data.code === 200) {
-                  showMessage('修改成功', 'success');
-                  fetchConfigs();
-                  fetchAndPopulateCatalogs();
-                  editModal.style.display = 'none';
-                } else {
-                  showMessage(data.message, 'error');
-                }
-              }).catch(err => {
-                showMessage('网络错误', 'error');
-              })
+
+          // --- 新增：賬號與角色 ---
+          const userTableBody = document.getElementById('userTableBody');
+          const roleLabels = { owner: 'owner', editor: 'editor', reviewer: 'reviewer' };
+          // 各標籤頁所需權限，與後端 admin.rolePermissions 對應
+          // 設置頁對所有角色可見 (賬號安全)，其中的站點設置和數據庫結構區塊按權限顯示
+          const tabPermissions = { config: 'sites', pending: 'pending', catalogs: 'catalogs', tags: 'sites', linkChecks: 'sites', duplicates: 'sites', analytics: 'sites', trash: 'sites', settings: null, users: 'users', auditLog: 'audit', snapshots: 'snapshots', webhooks: 'settings', sessions: null, apiTokens: null };
+          let currentUser = null;
+
+          function applyPermissions(user) {
+              currentUser = user;
+              document.getElementById('currentUserLabel').textContent = \`\${user.username} (\${roleLabels[user.role] || user.role})\`;
+              tabButtons.forEach(button => {
+                  const permission = tabPermissions[button.dataset.tab];
+                  button.style.display = !permission || user.permissions.includes(permission) ? '' : 'none';
+              });
+              deleteAllBtn.style.display = user.permissions.includes('delete_all') ? '' : 'none';
+              document.getElementById('siteSettingsSection').style.display = user.permissions.includes('settings') ? '' : 'none';
+              document.getElementById('schemaSection').style.display = user.permissions.includes('schema') ? '' : 'none';
+              document.getElementById('trashRetentionEditor').style.display = user.permissions.includes('settings') ? '' : 'none';
+              document.getElementById('emptyTrashBtn').style.display = user.permissions.includes('delete_all') ? '' : 'none';
+              // 只能創建不超出自身角色權限的令牌範圍
+              document.querySelectorAll('#addTokenScopes input').forEach(input => {
+                  input.parentElement.style.display = user.permissions.includes(input.dataset.permission) ? '' : 'none';
+              });
+
+              const activeButton = document.querySelector('.tab-button.active');
+              if (activeButton && activeButton.style.display === 'none') {
+                  const firstVisible = [...tabButtons].find(button => button.style.display !== 'none');
+                  if (firstVisible) firstVisible.click();
+              }
+          }
+
+          // --- 新增：兩步驗證 ---
+          const twoFactorStatus = document.getElementById('twoFactorStatus');
+          const twoFactorSetup = document.getElementById('twoFactorSetup');
+          const recoveryCodesBox = document.getElementById('recoveryCodesBox');
+          const enableTwoFactorBtn = document.getElementById('enableTwoFactorBtn');
+          const regenerateRecoveryCodesBtn = document.getElementById('regenerateRecoveryCodesBtn');
+          const disableTwoFactorBtn = document.getElementById('disableTwoFactorBtn');
+
+          function loadTwoFactorStatus() {
+              fetch('/api/me/2fa')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          twoFactorStatus.textContent = data.message;
+                          return;
+                      }
+                      const status = data.data;
+                      twoFactorStatus.textContent = status.enabled
+                          ? \`两步验证已启用，剩余 \${status.recoveryCodesRemaining} 个恢复码。\`
+                          : '两步验证未启用。启用后登录时除密码外还需输入身份验证器 (如 Google Authenticator) 中的动态验证码。';
+                      enableTwoFactorBtn.style.display = status.enabled ? 'none' : '';
+                      regenerateRecoveryCodesBtn.style.display = status.enabled ? '' : 'none';
+                      disableTwoFactorBtn.style.display = status.enabled ? '' : 'none';
+                      if (status.enabled) twoFactorSetup.style.display = 'none';
+                  })
+                  .catch(err => { twoFactorStatus.textContent = '加载失败'; });
+          }
+
+          function showRecoveryCodes(codes) {
+              document.getElementById('recoveryCodesList').textContent = codes.join('\\n');
+              recoveryCodesBox.style.display = 'block';
+          }
+
+          function postTwoFactor(url, body) {
+              return fetch(url, {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify(body || {})
+              }).then(res => res.json());
+          }
+
+          enableTwoFactorBtn.addEventListener('click', () => {
+              postTwoFactor('/api/me/2fa/setup').then(data => {
+                  if (data.code !== 200) {
+                      showMessage(data.message, 'error');
+                      return;
+                  }
+                  const qr = document.getElementById('twoFactorQr');
+                  qr.innerHTML = '';
+                  if (typeof QRCode !== 'undefined') {
+                      new QRCode(qr, { text: data.data.uri, width: 180, height: 180 });
+                  } else {
+                      qr.textContent = data.data.uri;
+                  }
+                  document.getElementById('twoFactorSecret').textContent = data.data.secret;
+                  document.getElementById('twoFactorCode').value = '';
+                  twoFactorSetup.style.display = 'block';
+                  recoveryCodesBox.style.display = 'none';
+              }).catch(() => showMessage('网络错误', 'error'));
           });
-          
-          function fetchConfigs(page = currentPage, keyword = currentSearchKeyword) {
-              let url = keyword ? \`/api/config?pageSize=999&keyword=\${keyword}\` : \`/api/config?page=\${page}&pageSize=\${pageSize}\`;
-              
-              fetch(url)
+
+          document.getElementById('confirmTwoFactorBtn').addEventListener('click', () => {
+              const code = document.getElementById('twoFactorCode').value.trim();
+              postTwoFactor('/api/me/2fa/enable', { code }).then(data => {
+                  if (data.code === 200) {
+                      showMessage(data.message, 'success');
+                      twoFactorSetup.style.display = 'none';
+                      showRecoveryCodes(data.data.recoveryCodes);
+                      loadTwoFactorStatus();
+                  } else {
+                      showMessage(data.message, 'error');
+                  }
+              }).catch(() => showMessage('网络错误', 'error'));
+          });
+
+          regenerateRecoveryCodesBtn.addEventListener('click', () => {
+              const password = prompt('请输入当前密码以生成新的恢复码：');
+              if (!password) return;
+              postTwoFactor('/api/me/2fa/recovery-codes', { password }).then(data => {
+                  if (data.code === 200) {
+                      showMessage(data.message, 'success');
+                      showRecoveryCodes(data.data.recoveryCodes);
+                      loadTwoFactorStatus();
+                  } else {
+                      showMessage(data.message, 'error');
+                  }
+              }).catch(() => showMessage('网络错误', 'error'));
+          });
+
+          disableTwoFactorBtn.addEventListener('click', () => {
+              const password = prompt('请输入当前密码以关闭两步验证：');
+              if (!password) return;
+              postTwoFactor('/api/me/2fa/disable', { password }).then(data => {
+                  if (data.code === 200) {
+                      showMessage(data.message, 'success');
+                      recoveryCodesBox.style.display = 'none';
+                      loadTwoFactorStatus();
+                  } else {
+                      showMessage(data.message, 'error');
+                  }
+              }).catch(() => showMessage('网络错误', 'error'));
+          });
+
+          function fetchUsers() {
+              fetch('/api/users')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          renderUsers(data.data);
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  })
+                  .catch(err => showMessage('获取账号列表失败', 'error'));
+          }
+
+          function renderUsers(users) {
+              userTableBody.innerHTML = '';
+              users.forEach(user => {
+                  const isSelf = currentUser && currentUser.id === user.id;
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${user.id}</td>
+                    <td>\${escapeHtml(user.username)}\${isSelf ? ' <small>(当前账号)</small>' : ''}</td>
+                    <td>
+                      <select class="tag-filter user-role-select" data-id="\${user.id}">
+                        \${Object.keys(roleLabels).map(role => \`<option value="\${role}" \${role === user.role ? 'selected' : ''}>\${roleLabels[role]}</option>\`).join('')}
+                      </select>
+                    </td>
+                    <td>\${user.two_factor ? '已启用' : '未启用'}</td>
+                    <td>\${user.create_time}</td>
+                    <td class="actions">
+                      <button class="edit-btn reset-password-btn" data-id="\${user.id}" data-name="\${escapeHtml(user.username)}">重置密码</button>
+                      \${user.two_factor && !isSelf ? \`<button class="edit-btn reset-2fa-btn" data-id="\${user.id}" data-name="\${escapeHtml(user.username)}" style="background-color: #6c757d;">关闭两步验证</button>\` : ''}
+                      \${isSelf ? '' : \`<button class="del-btn del-user-btn" data-id="\${user.id}" data-name="\${escapeHtml(user.username)}">删除</button>\`}
+                    </td>
+                  \`;
+                  userTableBody.appendChild(row);
+              });
+
+              userTableBody.querySelectorAll('.user-role-select').forEach(select => {
+                  select.addEventListener('change', function() {
+                      saveUser(\`/api/users/\${this.dataset.id}\`, 'PUT', { role: this.value });
+                  });
+              });
+              userTableBody.querySelectorAll('.reset-password-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      const password = prompt(\`为 "\${this.dataset.name}" 设置新密码：\`);
+                      if (!password) return;
+                      saveUser(\`/api/users/\${this.dataset.id}\`, 'PUT', { password });
+                  });
+              });
+              userTableBody.querySelectorAll('.reset-2fa-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要关闭 "\${this.dataset.name}" 的两步验证吗？\`)) return;
+                      saveUser(\`/api/users/\${this.dataset.id}\`, 'PUT', { resetTwoFactor: true });
+                  });
+              });
+              userTableBody.querySelectorAll('.del-user-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要删除账号 "\${this.dataset.name}" 吗？\`)) return;
+                      saveUser(\`/api/users/\${this.dataset.id}\`, 'DELETE');
+                  });
+              });
+          }
+
+          function saveUser(url, method, body) {
+              fetch(url, {
+                  method,
+                  headers: { 'Content-Type': 'application/json' },
+                  body: body ? JSON.stringify(body) : undefined
+              }).then(res => res.json())
+                .then(data => {
+                    showMessage(data.message, data.code === 200 || data.code === 201 ? 'success' : 'error');
+                    fetchUsers();
+                }).catch(err => showMessage('操作失败', 'error'));
+          }
+
+          document.getElementById('addUserBtn').addEventListener('click', () => {
+              const username = document.getElementById('addUsername').value.trim();
+              const password = document.getElementById('addUserPassword').value;
+              const role = document.getElementById('addUserRole').value;
+              if (!username || !password) {
+                  showMessage('用户名和密码不能为空', 'error');
+                  return;
+              }
+              saveUser('/api/users', 'POST', { username, password, role });
+              document.getElementById('addUsername').value = '';
+              document.getElementById('addUserPassword').value = '';
+          });
+
+          // --- 新增：操作日誌 ---
+          const auditTableBody = document.getElementById('auditTableBody');
+          const auditUserFilter = document.getElementById('auditUserFilter');
+          const auditPageSize = 20;
+          let auditCurrentPage = 1;
+          let auditTotalItems = 0;
+          const auditActionLabels = {
+              create: '新增', update: '修改', delete: '删除', delete_all: '清空', reorder: '排序',
+              import: '导入', approve: '通过审核', reject: '拒绝审核'
+          };
+          const auditEntityLabels = { site: '书签', catalog: '分类', pending: '待审核', tag: '标签', settings: '设置', user: '账号' };
+
+          function auditQuery() {
+              const params = new URLSearchParams();
+              const filters = {
+                  entityType: document.getElementById('auditEntityFilter').value,
+                  action: document.getElementById('auditActionFilter').value,
+                  user: auditUserFilter.value,
+                  from: document.getElementById('auditFromFilter').value,
+                  to: document.getElementById('auditToFilter').value,
+                  q: document.getElementById('auditKeywordFilter').value.trim()
+              };
+              Object.keys(filters).forEach(key => {
+                  if (filters[key]) params.set(key, filters[key]);
+              });
+              return params;
+          }
+
+          function fetchAuditLog(page = auditCurrentPage) {
+              const params = auditQuery();
+              params.set('page', page);
+              params.set('pageSize', auditPageSize);
+              fetch(\`/api/audit-log?\${params}\`)
                   .then(res => res.json())
                   .then(data => {
-                      if (data.code === 200) {
-                          totalItems = data.total;
-                          currentPage = data.page;
-                          totalPagesSpan.innerText = Math.ceil(totalItems / pageSize) || 1;
-                          currentPageSpan.innerText = currentPage;
-                          allConfigs = data.data;
-                          renderConfig(allConfigs);
-                          updatePaginationButtons();
-                          document.querySelector('#config .pagination').style.display = keyword ? 'none' : 'block';
-                      } else {
+                      if (data.code !== 200) {
                           showMessage(data.message, 'error');
+                          return;
                       }
-                  }).catch(err => {
-                  showMessage('网络错误', 'error');
-              })
+                      auditTotalItems = data.total;
+                      auditCurrentPage = data.page;
+                      document.getElementById('auditCurrentPage').innerText = auditCurrentPage;
+                      document.getElementById('auditTotalPages').innerText = Math.ceil(auditTotalItems / auditPageSize) || 1;
+                      document.getElementById('auditPrevPage').disabled = auditCurrentPage <= 1;
+                      document.getElementById('auditNextPage').disabled = auditCurrentPage >= Math.ceil(auditTotalItems / auditPageSize);
+                      const selectedUser = auditUserFilter.value;
+                      auditUserFilter.innerHTML = '<option value="">全部账号</option>' +
+                          data.users.map(name => \`<option value="\${escapeHtml(name)}" \${name === selectedUser ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('');
+                      renderAuditLog(data.data);
+                  })
+                  .catch(err => showMessage('获取操作日志失败', 'error'));
           }
-          function renderConfig(configs) {
-          configTableBody.innerHTML = '';
-           if (configs.length === 0) {
-                configTableBody.innerHTML = '<tr><td colspan="7">没有配置数据</td></tr>';
-                return
-            }
-          configs.forEach(config => {
-              const row = document.createElement('tr');
-              row.dataset.id = config.id;
-              const privacyIcon = config.is_private === 1 ? '🔒' : '🔓';
-               row.innerHTML = \`
-                 <td>\${config.id}</td>
-                  <td>\${config.name}</td>
-                  <td><a href="\${config.url}" target="_blank">\${config.url}</a></td>
-                  <td>\${config.logo ? \`<img src="\${config.logo}" style="width:30px; border-radius: 4px;" />\` : 'N/A'}</td>
-                  <td>\${config.desc || 'N/A'}</td>
-                  <td>\${config.catelog}</td>
-                  <td class="actions">
-                    <button class="privacy-toggle-btn site-privacy-toggle" title="切換隱私狀態" data-id="\${config.id}" data-status="\${config.is_private}">\${privacyIcon}</button>
-                    <button class="edit-btn" data-id="\${config.id}">编辑</button>
-                    <button class="del-btn" data-id="\${config.id}">删除</button>
-                  </td>
-               \`;
-              configTableBody.appendChild(row);
-          });
-            bindActionEvents();
+
+          function formatAuditValue(value) {
+              if (value === null || value === undefined) return '∅';
+              return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
           }
-          
-          function bindActionEvents() {
-           document.querySelectorAll('.edit-btn').forEach(btn => {
-                btn.addEventListener('click', function() {
-                    const id = this.dataset.id;
-                    handleEdit(id);
-                })
-           });
-          
-          document.querySelectorAll('.del-btn').forEach(btn => {
-               btn.addEventListener('click', function() {
-                  const id = this.dataset.id;
-                   handleDelete(id)
-               })
-          });
-          
-          document.querySelectorAll('.site-privacy-toggle').forEach(btn => {
-              btn.addEventListener('click', function() {
-                  const id = this.dataset.id;
-                  handleToggleSitePrivacy(id, this);
+
+          // 修改顯示為 字段: 舊值 → 新值；新增 / 刪除只顯示一側
+          function renderAuditChanges(changes) {
+              if (!changes) return '';
+              const before = changes.before || {};
+              const after = changes.after || {};
+              return Object.keys({ ...before, ...after }).map(key => {
+                  if (!changes.before) return \`<div><b>\${escapeHtml(key)}</b>: \${formatAuditValue(after[key])}</div>\`;
+                  if (!changes.after) return \`<div><b>\${escapeHtml(key)}</b>: <s>\${formatAuditValue(before[key])}</s></div>\`;
+                  return \`<div><b>\${escapeHtml(key)}</b>: <s>\${formatAuditValue(before[key])}</s> → \${formatAuditValue(after[key])}</div>\`;
+              }).join('');
+          }
+
+          function renderAuditLog(entries) {
+              auditTableBody.innerHTML = '';
+              if (entries.length === 0) {
+                  auditTableBody.innerHTML = '<tr><td colspan="7">没有符合条件的记录</td></tr>';
+                  return;
+              }
+              entries.forEach(entry => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${escapeHtml(entry.create_time)}</td>
+                    <td>\${escapeHtml(entry.username || '-')}\${entry.token_id ? ' <small>(API 令牌)</small>' : ''}</td>
+                    <td>\${auditActionLabels[entry.action] || escapeHtml(entry.action)}</td>
+                    <td>\${auditEntityLabels[entry.entity_type] || escapeHtml(entry.entity_type)}\${entry.entity_id ? \` #\${escapeHtml(entry.entity_id)}\` : ''}</td>
+                    <td>\${escapeHtml(entry.summary || '')}</td>
+                    <td style="max-width: 360px; font-size: 0.85em; word-break: break-all;">\${renderAuditChanges(entry.changes)}</td>
+                    <td>\${escapeHtml(entry.ip || '-')}</td>
+                  \`;
+                  auditTableBody.appendChild(row);
               });
-          });
           }
-          
-          function handleEdit(id) {
-            const row = document.querySelector(\`tr[data-id="\${id}"]\`);
-            if (!row) return showMessage('找不到数据','error');
-            const name = row.querySelector('td:nth-child(2)').innerText;
-            const url = row.querySelector('td:nth-child(3) a').innerText;
-            const logo = row.querySelector('td:nth-child(4) img')?.src || '';
-            const desc = row.querySelector('td:nth-child(5)').innerText === 'N/A' ? '' : row.querySelector('td:nth-child(5)').innerText;
-            const catelog = row.querySelector('td:nth-child(6)').innerText;
-          
-            document.getElementById('editId').value = id;
-            document.getElementById('editName').value = name;
-            document.getElementById('editUrl').value = url;
-            document.getElementById('editLogo').value = logo;
-            document.getElementById('editDesc').value = desc;
-            document.getElementById('editCatelog').value = catelog;
-            editModal.style.display = 'block';
+
+          document.getElementById('auditSearchBtn').addEventListener('click', () => fetchAuditLog(1));
+          document.getElementById('auditPrevPage').addEventListener('click', () => {
+              if (auditCurrentPage > 1) fetchAuditLog(auditCurrentPage - 1);
+          });
+          document.getElementById('auditNextPage').addEventListener('click', () => {
+              if (auditCurrentPage < Math.ceil(auditTotalItems / auditPageSize)) fetchAuditLog(auditCurrentPage + 1);
+          });
+          document.getElementById('auditExportBtn').addEventListener('click', () => {
+              window.location.href = \`/api/audit-log/export?\${auditQuery()}\`;
+          });
+
+          // --- 新增：登錄設備 ---
+          const sessionTableBody = document.getElementById('sessionTableBody');
+
+          function describeUserAgent(userAgent) {
+              if (!userAgent) return '未知设备';
+              // Edge / Opera 的 UA 中同樣包含 Chrome 和 Safari，按順序匹配
+              const browsers = { 'Edg/': 'Edge', 'OPR/': 'Opera', 'Firefox/': 'Firefox', 'Chrome/': 'Chrome', 'Safari/': 'Safari' };
+              const systems = { 'Windows': 'Windows', 'Android': 'Android', 'iPhone': 'iOS', 'iPad': 'iPadOS', 'Mac OS X': 'macOS', 'Linux': 'Linux' };
+              const browser = Object.keys(browsers).find(key => userAgent.includes(key));
+              const os = Object.keys(systems).find(key => userAgent.includes(key));
+              return [browsers[browser], systems[os]].filter(Boolean).join(' / ') || userAgent.slice(0, 40);
           }
-          function handleDelete(id) {
-            if(!confirm('确认删除？')) return;
-             fetch(\`/api/config/\${id}\`, {
-                  method: 'DELETE'
-              }).then(res => res.json())
-                 .then(data => {
-                     if (data.code === 200) {
-                         showMessage('删除成功', 'success');
-                         fetchConfigs();
-                     } else {
-                         showMessage(data.message, 'error');
-                     }
-                 }).catch(err => {
-                      showMessage('网络错误', 'error');
-                 })
+
+          function formatTime(timestamp) {
+              return timestamp ? new Date(timestamp).toLocaleString() : '-';
           }
 
-          function handleToggleSitePrivacy(id, buttonElement) {
-              fetch(\`/api/config/\${id}/toggle_privacy\`, { method: 'PUT' })
+          function fetchSessions() {
+              fetch('/api/me/sessions')
                   .then(res => res.json())
                   .then(data => {
                       if (data.code === 200) {
-                          buttonElement.dataset.status = data.newStatus;
-                          buttonElement.innerHTML = data.newStatus === 1 ? '🔒' : '🔓';
-                          showMessage('状态已更新', 'success');
+                          renderSessions(data.data);
                       } else {
                           showMessage(data.message, 'error');
                       }
-                  }).catch(err => showMessage('网络错误', 'error'));
+                  })
+                  .catch(err => showMessage('获取登录设备失败', 'error'));
           }
-          
-          function showMessage(message, type) {
-            messageDiv.innerText = message;
-            messageDiv.className = type;
-            messageDiv.style.display = 'block';
-            setTimeout(() => {
-                messageDiv.style.display = 'none';
-            }, 3000);
+
+          function renderSessions(sessions) {
+              sessionTableBody.innerHTML = '';
+              sessions.forEach(session => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td title="\${escapeHtml(session.userAgent || '')}">\${escapeHtml(describeUserAgent(session.userAgent))}\${session.current ? ' <small>(当前设备)</small>' : ''}</td>
+                    <td>\${escapeHtml(session.ip || '-')}</td>
+                    <td>\${formatTime(session.createdAt)}</td>
+                    <td>\${formatTime(session.lastSeenAt)}</td>
+                    <td>\${formatTime(session.expiresAt)}</td>
+                    <td>\${session.remember ? '是' : '否'}</td>
+                    <td class="actions">
+                      \${session.current ? '' : \`<button class="del-btn revoke-session-btn" data-id="\${session.id}">撤销</button>\`}
+                    </td>
+                  \`;
+                  sessionTableBody.appendChild(row);
+              });
+
+              sessionTableBody.querySelectorAll('.revoke-session-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm('确定要撤销该设备的登录吗？')) return;
+                      fetch(\`/api/me/sessions/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchSessions();
+                          }).catch(err => showMessage('操作失败', 'error'));
+                  });
+              });
           }
-          
-          function fetchAndPopulateCatalogs() {
-              const dataList = document.getElementById('catalogDataList');
-              if (!dataList) return;
-  
-              fetch('/api/catalogs')
+
+          document.getElementById('revokeOtherSessionsBtn').addEventListener('click', () => {
+              if (!confirm('确定要登出除当前设备外的所有设备吗？')) return;
+              fetch('/api/me/sessions?keepCurrent=1', { method: 'DELETE' })
                   .then(res => res.json())
                   .then(data => {
-                      if (data.code === 200 && Array.isArray(data.data)) {
-                          dataList.innerHTML = '';
-                          data.data.forEach(catalog => {
-                              const option = document.createElement('option');
-                              option.value = catalog.name;
-                              dataList.appendChild(option);
-                          });
+                      showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                      fetchSessions();
+                  }).catch(err => showMessage('操作失败', 'error'));
+          });
+
+          document.getElementById('revokeAllSessionsBtn').addEventListener('click', () => {
+              if (!confirm('确定要登出所有设备 (包括当前设备) 吗？')) return;
+              fetch('/api/me/sessions', { method: 'DELETE' })
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          window.location.href = '/admin';
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
+                  }).catch(err => showMessage('操作失败', 'error'));
+          });
+
+          // --- 新增：API 令牌 ---
+          const apiTokenTableBody = document.getElementById('apiTokenTableBody');
+
+          // --- 新增：Webhook ---
+          const webhookTableBody = document.getElementById('webhookTableBody');
+          const webhookDeliveryTableBody = document.getElementById('webhookDeliveryTableBody');
+          const webhookDeliveryHookFilter = document.getElementById('webhookDeliveryHookFilter');
+          const webhookDeliveryStatusFilter = document.getElementById('webhookDeliveryStatusFilter');
+          const webhookDeliveryStatusText = { success: '成功', pending: '等待重试', failed: '失败' };
+          const webhookDeliveryPageSize = 20;
+          let webhookDeliveryPage = 1;
+          let webhookDeliveryTotal = 0;
+          let allWebhooks = [];
+
+          function fetchWebhooks() {
+              fetch('/api/webhooks')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          showMessage(data.message, 'error');
+                          return;
                       }
+                      allWebhooks = data.data;
+                      renderWebhookEventOptions(data.events);
+                      renderWebhooks(data.data);
                   })
-                  .catch(err => console.error('Failed to load catalogs:', err));
+                  .catch(err => showMessage('获取 Webhook 列表失败', 'error'));
           }
 
-          function updatePaginationButtons() {
-            prevPageBtn.disabled = currentPage === 1;
-             nextPageBtn.disabled = currentPage >= Math.ceil(totalItems/pageSize)
+          function renderWebhookEventOptions(events) {
+              const container = document.getElementById('webhookEvents');
+              if (container.childElementCount > 0) return;
+              container.innerHTML = events.map(event => \`<label><input type="checkbox" value="\${event}"> \${event}</label>\`).join(' ');
           }
-          
-          prevPageBtn.addEventListener('click', () => {
-          if(currentPage > 1) {
-              fetchConfigs(currentPage -1);
+
+          function renderWebhooks(hooks) {
+              webhookDeliveryHookFilter.innerHTML = '<option value="">全部 Webhook</option>' +
+                  hooks.map(hook => \`<option value="\${hook.id}">\${escapeHtml(hook.name)}</option>\`).join('');
+              if (hooks.length === 0) {
+                  webhookTableBody.innerHTML = '<tr><td colspan="6">暂无 Webhook</td></tr>';
+                  return;
+              }
+              webhookTableBody.innerHTML = hooks.map(hook => \`
+                <tr>
+                  <td>\${escapeHtml(hook.name)}</td>
+                  <td>\${escapeHtml(hook.url)}</td>
+                  <td>\${hook.events.map(event => escapeHtml(event)).join('<br>')}</td>
+                  <td><code>\${escapeHtml(hook.secret_prefix)}…</code></td>
+                  <td>\${hook.enabled ? '已启用' : '已停用'}\${hook.last_status ? \`<br><small>最近：\${webhookDeliveryStatusText[hook.last_status] || hook.last_status}</small>\` : ''}\${hook.queued > 0 ? \`<br><small>\${hook.queued} 条等待重试</small>\` : ''}</td>
+                  <td class="actions">
+                    <button class="test-webhook-btn" data-id="\${hook.id}">测试</button>
+                    <button class="edit-webhook-btn" data-id="\${hook.id}">编辑</button>
+                    <button class="del-btn delete-webhook-btn" data-id="\${hook.id}">删除</button>
+                  </td>
+                </tr>\`).join('');
+
+              webhookTableBody.querySelectorAll('.test-webhook-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      this.disabled = true;
+                      fetch(\`/api/webhooks/\${this.dataset.id}/test\`, { method: 'POST' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 && data.data.status === 'success' ? 'success' : 'error');
+                              fetchWebhooks();
+                              fetchWebhookDeliveries(1);
+                          })
+                          .catch(err => showMessage('测试失败', 'error'))
+                          .finally(() => { this.disabled = false; });
+                  });
+              });
+              webhookTableBody.querySelectorAll('.edit-webhook-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      startWebhookEdit(allWebhooks.find(hook => String(hook.id) === this.dataset.id));
+                  });
+              });
+              webhookTableBody.querySelectorAll('.delete-webhook-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm('确定删除这个 Webhook 吗？它的发送记录也会一起删除。')) return;
+                      fetch(\`/api/webhooks/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchWebhooks();
+                              fetchWebhookDeliveries(1);
+                          }).catch(err => showMessage('删除失败', 'error'));
+                  });
+              });
           }
-          });
-          nextPageBtn.addEventListener('click', () => {
-            if (currentPage < Math.ceil(totalItems/pageSize)) {
-              fetchConfigs(currentPage + 1);
-            }
-          });
-          
-          addBtn.addEventListener('click', () => {
-            const name = addName.value;
-            const url = addUrl.value;
-            const logo = addLogo.value;
-            const desc = addDesc.value;
-             const catelog = addCatelog.value;
-            if(!name ||    !url || !catelog) {
-              showMessage('名称,URL,分类 必填', 'error');
-              return;
+
+          function startWebhookEdit(hook) {
+              if (!hook) return;
+              document.getElementById('webhookEditId').value = hook.id;
+              document.getElementById('webhookName').value = hook.name;
+              document.getElementById('webhookUrl').value = hook.url;
+              document.getElementById('webhookSecret').value = '';
+              document.getElementById('webhookSecret').placeholder = '留空保持原密钥';
+              document.getElementById('webhookEnabled').checked = !!hook.enabled;
+              document.querySelectorAll('#webhookEvents input').forEach(input => { input.checked = hook.events.includes(input.value); });
+              document.getElementById('saveWebhookBtn').textContent = '保存修改';
+              document.getElementById('cancelWebhookEditBtn').style.display = '';
           }
-          fetch('/api/config', { method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name, url, logo, desc, catelog })
-          }).then(res => res.json())
-          .then(data => {
-             if(data.code === 201) {
-                 showMessage('添加成功', 'success');
-                addName.value = '';
-                addUrl.value = '';
-                addLogo.value = '';
-                addDesc.value = '';
-                 addCatelog.value = '';
-                 fetchConfigs();
-                 fetchAndPopulateCatalogs();
-                 fetchCatalogs();
-             }else {
-                showMessage(data.message, 'error');
-             }
-          }).catch(err => {
-            showMessage('网络错误', 'error');
-          })
-          });
-          
-          importBtn.addEventListener('click', () => {
-          importFile.click();
+
+          function resetWebhookForm() {
+              document.getElementById('webhookEditId').value = '';
+              ['webhookName', 'webhookUrl', 'webhookSecret'].forEach(id => { document.getElementById(id).value = ''; });
+              document.getElementById('webhookSecret').placeholder = '簽名密鑰 (留空自動生成)';
+              document.getElementById('webhookEnabled').checked = true;
+              document.querySelectorAll('#webhookEvents input').forEach(input => { input.checked = false; });
+              document.getElementById('saveWebhookBtn').textContent = '添加 Webhook';
+              document.getElementById('cancelWebhookEditBtn').style.display = 'none';
+          }
+
+          document.getElementById('cancelWebhookEditBtn').addEventListener('click', resetWebhookForm);
+
+          document.getElementById('saveWebhookBtn').addEventListener('click', () => {
+              const id = document.getElementById('webhookEditId').value;
+              const secret = document.getElementById('webhookSecret').value.trim();
+              const body = {
+                  name: document.getElementById('webhookName').value,
+                  url: document.getElementById('webhookUrl').value,
+                  enabled: document.getElementById('webhookEnabled').checked ? 1 : 0,
+                  events: [...document.querySelectorAll('#webhookEvents input:checked')].map(input => input.value)
+              };
+              // 编辑时留空表示不修改密钥
+              if (secret || !id) body.secret = secret;
+              fetch(id ? \`/api/webhooks/\${id}\` : '/api/webhooks', {
+                  method: id ? 'PUT' : 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify(body)
+              }).then(res => res.json())
+                .then(data => {
+                    if (data.code !== 200 && data.code !== 201) {
+                        showMessage(data.message, 'error');
+                        return;
+                    }
+                    showMessage(data.message, 'success');
+                    if (!id) {
+                        document.getElementById('webhookSecretValue').textContent = data.data.secret;
+                        document.getElementById('webhookSecretBox').style.display = '';
+                    }
+                    resetWebhookForm();
+                    fetchWebhooks();
+                }).catch(err => showMessage('保存失败', 'error'));
           });
-          importFile.addEventListener('change', function(e) {
-          const file = e.target.files[0];
-          if (file) {
-           const reader = new FileReader();
-          reader.onload = function(event) {
-             try {
-                 const jsonData = JSON.parse(event.target.result);
-                   fetch('/api/config/import', {
-                       method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                       body: JSON.stringify(jsonData)
-                  }).then(res => res.json())
-                     .then(data => {
-                          if(data.code === 201) {
-                             showMessage('导入成功', 'success');
-                              fetchConfigs();
-                              fetchCatalogs();
-                          } else {
-                             showMessage(data.message, 'error');
-                          }
-                     }).catch(err => {
-                           showMessage('网络错误', 'error');
+
+          function fetchWebhookDeliveries(page = webhookDeliveryPage) {
+              const params = new URLSearchParams({ page, pageSize: webhookDeliveryPageSize });
+              if (webhookDeliveryHookFilter.value) params.set('webhookId', webhookDeliveryHookFilter.value);
+              if (webhookDeliveryStatusFilter.value) params.set('status', webhookDeliveryStatusFilter.value);
+              fetch(\`/api/webhooks/deliveries?\${params}\`)
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code !== 200) {
+                          showMessage(data.message, 'error');
+                          return;
+                      }
+                      webhookDeliveryPage = data.page;
+                      webhookDeliveryTotal = data.total;
+                      const totalPages = Math.ceil(webhookDeliveryTotal / webhookDeliveryPageSize) || 1;
+                      document.getElementById('webhookDeliveryCurrentPage').textContent = webhookDeliveryPage;
+                      document.getElementById('webhookDeliveryTotalPages').textContent = totalPages;
+                      document.getElementById('webhookDeliveryPrevPage').disabled = webhookDeliveryPage <= 1;
+                      document.getElementById('webhookDeliveryNextPage').disabled = webhookDeliveryPage >= totalPages;
+                      renderWebhookDeliveries(data.data);
+                  })
+                  .catch(err => showMessage('获取发送记录失败', 'error'));
+          }
+
+          function renderWebhookDeliveries(deliveries) {
+              if (deliveries.length === 0) {
+                  webhookDeliveryTableBody.innerHTML = '<tr><td colspan="9">暂无发送记录</td></tr>';
+                  return;
+              }
+              webhookDeliveryTableBody.innerHTML = deliveries.map(delivery => \`
+                <tr>
+                  <td>\${delivery.id}</td>
+                  <td>\${escapeHtml(delivery.webhook_name)}</td>
+                  <td>\${escapeHtml(delivery.event)}</td>
+                  <td>\${webhookDeliveryStatusText[delivery.status] || escapeHtml(delivery.status)}\${delivery.status === 'pending' && delivery.next_attempt_at ? \`<br><small>下次：\${delivery.next_attempt_at}</small>\` : ''}</td>
+                  <td>\${delivery.attempts}</td>
+                  <td title="\${escapeHtml(delivery.response_body || '')}">\${delivery.response_status ? \`HTTP \${delivery.response_status}\` : escapeHtml(delivery.error || '-')}</td>
+                  <td>\${delivery.duration_ms !== null ? \`\${delivery.duration_ms} ms\` : '-'}</td>
+                  <td>\${delivery.last_attempt_at || delivery.create_time}</td>
+                  <td class="actions"><button class="retry-delivery-btn" data-id="\${delivery.id}">重新发送</button></td>
+                </tr>\`).join('');
+              webhookDeliveryTableBody.querySelectorAll('.retry-delivery-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      this.disabled = true;
+                      fetch(\`/api/webhooks/deliveries/\${this.dataset.id}/retry\`, { method: 'POST' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 && data.data.status === 'success' ? 'success' : 'error');
+                              fetchWebhookDeliveries();
+                          })
+                          .catch(err => {
+                              this.disabled = false;
+                              showMessage('发送失败', 'error');
+                          });
+                  });
+              });
+          }
+
+          webhookDeliveryHookFilter.addEventListener('change', () => fetchWebhookDeliveries(1));
+          webhookDeliveryStatusFilter.addEventListener('change', () => fetchWebhookDeliveries(1));
+          document.getElementById('refreshWebhookDeliveriesBtn').addEventListener('click', () => fetchWebhookDeliveries());
+          document.getElementById('webhookDeliveryPrevPage').addEventListener('click', () => fetchWebhookDeliveries(webhookDeliveryPage - 1));
+          document.getElementById('webhookDeliveryNextPage').addEventListener('click', () => fetchWebhookDeliveries(webhookDeliveryPage + 1));
+
+          function fetchApiTokens() {
+              fetch('/api/me/tokens')
+                  .then(res => res.json())
+                  .then(data => {
+                      if (data.code === 200) {
+                          renderApiTokens(data.data);
+                      } else {
+                          showMessage(data.message, 'error');
+                      }
                   })
-          
-             } catch (error) {
-                   showMessage('JSON格式不正确', 'error');
-             }
+                  .catch(err => showMessage('获取令牌列表失败', 'error'));
           }
-           reader.readAsText(file);
+
+          function renderApiTokens(tokens) {
+              apiTokenTableBody.innerHTML = '';
+              if (tokens.length === 0) {
+                  apiTokenTableBody.innerHTML = '<tr><td colspan="7">暂无令牌</td></tr>';
+                  return;
+              }
+              tokens.forEach(token => {
+                  const row = document.createElement('tr');
+                  row.innerHTML = \`
+                    <td>\${escapeHtml(token.name)}</td>
+                    <td><code>\${escapeHtml(token.token_prefix)}…</code></td>
+                    <td>\${token.scopes.map(scope => escapeHtml(scope)).join('<br>')}</td>
+                    <td>\${token.expires_at ? escapeHtml(token.expires_at) : '永不过期'}\${token.expired ? ' <small style="color: var(--danger-color);">(已过期)</small>' : ''}</td>
+                    <td>\${token.last_used_at ? escapeHtml(token.last_used_at) : '从未使用'}</td>
+                    <td>\${escapeHtml(token.create_time)}</td>
+                    <td class="actions">
+                      <button class="del-btn revoke-token-btn" data-id="\${token.id}" data-name="\${escapeHtml(token.name)}">撤销</button>
+                    </td>
+                  \`;
+                  apiTokenTableBody.appendChild(row);
+              });
+
+              apiTokenTableBody.querySelectorAll('.revoke-token-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      if (!confirm(\`确定要撤销令牌 "\${this.dataset.name}" 吗？使用该令牌的脚本将立即失效。\`)) return;
+                      fetch(\`/api/me/tokens/\${this.dataset.id}\`, { method: 'DELETE' })
+                          .then(res => res.json())
+                          .then(data => {
+                              showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                              fetchApiTokens();
+                          }).catch(err => showMessage('操作失败', 'error'));
+                  });
+              });
           }
-          })
-          exportBtn.addEventListener('click', () => {
-          fetch('/api/config/export')
-          .then(res => res.blob())
-          .then(blob => {
-          const url = window.URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = 'config.json';
-          document.body.appendChild(a);
-          a.click();
-           window.URL.revokeObjectURL(url);
-           document.body.removeChild(a);
-          }).catch(err => {
-          showMessage('网络错误', 'error');
-          })
-          })
-          
-          searchInput.addEventListener('input', () => {
-              currentSearchKeyword = searchInput.value.trim();
-              currentPage = 1;
-              fetchConfigs(currentPage,currentSearchKeyword);
+
+          document.getElementById('addTokenBtn').addEventListener('click', () => {
+              const name = document.getElementById('addTokenName').value.trim();
+              const scopes = [...document.querySelectorAll('#addTokenScopes input:checked')].map(input => input.value);
+              const expiresInDays = document.getElementById('addTokenExpiry').value;
+              if (!name || scopes.length === 0) {
+                  showMessage('请填写令牌名称并至少选择一个权限范围', 'error');
+                  return;
+              }
+              fetch('/api/me/tokens', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ name, scopes, expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null })
+              }).then(res => res.json())
+                .then(data => {
+                    if (data.code === 201) {
+                        showMessage(data.message, 'success');
+                        document.getElementById('newTokenValue').textContent = data.data.token;
+                        document.getElementById('newTokenBox').style.display = 'block';
+                        document.getElementById('addTokenName').value = '';
+                        document.querySelectorAll('#addTokenScopes input').forEach(input => { input.checked = false; });
+                        fetchApiTokens();
+                    } else {
+                        showMessage(data.message, 'error');
+                    }
+                }).catch(err => showMessage('创建令牌失败', 'error'));
+          });
+
+          document.getElementById('runLinkChecksBtn').addEventListener('click', function() {
+              this.disabled = true;
+              this.textContent = '检测中...';
+              fetch('/api/link-checks/run', { method: 'POST' })
+                  .then(res => res.json())
+                  .then(data => {
+                      showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                      fetchLinkChecks();
+                  })
+                  .catch(err => showMessage('检测失败', 'error'))
+                  .finally(() => {
+                      this.disabled = false;
+                      this.textContent = '立即檢測';
+                  });
           });
           
+          const pendingStatusFilter = document.getElementById('pendingStatusFilter');
+          const pendingBulkActions = document.getElementById('pendingBulkActions');
+          const selectAllPending = document.getElementById('selectAllPending');
+          const selectedPendingIds = new Set();
+
           function fetchPendingConfigs(page = pendingCurrentPage) {
-                  fetch(\`/api/pending?page=\${page}&pageSize=\${pendingPageSize}\`)
+                  const status = pendingStatusFilter.value;
+                  fetch(\`/api/pending?page=\${page}&pageSize=\${pendingPageSize}&status=\${status}\`)
                       .then(res => res.json())
                       .then(data => {
                         if (data.code === 200) {
@@ -1827,7 +9960,7 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                                pendingTotalPagesSpan.innerText = Math.ceil(pendingTotalItems/ pendingPageSize) || 1;
                                 pendingCurrentPageSpan.innerText = pendingCurrentPage;
                                allPendingConfigs = data.data;
-                                 renderPendingConfig(allPendingConfigs);
+                                 renderPendingConfig(allPendingConfigs, status);
                                 updatePendingPaginationButtons();
                         } else {
                             showMessage(data.message, 'error');
@@ -1836,25 +9969,50 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                       showMessage('网络错误', 'error');
                    })
           }
-          
-            function renderPendingConfig(configs) {
+
+          // 审核历史 (已拒绝 / 已通过) 只读，最后一列显示审核结果
+          function pendingReviewCell(config) {
+              if (config.status === 'rejected') {
+                  return \`已拒绝 \${config.reviewed_at || ''}\${config.reject_reason ? \`<br><small>原因：\${escapeHtml(config.reject_reason)}</small>\` : ''}\`;
+              }
+              return \`已通过 \${config.reviewed_at || ''}\${config.site_id ? \`<br><small>书签 ID \${config.site_id}</small>\` : ''}\`;
+          }
+
+          function pendingDuplicateWarning(config) {
+              if (!config.duplicate) return '';
+              const site = config.duplicate;
+              return \`<div style="color: #d9534f; font-size: 0.85em;" title="\${escapeHtml(site.url)}">⚠ 与已有书签重复：\${escapeHtml(site.name)} (\${escapeHtml(site.catelog)}\${site.is_private ? '，私密' : ''}，ID \${site.id})</div>\`;
+          }
+
+            function renderPendingConfig(configs, status = 'pending') {
+                  const reviewing = status === 'pending';
+                  selectedPendingIds.clear();
+                  updatePendingBulkActions();
+                  document.getElementById('pendingApprovalOptions').style.display = reviewing ? '' : 'none';
+                  document.getElementById('pendingLastColumn').textContent = reviewing ? '操作' : '审核结果';
+                  selectAllPending.disabled = !reviewing;
                   pendingTableBody.innerHTML = '';
                   if(configs.length === 0) {
-                      pendingTableBody.innerHTML = '<tr><td colspan="7">没有待审核数据</td></tr>';
+                      pendingTableBody.innerHTML = \`<tr><td colspan="9">\${reviewing ? '没有待审核数据' : '没有审核记录'}</td></tr>\`;
                       return
                   }
                 configs.forEach(config => {
                     const row = document.createElement('tr');
+                    row.dataset.id = config.id;
                     row.innerHTML = \`
+                      <td>\${reviewing ? \`<input type="checkbox" class="pending-select" data-id="\${config.id}">\` : ''}</td>
                       <td>\${config.id}</td>
-                       <td>\${config.name}</td>
-                       <td><a href="\${config.url}" target="_blank">\${config.url}</a></td>
-                       <td>\${config.logo ? \`<img src="\${config.logo}" style="width:30px; border-radius: 4px;" />\` : 'N/A'}</td>
-                       <td>\${config.desc || 'N/A'}</td>
-                       <td>\${config.catelog}</td>
+                       <td class="pending-field" data-field="name">\${escapeHtml(config.name)}</td>
+                       <td class="pending-field" data-field="url"><a href="\${escapeHtml(config.url)}" target="_blank" rel="noopener">\${escapeHtml(config.url)}</a>\${pendingDuplicateWarning(config)}</td>
+                       <td class="pending-field" data-field="logo">\${config.logo ? \`<img src="\${escapeHtml(config.logo)}" style="width:30px; border-radius: 4px;" />\` : 'N/A'}</td>
+                       <td class="pending-field" data-field="desc">\${escapeHtml(config.desc || 'N/A')}</td>
+                       <td class="pending-field" data-field="catelog">\${escapeHtml(config.catelog)}</td>
+                       <td>\${escapeHtml(config.contact || '-')}</td>
                         <td class="actions">
+                          \${reviewing ? \`
                             <button class="approve-btn" data-id="\${config.id}">批准</button>
-                          <button class="reject-btn" data-id="\${config.id}">拒绝</button>
+                            <button class="edit-pending-btn" data-id="\${config.id}">编辑</button>
+                            <button class="reject-btn" data-id="\${config.id}">拒绝</button>\` : pendingReviewCell(config)}
                         </td>
                       \`;
                     pendingTableBody.appendChild(row);
@@ -1874,12 +10032,68 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                          handleReject(id);
                      })
               })
+              document.querySelectorAll('.edit-pending-btn').forEach(btn => {
+                  btn.addEventListener('click', function() {
+                      startPendingInlineEdit(this.closest('tr'), allPendingConfigs.find(config => String(config.id) === this.dataset.id));
+                  });
+              });
+              pendingTableBody.querySelectorAll('.pending-select').forEach(checkbox => {
+                  checkbox.addEventListener('change', function() {
+                      if (this.checked) selectedPendingIds.add(Number(this.dataset.id));
+                      else selectedPendingIds.delete(Number(this.dataset.id));
+                      updatePendingBulkActions();
+                  });
+              });
            }
-          
-          function handleApprove(id) {
-             if (!confirm('确定批准吗？')) return;
+
+          // --- 新增：行內編輯待審核書籤 ---
+          function startPendingInlineEdit(row, config) {
+              if (!row || !config) return;
+              row.querySelectorAll('.pending-field').forEach(cell => {
+                  const field = cell.dataset.field;
+                  cell.innerHTML = \`<input type="text" class="pending-edit-input" data-field="\${field}" value="\${escapeHtml(config[field] || '')}"
+                      \${field === 'catelog' ? 'list="catalogDataList"' : ''} \${field === 'logo' ? 'placeholder="留空则批准时自动获取"' : ''} style="width: 100%; min-width: 80px;">\`;
+              });
+              const actions = row.querySelector('.actions');
+              actions.innerHTML = \`<button class="save-pending-btn">保存</button> <button class="cancel-pending-btn">取消</button>\`;
+              actions.querySelector('.cancel-pending-btn').addEventListener('click', () => renderPendingConfig(allPendingConfigs));
+              actions.querySelector('.save-pending-btn').addEventListener('click', function() {
+                  const values = {};
+                  row.querySelectorAll('.pending-edit-input').forEach(input => { values[input.dataset.field] = input.value; });
+                  this.disabled = true;
+                  fetch(\`/api/pending/\${config.id}/edit\`, {
+                      method: 'PUT',
+                      headers: { 'Content-Type': 'application/json' },
+                      body: JSON.stringify(values)
+                  }).then(res => res.json())
+                    .then(data => {
+                        if (data.code === 200) {
+                            showMessage('修改成功', 'success');
+                            fetchPendingConfigs();
+                        } else {
+                            this.disabled = false;
+                            showMessage(data.message, 'error');
+                        }
+                    }).catch(err => {
+                        this.disabled = false;
+                        showMessage('网络错误', 'error');
+                    });
+              });
+          }
+
+          function pendingApprovalOptions() {
+              return {
+                  is_private: Number(document.getElementById('pendingApprovePrivacy').value),
+                  position: document.getElementById('pendingApprovePosition').value
+              };
+          }
+
+          function handleApprove(id, allowDuplicate = false) {
+             if (!allowDuplicate && !confirm('确定批准吗？')) return;
              fetch(\`/api/pending/\${id}\`, {
                    method: 'PUT',
+                   headers: { 'Content-Type': 'application/json' },
+                   body: JSON.stringify({ ...pendingApprovalOptions(), allowDuplicate })
                  }).then(res => res.json())
                .then(data => {
                     if (data.code === 200) {
@@ -1888,6 +10102,10 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                          fetchConfigs();
                          fetchAndPopulateCatalogs();
                          fetchCatalogs();
+                    } else if (data.code === 409 && data.data) {
+                        if (confirm(\`已存在相同网址的书签：\${data.data.name} (分类：\${data.data.catelog}，ID \${data.data.id})。仍要批准吗？\`)) {
+                            handleApprove(id, true);
+                        }
                     } else {
                          showMessage(data.message, 'error')
                      }
@@ -1896,9 +10114,12 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                   })
           }
            function handleReject(id) {
-               if (!confirm('确定拒绝吗？')) return;
+               const reason = prompt('确定拒绝吗？可以填写拒绝原因 (可选，提交者查询状态时可见)：', '');
+               if (reason === null) return;
               fetch(\`/api/pending/\${id}\`, {
-                     method: 'DELETE'
+                     method: 'DELETE',
+                     headers: { 'Content-Type': 'application/json' },
+                     body: JSON.stringify({ reason })
                 }).then(res => res.json())
                    .then(data => {
                      if(data.code === 200) {
@@ -1911,6 +10132,60 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                         showMessage('网络错误', 'error');
                 })
            }
+
+          // --- 新增：批量審核 ---
+          function updatePendingBulkActions() {
+              pendingBulkActions.style.display = selectedPendingIds.size > 0 ? '' : 'none';
+              document.getElementById('pendingSelectedCount').textContent = \`已选择 \${selectedPendingIds.size} 个提交\`;
+              const checkboxes = pendingTableBody.querySelectorAll('.pending-select');
+              selectAllPending.checked = checkboxes.length > 0 && [...checkboxes].every(checkbox => checkbox.checked);
+          }
+
+          function runPendingBulkAction(action, body) {
+              fetch(\`/api/pending/bulk/\${action}\`, {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ ids: [...selectedPendingIds], ...body })
+              }).then(res => res.json())
+                .then(data => {
+                    showMessage(data.message, data.code === 200 ? 'success' : 'error');
+                    if (data.code !== 200) return;
+                    fetchPendingConfigs();
+                    if (action === 'approve') {
+                        fetchConfigs();
+                        fetchAndPopulateCatalogs();
+                        fetchCatalogs();
+                    }
+                }).catch(err => showMessage('网络错误', 'error'));
+          }
+
+          selectAllPending.addEventListener('change', function() {
+              pendingTableBody.querySelectorAll('.pending-select').forEach(checkbox => {
+                  checkbox.checked = this.checked;
+                  if (this.checked) selectedPendingIds.add(Number(checkbox.dataset.id));
+                  else selectedPendingIds.delete(Number(checkbox.dataset.id));
+              });
+              updatePendingBulkActions();
+          });
+          document.getElementById('pendingBulkApproveBtn').addEventListener('click', () => {
+              if (selectedPendingIds.size > 20) {
+                  showMessage('每次最多批准 20 个提交', 'error');
+                  return;
+              }
+              if (!confirm(\`确定批准选中的 \${selectedPendingIds.size} 个提交吗？与已有书签重复的提交会被跳过。\`)) return;
+              runPendingBulkAction('approve', pendingApprovalOptions());
+          });
+          document.getElementById('pendingBulkRejectBtn').addEventListener('click', () => {
+              const reason = prompt(\`确定拒绝选中的 \${selectedPendingIds.size} 个提交吗？可以填写拒绝原因 (可选)：\`, '');
+              if (reason === null) return;
+              runPendingBulkAction('reject', { reason });
+          });
+          document.getElementById('pendingBulkClearBtn').addEventListener('click', () => {
+              selectedPendingIds.clear();
+              pendingTableBody.querySelectorAll('.pending-select').forEach(checkbox => { checkbox.checked = false; });
+              updatePendingBulkActions();
+          });
+          pendingStatusFilter.addEventListener('change', () => fetchPendingConfigs(1));
           function updatePendingPaginationButtons() {
               pendingPrevPageBtn.disabled = pendingCurrentPage === 1;
                pendingNextPageBtn.disabled = pendingCurrentPage >= Math.ceil(pendingTotalItems/ pendingPageSize)
@@ -1946,14 +10221,20 @@ tr:nth-child(even) { background-color: #f8f9fa; }
               catalogTableBody.innerHTML = '<tr><td colspan="3">没有分类数据，请尝试迁移旧分类。</td></tr>';
               return;
             }
+            allCatalogs = catalogs;
             catalogs.forEach(cat => {
               const row = document.createElement('tr');
               row.dataset.id = cat.id; 
               row.dataset.name = cat.name;
+              row.dataset.parentId = cat.parent_id == null ? '' : cat.parent_id;
               const privacyIcon = cat.is_private === 1 ? '🔒' : '🔓';
+              // 父分類私密時子分類被隱藏
+              const inheritedHint = cat.is_private !== 1 && cat.effective_private === 1
+                ? '<span class="inherited-private" title="父分類為私密，此分類在前台隱藏">（繼承私密）</span>'
+                : '';
               row.innerHTML = \`
                 <td>\${cat.icon ? \`<img src="\${cat.icon}" style="width:30px; height: 30px; object-fit: cover; border-radius: 4px;" />\` : 'N/A'}</td>
-                <td><a href="#" class="catalog-link" data-catalog-name="\${cat.name}">\${cat.name}</a></td>
+                <td><span class="catalog-indent" style="padding-left: \${(cat.depth || 0) * 24}px;">\${cat.depth ? '└ ' : ''}</span><a href="#" class="catalog-link" data-catalog-name="\${cat.name}">\${cat.name}</a>\${inheritedHint}</td>
                 <td class="actions">
                   <button class="privacy-toggle-btn catalog-privacy-toggle" title="切換隱私狀態" data-id="\${cat.id}" data-status="\${cat.is_private}">\${privacyIcon}</button>
                   <button class="edit-btn edit-cat-btn" data-catalog='\${JSON.stringify(cat)}'>编辑</button>
@@ -2028,12 +10309,41 @@ tr:nth-child(even) { background-color: #f8f9fa; }
             document.getElementById('editCatalogOldName').value = isNew ? '' : catalog.name;
             document.getElementById('editCatalogName').value = isNew ? '' : catalog.name;
             document.getElementById('editCatalogIcon').value = isNew ? '' : (catalog.icon || '');
+            populateParentOptions(catalog);
             
             editCatalogModal.style.display = 'block';
           }
 
+          // 父分類選項：排除自身及其子孫，避免形成循環
+          function populateParentOptions(catalog) {
+            const parentSelect = document.getElementById('editCatalogParent');
+            const excluded = new Set();
+            if (catalog) {
+              excluded.add(String(catalog.id));
+              let changed = true;
+              while (changed) {
+                changed = false;
+                allCatalogs.forEach(cat => {
+                  if (cat.parent_id != null && excluded.has(String(cat.parent_id)) && !excluded.has(String(cat.id))) {
+                    excluded.add(String(cat.id));
+                    changed = true;
+                  }
+                });
+              }
+            }
+            parentSelect.innerHTML = '<option value="">（頂級分類）</option>';
+            allCatalogs.forEach(cat => {
+              if (excluded.has(String(cat.id))) return;
+              const option = document.createElement('option');
+              option.value = cat.id;
+              option.textContent = '　'.repeat(cat.depth || 0) + cat.name;
+              parentSelect.appendChild(option);
+            });
+            parentSelect.value = catalog && catalog.parent_id != null ? String(catalog.parent_id) : '';
+          }
+
           function handleDeleteCatalog(name) {
-            if (confirm(\`【警告】确定要删除分类 "\${name}" 吗？这将同时删除该分类下的所有书签！此操作无法恢复！\`)) {
+            if (confirm(\`确定要删除分类 "\${name}" 吗？该分类下的所有书签将一起移至回收站，子分类将移到上一级。\`)) {
               fetch('/api/catalogs', {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
@@ -2041,7 +10351,7 @@ tr:nth-child(even) { background-color: #f8f9fa; }
               }).then(res => res.json())
                 .then(data => {
                   if (data.code === 200) {
-                    showMessage('分类及相关书签已删除', 'success');
+                    showMessage('分类及相关书签已移至回收站', 'success');
                     fetchCatalogs();
                     fetchConfigs();
                     fetchAndPopulateCatalogs();
@@ -2057,9 +10367,9 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                   .then(res => res.json())
                   .then(data => {
                       if (data.code === 200) {
-                          buttonElement.dataset.status = data.newStatus;
-                          buttonElement.innerHTML = data.newStatus === 1 ? '🔒' : '🔓';
-                          showMessage('状态已更新', 'success');
+                          const hint = data.affectedDescendants > 0 ? \`，影響 \${data.affectedDescendants} 個子分類\` : '';
+                          showMessage('状态已更新' + hint, 'success');
+                          fetchCatalogs();
                       } else {
                           showMessage(data.message, 'error');
                       }
@@ -2110,16 +10420,18 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                 try {
                   const jsonData = JSON.parse(event.target.result);
                   // 請求新的 API 端點
-                  fetch(\`/api/catalogs/import?name=\${encodeURIComponent(categoryName)}\`, {
+                  fetch(\`/api/catalogs/import?name=\${encodeURIComponent(categoryName)}&mode=\${encodeURIComponent(importMode.value)}\`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(jsonData)
                   })
                   .then(res => res.json())
                   .then(data => {
-                    if (data.code === 201 || data.code === 200) {
+                    if (data.data && data.data.rejected) {
+                      showImportReport(data);
+                      if (data.code === 201) fetchConfigs(); // 導入成功後刷新書籤列表
+                    } else if (data.code === 201 || data.code === 200) {
                       showMessage(data.message, 'success');
-                      fetchConfigs(); // 導入成功後刷新書籤列表
                     } else {
                       showMessage(data.message, 'error');
                     }
@@ -2172,16 +10484,24 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                   animation: 150,
                   ghostClass: 'sortable-ghost',
                   dragClass: 'sortable-drag',
+                  // 只允許在同級分類之間拖曳
+                  onMove: function (evt) {
+                      return evt.related.dataset.parentId === evt.dragged.dataset.parentId;
+                  },
                   onEnd: function (evt) {
-                      const orderedNames = Array.from(catalogTableBody.children).map(row => row.dataset.name);
+                      const parentId = evt.item.dataset.parentId;
+                      const orderedItems = Array.from(catalogTableBody.children)
+                          .filter(row => row.dataset.parentId === parentId)
+                          .map(row => ({ id: Number(row.dataset.id), parent_id: parentId === '' ? null : Number(parentId) }));
                       fetch('/api/catalogs/reorder', {
                           method: 'POST',
                           headers: { 'Content-Type': 'application/json' },
-                          body: JSON.stringify({ orderedNames })
+                          body: JSON.stringify({ orderedItems })
                       }).then(res => res.json())
                         .then(data => {
                             if (data.code === 200) {
                                 showMessage('分類排序已更新', 'success');
+                                fetchCatalogs();
                                 fetchAndPopulateCatalogs();
                             } else {
                                 showMessage(data.message, 'error');
@@ -2196,22 +10516,34 @@ tr:nth-child(even) { background-color: #f8f9fa; }
           }
 
           // --- 初始化加载 ---
+          fetch('/api/me')
+              .then(res => res.json())
+              .then(data => {
+                  if (data.code === 200) {
+                      csrfToken = data.data.csrfToken;
+                      applyPermissions(data.data);
+                  } else {
+                      window.location.href = '/admin';
+                  }
+              })
+              .catch(err => console.error('Failed to load current user:', err));
           fetchConfigs();
           fetchPendingConfigs();
           fetchCatalogs();
           fetchAndPopulateCatalogs();
+          fetchTagOptions();
           initSortable();
           initSortableCatalogs();
 
           deleteAllBtn.addEventListener('click', () => {
               if (!confirm('【警告】您確定要刪除所有書籤資料嗎？')) return;
-              if (!confirm('此操作將會清空整個書籤列表且無法復原，請再次確認！')) return;
+              if (!confirm('此操作將會清空整個書籤列表 (書籤會移至回收站，保留期內可恢復)，請再次確認！')) return;
               fetch('/api/config/all', {
                   method: 'DELETE'
               }).then(res => res.json())
                 .then(data => {
                     if (data.code === 200) {
-                        showMessage('所有書籤已成功刪除', 'success');
+                        showMessage(data.message, 'success');
                         fetchConfigs();
                         fetchAndPopulateCatalogs();
                         fetchCatalogs();
@@ -2250,11 +10582,13 @@ tr:nth-child(even) { background-color: #f8f9fa; }
               const oldName = document.getElementById('editCatalogOldName').value;
               const newName = document.getElementById('editCatalogName').value;
               const icon = document.getElementById('editCatalogIcon').value;
+              const parentValue = document.getElementById('editCatalogParent').value;
+              const parent_id = parentValue === '' ? null : Number(parentValue);
               
               const isNew = !id;
               const url = isNew ? '/api/catalogs' : '/api/catalogs';
               const method = isNew ? 'POST' : 'PUT';
-              const body = isNew ? { name: newName, icon } : { id, oldName, newName, icon };
+              const body = isNew ? { name: newName, icon, parent_id } : { id, oldName, newName, icon, parent_id };
 
               fetch(url, {
                   method: method,
@@ -2287,6 +10621,8 @@ tr:nth-child(even) { background-color: #f8f9fa; }
           const settingTitleSize = document.getElementById('settingTitleSize');
           const settingTitleColor = document.getElementById('settingTitleColor');
           const settingShowAddBtn = document.getElementById('settingShowAddBtn');
+          const settingSiteSort = document.getElementById('settingSiteSort');
+          const settingSubmitChallenge = document.getElementById('settingSubmitChallenge');
 
           function loadSettings() {
             fetch('/api/settings')
@@ -2304,6 +10640,8 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                         settingTabTitle.value = s.tab_title;
                         settingTabIcon.value = s.tab_icon;
                         settingShowAddBtn.checked = s.show_add_button === '1';
+                        settingSiteSort.value = s.site_sort;
+                        settingSubmitChallenge.value = s.submit_challenge;
                     } else {
                         showMessage(data.message, 'error');
                     }
@@ -2324,6 +10662,8 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                       tab_title: settingTabTitle.value,
                       tab_icon: settingTabIcon.value,
                       show_add_button: settingShowAddBtn.checked ? '1' : '0',
+                      site_sort: settingSiteSort.value,
+                      submit_challenge: settingSubmitChallenge.value,
                   };
 
                   fetch('/api/settings', {
@@ -2343,6 +10683,50 @@ tr:nth-child(even) { background-color: #f8f9fa; }
               });
           }
           
+          const schemaStatusDiv = document.getElementById('schemaStatus');
+          const schemaPendingList = document.getElementById('schemaPendingList');
+          const runMigrationsBtn = document.getElementById('runMigrationsBtn');
+
+          function loadSchemaStatus() {
+            fetch('/api/schema')
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code !== 200) {
+                        schemaStatusDiv.innerText = data.message;
+                        return;
+                    }
+                    const s = data.data;
+                    schemaStatusDiv.innerText = \`當前版本：\${s.currentVersion} / 目標版本：\${s.targetVersion}\` +
+                        (s.upToDate ? '（已是最新）' : '（有待執行的遷移）') +
+                        (s.lastError ? \`\\n上次自動遷移失敗：\${s.lastError}\` : '');
+                    schemaPendingList.innerHTML = '';
+                    s.pending.forEach(m => {
+                        const li = document.createElement('li');
+                        li.textContent = \`#\${m.version} \${m.name}\`;
+                        schemaPendingList.appendChild(li);
+                    });
+                    runMigrationsBtn.disabled = s.upToDate;
+                })
+                .catch(err => showMessage('加載數據庫狀態失敗', 'error'));
+          }
+
+          if (runMigrationsBtn) {
+              runMigrationsBtn.addEventListener('click', () => {
+                  if (!confirm('確定要執行數據庫遷移嗎？')) return;
+                  fetch('/api/schema/migrate', { method: 'POST' })
+                      .then(res => res.json())
+                      .then(data => {
+                          if (data.code === 200) {
+                              showMessage(data.message, 'success');
+                          } else {
+                              showMessage(data.message, 'error');
+                          }
+                          loadSchemaStatus();
+                      })
+                      .catch(err => showMessage('遷移失敗', 'error'));
+              });
+          }
+
           const logoutButton = document.getElementById('logoutButton');
           if(logoutButton) {
             logoutButton.addEventListener('click', async () => {
@@ -2364,10 +10748,12 @@ tr:nth-child(even) { background-color: #f8f9fa; }
     return fileContents[filePath]
     },
   
-    async renderAdminPage() {
-    const html = await this.getFileContent('admin.html');
+    // CSRF 令牌直接寫入頁面，admin.js 加載後即可發送修改請求，不依賴 /api/me 的返回
+    async renderAdminPage(csrfToken) {
+    const html = (await this.getFileContent('admin.html'))
+        .replace('<head>', `<head>\n    <meta name="csrf-token" content="${escapeHtml(csrfToken)}">`);
     return new Response(html, {
-        headers: {'Content-Type': 'text/html; charset=utf-8'}
+        headers: {'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store'}
     });
     },
   
@@ -2497,6 +10883,13 @@ tr:nth-child(even) { background-color: #f8f9fa; }
             </div>
             <button type="submit" id="loginButton">登录</button>
           </form>
+          <form id="otpForm" style="display: none;">
+            <div class="form-group">
+              <label for="otp">两步验证码</label>
+              <input type="text" id="otp" name="otp" inputmode="numeric" autocomplete="one-time-code" placeholder="身份验证器中的 6 位数字，或恢复码" required>
+            </div>
+            <button type="submit" id="otpButton">验证</button>
+          </form>
           <a href="/" class="back-link">返回首页</a>
         </div>
         
@@ -2525,12 +10918,18 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                   body: JSON.stringify({ username, password, remember })
                 });
 
-                if (response.ok) {
+                const data = await response.json();
+                if (data.twoFactorRequired) {
+                  // 已啟用兩步驗證，顯示驗證碼輸入框
+                  loginChallenge = data.challenge;
+                  loginForm.style.display = 'none';
+                  otpForm.style.display = 'block';
+                  document.getElementById('otp').focus();
+                } else if (response.ok) {
                   // 登入成功，刷新頁面，後端設置的 cookie 將生效
                   window.location.href = '/admin';
                 } else {
                   // 登入失敗
-                  const data = await response.json();
                   errorMessage.innerText = data.message || '用户名或密码错误';
                   errorMessage.style.display = 'block';
                   loginButton.disabled = false;
@@ -2543,6 +10942,46 @@ tr:nth-child(even) { background-color: #f8f9fa; }
                 loginButton.innerText = '登录';
               }
             });
+
+            // --- 新增：兩步驗證 ---
+            const otpForm = document.getElementById('otpForm');
+            const otpButton = document.getElementById('otpButton');
+            let loginChallenge = null;
+
+            otpForm.addEventListener('submit', async function(e) {
+              e.preventDefault();
+              errorMessage.style.display = 'none';
+              otpButton.disabled = true;
+
+              try {
+                const response = await fetch('/admin/login', {
+                  method: 'POST',
+                  headers: {
+                    'Content-Type': 'application/json'
+                  },
+                  body: JSON.stringify({ challenge: loginChallenge, otp: document.getElementById('otp').value.trim() })
+                });
+
+                if (response.ok) {
+                  window.location.href = '/admin';
+                  return;
+                }
+                const data = await response.json();
+                errorMessage.innerText = data.message || '验证码错误';
+                errorMessage.style.display = 'block';
+                // 驗證已過期或失敗次數過多時回到第一步
+                if (response.status === 401 && data.message !== '验证码错误') {
+                  otpForm.style.display = 'none';
+                  loginForm.style.display = 'block';
+                  loginButton.disabled = false;
+                  loginButton.innerText = '登录';
+                }
+              } catch (error) {
+                errorMessage.innerText = '网络错误，请稍后再试';
+                errorMessage.style.display = 'block';
+              }
+              otpButton.disabled = false;
+            });
           });
         </script>
       </body>
@@ -2556,13 +10995,14 @@ tr:nth-child(even) { background-color: #f8f9fa; }
 
 
 // =================================================================================
-// SECTION 4: FRONTEND RENDERER
+// SECTION 5: FRONTEND RENDERER
 // Handles rendering the public-facing navigation page.
 // =================================================================================
 
 async function handleRequest(request, env, ctx) {
     const url = new URL(request.url);
     const catalogParam = url.searchParams.get('catalog');
+    const tagParam = url.searchParams.get('tag');
 
     const defaultSettings = {
         bgImage: 'https://img.tool.hidns.vip/file/1744533540720_illust_128103580_20250412_151433.jpg',
@@ -2574,7 +11014,8 @@ async function handleRequest(request, env, ctx) {
         sidebarTitle: 'aki',
         tabTitle: 'aki nav',
         tabIcon: 'https://img.tool.hidns.vip/file/1749062089225_apple-touch-icon.png',
-        showAddButton: '1'
+        showAddButton: '1',
+        siteSort: 'manual'
     };
     let settings = { ...defaultSettings };
 
@@ -2589,7 +11030,8 @@ async function handleRequest(request, env, ctx) {
             sidebarTitle: 'frontend_sidebar_title',
             tabTitle: 'frontend_tab_title',
             tabIcon: 'frontend_tab_icon',
-            showAddButton: 'frontend_show_add_button'
+            showAddButton: 'frontend_show_add_button',
+            siteSort: 'frontend_site_sort'
         };
         const promises = Object.values(settingKeys).map(key => env.NAV_SETTINGS.get(key));
         const values = await Promise.all(promises);
@@ -2601,12 +11043,20 @@ async function handleRequest(request, env, ctx) {
         });
     }
 
+    await schema.ensureMigrated(env);
+
     let sites = [];
     let catalogs = [];
+    // 按熱度排序：最近 30 天點擊數多的在前，點擊數相同時保持手動順序
+    const siteOrder = settings.siteSort === 'popular'
+      ? `LEFT JOIN (SELECT site_id, SUM(clicks) AS clicks FROM site_clicks WHERE day >= date('now', '-29 days') GROUP BY site_id) k ON k.site_id = s.id
+         WHERE s.is_private = 0 AND s.deleted_at IS NULL ORDER BY COALESCE(k.clicks, 0) DESC, s.sort_order ASC, s.create_time DESC`
+      : 'WHERE s.is_private = 0 AND s.deleted_at IS NULL ORDER BY s.sort_order ASC, s.create_time DESC';
     try {
       const results = await env.NAV_DB.batch([
-        env.NAV_DB.prepare('SELECT name, icon FROM catalogs WHERE is_private = 0 ORDER BY sort_order ASC'),
-        env.NAV_DB.prepare('SELECT s.* FROM sites s JOIN catalogs c ON s.catelog = c.name WHERE s.is_private = 0 AND c.is_private = 0 ORDER BY s.sort_order ASC, s.create_time DESC')
+        // 私密分類的整個子樹都不顯示
+        env.NAV_DB.prepare(`${api.visibleCatalogsCte} SELECT c.id, c.name, c.icon, c.parent_id, c.is_private FROM catalogs c JOIN visible_catalogs v ON v.id = c.id ORDER BY c.sort_order ASC, c.id ASC`),
+        env.NAV_DB.prepare(`${api.visibleCatalogsCte} SELECT s.* FROM sites s JOIN visible_catalogs v ON s.catelog = v.name ${siteOrder}`)
       ]);
       catalogs = results[0].results;
       sites = results[1].results;
@@ -2617,7 +11067,7 @@ async function handleRequest(request, env, ctx) {
             const { results } = await env.NAV_DB.prepare('SELECT * FROM sites ORDER BY create_time DESC').all();
             sites = results;
             const catalogNames = Array.from(new Set(sites.map(s => s.catelog))).sort();
-            catalogs = catalogNames.map(name => ({ name, icon: null }));
+            catalogs = catalogNames.map((name, index) => ({ id: index + 1, name, icon: null, parent_id: null, is_private: 0 }));
        } else {
            return new Response(`Failed to fetch data: ${e.message}`, { status: 500 });
        }
@@ -2626,20 +11076,88 @@ async function handleRequest(request, env, ctx) {
     if (!sites) {
       return new Response('No site configuration found.', { status: 404 });
     }
+
+    // --- 新增：標籤 (失敗時不影響頁面渲染) ---
+    try {
+      sites = await api.attachTags(env, sites);
+    } catch (e) {
+      console.warn('Failed to load site tags:', e.message);
+      sites = sites.map(site => ({ ...site, tags: [] }));
+    }
     
+    // --- 新增：分類樹 ---
+    const catalogTree = buildCatalogTree(catalogs);
+    const catalogNodesByName = new Map();
+    const indexCatalogNodes = (nodes, parent) => nodes.forEach(node => {
+        node.parent = parent;
+        catalogNodesByName.set(node.name, node);
+        indexCatalogNodes(node.children, node);
+    });
+    indexCatalogNodes(catalogTree, null);
+
     // --- 程式碼修改：默認顯示第一個分類 ---
     let currentCatalog = catalogParam;
     
     // 检查 catalogParam 是否为空（即訪問根目錄）
-    // 并且 catalogs 列表不为空
-    if (!currentCatalog && catalogs.length > 0) {
-        // 将 currentCatalog 自动设置为第一个分类的名称
-        currentCatalog = catalogs[0].name;
+    // 并且 catalogs 列表不为空；按標籤篩選時不默認選中分類
+    if (!currentCatalog && !tagParam && catalogTree.length > 0) {
+        // 将 currentCatalog 自动设置为第一个頂級分类的名称
+        currentCatalog = catalogTree[0].name;
+    }
+
+    // 選中父分類時同時顯示所有子分類下的書籤；當前分類的祖先在側邊欄中默認展開
+    const currentCatalogNames = new Set(currentCatalog ? [currentCatalog] : []);
+    const expandedCatalogIds = new Set();
+    const currentNode = currentCatalog ? catalogNodesByName.get(currentCatalog) : null;
+    if (currentNode) {
+        const collectNames = node => node.children.forEach(child => {
+            currentCatalogNames.add(child.name);
+            collectNames(child);
+        });
+        collectNames(currentNode);
+        for (let node = currentNode; node; node = node.parent) {
+            expandedCatalogIds.add(node.id);
+        }
     }
     
-    const currentSites = currentCatalog ? sites.filter(s => s.catelog === currentCatalog) : sites;
+    let currentSites = currentCatalog ? sites.filter(s => currentCatalogNames.has(s.catelog)) : sites;
+    if (tagParam) {
+        currentSites = currentSites.filter(s => s.tags.includes(tagParam));
+    }
     // --- 程式碼修改結束 ---
 
+    const renderCatalogLink = cat => `
+                <a href="?catalog=${encodeURIComponent(cat.name)}" class="flex items-center px-3 py-2 rounded-lg font-medium transition-colors ${cat.name === currentCatalog ? 'bg-primary-500/20 text-primary-600 dark:text-lime-200' : 'hover:bg-primary-500/10 text-slate-600 dark:text-gray-400'} w-full">
+                  ${cat.icon 
+                    ? `<img src="${cat.icon}" class="h-5 w-5 mr-3 rounded-sm object-cover">` 
+                    : `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>`
+                  }
+                  ${cat.name}
+                </a>
+              `;
+    const renderCatalogNav = nodes => nodes.map(cat => {
+        if (cat.children.length === 0) return renderCatalogLink(cat);
+        const expanded = expandedCatalogIds.has(cat.id);
+        return `
+              <div class="catalog-group">
+                <div class="flex items-center">
+                  ${renderCatalogLink(cat)}
+                  <button type="button" class="catalog-toggle p-1 ml-1 rounded hover:bg-black/10 dark:hover:bg-white/10 text-slate-500 transition" aria-expanded="${expanded}" data-target="catalog-children-${cat.id}" title="展開/收起">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 transition-transform ${expanded ? 'rotate-90' : ''}" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" /></svg>
+                  </button>
+                </div>
+                <div id="catalog-children-${cat.id}" class="pl-4 mt-1 space-y-1 border-l border-slate-300/50 dark:border-slate-700 ml-5 ${expanded ? '' : 'hidden'}">
+                  ${renderCatalogNav(cat.children)}
+                </div>
+              </div>
+            `;
+    }).join('');
+
+    let sectionTitle = currentCatalog ? `${currentCatalog} · ${currentSites.length} 个网站` : `全部收藏 · ${sites.length} 个网站`;
+    if (tagParam) {
+        sectionTitle = `${currentCatalog ? `${currentCatalog} · ` : ''}#${escapeHtml(tagParam)} · ${currentSites.length} 个网站`;
+    }
+
     const html = `
     <!DOCTYPE html>
     <html lang="zh-CN" class="${settings.darkMode === '1' ? 'dark' : ''}">
@@ -2648,6 +11166,8 @@ async function handleRequest(request, env, ctx) {
       <meta name="viewport" content="width=device-width, initial-scale=1">
       <title>${settings.tabTitle}</title>
       <link rel="icon" type="image/png" href="${settings.tabIcon}">
+      <link rel="alternate" type="application/atom+xml" title="${escapeHtml(settings.mainTitle)} - 最近添加" href="/feeds/recent.atom">
+      <link rel="alternate" type="text/x-opml" title="${escapeHtml(settings.mainTitle)} - OPML" href="/feeds/sites.opml">
       <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@300;400;500;700&display=swap" rel="stylesheet"/>
       <script src="https://cdn.tailwindcss.com"></script>
       <script>
@@ -2726,6 +11246,7 @@ async function handleRequest(request, env, ctx) {
           100% { opacity: 0; transform: translateY(-10px); }
         }
         .copy-success-animation { animation: fadeInOut 2s ease forwards; }
+        #searchResults mark { background-color: rgba(114, 9, 183, 0.25); color: inherit; border-radius: 2px; }
         @media (max-width: 1023px) {
           .mobile-sidebar { transform: translateX(-100%); transition: transform 0.3s ease; }
           .mobile-sidebar.open { transform: translateX(0); }
@@ -2778,21 +11299,14 @@ async function handleRequest(request, env, ctx) {
           
           <div class="mb-5 relative">
             <input id="searchInput" type="text" placeholder="搜索书签..." class="w-full pl-10 pr-4 py-2 border border-slate-300/50 dark:border-slate-700 rounded-lg bg-white/70 dark:bg-black/50 focus:outline-none focus:ring-2 focus:ring-primary-400 transition">
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" /></svg>
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-slate-400 absolute left-3 top-5 -translate-y-1/2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" /></svg>
+            <div id="searchResults" class="hidden mt-2 rounded-lg bg-white/90 dark:bg-black/70 shadow-lg divide-y divide-slate-200/60 dark:divide-slate-700 max-h-96 overflow-y-auto text-sm"></div>
           </div>
           
           <div>
             <h3 class="px-3 text-sm font-semibold text-slate-500 uppercase tracking-wider mb-2">分类导航</h3>
             <div class="space-y-1">
-              ${catalogs.map(cat => `
-                <a href="?catalog=${encodeURIComponent(cat.name)}" class="flex items-center px-3 py-2 rounded-lg font-medium transition-colors ${cat.name === currentCatalog ? 'bg-primary-500/20 text-primary-600 dark:text-lime-200' : 'hover:bg-primary-500/10 text-slate-600 dark:text-gray-400'} w-full">
-                  ${cat.icon 
-                    ? `<img src="${cat.icon}" class="h-5 w-5 mr-3 rounded-sm object-cover">` 
-                    : `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>`
-                  }
-                  ${cat.name}
-                </a>
-              `).join('')}
+              ${renderCatalogNav(catalogTree)}
             </div>
           </div>
           
@@ -2821,7 +11335,7 @@ async function handleRequest(request, env, ctx) {
         <section class="max-w-7xl mx-auto px-4 sm:px-6 py-8">
           <div class="mb-6">
             <h2 class="text-xl font-semibold text-white" style="text-shadow: 0 1px 5px rgba(0,0,0,0.5);">
-              ${currentCatalog ? `${currentCatalog} · ${currentSites.length} 个网站` : `全部收藏 · ${sites.length} 个网站`}
+              ${sectionTitle}
             </h2>
           </div>
           
@@ -2829,13 +11343,10 @@ async function handleRequest(request, env, ctx) {
             ${currentSites.map(site => `
               <div class="site-card group backdrop-blur-lg rounded-xl shadow-lg transition-all duration-300" data-id="${site.id}" data-name="${site.name}" data-url="${site.url}" data-catalog="${site.catelog}">
                 <div class="p-5">
-                  <a href="${site.url}" target="_blank" class="block">
+                  <a href="/go/${site.id}" target="_blank" class="block">
                     <div class="flex items-center mb-3">
                       <div class="flex-shrink-0 mr-4 w-12 h-12 bg-white/50 dark:bg-black/20 rounded-lg flex items-center justify-center p-1 shadow-inner">
-                        ${site.logo 
-                          ? `<img src="${site.logo}" alt="${site.name}" class="w-full h-full rounded-md object-cover">`
-                          : `<div class="w-full h-full rounded-md bg-gradient-to-br from-primary-400 to-primary-600 flex items-center justify-center text-white font-bold text-xl">${site.name.charAt(0)}</div>`
-                        }
+                        <img src="/icon/${site.id}" alt="${site.name}" loading="lazy" class="w-full h-full rounded-md object-cover">
                       </div>
                       <div class="flex-1 min-w-0">
                         <h3 class="text-base font-semibold text-slate-800 truncate" title="${site.name}">${site.name}</h3>
@@ -2847,9 +11358,13 @@ async function handleRequest(request, env, ctx) {
                     
                     <p class="text-sm text-slate-600 line-clamp-2 h-10" title="${site.desc || '暂无描述'}">${site.desc || '暂无描述'}</p>
                   </a>
+                  ${site.tags.length > 0 ? `
+                  <div class="mt-3 flex flex-wrap gap-1">
+                    ${site.tags.map(tag => `<a href="?tag=${encodeURIComponent(tag)}" class="tag-chip inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-slate-200/60 dark:bg-slate-700/60 text-slate-600 hover:bg-primary-500/20 hover:text-primary-600 transition">#${escapeHtml(tag)}</a>`).join('')}
+                  </div>` : ''}
                   
                   <div class="mt-4 pt-3 border-t border-black/10 dark:border-white/10 flex items-center justify-between">
-                    <a href="${site.url}" target="_blank" class="text-xs text-slate-500 truncate max-w-[140px] hover:text-primary-500 transition">${site.url.replace(/^https?:\/\//, '')}</a>
+                    <a href="/go/${site.id}" target="_blank" class="text-xs text-slate-500 truncate max-w-[140px] hover:text-primary-500 transition">${site.url.replace(/^https?:\/\//, '')}</a>
                     <div class="relative">
                        <button class="copy-btn flex items-center px-2 py-1 bg-slate-200/50 dark:bg-slate-700/50 text-slate-600 hover:bg-primary-500/20 hover:text-primary-600 rounded-full text-xs font-medium transition-colors" data-url="${site.url}">
                         <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3 mr-1" viewBox="0 0 20 20" fill="currentColor"><path d="M7 9a2 2 0 012-2h6a2 2 0 012 2v6a2 2 0 01-2 2H9a2 2 0 01-2-2V9z" /><path d="M5 3a2 2 0 00-2 2v6a2 2 0 002 2V5h6a2 2 0 00-2-2H5z" /></svg>
@@ -2899,11 +11414,24 @@ async function handleRequest(request, env, ctx) {
                 <input type="text" id="addSiteCatelog" required class="mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500" list="publicCatalogList">
                 <datalist id="publicCatalogList"></datalist>
               </div>
+              <div>
+                <label for="addSiteContact" class="block text-sm font-medium text-slate-700 dark:text-slate-300">联系方式 (可选，仅管理员可见)</label>
+                <input type="text" id="addSiteContact" maxlength="200" placeholder="邮箱等" class="mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500">
+              </div>
+              <div style="position: absolute; left: -10000px;" aria-hidden="true">
+                <label for="addSiteWebsite">Website</label>
+                <input type="text" id="addSiteWebsite" name="website" tabindex="-1" autocomplete="off">
+              </div>
+              <div id="submitChallengeWidget"></div>
               <div class="flex justify-end pt-4">
                 <button type="button" id="cancelAddSite" class="bg-white dark:bg-slate-600 py-2 px-4 border border-slate-300 dark:border-slate-500 rounded-md shadow-sm text-sm font-medium text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 mr-3">取消</button>
-                <button type="submit" class="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">提交</button>
+                <button type="submit" id="submitAddSite" class="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">提交</button>
               </div>
             </form>
+            <div id="mySubmissions" class="hidden mt-6 pt-4 border-t border-black/10 dark:border-white/10">
+              <h3 class="text-sm font-semibold text-slate-700 dark:text-slate-300 mb-2">我的提交</h3>
+              <ul id="mySubmissionList" class="space-y-1 text-sm"></ul>
+            </div>
           </div>
         </div>
       </div>
@@ -2919,6 +11447,15 @@ async function handleRequest(request, env, ctx) {
           function closeSidebarMenu() { sidebar.classList.remove('open'); mobileOverlay.classList.remove('open'); document.body.style.overflow = ''; }
           
           if (sidebarToggle) sidebarToggle.addEventListener('click', openSidebar);
+
+          document.querySelectorAll('.catalog-toggle').forEach(btn => {
+            btn.addEventListener('click', function() {
+              const children = document.getElementById(this.dataset.target);
+              const expanded = children.classList.toggle('hidden') === false;
+              this.setAttribute('aria-expanded', String(expanded));
+              this.querySelector('svg').classList.toggle('rotate-90', expanded);
+            });
+          });
           if (closeSidebar) closeSidebar.addEventListener('click', closeSidebarMenu);
           if (mobileOverlay) mobileOverlay.addEventListener('click', closeSidebarMenu);
           
@@ -2977,6 +11514,118 @@ async function handleRequest(request, env, ctx) {
               addSiteModal.classList.remove('opacity-0', 'invisible');
               addSiteModal.querySelector('.max-w-md').classList.remove('translate-y-8');
               document.body.style.overflow = 'hidden';
+              if (!submitChallenge) loadSubmitChallenge().catch(err => console.error('加载验证失败:', err));
+              renderMySubmissions();
+            }
+          }
+
+          // 本瀏覽器提交過的書籤 (token 保存在 localStorage)，打開彈窗時查詢審核狀態
+          const submissionStorageKey = 'navSubmissions';
+          const submissionStatusText = { pending: '等待审核', approved: '已收录', rejected: '未通过' };
+
+          function getMySubmissions() {
+            try { return JSON.parse(localStorage.getItem(submissionStorageKey)) || []; } catch (e) { return []; }
+          }
+
+          function saveMySubmission(token, name) {
+            const submissions = [{ token: token, name: name }].concat(getMySubmissions()).slice(0, 20);
+            try { localStorage.setItem(submissionStorageKey, JSON.stringify(submissions)); } catch (e) {}
+          }
+
+          function renderMySubmissions() {
+            const submissions = getMySubmissions();
+            const container = document.getElementById('mySubmissions');
+            const list = document.getElementById('mySubmissionList');
+            container.classList.toggle('hidden', submissions.length === 0);
+            list.innerHTML = '';
+            submissions.forEach(submission => {
+              const item = document.createElement('li');
+              item.className = 'flex justify-between gap-3 text-slate-600 dark:text-slate-400';
+              const name = document.createElement('span');
+              name.className = 'truncate';
+              name.textContent = submission.name;
+              const status = document.createElement('span');
+              status.className = 'flex-shrink-0';
+              status.textContent = '查询中...';
+              item.appendChild(name);
+              item.appendChild(status);
+              list.appendChild(item);
+              fetch('/api/pending/status/' + encodeURIComponent(submission.token))
+                .then(res => res.json())
+                .then(data => {
+                  if (data.code !== 200) { status.textContent = '记录不存在'; return; }
+                  status.textContent = submissionStatusText[data.data.status] || data.data.status;
+                  if (data.data.reject_reason) status.textContent += '（' + data.data.reject_reason + '）';
+                })
+                .catch(() => { status.textContent = '查询失败'; });
+            });
+          }
+
+          // 提交前的人機驗證：工作量證明 (pow) 或 Cloudflare Turnstile，類型由 /api/submit/challenge 決定
+          let submitChallenge = null;
+          let turnstileToken = null;
+          let turnstileWidgetId = null;
+
+          function loadSubmitChallenge() {
+            return fetch('/api/submit/challenge').then(res => res.json()).then(data => {
+              submitChallenge = data.data;
+              if (submitChallenge.type === 'turnstile') renderTurnstile(submitChallenge.siteKey);
+              return submitChallenge;
+            });
+          }
+
+          function renderTurnstile(siteKey) {
+            const render = () => {
+              if (turnstileWidgetId !== null) return;
+              turnstileWidgetId = window.turnstile.render('#submitChallengeWidget', {
+                sitekey: siteKey,
+                callback: token => { turnstileToken = token; },
+                'expired-callback': () => { turnstileToken = null; }
+              });
+            };
+            if (window.turnstile) return render();
+            const script = document.createElement('script');
+            script.src = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+            script.async = true;
+            script.onload = render;
+            document.head.appendChild(script);
+          }
+
+          function leadingZeroBits(bytes) {
+            let bits = 0;
+            for (const byte of bytes) {
+              if (byte === 0) { bits += 8; continue; }
+              return bits + Math.clz32(byte) - 24;
+            }
+            return bits;
+          }
+
+          async function solveProofOfWork(challenge, difficulty) {
+            const encoder = new TextEncoder();
+            for (let nonce = 0; ; nonce++) {
+              const hash = await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce));
+              if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return String(nonce);
+            }
+          }
+
+          async function buildChallengeAnswer() {
+            const current = submitChallenge || await loadSubmitChallenge();
+            if (current.type === 'turnstile') {
+              if (!turnstileToken) throw new Error('请先完成人机验证');
+              return { token: turnstileToken };
+            }
+            if (current.type === 'pow') {
+              // 每道題只能使用一次
+              submitChallenge = null;
+              return { challenge: current.challenge, nonce: await solveProofOfWork(current.challenge, current.difficulty) };
+            }
+            return null;
+          }
+
+          function resetSubmitChallenge() {
+            if (submitChallenge && submitChallenge.type === 'turnstile' && window.turnstile && turnstileWidgetId !== null) {
+              turnstileToken = null;
+              window.turnstile.reset(turnstileWidgetId);
             }
           }
           
@@ -2994,39 +11643,108 @@ async function handleRequest(request, env, ctx) {
           if (addSiteModal) addSiteModal.addEventListener('click', e => { if (e.target === addSiteModal) closeModal(); });
           
           if (addSiteForm) {
-            addSiteForm.addEventListener('submit', function(e) {
+            addSiteForm.addEventListener('submit', async function(e) {
               e.preventDefault();
+              const submitButton = document.getElementById('submitAddSite');
               const formData = {
                 name: document.getElementById('addSiteName').value, url: document.getElementById('addSiteUrl').value,
                 logo: document.getElementById('addSiteLogo').value, desc: document.getElementById('addSiteDesc').value,
-                catelog: document.getElementById('addSiteCatelog').value
+                catelog: document.getElementById('addSiteCatelog').value,
+                contact: document.getElementById('addSiteContact').value,
+                website: document.getElementById('addSiteWebsite').value
               };
+              submitButton.disabled = true;
+              submitButton.textContent = '验证中...';
+              try {
+                formData.challenge = await buildChallengeAnswer();
+              } catch (err) {
+                alert(err.message || '人机验证失败，请稍后重试');
+                submitButton.disabled = false;
+                submitButton.textContent = '提交';
+                return;
+              }
+              submitButton.textContent = '提交中...';
               fetch('/api/config/submit', {
                 method: 'POST', headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(formData)
               }).then(res => res.json()).then(data => {
                 if (data.code === 201) {
+                  if (data.data && data.data.token) saveMySubmission(data.data.token, formData.name);
                   const successDiv = document.createElement('div');
                   successDiv.className = 'fixed top-4 right-4 bg-green-500 text-white px-4 py-2 rounded shadow-lg z-[101]';
-                  successDiv.textContent = '提交成功，等待管理员审核';
+                  successDiv.textContent = '提交成功，等待管理员审核，可再次打开此窗口查看审核结果';
                   document.body.appendChild(successDiv);
                   setTimeout(() => { successDiv.style.opacity = '0'; setTimeout(() => successDiv.remove(), 300); }, 2500);
                   closeModal(); addSiteForm.reset();
+                } else if (data.code === 409 && data.data) {
+                  alert('该网站已收录：' + data.data.name + ' (分类：' + data.data.catelog + ')');
+                } else if (data.code === 429) {
+                  alert('提交太频繁，请稍后再试');
                 } else { alert(data.message || '提交失败'); }
-              }).catch(err => { console.error('网络错误:', err); alert('网络错误，请稍后重試'); });
+              }).catch(err => { console.error('网络错误:', err); alert('网络错误，请稍后重试'); })
+                .finally(() => {
+                  resetSubmitChallenge();
+                  submitButton.disabled = false;
+                  submitButton.textContent = '提交';
+                });
             });
           }
           
           const searchInput = document.getElementById('searchInput');
+          const searchResults = document.getElementById('searchResults');
+          let searchTimer = null;
+
+          // 全站搜索結果 (跨分類)，由 /api/search 返回已轉義的高亮片段
+          function renderSearchResults(items) {
+            searchResults.innerHTML = '';
+            if (items.length === 0) {
+              const empty = document.createElement('div');
+              empty.className = 'px-3 py-2 text-slate-500';
+              empty.textContent = '沒有找到相關書籤';
+              searchResults.appendChild(empty);
+            }
+            items.forEach(item => {
+              const link = document.createElement('a');
+              link.href = '/go/' + item.id;
+              link.target = '_blank';
+              link.className = 'block px-3 py-2 hover:bg-primary-500/10 transition';
+              link.innerHTML = \`
+                <div class="font-medium text-slate-800 truncate">\${item.name_highlight}</div>
+                <div class="text-xs text-slate-500 line-clamp-2">\${item.snippet}</div>
+              \`;
+              searchResults.appendChild(link);
+            });
+            searchResults.classList.remove('hidden');
+          }
+
+          function searchAllSites(keyword) {
+            fetch('/api/search?pageSize=8&q=' + encodeURIComponent(keyword))
+              .then(res => res.json())
+              .then(data => {
+                if (data.code === 200 && searchInput.value.trim() === keyword) {
+                  renderSearchResults(data.data);
+                }
+              })
+              .catch(err => console.error('搜索失敗:', err));
+          }
+
           if (searchInput) {
             searchInput.addEventListener('input', function() {
-              const keyword = this.value.toLowerCase().trim();
+              const rawKeyword = this.value.trim();
+              const keyword = rawKeyword.toLowerCase();
               document.querySelectorAll('.site-card').forEach(card => {
                 const name = card.dataset.name.toLowerCase();
                 const url = card.dataset.url.toLowerCase();
                 const catalog = card.dataset.catalog.toLowerCase();
                 card.style.display = (name.includes(keyword) || url.includes(keyword) || catalog.includes(keyword)) ? '' : 'none';
               });
+
+              clearTimeout(searchTimer);
+              if (!rawKeyword) {
+                searchResults.classList.add('hidden');
+                return;
+              }
+              searchTimer = setTimeout(() => searchAllSites(rawKeyword), 250);
             });
           }
         });
@@ -3041,7 +11759,7 @@ async function handleRequest(request, env, ctx) {
 
 
 // =================================================================================
-// SECTION 5: MAIN FETCH HANDLER
+// SECTION 6: MAIN FETCH HANDLER
 // The entry point for all requests.
 // =================================================================================
 
@@ -3053,8 +11771,38 @@ export default {
         return api.handleRequest(request, env, ctx);
       } else if (url.pathname.startsWith('/admin') || url.pathname.startsWith('/static')) {
         return admin.handleRequest(request, env, ctx);
+      } else if (url.pathname.startsWith('/icon/')) {
+        return iconProxy.handleRequest(request, env, ctx);
+      } else if (url.pathname.startsWith('/go/')) {
+        return clickTracker.handleRequest(request, env, ctx);
+      } else if (url.pathname.startsWith('/feeds/')) {
+        return feeds.handleRequest(request, env, ctx);
       } else {
         return handleRequest(request, env, ctx);
       }
     },
+
+    // Cron Trigger：分批檢測書籤鏈接是否失效、重新解析加載失敗的圖標、清除過期的回收站內容和點擊統計、每日數據快照
+    async scheduled(controller, env, ctx) {
+      const tasks = {
+        'Link check': () => linkChecker.run(env),
+        'Icon refresh': () => iconProxy.refreshFailed(env),
+        'Trash purge': () => api.purgeExpiredTrash(env),
+        'Click stats prune': () => clickTracker.prune(env),
+        'Webhook retry': () => webhooks.processQueue(env),
+        'Snapshot': () => snapshots.runScheduled(env)
+      };
+      ctx.waitUntil((async () => {
+        const migrationError = await schema.ensureMigrated(env);
+        if (migrationError) return;
+        // 各任務互不影響，單個失敗不會中斷其他任務
+        for (const [name, task] of Object.entries(tasks)) {
+          try {
+            console.log(`${name} finished: ${JSON.stringify(await task())}`);
+          } catch (e) {
+            console.error(`${name} failed:`, e.message);
+          }
+        }
+      })());
+    },
 };